@@ -0,0 +1,66 @@
+// Print what the App Maker makes of an openSBP program, as JSON (see src/sbpModel.js):
+//   npm run sbp-model -- job.sbp [--values values.json] [--locale es] [--compact]
+// "-" reads the program from stdin. --values takes a "<sectionId>::<Var>" map or a
+// program bundle (its values are used). The sources are loaded through Vite, so no
+// build is needed.
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runnerImport } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const USAGE = 'Usage: npm run sbp-model -- <file.sbp | -> [--values values.json] [--locale en|es|de] [--compact]';
+
+function parseArgs(argv) {
+  const opts = { file: null, values: null, locale: 'en', compact: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--values' || a === '--locale') {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      opts[a.slice(2)] = argv[++i];
+    } else if (a === '--compact') opts.compact = true;
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+    else if (opts.file === null) opts.file = a;
+    else throw new Error(`Only one program at a time (got ${opts.file} and ${a})`);
+  }
+  return opts;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const c of process.stdin) chunks.push(c);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readValues(file) {
+  let data;
+  try {
+    data = JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read values from ${file}: ${err.message}`);
+  }
+  const values = data && typeof data.values === 'object' ? data.values : data;
+  if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(`${file} is not a values map or program bundle`);
+  return values;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.file) {
+    console.log(USAGE);
+    process.exit(opts.help ? 0 : 2);
+  }
+  const code = opts.file === '-' ? await readStdin() : await fsp.readFile(opts.file, 'utf8');
+  const values = opts.values ? await readValues(opts.values) : {};
+  const { module } = await runnerImport(path.join(ROOT, 'src/sbpModel.js'), {
+    root: ROOT, configFile: false, logLevel: 'error',
+  });
+  const model = module.formModel(code, values, { locale: opts.locale });
+  process.stdout.write(JSON.stringify(model, null, opts.compact ? 0 : 2) + '\n');
+}
+
+main().catch((err) => {
+  console.error(`sbp-model: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,231 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { coerceFieldValue, hasVal } from "./sbp";
+import { describeLength, parsePoint, formatPoint } from "./units";
+import { delocalizeNumber, formatNumber, localizeNumbers, t } from "./i18n";
+import NumericKeypad, { applyKey } from "./NumericKeypad";
+
+/* ---------------------- One form control per @input type ---------------------- */
+// `value` is the stored value, `r` the resolved field (computed value, bounds, enabled).
+// Free-typed types (length, angle, point) keep what the operator typed while it is
+// being edited and store the converted number/"x,y" as soon as it parses. Numbers are
+// shown and typed with the locale's decimal separator ("0,75") and stored with ".".
+const showNumber = (v) => (hasVal(v) ? formatNumber(v) : "");
+
+// Text box that holds its own draft and reports parsed values upward. With `keypad`
+// (operator mode) focusing it opens the on-screen keypad instead of the OS keyboard.
+function DraftInput({ value, parse, onChange, format = showNumber, keypad = false, fraction = false, ...props }) {
+  const [draft, setDraft] = useState(() => format(value));
+  const [padOpen, setPadOpen] = useState(false);
+  const editing = useRef(false);
+  const box = useRef(null);
+  // follow outside changes (presets, reset) when not typing
+  useEffect(() => { if (!editing.current) setDraft(format(value)); }, [value]);
+  const bad = draft.trim() !== "" && parse(draft) === "";
+  const edit = (text) => {
+    setDraft(text);
+    const v = parse(text);
+    if (text.trim() === "" || v !== "") onChange(v);
+  };
+  const input = (
+    <input
+      {...props}
+      ref={box}
+      type="text"
+      value={draft}
+      inputMode={keypad ? "none" : props.inputMode}
+      data-bad={bad ? "1" : undefined}
+      onFocus={() => { editing.current = true; if (keypad) setPadOpen(true); }}
+      onBlur={() => { editing.current = false; setPadOpen(false); setDraft(format(value)); }}
+      onChange={(e) => edit(e.target.value)}
+    />
+  );
+  if (!keypad) return input;
+  return (
+    <span className="keypad-anchor">
+      {input}
+      {padOpen && (
+        <KeypadPopup anchor={box}>
+          <NumericKeypad fraction={fraction} onKey={(k) => edit(applyKey(draft, k))} onDone={() => box.current?.blur()} />
+        </KeypadPopup>
+      )}
+    </span>
+  );
+}
+
+// The keypad floats over the page (the cards clip and stack their contents): below the
+// box, or above it when there is no room, following it while the page scrolls.
+function KeypadPopup({ anchor, children }) {
+  const [rect, setRect] = useState(() => anchor.current?.getBoundingClientRect());
+  useEffect(() => {
+    const place = () => setRect(anchor.current?.getBoundingClientRect());
+    window.addEventListener("scroll", place, true);
+    window.addEventListener("resize", place);
+    return () => {
+      window.removeEventListener("scroll", place, true);
+      window.removeEventListener("resize", place);
+    };
+  }, []);
+  if (!rect) return null;
+  const above = rect.bottom + KEYPAD_HEIGHT > window.innerHeight && rect.top > KEYPAD_HEIGHT;
+  const style = above ? { left: rect.left, top: rect.top - 4, transform: "translateY(-100%)" } : { left: rect.left, top: rect.bottom + 4 };
+  return createPortal(<div className="keypad-popup" style={style}>{children}</div>, document.body);
+}
+const KEYPAD_HEIGHT = 330;
+
+export default function FieldInput({ id, f, r, value, onChange, tools = [], keypad = false }) {
+  const shown = r.computed ? r.value : value;
+  const common = { id, disabled: !r.enabled };
+  const pad = { keypad };
+  const placeholder = r.computed && hasVal(r.value) ? t("field.auto", { value: showNumber(r.value) }) : f.placeholder;
+  const parseAs = (field) => (text) => coerceFieldValue(field, delocalizeNumber(text));
+
+  if (f.options) {
+    return (
+      <select {...common} value={String(shown ?? "")} onChange={(e) => onChange(e.target.value)}>
+        {f.options.map((opt, i) => <option key={opt} value={opt}>{f.optionLabels?.[i] ?? opt}</option>)}
+      </select>
+    );
+  }
+
+  switch (f.type) {
+    case "checkbox":
+      return <input {...common} type="checkbox" checked={Boolean(shown)} onChange={(e) => onChange(e.target.checked)} />;
+
+    case "length":
+      return (
+        <span className="field-compound">
+          <DraftInput
+            {...common}
+            {...pad}
+            fraction
+            inputMode="decimal"
+            placeholder={placeholder || (f.units === "mm" ? "19mm, 3/4in" : "3/4, 1 1/2, 19mm")}
+            value={value}
+            parse={parseAs(f)}
+            onChange={onChange}
+          />
+          <span className="field-hint">{hasVal(shown) ? localizeNumbers(describeLength(Number(shown), f.units)) : f.units}</span>
+        </span>
+      );
+
+    case "angle":
+      return (
+        <span className="field-compound">
+          <DraftInput
+            {...common}
+            {...pad}
+            inputMode="decimal"
+            placeholder={placeholder}
+            value={value}
+            parse={parseAs(f)}
+            onChange={onChange}
+          />
+          <span className="field-hint">°</span>
+        </span>
+      );
+
+    case "range": {
+      const min = r.min ?? 0, max = r.max ?? 100, step = r.step ?? 1;
+      return (
+        <span className="field-compound">
+          <input
+            {...common}
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={hasVal(shown) ? shown : min}
+            onChange={(e) => onChange(Number(e.target.value))}
+          />
+          <span className="field-hint field-range-value">{hasVal(shown) ? formatNumber(shown) : "–"}</span>
+        </span>
+      );
+    }
+
+    case "point": {
+      const p = parsePoint(shown, f.units);
+      const setAxis = (axis) => (v) => onChange(formatPoint({ ...parsePoint(value, f.units), [axis]: v }));
+      const axisField = { type: "length", units: f.units };
+      return (
+        <span className="field-compound field-point">
+          {["x", "y"].map((axis) => (
+            <label key={axis}>
+              {axis.toUpperCase()}
+              <DraftInput
+                {...common}
+                {...pad}
+                fraction
+                id={axis === "x" ? id : `${id}-y`}
+                inputMode="decimal"
+                value={Number.isNaN(p[axis]) ? "" : p[axis]}
+                parse={parseAs(axisField)}
+                onChange={setAxis(axis)}
+              />
+            </label>
+          ))}
+          <span className="field-hint">{f.units}</span>
+        </span>
+      );
+    }
+
+    case "tool":
+      if (!tools.length && keypad) {
+        return <DraftInput {...common} {...pad} placeholder={placeholder || t("field.toolNumber")} value={value} parse={parseAs(f)} onChange={onChange} />;
+      }
+      if (!tools.length) {
+        return <input {...common} type="number" inputMode="numeric" min={1} step={1} placeholder={placeholder || t("field.toolNumber")} value={value ?? ""} onChange={(e) => onChange(coerceFieldValue(f, e.target.value))} />;
+      }
+      return (
+        <select {...common} value={String(shown ?? "")} onChange={(e) => onChange(coerceFieldValue(f, e.target.value))}>
+          <option value="">{t("field.chooseTool")}</option>
+          {tools.map((tool) => (
+            <option key={tool.number} value={tool.number}>
+              T{tool.number} {tool.name}{tool.diameter !== undefined && !tool.name.includes(String(tool.diameter)) ? ` (⌀${formatNumber(tool.diameter)})` : ""}
+            </option>
+          ))}
+          {hasVal(shown) && !tools.some((tool) => tool.number === Number(shown)) && <option value={shown}>T{shown} {t("field.notInLibrary")}</option>}
+        </select>
+      );
+
+    case "file":
+      return <FileInput common={common} placeholder={placeholder} value={value} onChange={onChange} />;
+
+    case "number":
+      // a text box rather than type=number, which only takes the browser's own separator;
+      // computed defaults show as a hint and clearing the box goes back to "auto"
+      return (
+        <DraftInput
+          {...common}
+          {...pad}
+          inputMode="decimal"
+          placeholder={placeholder}
+          value={value}
+          parse={parseAs(f)}
+          onChange={onChange}
+        />
+      );
+
+    default:
+      return <input {...common} type="text" placeholder={placeholder} value={value ?? ""} onChange={(e) => onChange(e.target.value)} />;
+  }
+}
+
+// File name for FP: typed, or picked from disk (only the name is kept; the file
+// itself has to be on the machine already)
+function FileInput({ common, placeholder, value, onChange }) {
+  const pick = useRef(null);
+  return (
+    <span className="field-compound">
+      <input {...common} type="text" placeholder={placeholder || "part.sbp"} value={value ?? ""} onChange={(e) => onChange(e.target.value)} />
+      <button type="button" className="btn-paper" disabled={common.disabled} onClick={() => pick.current?.click()}>{t("field.browse")}</button>
+      <input
+        ref={pick}
+        type="file"
+        hidden
+        accept=".sbp,.nc,.gcode,.ngc,.tap,.txt"
+        onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ""; if (file) onChange(file.name); }}
+      />
+    </span>
+  );
+}
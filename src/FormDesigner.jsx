@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { FIELD_TYPES, isNumericType } from "./sbp";
+import { addField, moveField, renameSection, setFieldAttrs } from "./sbpEdit";
+import { t } from "./i18n";
+
+/* ---------------------- Form designer (edit mode of a SectionCard) ---------------------- */
+// Every change is written back into the code as @input lines / header text (see
+// sbpEdit.js) through onEdit(transform), which applies it as one editor edit and returns
+// an error message or null. The form itself is always re-read from the code.
+// Labels are "designer.attr.<key>" in i18n.js, placeholders (hint) "designer.hint.<key>".
+const EDIT_ATTRS = [
+  { key: "label" },
+  { key: "default" },
+  { key: "min", numeric: true },
+  { key: "max", numeric: true },
+  { key: "step", numeric: true },
+  { key: "options", hint: true },
+  { key: "units", only: ["length", "point"], choices: ["", "in", "mm"] },
+  { key: "prompt", hint: true },
+  { key: "help", hint: true },
+  { key: "tooltip", hint: true },
+  { key: "hidden", choices: ["", "true"], hint: true },
+];
+const VAR_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+export default function FormDesigner({ sec, onEdit }) {
+  const [open, setOpen] = useState(null); // field being edited
+  const [title, setTitle] = useState(sec.title);
+  const [msg, setMsg] = useState("");
+  useEffect(() => setTitle(sec.title), [sec.title]);
+
+  const edit = (transform) => setMsg(onEdit(transform) || "");
+
+  const rename = () => {
+    if (title.trim() && title.trim() !== sec.title) edit((code) => renameSection(code, sec.id, title));
+    else setTitle(sec.title);
+  };
+  const add = () => {
+    const name = window.prompt(t("designer.newFieldPrompt"), "");
+    if (!name) return;
+    if (!VAR_NAME.test(name.trim())) { setMsg(t("designer.badName", { name })); return; }
+    edit((code) => addField(code, sec.id, name.trim(), { label: name.trim() }));
+    setOpen(name.trim());
+  };
+
+  return (
+    <div className="designer">
+      <label className="designer-title">
+        {t("designer.sectionTitle")}
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={rename}
+          onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); if (e.key === "Escape") setTitle(sec.title); }}
+        />
+      </label>
+
+      <ul className="designer-fields">
+        {sec.fields.map((f, i) => (
+          <li key={f.name} data-open={open === f.name ? "1" : undefined}>
+            <div className="designer-field-row">
+              <button type="button" className="designer-field-name" onClick={() => setOpen(open === f.name ? null : f.name)} title={t("designer.editField")}>
+                <span>{f.label}</span> <code>&amp;{f.name}</code> <em>{f.options ? "select" : f.type}{f.hidden ? `, ${t("designer.hidden")}` : ""}</em>
+              </button>
+              <button type="button" className="btn-paper" disabled={i === 0} onClick={() => edit((code) => moveField(code, sec.id, f.name, -1))} title={t("designer.moveUp")}>↑</button>
+              <button type="button" className="btn-paper" disabled={i === sec.fields.length - 1} onClick={() => edit((code) => moveField(code, sec.id, f.name, 1))} title={t("designer.moveDown")}>↓</button>
+            </div>
+            {open === f.name && (
+              <FieldEditor
+                f={f}
+                cfg={sec.directives[f.name] || {}}
+                onApply={(patch) => edit((code) => setFieldAttrs(code, sec.id, f.name, patch))}
+                onClose={() => setOpen(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="designer-actions">
+        <button type="button" className="btn-paper" onClick={add}>{t("designer.addField")}</button>
+        {msg && <span className="designer-msg">{msg}</span>}
+      </div>
+    </div>
+  );
+}
+
+function FieldEditor({ f, cfg, onApply, onClose }) {
+  const initial = () => ({ type: cfg.type || f.type, ...Object.fromEntries(EDIT_ATTRS.map(({ key }) => [key, cfg[key] ?? ""])) });
+  const [draft, setDraft] = useState(initial);
+  // start over when the line changes in the code (applied, undone or typed)
+  const cfgKey = JSON.stringify(cfg);
+  useEffect(() => setDraft(initial()), [cfgKey]);
+  const set = (k) => (e) => setDraft((d) => ({ ...d, [k]: e.target.value }));
+
+  // only what changed is written, so hand-written attributes (showIf, …) stay as they are
+  const patch = Object.fromEntries(Object.entries(draft).filter(([k, v]) => v !== (k === "type" ? (cfg.type || f.type) : cfg[k] ?? "")));
+  const numeric = isNumericType(draft.type);
+  const shown = EDIT_ATTRS.filter((a) => (!a.numeric || numeric) && (!a.only || a.only.includes(draft.type)) && (a.key !== "options" || draft.type === "select" || draft.options));
+
+  return (
+    <div className="designer-editor">
+      <label>
+        {t("designer.type")}
+        <select value={draft.type} onChange={set("type")}>
+          {FIELD_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </label>
+      {shown.map((a) => (
+        <label key={a.key}>
+          {t(`designer.attr.${a.key}`)}
+          {a.choices ? (
+            <select value={draft[a.key]} onChange={set(a.key)}>
+              {Array.from(new Set([...a.choices, draft[a.key]])).map((c) => <option key={c} value={c}>{c || t(a.key === "units" ? "designer.programUnits" : "designer.no")}</option>)}
+            </select>
+          ) : (
+            <input type="text" value={draft[a.key]} placeholder={a.hint ? t(`designer.hint.${a.key}`) : undefined} onChange={set(a.key)} />
+          )}
+        </label>
+      ))}
+      <div className="designer-editor-actions">
+        <button type="button" className="btn-primary" disabled={!Object.keys(patch).length} onClick={() => onApply(patch)}>{t("designer.apply")}</button>
+        <button type="button" className="btn-paper" onClick={() => { setDraft(initial()); onClose(); }}>{t("designer.close")}</button>
+      </div>
+    </div>
+  );
+}
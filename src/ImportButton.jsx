@@ -0,0 +1,49 @@
+import React, { useRef, useState } from "react";
+import { gcodeToSbp, GCODE_EXTENSIONS } from "./importGcode";
+import { shapeToSbp, SHAPE_EXTENSIONS } from "./importShape";
+
+/* ---------------------- Import G-code / SVG / DXF as a new section ---------------------- */
+// onAppend(sectionText) adds the section to the program and returns an error message or null.
+export default function ImportButton({ units, onAppend }) {
+  const fileRef = useRef(null);
+  const [msg, setMsg] = useState("");
+  const [notes, setNotes] = useState([]);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const ext = (file.name.match(/\.[^.]+$/)?.[0] || "").toLowerCase();
+    const base = file.name.replace(/\.[^.]+$/, "");
+    try {
+      const text = await file.text();
+      const res = SHAPE_EXTENSIONS.includes(ext)
+        ? shapeToSbp(text, { title: `Profile: ${base}`, units, source: file.name, kind: ext.slice(1) })
+        : gcodeToSbp(text, { title: base, units, source: file.name });
+      const err = onAppend(res.text);
+      if (err) throw new Error(err);
+      setNotes(res.notes);
+      setMsg(`Added ${file.name} as a new section${res.notes.length ? ` (${res.notes.length} note${res.notes.length === 1 ? "" : "s"})` : ""}`);
+    } catch (err) {
+      setNotes([]);
+      setMsg(`Import failed: ${err?.message || err}`);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
+        onClick={() => fileRef.current?.click()}
+        title="Add a section from G-code, or a profile cut from an SVG/DXF outline"
+      >Import…</button>
+      <input ref={fileRef} type="file" accept={[...GCODE_EXTENSIONS, ...SHAPE_EXTENSIONS].join(",")} hidden onChange={onFile} />
+      {msg && (
+        <span className="import-msg" title={notes.map((n) => (n.line ? `line ${n.line}: ${n.message}` : n.message)).join("\n")}>
+          {msg}
+        </span>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,16 @@
+import React from "react";
+import { AUTO_LOCALE, LOCALES, detectLocale, getLocaleChoice, setLocaleChoice, t } from "./i18n";
+import useLocale from "./useLocale";
+
+/* ---------------------- Language picker (page header) ---------------------- */
+export default function LocalePicker() {
+  useLocale();
+  const choice = getLocaleChoice();
+  const auto = LOCALES.find((l) => l.id === detectLocale());
+  return (
+    <select className="locale-picker" value={choice} onChange={(e) => setLocaleChoice(e.target.value)} title={t("locale.label")} aria-label={t("locale.label")}>
+      <option value={AUTO_LOCALE}>{t("locale.auto", { name: auto.label })}</option>
+      {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+    </select>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { delocalizeNumber, formatNumber, t } from "./i18n";
+
+/* ---------------------- Live status of the running section (inside its card) ---------------------- */
+const fmt = (n) => (n === null || !Number.isFinite(n) ? "–" : formatNumber(n, { digits: 3, fixed: true }));
+
+// FabMo's own state name when there is no translation for it
+function stateLabel(state) {
+  const text = t(`state.${state}`);
+  return text === `state.${state}` ? state : text;
+}
+
+export default function MachineStatus({ status, controls }) {
+  const [busy, setBusy] = useState(false);
+  const [answer, setAnswer] = useState("");
+  const send = (fn) => async () => {
+    setBusy(true);
+    try { await fn(); } finally { setBusy(false); }
+  };
+  const state = status?.state || "connecting";
+  const paused = state === "paused";
+
+  return (
+    <div className="machine-status" data-state={state}>
+      <div className="machine-status-row">
+        <span className="machine-state">{stateLabel(state)}</span>
+        {status?.line !== null && status?.line !== undefined && (
+          <span>{t("machine.line", { line: status.line })}{status.lines ? ` / ${status.lines}` : ""}</span>
+        )}
+        {status && <span className="machine-pos">X {fmt(status.x)} Y {fmt(status.y)} Z {fmt(status.z)}</span>}
+      </div>
+      {(status?.message || status?.error) && (
+        <div className="machine-message">{status.error || status.message}</div>
+      )}
+      {paused && status?.input && (
+        <div className="machine-status-row">
+          <input
+            type="text"
+            className="machine-answer"
+            value={answer}
+            placeholder={status.input}
+            onChange={(e) => setAnswer(e.target.value)}
+            aria-label={status.message || status.input}
+          />
+        </div>
+      )}
+      <div className="machine-status-row">
+        {paused ? (
+          <button
+            type="button"
+            className="btn-paper"
+            disabled={busy}
+            onClick={send(() => { const a = answer; setAnswer(""); return controls.resume(status?.input ? delocalizeNumber(a) : undefined); })}
+          >{t("machine.resume")}</button>
+        ) : (
+          <button type="button" className="btn-paper" disabled={busy || state !== "running"} onClick={send(controls.hold)}>{t("machine.hold")}</button>
+        )}
+        <button type="button" className="btn-paper machine-stop" disabled={busy} onClick={send(controls.stop)}>{t("machine.stop")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { decimalSeparator, t } from "./i18n";
+
+/* ---------------------- On-screen keypad (operator mode) ---------------------- */
+// Edits the text of the box it belongs to; that box keeps focus (the keys do not take
+// it) so the tablet's own keyboard stays away. `fraction` adds "/" and space for
+// lengths like "1 1/2". `masked` is for PIN entry: digits only.
+export function applyKey(text, key) {
+  const s = String(text ?? "");
+  if (key === "back") return s.slice(0, -1);
+  if (key === "clear") return "";
+  if (key === "sign") return s.startsWith("-") ? s.slice(1) : `-${s}`;
+  return s + key;
+}
+
+export default function NumericKeypad({ onKey, onDone, fraction = false, masked = false }) {
+  const sep = decimalSeparator();
+  const keys = [
+    ["7"], ["8"], ["9"], ["back", "⌫", t("keypad.backspace")],
+    ["4"], ["5"], ["6"], ["clear", "C", t("keypad.clear")],
+    ["1"], ["2"], ["3"], masked ? null : ["sign", "±", t("keypad.sign")],
+    masked ? null : [sep], ["0"],
+    ...(fraction && !masked ? [["/"], [" ", "␣", t("keypad.space")]] : []),
+  ];
+  return (
+    <div className="keypad" role="group" onMouseDown={(e) => e.preventDefault()}>
+      {keys.map((k, i) => (k ? (
+        <button key={k[0]} type="button" className="keypad-key" title={k[2]} aria-label={k[2] || k[0]} onClick={() => onKey(k[0])}>
+          {k[1] || k[0]}
+        </button>
+      ) : <span key={`gap-${i}`} />))}
+      <button type="button" className="keypad-key keypad-done" style={{ gridColumn: fraction && !masked ? "1 / -1" : "span 2" }} onClick={onDone}>{t("keypad.done")}</button>
+    </div>
+  );
+}
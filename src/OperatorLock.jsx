@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from "react";
+import NumericKeypad, { applyKey } from "./NumericKeypad";
+import { t } from "./i18n";
+
+/* ---------------------- Unlock button + PIN pad (see useOperatorMode.js) ---------------------- */
+export default function OperatorLock({ operator }) {
+  const [open, setOpen] = useState(false);
+  const [pin, setPin] = useState("");
+  const [wrong, setWrong] = useState(false);
+  useEffect(() => { if (!open) { setPin(""); setWrong(false); } }, [open]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+      else if (/^\d$/.test(e.key)) setPin((p) => p + e.key);
+      else if (e.key === "Backspace") setPin((p) => p.slice(0, -1));
+      else if (e.key === "Enter") submit();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, pin]);
+
+  function start() {
+    if (operator.hasPin) setOpen(true);
+    else if (window.confirm(t("operator.exitConfirm"))) operator.unlock("");
+  }
+  function submit() {
+    if (operator.unlock(pin)) { setOpen(false); return; }
+    setWrong(true);
+    setPin("");
+  }
+
+  return (
+    <>
+      <button type="button" className="btn-paper operator-unlock" onClick={start} title={t("operator.unlockTitle")}>
+        🔒 {t("operator.unlock")}
+      </button>
+      {open && (
+        <div className="run-confirm-backdrop" onMouseDown={(e) => { if (e.target === e.currentTarget) setOpen(false); }}>
+          <div className="pin-dialog" role="dialog" aria-modal="true" aria-labelledby="pin-dialog-title">
+            <h2 id="pin-dialog-title">{t("operator.pinPrompt")}</h2>
+            <div className="pin-dots" data-wrong={wrong ? "1" : undefined} aria-live="polite">
+              {pin ? "•".repeat(pin.length) : wrong ? t("operator.wrongPin") : " "}
+            </div>
+            <NumericKeypad masked onKey={(k) => { setWrong(false); setPin((p) => applyKey(p, k)); }} onDone={submit} />
+            <button type="button" className="btn-paper" onClick={() => setOpen(false)}>{t("operator.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useRef, useState } from "react";
+import { presetsToJson, parsePresetsJson } from "./presets";
+import { downloadBlob } from "./exportApp";
+import { t } from "./i18n";
+
+/* ---------------------- Whole-program presets (above the forms) ---------------------- */
+export default function PresetBar({ programName, presets, onApply, onSaveAll, onImport, onDelete }) {
+  const fileRef = useRef(null);
+  const [msg, setMsg] = useState("");
+  const programPresets = presets.filter((p) => p.scope === "program");
+
+  const onExport = () => {
+    const file = `${(programName || "program").replace(/[\/\\?%*:|"<>]/g, "-")}-presets.json`;
+    downloadBlob(new Blob([presetsToJson(presets, programName)], { type: "application/json" }), file);
+  };
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const list = parsePresetsJson(await file.text());
+      onImport(list);
+      setMsg(list.length === 1 ? t("presets.importedOne") : t("presets.imported", { n: list.length }));
+    } catch (err) {
+      setMsg(t("presets.importFailed", { error: err?.message || err }));
+    }
+  };
+
+  return (
+    <div className="preset-bar">
+      <select
+        value=""
+        onChange={(e) => { const p = programPresets.find((x) => x.id === e.target.value); if (p) onApply(p); }}
+        title={t("presets.jobPickTitle")}
+      >
+        <option value="">{t("presets.jobPick")}</option>
+        {programPresets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <button
+        type="button"
+        className="btn-paper"
+        onClick={() => { const name = window.prompt(t("presets.saveAllPrompt")); if (name && name.trim()) onSaveAll(name.trim()); }}
+      >{t("presets.saveAll")}</button>
+      <button type="button" className="btn-paper" onClick={onExport} disabled={!presets.length}>{t("presets.export")}</button>
+      <button type="button" className="btn-paper" onClick={() => fileRef.current?.click()}>{t("presets.import")}</button>
+      {programPresets.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => {
+            const p = programPresets.find((x) => x.id === e.target.value);
+            if (p && window.confirm(t("presets.deleteConfirm", { name: p.name }))) onDelete(p.id);
+          }}
+          title={t("presets.deletePickTitle")}
+        >
+          <option value="">{t("presets.deletePick")}</option>
+          {programPresets.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      )}
+      <input ref={fileRef} type="file" accept=".json,application/json" hidden onChange={onFile} />
+      {msg && <span className="preset-msg">{msg}</span>}
+    </div>
+  );
+}
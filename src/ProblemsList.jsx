@@ -0,0 +1,28 @@
+import React from "react";
+
+/* ---------------------- Problems list (above the forms) ---------------------- */
+export default function ProblemsList({ problems, onReveal, onFix }) {
+  if (!problems.length) return null;
+  const errors = problems.filter(p => p.severity === "error").length;
+  const warnings = problems.length - errors;
+  return (
+    <details className="problems" open={errors > 0}>
+      <summary>
+        Problems: {errors} error{errors === 1 ? "" : "s"}, {warnings} warning{warnings === 1 ? "" : "s"}
+      </summary>
+      <ul>
+        {problems.map((p, i) => (
+          <li key={i} className="problem" data-severity={p.severity}>
+            <button type="button" className="problem-loc" onClick={() => onReveal(p)} title="Show in editor">
+              Line {p.line}
+            </button>
+            <span className="problem-msg">{p.message}</span>
+            {p.fix && (
+              <button type="button" className="btn-paper problem-fix" onClick={() => onFix(p)}>{p.fix.title}</button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
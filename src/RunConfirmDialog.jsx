@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from "react";
+import { formatNumber, t } from "./i18n";
+
+/* ---------------------- Pre-run confirmation (see useRunGate.js) ---------------------- */
+// One block per section: the values that will be sent, what the toolpath does, limit
+// violations and the checklist. Run stays disabled until every item is ticked and,
+// when a limit is broken, the operator has explicitly chosen to override it.
+const fmt = (n) => formatNumber(n, { digits: 3 });
+function fmtTime(sec) {
+  const s = Math.round(sec);
+  const m = Math.floor(s / 60);
+  return m ? `${m}m ${String(s % 60).padStart(2, "0")}s` : `${s}s`;
+}
+
+export default function RunConfirmDialog({ gate }) {
+  const pending = gate.pending;
+  const [ticked, setTicked] = useState({});
+  const [override, setOverride] = useState(false);
+  useEffect(() => { setTicked({}); setOverride(false); }, [pending]);
+
+  // Escape cancels, like the Cancel button
+  useEffect(() => {
+    if (!pending) return undefined;
+    const onKey = (e) => { if (e.key === "Escape") gate.cancel(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [pending]);
+
+  if (!pending) return null;
+  const { reports, kind } = pending;
+  const itemKey = (secId, label) => `${secId}\n${label}`;
+  const allTicked = reports.every(r => r.checklist.every(label => ticked[itemKey(r.secId, label)]));
+  const violations = reports.some(r => r.violations.length);
+  const canRun = allTicked && (!violations || override);
+
+  function run() {
+    const bySection = Object.fromEntries(reports.map(r => [r.secId, r.checklist.filter(label => ticked[itemKey(r.secId, label)])]));
+    gate.confirm({ ticked: bySection, override: violations && override });
+  }
+
+  return (
+    <div className="run-confirm-backdrop" onMouseDown={(e) => { if (e.target === e.currentTarget) gate.cancel(); }}>
+      <div className="run-confirm" role="dialog" aria-modal="true" aria-labelledby="run-confirm-title">
+        <h2 id="run-confirm-title">{kind === "queue" ? t("confirm.runMany", { n: reports.length }) : t("confirm.runOne", { title: reports[0].title })}</h2>
+
+        <div className="run-confirm-body">
+          {reports.map((r) => (
+            <section key={r.secId} className="run-confirm-section">
+              {reports.length > 1 && <h3>{r.title}</h3>}
+
+              {r.params.length > 0 && (
+                <table className="run-confirm-params">
+                  <tbody>
+                    {r.params.map((p, i) => <tr key={i}><th>{p.label}</th><td>{p.value}</td></tr>)}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="run-confirm-path">
+                {r.path.bbox
+                  ? t("confirm.path", {
+                    x0: fmt(r.path.bbox.min.x), x1: fmt(r.path.bbox.max.x), y0: fmt(r.path.bbox.min.y), y1: fmt(r.path.bbox.max.y),
+                    depth: fmt(r.path.maxDepth), time: fmtTime(r.path.time),
+                  })
+                  : t("confirm.noMoves")}
+              </div>
+
+              {r.violations.length > 0 && (
+                <ul className="run-confirm-violations">
+                  {r.violations.map((v, i) => <li key={i}>{v}</li>)}
+                </ul>
+              )}
+              {r.warnings.map((w, i) => <div key={i} className="run-confirm-warning">{w}</div>)}
+
+              {r.checklist.length > 0 && (
+                <ul className="run-confirm-checklist">
+                  {r.checklist.map((label) => {
+                    const k = itemKey(r.secId, label);
+                    return (
+                      <li key={label}>
+                        <label>
+                          <input type="checkbox" checked={Boolean(ticked[k])} onChange={(e) => setTicked((prev) => ({ ...prev, [k]: e.target.checked }))} />
+                          {label}
+                        </label>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </section>
+          ))}
+        </div>
+
+        {violations && (
+          <label className="run-confirm-override">
+            <input type="checkbox" checked={override} onChange={(e) => setOverride(e.target.checked)} />
+            {t("confirm.override")}
+          </label>
+        )}
+
+        <div className="run-confirm-actions">
+          <button type="button" className="btn-paper" onClick={gate.cancel}>{t("confirm.cancel")}</button>
+          <button type="button" className="btn-primary" disabled={!canRun} onClick={run}>
+            {t(violations && override ? "confirm.overrideRun" : "confirm.run")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useMemo, useState } from "react";
+import { RUN_RESULTS, diffLines, diffValues, filterRuns, runsToCsv, runsToJson } from "./runHistory";
+import { downloadBlob } from "./exportApp";
+import { activeLocale, t } from "./i18n";
+
+/* ---------------------- Run history (filter, diff two runs, re-run, export) ---------------------- */
+const fmtTime = (at) => (at ? new Date(at).toLocaleString(activeLocale()) : "");
+const showValue = (v) => (v === undefined ? "—" : typeof v === "boolean" ? t(v ? "value.yes" : "value.no") : v === "" ? t("history.asked") : String(v));
+const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+
+export default function RunHistoryPanel({ history, onRerun, busy }) {
+  const [text, setText] = useState("");
+  const [result, setResult] = useState("");
+  const [picked, setPicked] = useState([]); // ids of up to two runs to compare
+
+  const shown = useMemo(() => filterRuns(history.runs, { text, result }), [history.runs, text, result]);
+  const pickedRuns = picked.map((id) => history.runs.find((r) => r.id === id)).filter(Boolean);
+
+  const togglePick = (id) => setPicked((p) => (p.includes(id) ? p.filter((x) => x !== id) : [...p, id].slice(-2)));
+  const exportAs = (kind) => {
+    if (kind === "csv") downloadBlob(new Blob([runsToCsv(shown)], { type: "text/csv" }), `run-history-${stamp()}.csv`);
+    else downloadBlob(new Blob([runsToJson(shown)], { type: "application/json" }), `run-history-${stamp()}.json`);
+  };
+
+  return (
+    <details className="run-history">
+      <summary>{t("history.title")}{history.runs.length ? ` (${history.runs.length})` : ""}</summary>
+
+      <div className="run-history-bar">
+        <input type="search" placeholder={t("history.filter")} value={text} onChange={(e) => setText(e.target.value)} />
+        <select value={result} onChange={(e) => setResult(e.target.value)}>
+          <option value="">{t("history.anyResult")}</option>
+          {RUN_RESULTS.map((r) => <option key={r} value={r}>{t(`result.${r}`)}</option>)}
+        </select>
+        <button type="button" className="btn-paper" disabled={!shown.length} onClick={() => exportAs("csv")}>CSV</button>
+        <button type="button" className="btn-paper" disabled={!shown.length} onClick={() => exportAs("json")}>JSON</button>
+        <button
+          type="button"
+          className="btn-paper"
+          disabled={!history.runs.length}
+          onClick={() => { if (window.confirm(t("history.clearConfirm"))) { history.clear(); setPicked([]); } }}
+        >{t("history.clear")}</button>
+      </div>
+
+      {pickedRuns.length === 2 && <RunDiff a={pickedRuns[0]} b={pickedRuns[1]} onClose={() => setPicked([])} />}
+
+      {shown.length ? (
+        <ul className="run-history-list">
+          {shown.map((r) => (
+            <li key={r.id} data-result={r.result}>
+              <input type="checkbox" checked={picked.includes(r.id)} onChange={() => togglePick(r.id)} title={t("history.pick")} />
+              <details>
+                <summary>
+                  <span className="run-history-time">{fmtTime(r.at)}</span>
+                  <span className="run-history-title">{r.program} › {r.title}</span>
+                  <span className="run-history-result">{t(`result.${r.result}`)}</span>
+                  {r.overridden && <span className="run-history-override" title={t("history.overrideTitle")}>{t("history.override")}</span>}
+                </summary>
+                {r.error && <div className="run-history-error">{r.error}</div>}
+                <table className="run-history-values">
+                  <tbody>
+                    {r.resolved.map((v) => <tr key={v.name}><th>{v.label}</th><td>&amp;{v.name}</td><td>{showValue(v.value)}</td></tr>)}
+                  </tbody>
+                </table>
+                <pre className="run-history-code">{r.code}</pre>
+              </details>
+              <button type="button" className="btn-paper" disabled={busy} onClick={() => onRerun(r)} title={t("history.rerunTitle")}>{t("history.rerun")}</button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="run-history-empty">{t(history.runs.length ? "history.noMatch" : "history.empty")}</div>
+      )}
+    </details>
+  );
+}
+
+// Older run on the left
+function RunDiff({ a, b, onClose }) {
+  const [older, newer] = a.at <= b.at ? [a, b] : [b, a];
+  const values = diffValues(older, newer);
+  const lines = useMemo(() => diffLines(older.code, newer.code), [older, newer]);
+  const changed = lines.some((l) => l.op !== " ");
+
+  return (
+    <div className="run-diff">
+      <div className="run-diff-head">
+        <span>{fmtTime(older.at)} → {fmtTime(newer.at)}</span>
+        <button type="button" className="btn-paper" onClick={onClose}>{t("history.close")}</button>
+      </div>
+      {values.length ? (
+        <table className="run-history-values">
+          <tbody>
+            {values.map((d) => (
+              <tr key={d.name}><th>{d.label}</th><td>{showValue(d.a)}</td><td>→ {showValue(d.b)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      ) : <div className="run-history-empty">{t("history.sameValues")}</div>}
+      {changed ? (
+        <pre className="run-diff-code">
+          {lines.map((l, i) => <div key={i} data-op={l.op}>{l.op} {l.text}</div>)}
+        </pre>
+      ) : <div className="run-history-empty">{t("history.sameCode")}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { activeLocale, t } from "./i18n";
+
+/* ---------------------- Run queue (above the forms) ---------------------- */
+const fmtTime = (at) => (at ? new Date(at).toLocaleTimeString(activeLocale()) : "");
+
+export default function RunQueuePanel({ sections, queue, onResetProgress }) {
+  // sections left unticked; everything else is selected (so new sections start ticked)
+  const [unticked, setUnticked] = useState(() => new Set());
+  const selected = sections.filter((s) => !unticked.has(s.id));
+  const toggle = (id) => setUnticked((u) => {
+    const next = new Set(u);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  if (sections.length < 2 && !queue.entries.length) return null;
+  const tracked = [...new Set(sections.flatMap((s) => s.checkVars.map((n) => `$${n}`)))];
+
+  return (
+    <details className="run-queue" open={queue.active || undefined}>
+      <summary>
+        {t("queue.title")}{queue.active ? ` — ${t(`state.${queue.state}`)}` : ""}
+      </summary>
+
+      {!queue.active && (
+        <div className="run-queue-pick">
+          {sections.map((s) => (
+            <label key={s.id}>
+              <input type="checkbox" checked={!unticked.has(s.id)} onChange={() => toggle(s.id)} /> {s.title}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="run-queue-actions">
+        {!queue.active && (
+          <>
+            <button type="button" className="btn-primary" onClick={() => queue.start(sections)}>{t("queue.runAll")}</button>
+            <button
+              type="button"
+              className="btn-paper"
+              disabled={!selected.length || selected.length === sections.length}
+              onClick={() => queue.start(selected)}
+            >{t("queue.runSelected", { n: selected.length })}</button>
+            {queue.entries.length > 0 && <button type="button" className="btn-paper" onClick={queue.clear}>{t("queue.clear")}</button>}
+            {onResetProgress && tracked.length > 0 && (
+              <button
+                type="button"
+                className="btn-paper"
+                onClick={() => { if (window.confirm(t("queue.resetProgressConfirm", { vars: tracked.join(", ") }))) onResetProgress(sections); }}
+              >{t("queue.resetProgress")}</button>
+            )}
+          </>
+        )}
+        {queue.state === "running" && (
+          <button type="button" className="btn-paper" onClick={queue.pause} title={t("queue.pauseTitle")}>{t("queue.pause")}</button>
+        )}
+        {queue.state === "paused" && (
+          <button type="button" className="btn-paper" onClick={queue.resume}>{t("queue.resume")}</button>
+        )}
+        {queue.active && (
+          <button
+            type="button"
+            className="btn-paper run-queue-abort"
+            onClick={() => { if (window.confirm(t("queue.abortConfirm"))) queue.abort(); }}
+          >{t("queue.abort")}</button>
+        )}
+      </div>
+
+      {queue.entries.length > 0 && (
+        <ol className="run-queue-list">
+          {queue.entries.map((e) => (
+            <li key={e.id} data-status={e.status}>
+              <span className="run-queue-status">{t(`status.${e.status}`)}</span>
+              <span className="run-queue-title">{e.title}</span>
+              <span className="run-queue-msg">
+                {e.message || (e.finishedAt ? `${fmtTime(e.startedAt)} – ${fmtTime(e.finishedAt)}` : fmtTime(e.startedAt))}
+              </span>
+              {e.status === "queued" && queue.active && (
+                <button type="button" className="btn-paper" onClick={() => queue.skip(e.id)}>{t("queue.skip")}</button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </details>
+  );
+}
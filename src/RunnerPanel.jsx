@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import {
+  RUNNERS, AUTO_RUNNER, activeRunner, getRunnerChoice, setRunnerChoice, onRunnerChange,
+  getHttpBase, setHttpBase, getSimulator,
+} from "./runners";
+import { t } from "./i18n";
+
+/* ---------------------- Runner picker (+ simulator variables and log) ---------------------- */
+const fmtTime = (at) => (at ? new Date(at).toLocaleString() : "");
+const runnerName = (r) => t(`runner.name.${r.id}`);
+
+export default function RunnerPanel({ configVars, onVarsChanged }) {
+  const [, setTick] = useState(0);
+  const rerender = () => setTick((n) => n + 1);
+  useEffect(() => onRunnerChange(rerender), []);
+
+  const choice = getRunnerChoice();
+  const runner = activeRunner();
+  const sim = runner.id === "simulator" ? getSimulator() : null;
+
+  // the simulator's log and variables change as jobs finish
+  useEffect(() => {
+    if (!sim) return undefined;
+    let last = sim.getStatus().state;
+    return sim.subscribe((s) => {
+      if (s.state !== last && (s.state === "idle" || s.state === "stopped")) { rerender(); onVarsChanged?.(); }
+      last = s.state;
+    });
+  }, [sim]);
+
+  const [httpBase, setHttpBaseDraft] = useState(getHttpBase);
+  const vars = Object.entries(configVars || {});
+  const log = sim ? sim.getLog().slice(0, 10) : [];
+
+  return (
+    <details className="runner-panel">
+      <summary>{t("runner.title", { name: runnerName(runner) })}</summary>
+
+      <div className="runner-row">
+        <select value={choice} onChange={(e) => setRunnerChoice(e.target.value)} title={t("runner.pickTitle")}>
+          <option value={AUTO_RUNNER}>{t("runner.auto", { name: t(RUNNERS[0].available() ? "runner.name.fabmo" : "runner.name.http") })}</option>
+          {RUNNERS.map((r) => (
+            <option key={r.id} value={r.id} disabled={!r.available()}>{r.available() ? runnerName(r) : t("runner.unavailable", { name: runnerName(r) })}</option>
+          ))}
+        </select>
+        {runner.id === "http" && (
+          <input
+            type="text"
+            value={httpBase}
+            onChange={(e) => setHttpBaseDraft(e.target.value)}
+            onBlur={() => setHttpBase(httpBase)}
+            title={t("runner.httpTitle")}
+          />
+        )}
+      </div>
+
+      {sim && (
+        <>
+          <div className="runner-sub">
+            <span>{t("runner.vars")}</span>
+            <button
+              type="button"
+              className="btn-paper"
+              disabled={!vars.length}
+              onClick={() => { if (window.confirm(t("runner.resetConfirm"))) { sim.resetVariables(); onVarsChanged?.(); rerender(); } }}
+            >{t("runner.reset")}</button>
+          </div>
+          {vars.length ? (
+            <table className="runner-vars">
+              <tbody>
+                {vars.map(([k, v]) => <tr key={k}><th>${k}</th><td>{String(v)}</td></tr>)}
+              </tbody>
+            </table>
+          ) : <div className="runner-empty">{t("runner.noVars")}</div>}
+
+          <div className="runner-sub">
+            <span>{t("runner.log")}</span>
+            <button type="button" className="btn-paper" disabled={!log.length} onClick={() => { sim.clearLog(); rerender(); }}>{t("runner.clear")}</button>
+          </div>
+          {log.length ? (
+            <ul className="runner-log">
+              {log.map((e) => (
+                <li key={e.id} data-result={e.result}>
+                  <details>
+                    <summary>
+                      {fmtTime(e.startedAt)} — {t(`runner.result.${e.result}`)}{e.error ? `: ${e.error}` : ""} · {t("runner.lines", { n: e.steps })}
+                      {Object.keys(e.assigned).length > 0 && ` · ${Object.entries(e.assigned).map(([k, v]) => `$${k}=${v}`).join(", ")}`}
+                    </summary>
+                    {e.notes?.length > 0 && <ul className="runner-notes">{e.notes.map((n, i) => <li key={i}>{n}</li>)}</ul>}
+                    <pre>{e.code}</pre>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          ) : <div className="runner-empty">{t("runner.noLog")}</div>}
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { keyFor, defaultValueFor, resolveSection, checkRunnable, layoutBlocks } from "./sbp";
+import ToolpathPreview from "./ToolpathPreview";
+import MachineStatus from "./MachineStatus";
+import FieldInput from "./FieldInput";
+import FormDesigner from "./FormDesigner";
+import { t } from "./i18n";
+
+/* ---------------------- Section Card (prevents stray `sec`) ---------------------- */
+export default function SectionCard({
+  sec, values, setValues, running, runSection, buildPreambleForSection, buildRunCode, isSectionComplete,
+  presets = [], onApplyPreset, onSavePreset, onDeletePreset, machine, machineControls, tools, onDesignEdit, keypad = false, blockers = [], onResetProgress, focused = false, onRevealField,
+}) {
+  const [previewOpen, setPreviewOpen] = useState(false);
+  // the editor's cursor moved into this section: bring the card into view
+  const cardRef = useRef(null);
+  useEffect(() => { if (focused) cardRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" }); }, [focused]);
+  const [designing, setDesigning] = useState(false);
+  const [presetId, setPresetId] = useState("");
+  const selectedPreset = presets.find((p) => p.id === presetId);
+  // computed defaults, min/max expressions and showIf/enableIf, live as values change
+  const resolved = useMemo(() => resolveSection(sec, values), [sec, values]);
+  // running also needs the @global inputs to be valid
+  const runnable = useMemo(() => checkRunnable(sec, values), [sec, values]);
+  const complete = isSectionComplete(sec);
+  // @requires steps still to do
+  const lockedMsg = blockers.length ? t("section.locked", { titles: blockers.map((b) => b.title).join(", ") }) : "";
+  const trackedVars = sec.checkVars.map((n) => `$${n}`).join(", ");
+  // one field: label + control (+ help line), laid out by @group/@columns below
+  const renderField = (f) => {
+    const k = keyFor(sec.id, f.name);
+    const r = resolved.fields[f.name];
+    const invalid = r.errors.length > 0;
+    return (
+      <div className="legalpad-field" key={f.name}>
+        <div className="legalpad-row" data-invalid={invalid ? "1" : undefined}>
+          <label
+            className="legalpad-label"
+            htmlFor={`v-${sec.id}-${f.name}`}
+            title={f.tooltip}
+            data-reveal={onRevealField ? "1" : undefined}
+            onClick={onRevealField ? () => onRevealField(f) : undefined}
+          >
+            {f.label}{f.tooltip && <span className="legalpad-tip" aria-hidden="true">ⓘ</span>}
+          </label>
+          <div className="legalpad-input" title={invalid ? r.errors.join("; ") : f.tooltip}>
+            <FieldInput
+              id={`v-${sec.id}-${f.name}`}
+              f={f}
+              r={r}
+              value={values[k]}
+              tools={tools}
+              keypad={keypad}
+              onChange={(val) => setValues((v) => ({ ...v, [k]: val }))}
+            />
+            {invalid && <span className="legalpad-error">{r.errors[0]}</span>}
+          </div>
+        </div>
+        {f.help && <div className="legalpad-help">{f.help}</div>}
+      </div>
+    );
+  };
+  return (
+    <div className="legalpad" ref={cardRef} data-global={sec.global ? "1" : undefined} data-focused={focused ? "1" : undefined}>
+      {/* Header with status icon */}
+      <div className="legalpad-binding">
+  <span
+    className="status-icon"
+    data-complete={complete ? "1" : "0"}
+    data-locked={lockedMsg && !complete ? "1" : undefined}
+    title={complete ? t("section.complete") : lockedMsg || t("section.incomplete")}
+  />
+  <h3 className="legalpad-binding-title">
+    {sec.title || t("section.untitled")}
+  </h3>
+  {onDesignEdit && (
+    <button
+      type="button"
+      className="legalpad-design-toggle"
+      aria-pressed={designing}
+      onClick={() => setDesigning((d) => !d)}
+      title={t("section.editFormTitle")}
+    >{t(designing ? "section.done" : "section.editForm")}</button>
+  )}
+</div>
+
+
+      {/* Body */}
+      <div className="legalpad-body">
+        {designing ? <FormDesigner sec={sec} onEdit={onDesignEdit} /> : (
+        <form onSubmit={(e)=>e.preventDefault()}>
+          {sec.fields.length === 0 && (
+            <div className="legalpad-row">
+              <span className="legalpad-label">{t("section.note")}</span>
+              <div className="text-sm text-gray-700">{t("section.noFields")}</div>
+            </div>
+          )}
+          {layoutBlocks(sec, sec.fields.filter((f) => resolved.fields[f.name].visible)).map((block, bi) => {
+            const rows = <div className="legalpad-cols" style={{ "--cols": block.group ? block.group.columns : sec.layout.columns }}>{block.fields.map(renderField)}</div>;
+            return block.group ? (
+              <fieldset className="legalpad-group" key={`g-${bi}`}>
+                <legend className="legalpad-group-caption">{block.group.caption}</legend>
+                {rows}
+              </fieldset>
+            ) : <React.Fragment key={`b-${bi}`}>{rows}</React.Fragment>;
+          })}
+        </form>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="legalpad-actions">
+        {machineControls && <MachineStatus status={machine} controls={machineControls} />}
+
+        {(presets.length > 0 || onSavePreset) && (
+          <div className="preset-row">
+            <select
+              value={presetId}
+              onChange={(e) => {
+                const p = presets.find((x) => x.id === e.target.value);
+                setPresetId(e.target.value);
+                if (p) onApplyPreset(p);
+              }}
+              title={t("section.presetTitle")}
+            >
+              <option value="">{t("section.presetPick")}</option>
+              {presets.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}{p.scope === "program" ? ` ${t("section.presetAll")}` : ""}{p.source === "program" ? " ★" : ""}
+                </option>
+              ))}
+            </select>
+            {onSavePreset && (
+              <button
+                type="button"
+                className="btn-paper"
+                onClick={() => {
+                  const name = window.prompt(t("section.presetSaveAs", { title: sec.title }), selectedPreset?.source === "saved" ? selectedPreset.name : "");
+                  if (name && name.trim()) onSavePreset(name.trim());
+                }}
+              >{t("section.presetSave")}</button>
+            )}
+            {onDeletePreset && selectedPreset?.source === "saved" && (
+              <button
+                type="button"
+                className="btn-paper"
+                onClick={() => {
+                  if (window.confirm(t("section.presetDeleteConfirm", { name: selectedPreset.name }))) { onDeletePreset(selectedPreset.id); setPresetId(""); }
+                }}
+              >{t("section.presetDelete")}</button>
+            )}
+          </div>
+        )}
+
+        {sec.global ? (
+          <div className="global-note">{t("section.globalNote")}</div>
+        ) : (
+          <>
+            <button
+              disabled={running || !runnable.ok || Boolean(lockedMsg) || (!sec.fields.length && sec.text.trim() === "")}
+              onClick={() => runSection(sec)}
+              className={`btn-primary ${running ? "opacity-60 cursor-not-allowed" : ""}`}
+              title={lockedMsg || (runnable.ok ? t("section.runTitle") : t("section.fix", { fields: runnable.invalid.map(f => f.label).join(", ") }))}
+            >
+              {running ? t("section.running") : t("section.run", { title: sec.title })}
+            </button>
+            {lockedMsg && <div className="section-locked">🔒 {lockedMsg}</div>}
+            {onResetProgress && sec.checkVars.length > 0 && (
+              <button
+                type="button"
+                className="btn-paper section-reset-progress"
+                disabled={running}
+                title={t("section.resetProgressTitle", { vars: trackedVars })}
+                onClick={() => { if (window.confirm(t("section.resetProgressConfirm", { title: sec.title, vars: trackedVars }))) onResetProgress(); }}
+              >{t("section.resetProgress")}</button>
+            )}
+
+            <details className="text-sm">
+              <summary className="cursor-pointer">{t("section.preamble")}</summary>
+              <pre className="bg-white/70 p-2 rounded border border-yellow-200 overflow-auto max-h-[24vh] text-xs whitespace-pre-wrap">
+{buildPreambleForSection(sec).join("\n")}
+              </pre>
+            </details>
+
+            <details className="text-sm" onToggle={(e) => setPreviewOpen(e.currentTarget.open)}>
+              <summary className="cursor-pointer">{t("section.preview")}</summary>
+              {previewOpen && <ToolpathPreview code={buildRunCode(sec)} />}
+            </details>
+          </>
+        )}
+      </div>
+
+      {/* Dog-ear + Reset */}
+      <div className="legalpad-corner" />
+      <button
+        type="button"
+        className="legalpad-reset"
+        onClick={() => {
+          setValues((prev) => {
+            const next = { ...prev };
+            sec.fields.forEach((f) => {
+              next[keyFor(sec.id, f.name)] = defaultValueFor(f);
+            });
+            return next;
+          });
+        }}
+      >
+        {t("section.reset")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useMemo, useState } from "react";
+import { interpretToolpath } from "./sbpToolpath";
+import { formatNumber, t } from "./i18n";
+
+/* ---------------------- Toolpath preview (SVG plot + summary) ---------------------- */
+// 2D views are plain axis projections; "3D" is an isometric projection with Z up.
+const VIEWS = {
+  top: { label: "preview.top", project: p => [p.x, p.y] },
+  front: { label: "preview.front", project: p => [p.x, p.z] },
+  side: { label: "preview.side", project: p => [p.y, p.z] },
+  iso: { label: "preview.iso", project: p => [(p.x - p.y) * Math.cos(Math.PI / 6), (p.x + p.y) * Math.sin(Math.PI / 6) + p.z] },
+};
+const SIZE = 320;
+
+const fmt = (n) => formatNumber(n, { digits: 3 });
+function fmtTime(sec) {
+  const s = Math.round(sec);
+  const m = Math.floor(s / 60);
+  return m ? `${m}m ${String(s % 60).padStart(2, "0")}s` : `${s}s`;
+}
+
+export default function ToolpathPreview({ code }) {
+  const [view, setView] = useState("top");
+  const result = useMemo(() => interpretToolpath(code), [code]);
+  const { segments, bbox, maxDepth, time, notes } = result;
+
+  const plot = useMemo(() => {
+    if (!segments.length) return null;
+    const project = VIEWS[view].project;
+    const lines = segments.map(s => ({ a: project(s.from), b: project(s.to), kind: s.kind }));
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    lines.forEach(({ a, b }) => [a, b].forEach(([x, y]) => {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }));
+    const span = Math.max(maxX - minX, maxY - minY, 1e-6);
+    const scale = (SIZE - 20) / span;
+    // SVG y grows downward; flip so +Y / +Z point up
+    const tx = ([x, y]) => [10 + (x - minX) * scale, SIZE - 10 - (y - minY) * scale];
+    return lines.map(l => ({ ...l, a: tx(l.a), b: tx(l.b) }));
+  }, [segments, view]);
+
+  return (
+    <div className="toolpath">
+      <div className="toolpath-views">
+        {Object.entries(VIEWS).map(([k, v]) => (
+          <button key={k} type="button" className="btn-paper" data-active={view === k ? "1" : "0"} onClick={() => setView(k)}>
+            {t(v.label)}
+          </button>
+        ))}
+      </div>
+
+      {plot ? (
+        <svg className="toolpath-plot" viewBox={`0 0 ${SIZE} ${SIZE}`} width={SIZE} height={SIZE}>
+          {plot.map((l, i) => (
+            <line key={i} x1={l.a[0]} y1={l.a[1]} x2={l.b[0]} y2={l.b[1]} className={`toolpath-${l.kind}`} />
+          ))}
+        </svg>
+      ) : (
+        <div className="toolpath-empty">{t("preview.empty")}</div>
+      )}
+
+      <div className="toolpath-legend">
+        <span className="toolpath-key toolpath-key-feed" /> {t("preview.feed")}
+        <span className="toolpath-key toolpath-key-rapid" /> {t("preview.rapid")}
+      </div>
+
+      {bbox && (
+        <table className="toolpath-summary">
+          <tbody>
+            <tr><th>X</th><td>{fmt(bbox.min.x)} … {fmt(bbox.max.x)}</td></tr>
+            <tr><th>Y</th><td>{fmt(bbox.min.y)} … {fmt(bbox.max.y)}</td></tr>
+            <tr><th>Z</th><td>{fmt(bbox.min.z)} … {fmt(bbox.max.z)}</td></tr>
+            <tr><th>{t("preview.maxDepth")}</th><td>{fmt(maxDepth)}</td></tr>
+            <tr><th>{t("preview.time")}</th><td>{fmtTime(time)}</td></tr>
+          </tbody>
+        </table>
+      )}
+
+      {notes.length > 0 && (
+        <ul className="toolpath-notes">
+          {notes.map((n, i) => <li key={i}>{n.message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { DiffEditor } from "@monaco-editor/react";
+import { handleBeforeMount, SBP_LANGUAGE_ID } from "./sbpLanguage";
+import { snapshotTitle } from "./snapshots";
+import { t } from "./i18n";
+
+/* ---------------------- Version history (compare two versions, restore one) ---------------------- */
+// "A" is shown on the left of the diff, "B" on the right; "current" is the code in the editor.
+const CURRENT = "current";
+const fmtTime = (at) => new Date(at).toLocaleString();
+const lineCount = (code) => code.split(/\r?\n/).length;
+
+export default function VersionHistory({ snapshots, code, onTake, onRestore, onClose }) {
+  const [a, setA] = useState(() => snapshots[0]?.id || CURRENT);
+  const [b, setB] = useState(CURRENT);
+  const codeOf = (id) => (id === CURRENT ? code : snapshots.find((s) => s.id === id)?.code ?? "");
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const onSave = () => {
+    const name = window.prompt(t("versions.savePrompt"), "");
+    if (name !== null) onTake("manual", name.trim());
+  };
+  const restore = (s) => {
+    if (!window.confirm(t("versions.restoreConfirm", { time: fmtTime(s.at) }))) return;
+    onRestore(s);
+    setA(CURRENT);
+    setB(CURRENT);
+  };
+
+  const rows = [{ id: CURRENT, title: t("versions.current"), code }, ...snapshots.map((s) => ({ ...s, title: snapshotTitle(s) }))];
+
+  return (
+    <div className="run-confirm-backdrop" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="version-dialog" role="dialog" aria-modal="true" aria-labelledby="version-dialog-title">
+        <header className="version-dialog-head">
+          <h2 id="version-dialog-title">{t("versions.title")}</h2>
+          <button type="button" className="btn-paper" onClick={onSave} title={t("versions.saveTitle")}>{t("versions.save")}</button>
+          <button type="button" className="btn-paper" onClick={onClose}>{t("versions.close")}</button>
+        </header>
+
+        <div className="version-dialog-body">
+          <ul className="version-list">
+            <li className="version-list-head"><span>A</span><span>B</span><span /></li>
+            {rows.map((r) => (
+              <li key={r.id} data-reason={r.reason} data-picked={r.id === a || r.id === b ? "1" : undefined}>
+                <input type="radio" name="version-a" checked={a === r.id} onChange={() => setA(r.id)} title={t("versions.left")} />
+                <input type="radio" name="version-b" checked={b === r.id} onChange={() => setB(r.id)} title={t("versions.right")} />
+                <div className="version-list-text">
+                  <span className="version-title">{r.title}</span>
+                  <span className="version-meta">{r.at ? `${fmtTime(r.at)} · ` : ""}{t("versions.lines", { n: lineCount(r.code) })}</span>
+                </div>
+                {r.id !== CURRENT && (
+                  <button type="button" className="btn-paper" disabled={r.code === code} onClick={() => restore(r)} title={t("versions.restoreTitle")}>{t("versions.restore")}</button>
+                )}
+              </li>
+            ))}
+            {!snapshots.length && <li className="version-empty">{t("versions.empty")}</li>}
+          </ul>
+
+          <div className="version-diff">
+            {a === b || codeOf(a) === codeOf(b) ? (
+              <div className="version-same">{t(a === b ? "versions.pickTwo" : "versions.same")}</div>
+            ) : (
+              <DiffEditor
+                height="100%"
+                language={SBP_LANGUAGE_ID}
+                theme="sbp-light"
+                original={codeOf(a)}
+                modified={codeOf(b)}
+                beforeMount={handleBeforeMount}
+                options={{ readOnly: true, originalEditable: false, minimap: { enabled: false }, fontSize: 13, scrollBeyondLastLine: false, automaticLayout: true }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useRef, useState } from "react";
+import { downloadBlob } from "./exportApp";
+import { makeBundle, bundleToJson, shareUrl } from "./bundle";
+import { t } from "./i18n";
+
+// share links much longer than this may be cut off by chat apps and some browsers
+const LONG_LINK = 8000;
+
+// "Opened 2 programs", plus why any file was refused
+export function importSummary({ added, errors }) {
+  const opened = added.length === 1 ? t("workspace.openedOne", { name: added[0].name }) : added.length ? t("workspace.openedMany", { n: added.length }) : "";
+  return [opened, ...errors].filter(Boolean).join("; ");
+}
+
+/* ---------------------- Workspace file list (editor pane header) ---------------------- */
+export default function WorkspaceBar({ workspace }) {
+  const { programs, active, activeId, deleted, switchTo, create, rename, duplicate, remove, restore, importFiles } = workspace;
+  const fileRef = useRef(null);
+  const [msg, setMsg] = useState("");
+  const fileName = (ext) => `${active.name.replace(/[\/\\?%*:|"<>]/g, "-").trim() || "program"}${ext}`;
+
+  const onNew = () => {
+    const name = window.prompt(t("workspace.newPrompt"), "Untitled");
+    if (name !== null) create(name.trim() || "Untitled", "' " + (name.trim() || "Untitled") + "\n");
+  };
+  const onRename = () => {
+    const name = window.prompt(t("workspace.renamePrompt"), active.name);
+    if (name !== null) rename(active.id, name);
+  };
+  const onDelete = () => {
+    if (!window.confirm(t("workspace.deleteConfirm", { name: active.name }))) return;
+    remove(active.id);
+    setMsg(t("workspace.deleted", { name: active.name }));
+  };
+  const onRestore = (e) => {
+    const id = e.target.value;
+    e.target.value = "";
+    const p = deleted.find((d) => d.id === id);
+    if (!p) return;
+    restore(id);
+    setMsg(t("workspace.restored", { name: p.name }));
+  };
+  const onExport = () => downloadBlob(new Blob([active.code], { type: "text/plain" }), fileName(".sbp"));
+  const onExportBundle = () => {
+    downloadBlob(new Blob([bundleToJson(makeBundle(active))], { type: "application/json" }), fileName(".json"));
+  };
+  const onShare = async () => {
+    try {
+      const url = await shareUrl(makeBundle(active));
+      await navigator.clipboard.writeText(url);
+      setMsg(`${t("workspace.shareCopied", { n: url.length })}${url.length > LONG_LINK ? ` — ${t("workspace.shareLong")}` : ""}`);
+    } catch (err) {
+      setMsg(t("workspace.shareFailed", { error: err?.message || err }));
+    }
+  };
+
+  return (
+    <div className="workspace-bar">
+      <div className="file-tabs" role="tablist">
+        {programs.map((p) => (
+          <button
+            key={p.id}
+            type="button"
+            role="tab"
+            aria-selected={p.id === activeId}
+            className="file-tab"
+            data-active={p.id === activeId ? "1" : "0"}
+            onClick={() => switchTo(p.id)}
+            onDoubleClick={() => { const n = window.prompt(t("workspace.renamePrompt"), p.name); if (n !== null) rename(p.id, n); }}
+            title={p.name}
+          >{p.name}</button>
+        ))}
+      </div>
+      <div className="file-actions">
+        <button type="button" className="btn-paper" onClick={onNew} title={t("workspace.newTitle")}>{t("workspace.new")}</button>
+        <button type="button" className="btn-paper" onClick={onRename} disabled={!active}>{t("workspace.rename")}</button>
+        <button type="button" className="btn-paper" onClick={() => duplicate(activeId)} disabled={!active}>{t("workspace.duplicate")}</button>
+        <button type="button" className="btn-paper" onClick={onDelete} disabled={!active}>{t("workspace.delete")}</button>
+        <button type="button" className="btn-paper" onClick={() => fileRef.current?.click()} title={t("workspace.importTitle")}>{t("workspace.import")}</button>
+        <button type="button" className="btn-paper" onClick={onExport} disabled={!active} title={t("workspace.exportSbpTitle")}>{t("workspace.exportSbp")}</button>
+        <button type="button" className="btn-paper" onClick={onExportBundle} disabled={!active} title={t("workspace.exportBundleTitle")}>{t("workspace.exportBundle")}</button>
+        <button type="button" className="btn-paper" onClick={onShare} disabled={!active} title={t("workspace.shareTitle")}>{t("workspace.share")}</button>
+        {deleted.length > 0 && (
+          <select className="recently-deleted" value="" onChange={onRestore} title={t("workspace.recentlyDeletedTitle")}>
+            <option value="">{t("workspace.recentlyDeleted")}</option>
+            {deleted.map((p) => (
+              <option key={p.id} value={p.id}>{p.name} ({new Date(p.deletedAt).toLocaleString()})</option>
+            ))}
+          </select>
+        )}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".sbp,.txt,text/plain,.json,application/json"
+          multiple
+          hidden
+          onChange={async (e) => { const files = Array.from(e.target.files || []); e.target.value = ""; setMsg(importSummary(await importFiles(files))); }}
+        />
+      </div>
+      {msg && <div className="workspace-msg">{msg}</div>}
+    </div>
+  );
+}
@@ -1,371 +1,104 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import Editor from "@monaco-editor/react";
 import "../style.css"; // <-- your external CSS file
-
-/* ---------------------- localStorage helpers ---------------------- */
-const LS_CODE_KEY = "fabmo_sbp_code";
-const LS_VALS_KEY = "fabmo_sbp_values";
-
-const loadLS = (key, fallback) => {
-  try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : fallback; }
-  catch { return fallback; }
-};
-const saveLS = (key, val) => { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} };
-
-/* ---------------------- Monaco: language + themes ---------------------- */
-function handleBeforeMount(monaco) {
-  const id = "opensbp";
-  if (!monaco.languages.getEncodedLanguageId(id)) {
-    monaco.languages.register({ id });
-    monaco.languages.setMonarchTokensProvider(id, {
-      tokenizer: {
-        root: [
-          [/[';].*$/, "comment"],
-          [/&[A-Za-z][A-Za-z0-9_]*/, "variable"],
-          [/\b-?(?:\d+\.\d+|\d+)\b/, "number"],
-          [/"/, { token: "string.quote", bracket: "@open", next: "@string" }],
-          [/\b(MS|MZ|JZ|J2|J3|PAUSE|FP|SA|SO|TR|HOME|C3|C2|C1)\b/i, "keyword"],
-          [/,/, "delimiter"],
-        ],
-        string: [
-          [/[^"]+/, "string"],
-          [/""/, "string.escape"],
-          [/"/, { token: "string.quote", bracket: "@close", next: "@root" }],
-        ],
-      },
-    });
-    monaco.editor.defineTheme("sbp-dark", {
-      base: "vs-dark", inherit: true,
-      rules: [
-        { token: "comment", foreground: "6A9955" },
-        { token: "variable", foreground: "4FC1FF" },
-        { token: "number", foreground: "B5CEA8" },
-        { token: "keyword", foreground: "C586C0", fontStyle: "bold" },
-        { token: "string", foreground: "CE9178" },
-      ],
-      colors: {},
-    });
-    monaco.editor.defineTheme("sbp-light", {
-      base: "vs", inherit: true,
-      rules: [
-        { token: "comment", foreground: "008000" },
-        { token: "variable", foreground: "0000FF" },
-        { token: "number", foreground: "098658" },
-        { token: "keyword", foreground: "AF00DB", fontStyle: "bold" },
-        { token: "string", foreground: "A31515" },
-      ],
-      colors: { "editor.background": "#FFFFFF" },
-    });
-  }
-}
-
-/* ---------------------- parsing + inference ---------------------- */
-const VAR_REGEX = /&([A-Za-z][A-Za-z0-9_]*)/g;
-// allow ' @input …  OR  ; @input … (back-compat)
-const DIRECTIVE_REGEX = /^\s*[';]\s*@input\s+(&[A-Za-z][A-Za-z0-9_]*)\s+([^\r\n]*)/gmi;
-// section headers: "# Title" with optional leading comment marker
-const SECTION_HEADER = /^\s*(?:[';]\s*)?#\s*(.+?)\s*$/;
-// Accept: ' @checkmark &VarName   OR   ; @checkmark VarName (also allows $VarName)
-const CHECKMARK_REGEX = /^\s*[';]\s*@checkmark\s+(&?\$?[A-Za-z][A-Za-z0-9_]*)\s*$/gmi;
-
-function parseCheckmarksIn(text) {
-  const list = [];
-  let m;
-  while ((m = CHECKMARK_REGEX.exec(text))) {
-    const raw = m[1].trim();
-    const name = raw.replace(/^[$&]/, ""); // normalize: strip leading & or $
-    list.push(name);
-  }
-  return list;
-}
-
-function toBool(v) {
-  if (typeof v === "boolean") return v;
-  const s = String(v).trim().toLowerCase();
-  return s === "1" || s === "true" || s === "yes" || s === "y" || s === "on";
-}
-function toNumOrEmpty(v) {
-  if (v === "" || v === undefined || v === null) return "";
-  const n = Number(v);
-  return Number.isFinite(n) ? n : "";
-}
-
-function deriveTitleFromCode(code) {
-  if (!code) return "";
-  const first = (code.split(/\r?\n/).find(l => l.trim().length > 0) || "").trim();
-  const m = first.match(/^[';]\s*(.*)$/);
-  if (!m) return "";
-  const body = m[1].trim();
-  if (!body || /^@\w+/i.test(body)) return "";
-  return body.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1").trim();
-}
-
-function parseSections(code) {
-  const lines = code.split(/\r?\n/);
-  const headers = [];
-  for (let i = 0; i < lines.length; i++) {
-    const m = lines[i].match(SECTION_HEADER);
-    if (m) headers.push({ line: i, title: m[1].trim() });
-  }
-  if (headers.length === 0) {
-    return [{ id: "sec0", title: "Main", start: 0, end: lines.length, text: code }];
-  }
-  const out = [];
-  for (let i = 0; i < headers.length; i++) {
-    const start = headers[i].line + 1;
-    const end = (i + 1 < headers.length) ? headers[i + 1].line : lines.length;
-    out.push({ id: `sec${i}`, title: headers[i].title, start, end, text: lines.slice(start, end).join("\n") });
-  }
-  return out;
-}
-
-function parseDirectivesIn(text) {
-  const map = {};
-  let m;
-  while ((m = DIRECTIVE_REGEX.exec(text))) {
-    const varName = m[1].replace(/^&/, "");
-    const attrs = m[2];
-    const cfg = {};
-    const attrRegex = /(\w+)=((\"[^\"]*\")|('[^']*')|[^\s]+)/g;
-    let a;
-    while ((a = attrRegex.exec(attrs))) {
-      const key = a[1];
-      let val = a[2];
-      if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
-        val = val.slice(1, -1);
-      }
-      cfg[key] = val;
-    }
-    map[varName] = cfg;
-  }
-  return map;
-}
-
-async function getFabMoConfigVars() {
-  return new Promise((resolve) => {
-    if (typeof window !== "undefined" && window.fabmo?.getConfig) {
-      window.fabmo.getConfig((err, data) => {
-        if (err) {
-          console.error("FabMo getConfig error:", err);
-          resolve({});
-        } else {
-          resolve((data && data.opensbp && data.opensbp.variables) || {});
-        }
-      });
-    } else {
-      resolve({});
-    }
-  });
-}
-
-function extractVariables(code) {
-  const set = new Set(); let m;
-  while ((m = VAR_REGEX.exec(code))) set.add(m[1]);
-  return Array.from(set);
-}
-function inferField(varName, cfg = {}) {
-  let type = cfg.type || "text";
-  if (!cfg.type) {
-    const n = varName.toLowerCase();
-    if (/(diameter|radius|depth|height|width|speed|feed|x|y|z|angle|thickness|step|offset|distance|length)/.test(n)) type = "number";
-    else if (/^(use|enable|flag|do|is_)/.test(n)) type = "checkbox";
-  }
-  const label = cfg.label || varName;
-  let def = cfg.default ?? "";
-  if (type === "checkbox") def = toBool(def);
-  else if (type === "number") def = toNumOrEmpty(def);
-  const options = cfg.options ? String(cfg.options).split(/\s*,\s*/) : null;
-  const min = cfg.min !== undefined ? Number(cfg.min) : undefined;
-  const max = cfg.max !== undefined ? Number(cfg.max) : undefined;
-  const step = cfg.step !== undefined ? Number(cfg.step) : undefined;
-  return { type, label, default: def, options, min, max, step, placeholder: cfg.placeholder };
-}
-
-/* ---------------------- FabMo runner ---------------------- */
-async function runSbpOnFabMo(fullSbpCode) {
-  if (typeof window !== "undefined" && window.fabmo?.runSBP) {
-    return new Promise((resolve, reject) => {
-      window.fabmo.runSBP(fullSbpCode, (err, data) => (err ? reject(err) : resolve(data)));
-    });
-  }
-  const res = await fetch("/api/fabmo/run-sbp", { method: "POST", headers: { "Content-Type": "text/plain" }, body: fullSbpCode });
-  if (!res.ok) throw new Error(`FabMo run failed: ${res.status}`);
-  return await res.text();
-}
-
-/* ---------------------- Section Card (prevents stray `sec`) ---------------------- */
-function SectionCard({ sec, values, setValues, running, runSection, buildPreambleForSection, isSectionComplete }) {
-  return (
-    <div className="legalpad">
-      {/* Header with status icon */}
-      <div className="legalpad-binding">
-  <span
-    className="status-icon"
-    data-complete={isSectionComplete(sec) ? "1" : "0"}
-    title={isSectionComplete(sec) ? "Complete" : "Not completed"}
-  />
-  <h3 className="legalpad-binding-title">
-    {sec.title || "Untitled Section"}
-  </h3>
-</div>
-
-
-      {/* Body */}
-      <div className="legalpad-body">
-        <form onSubmit={(e)=>e.preventDefault()}>
-          {sec.fields.length === 0 && (
-            <div className="legalpad-row">
-              <span className="legalpad-label">Note</span>
-              <div className="text-sm text-gray-700">No variables found in this section.</div>
-            </div>
-          )}
-          {sec.fields.map((f) => (
-            <div className="legalpad-row" key={f.name}>
-              <label className="legalpad-label" htmlFor={`v-${sec.id}-${f.name}`}>{f.label}</label>
-              <div className="legalpad-input">
-                {f.options ? (
-                  <select
-                    id={`v-${sec.id}-${f.name}`}
-                    value={String(values[`${sec.id}::${f.name}`] ?? "")}
-                    onChange={(e) => setValues((v) => ({ ...v, [`${sec.id}::${f.name}`]: e.target.value }))}
-                  >
-                    {f.options.map((opt) => <option key={opt} value={opt}>{opt}</option>)}
-                  </select>
-                ) : f.type === "checkbox" ? (
-                  <input
-                    id={`v-${sec.id}-${f.name}`}
-                    type="checkbox"
-                    checked={Boolean(values[`${sec.id}::${f.name}`])}
-                    onChange={(e) => setValues((v) => ({ ...v, [`${sec.id}::${f.name}`]: e.target.checked }))}
-                  />
-                ) : (
-                  <input
-                    id={`v-${sec.id}-${f.name}`}
-                    type={f.type}
-                    inputMode={f.type === "number" ? "decimal" : undefined}
-                    value={values[`${sec.id}::${f.name}`] ?? ""}
-                    onChange={(e) => {
-                      const val = f.type === "number"
-                        ? (e.target.value === "" ? "" : Number(e.target.value))
-                        : e.target.value;
-                      setValues((v) => ({ ...v, [`${sec.id}::${f.name}`]: val }));
-                    }}
-                  />
-                )}
-              </div>
-            </div>
-          ))}
-        </form>
-      </div>
-
-      {/* Actions */}
-      <div className="legalpad-actions">
-        <button
-          disabled={running || (!sec.fields.length && sec.text.trim() === "")}
-          onClick={() => runSection(sec)}
-          className={`btn-primary ${running ? "opacity-60 cursor-not-allowed" : ""}`}
-          title="Send this section to FabMo"
-        >
-          {running ? "Running..." : `Run: ${sec.title}`}
-        </button>
-
-        <details className="text-sm">
-          <summary className="cursor-pointer">Show preamble for this section</summary>
-          <pre className="bg-white/70 p-2 rounded border border-yellow-200 overflow-auto max-h-[24vh] text-xs whitespace-pre-wrap">
-{buildPreambleForSection(sec).join("\n")}
-          </pre>
-        </details>
-      </div>
-
-      {/* Dog-ear + Reset */}
-      <div className="legalpad-corner" />
-      <button
-        type="button"
-        className="legalpad-reset"
-        onClick={() => {
-          setValues((prev) => {
-            const next = { ...prev };
-            sec.fields.forEach((f) => {
-              next[`${sec.id}::${f.name}`] =
-                f.type === "checkbox" ? (f.default ?? false) : (f.default ?? "");
-            });
-            return next;
-          });
-        }}
-      >
-        Reset
-      </button>
-    </div>
-  );
-}
+import SectionCard from "./SectionCard";
+import RunQueuePanel from "./RunQueuePanel";
+import RunConfirmDialog from "./RunConfirmDialog";
+import RunHistoryPanel from "./RunHistoryPanel";
+import RunnerPanel from "./RunnerPanel";
+import useProgram from "./useProgram";
+import { deriveTitleFromCode, parseUnitsIn } from "./sbp";
+import useWorkspace from "./useWorkspace";
+import WorkspaceBar, { importSummary } from "./WorkspaceBar";
+import PresetBar from "./PresetBar";
+import { presetsForSection, applyPreset, makeSectionPreset, makeProgramPreset, renamePresetVars } from "./presets";
+import { buildFma, downloadBlob } from "./exportApp";
+import { handleBeforeMount, onVariableRename, reconcileRename, setRunSectionHandler, SBP_LANGUAGE_ID } from "./sbpLanguage";
+import { validateProgram, toMarkers, applyFixToCode } from "./sbpDiagnostics";
+import { addSection, appendSection, minimalEdit, renameValueKeys, variableOccurrences } from "./sbpEdit";
+import ImportButton from "./ImportButton";
+import LocalePicker from "./LocalePicker";
+import ProblemsList from "./ProblemsList";
+import { hashToBundle, isShareHash } from "./bundle";
+import OperatorLock from "./OperatorLock";
+import useOperatorMode, { setDevicePin } from "./useOperatorMode";
+import useSnapshots from "./useSnapshots";
+import VersionHistory from "./VersionHistory";
+import { t } from "./i18n";
 
 /* ====================== Main Component ====================== */
 export default function FabMoOpenSBPApp() {
-  const [code, setCode] = useState(() => loadLS(LS_CODE_KEY, DEFAULT_SNIPPET));
+  // Named programs (IndexedDB); code + values below are the active program's
+  const workspace = useWorkspace(DEFAULT_SNIPPET);
+  const code = workspace.active?.code ?? "";
+  const values = workspace.active?.values ?? EMPTY_VALUES;
+  const presets = workspace.active?.presets ?? EMPTY_LIST;
+  const { setCode, setValues, setPresets } = workspace;
   const derivedTitle = useMemo(() => deriveTitleFromCode(code), [code]);
 
-  // Sections + models (directives, fields, checkmarks)
-  const sections = useMemo(() => parseSections(code), [code]);
-  const sectionModels = useMemo(() => {
-    return sections.map(sec => {
-      const directives = parseDirectivesIn(sec.text);
-      const vars = extractVariables(sec.text);
-      const fields = vars.map(v => ({ name: v, ...inferField(v, directives[v] || {}) }));
-      const checkVars = parseCheckmarksIn(sec.text);
-      return { ...sec, directives, fields, checkVars };
-    });
-  }, [sections]);
-
-  // Values per section/var: key "secId::var"
-  const keyFor = (secId, varName) => `${secId}::${varName}`;
-  const [values, setValues] = useState(() => loadLS(LS_VALS_KEY, {}));
-
-  useEffect(() => {
-    setValues(prev => {
-      const next = { ...prev };
-      const valid = new Set();
-      sectionModels.forEach(sec => {
-        sec.fields.forEach(f => {
-          const k = keyFor(sec.id, f.name);
-          valid.add(k);
-          if (!(k in next) || next[k] === "" || next[k] === null || next[k] === undefined) {
-            next[k] = f.type === "checkbox" ? (f.default ?? false) : (f.default ?? "");
-          }
-        });
-      });
-      Object.keys(next).forEach(k => { if (!valid.has(k)) delete next[k]; });
-      return next;
-    });
-  }, [sectionModels]);
-
-  // Persist code & values
-  useEffect(() => saveLS(LS_CODE_KEY, code), [code]);
-  useEffect(() => saveLS(LS_VALS_KEY, values), [values]);
-
-  // FabMo config variables for @checkmark
-  const [configVars, setConfigVars] = useState({});
-  useEffect(() => {
-    (async () => {
-      const vars = await getFabMoConfigVars();
-      setConfigVars(vars);
-    })();
-  }, []);
-
-  function isSectionComplete(sec) {
-    if (!sec.checkVars || sec.checkVars.length === 0) return false;
-    // True if ANY listed var exists and is non-zero (numeric). If not numeric, truthy counts.
-    return sec.checkVars.some((name) => {
-      const v = configVars?.[name];
-      if (v === undefined || v === null) return false;
-      const n = Number(v);
-      if (Number.isFinite(n)) return n !== 0;
-      return Boolean(v);
-    });
+  // Versions of the active program: on a timer, as sections run, before big changes
+  const versions = useSnapshots(workspace.active);
+  const [showVersions, setShowVersions] = useState(false);
+
+  const {
+    sectionModels,
+    isSectionComplete, blockersFor, resetProgress, buildPreambleForSection, buildRunCode, runSection, running, runMsg, queue,
+    activeSecId, machine, machineControls, tools, gate, history, rerun, configVars, refreshConfigVars,
+  } = useProgram(code, values, setValues, { onRun: (sec) => versions.take("run", sec.title) });
+  const runnableSections = useMemo(() => sectionModels.filter((s) => !s.global), [sectionModels]);
+  const operator = useOperatorMode(code, { programKey: workspace.activeId });
+
+  // Export as standalone FabMo app
+  const [exporting, setExporting] = useState(false);
+  const [exportMsg, setExportMsg] = useState("");
+  async function exportApp() {
+    try {
+      setExporting(true);
+      setExportMsg("");
+      const { fileName, blob } = await buildFma({ code, sectionModels, title: derivedTitle, values, presets });
+      downloadBlob(blob, fileName);
+      setExportMsg(t("app.exported", { file: fileName }));
+    } catch (err) {
+      setExportMsg(err?.message || String(err));
+    } finally {
+      setExporting(false);
+    }
   }
 
-  // UI state
-  const [running, setRunning] = useState(false);
-  const [runMsg, setRunMsg] = useState("");
+  // Share links (#p=…) open as a new program once the workspace is loaded; the hash is
+  // dropped right away so a reload does not open it again
+  const [openMsg, setOpenMsg] = useState("");
+  const workspaceRef = useRef(workspace);
+  workspaceRef.current = workspace;
+  useEffect(() => {
+    if (!workspace.loaded) return undefined;
+    const openFromHash = () => {
+      const hash = window.location.hash;
+      if (!isShareHash(hash)) return;
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      hashToBundle(hash).then(
+        (b) => { workspaceRef.current.openBundle(b); setOpenMsg(t("app.openedShared", { name: b.name })); },
+        (err) => setOpenMsg(err.message),
+      );
+    };
+    openFromHash();
+    window.addEventListener("hashchange", openFromHash);
+    return () => window.removeEventListener("hashchange", openFromHash);
+  }, [workspace.loaded]);
+
+  // .sbp files and program bundles dropped anywhere on the page open as new programs
+  const [dragOver, setDragOver] = useState(false);
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+  const dropHandlers = {
+    onDragOver: (e) => { if (hasFiles(e)) { e.preventDefault(); setDragOver(true); } },
+    onDragLeave: (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false); },
+    onDrop: async (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDragOver(false);
+      setOpenMsg(importSummary(await workspace.importFiles(Array.from(e.dataTransfer.files))));
+    },
+  };
 
   // Splitter / collapse
   const [leftPct, setLeftPct] = useState(50);
@@ -408,41 +141,119 @@ export default function FabMoOpenSBPApp() {
   const collapseRight = () => setCollapsedRight(true);
   const expandRight  = () => { setCollapsedRight(false); if (collapsedLeft) setCollapsedLeft(false); setLeftPct(lastLeftPctRef.current || 50); };
 
-  // Helpers
-  const hasVal = (v) => v !== "" && v !== null && v !== undefined;
-
-  function buildPreambleForSection(sec) {
-    return sec.fields.map(f => {
-      const val = values[keyFor(sec.id, f.name)];
-      const cfg = sec.directives[f.name] || {};
-      const promptMsg = (cfg.prompt || `Please input ${f.label || f.name}`).replace(/"/g, '""');
-      if (!hasVal(val)) return `DIALOG "${promptMsg}", &${f.name}`;
-      if (f.type === "number" && !isNaN(Number(val))) return `&${f.name} = ${val}`;
-      if (f.type === "checkbox") return `&${f.name} = ${val ? 1 : 0}`;
-      const s = String(val).replace(/"/g, '""');
-      return `&${f.name} = "${s}"`;
+  // Editor handles (set on mount) + live diagnostics
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const problems = useMemo(() => validateProgram(code, values), [code, values]);
+  useEffect(() => {
+    const editor = editorRef.current, monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (model) monaco.editor.setModelMarkers(model, "sbp-directives", toMarkers(monaco, problems));
+  }, [problems, editorReady]);
+
+  // the editor is unmounted in operator mode; forget its handles until it is back
+  useEffect(() => {
+    if (!operator.active) return;
+    editorRef.current = null;
+    setEditorReady(false);
+  }, [operator.active]);
+
+  // Editor ⇄ form: the section under the cursor is highlighted in the form, a field's
+  // @input line and uses are highlighted in the code, the "Run section" lens and
+  // rename (F2) act on this page. The handlers read the latest state through a ref.
+  const [focusSecId, setFocusSecId] = useState(null);
+  const highlightRef = useRef(null);
+  const latestRef = useRef({});
+  const versionsRef = useRef(versions);
+  versionsRef.current = versions;
+  latestRef.current = { sectionModels, runSection, running };
+  useEffect(() => setRunSectionHandler((secId) => {
+    const { sectionModels: secs, runSection: run, running: busy } = latestRef.current;
+    const sec = secs.find((s) => s.id === secId);
+    if (sec && !busy) run(sec);
+  }), []);
+  // heard from the editor's change handler, so the snapshot still has the code before it
+  useEffect(() => onVariableRename(({ from, to, undo }) => {
+    if (!undo) versionsRef.current.take("before", t("versions.beforeRename", { from, to }));
+    workspaceRef.current.setValues((v) => renameValueKeys(v, from, to));
+    workspaceRef.current.setPresets((ps) => renamePresetVars(ps, from, to));
+  }), []);
+
+  function handleMount(editor, monaco) {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    highlightRef.current = editor.createDecorationsCollection();
+    editor.onDidChangeModelContent(() => highlightRef.current?.clear());
+    // only when the author moves the cursor, not when the form edits the code
+    editor.onDidChangeCursorPosition((e) => {
+      if (!editor.hasTextFocus()) return;
+      const line = e.position.lineNumber;
+      const sec = latestRef.current.sectionModels.find((s) => line >= s.start && line <= s.end);
+      setFocusSecId(sec ? sec.id : null);
     });
+    setEditorReady(true);
   }
 
-  async function runSection(sec) {
-    try {
-      setRunning(true);
-      setRunMsg("");
-      const pre = buildPreambleForSection(sec).join("\n");
-      const toRun = `${pre}\n\n${sec.text}`;
-      const res = await runSbpOnFabMo(toRun);
-      setRunMsg(typeof res === "string" ? res : `Submitted: ${sec.title}`);
-
-      // refresh config so checkmarks update if your routine set variables
-      try {
-        const vars = await getFabMoConfigVars();
-        setConfigVars(vars);
-      } catch {}
-    } catch (err) {
-      setRunMsg(err?.message || String(err));
-    } finally {
-      setRunning(false);
-    }
+  // A field label was clicked: show its @input line and every &Var use in the code
+  function revealField(sec, f) {
+    const editor = editorRef.current, monaco = monacoRef.current;
+    if (!editor) return;
+    if (collapsedRight) expandRight();
+    const inSection = (o) => sec.global || (o.line > sec.start && o.line <= sec.end);
+    const uses = variableOccurrences(editor.getModel().getValue(), f.name, { parts: f.type === "point" }).filter(inSection);
+    const lines = editor.getModel().getLinesContent();
+    const inputLine = uses.map((o) => o.line).find((l) => /^\s*[';]\s*@input\b/i.test(lines[l - 1]));
+    const ruler = { color: "#f59e0b", position: monaco.editor.OverviewRulerLane.Center };
+    highlightRef.current.set([
+      ...(inputLine ? [{ range: new monaco.Range(inputLine, 1, inputLine, 1), options: { isWholeLine: true, className: "sbp-field-line" } }] : []),
+      ...uses.map((o) => ({ range: new monaco.Range(o.line, o.startColumn, o.line, o.endColumn), options: { inlineClassName: "sbp-var-highlight", overviewRuler: ruler } })),
+    ]);
+    const at = inputLine || uses[0]?.line;
+    if (at) editor.revealLineInCenter(at);
+  }
+  function revealProblem(p) {
+    const editor = editorRef.current;
+    if (!editor) return;
+    if (collapsedRight) expandRight();
+    editor.revealLineInCenter(p.line);
+    editor.setSelection({ startLineNumber: p.line, startColumn: p.startColumn, endLineNumber: p.line, endColumn: p.endColumn });
+    editor.focus();
+  }
+  function fixProblem(p) {
+    const editor = editorRef.current;
+    if (!editor) { setCode(c => applyFixToCode(c, p)); return; }
+    // go through the editor so the fix lands on its undo stack
+    editor.executeEdits("sbp-quickfix", [{
+      range: new monacoRef.current.Range(p.line, p.fix.startColumn, p.line, p.fix.endColumn),
+      text: p.fix.text,
+    }]);
+  }
+
+  // Form designer and imports: transform(code) -> new code, applied as one undoable editor edit.
+  // Returns an error message (shown next to the designer) or null.
+  function editCode(transform) {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const before = model ? model.getValue() : code;
+    let after;
+    try { after = transform(before); } catch (err) { return err?.message || String(err); }
+    if (!model) { setCode(after); return null; }
+    const edit = minimalEdit(before, after);
+    if (!edit) return null;
+    editor.pushUndoStop();
+    editor.executeEdits("form-designer", [{
+      range: monacoRef.current.Range.fromPositions(model.getPositionAt(edit.start), model.getPositionAt(edit.end)),
+      text: edit.text,
+    }]);
+    editor.pushUndoStop();
+    return null;
+  }
+
+  // Restore goes through the editor too, so Ctrl+Z takes it back
+  function restoreVersion(snap) {
+    versions.take("before", t("versions.beforeRestore"));
+    editCode(() => snap.code);
   }
 
   // Tooltip: show all detected vars (across sections)
@@ -452,71 +263,163 @@ export default function FabMoOpenSBPApp() {
     return Array.from(s).join(", ");
   }, [sectionModels]);
 
-  useEffect(() => { document.title = derivedTitle ? `${derivedTitle} — FabMo` : "FabMo openSBP App"; }, [derivedTitle]);
+  useEffect(() => { document.title = derivedTitle ? `${derivedTitle} — FabMo` : t("app.title"); }, [derivedTitle]);
+
+  function enterOperatorMode() {
+    // a lock entered from here always takes a PIN to leave
+    if (!operator.hasPin) {
+      const pin = window.prompt(t("app.pinPrompt"), "");
+      if (pin === null) return;
+      if (!/^\d{4,8}$/.test(pin.trim())) { window.alert(t("app.pinInvalid")); return; }
+      setDevicePin(pin.trim());
+    }
+    operator.enter();
+  }
+
+  const cardProps = (sec) => ({
+    sec, values, setValues, running, runSection, buildPreambleForSection, buildRunCode, isSectionComplete, tools,
+    machine: sec.id === activeSecId ? machine : null,
+    machineControls: sec.id === activeSecId ? machineControls : undefined,
+    presets: presetsForSection(sec, presets),
+    onApplyPreset: (p) => setValues((v) => applyPreset(v, p, sec, sectionModels)),
+    blockers: blockersFor(sec),
+    onResetProgress: () => resetProgress([sec]),
+  });
+
+  // Operator mode: the cards only, sized for a touch screen; nothing here edits the code
+  if (operator.active) {
+    return (
+      <div className="operator max-w-7xl mx-auto p-4 space-y-4">
+        <header className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold" style={{ color: "black" }}>{derivedTitle || t("app.title")}</h1>
+          <div className="flex items-center gap-2">
+            <LocalePicker />
+            <OperatorLock operator={operator} />
+          </div>
+        </header>
+
+        <RunQueuePanel sections={runnableSections} queue={queue} onResetProgress={resetProgress} />
+        <RunHistoryPanel history={history} onRerun={rerun} busy={running} />
+
+        <div className="space-y-6">
+          {sectionModels.map((sec) => <SectionCard key={sec.id} {...cardProps(sec)} keypad />)}
+        </div>
+
+        {runMsg && <div className="text-sm text-gray-700">{runMsg}</div>}
+        <RunConfirmDialog gate={gate} />
+      </div>
+    );
+  }
 
   return (
-    <div className="max-w-7xl mx-auto p-4 space-y-4">
+    <div className="max-w-7xl mx-auto p-4 space-y-4" {...dropHandlers}>
+      {dragOver && <div className="drop-overlay">{t("app.drop")}</div>}
       {/* Header */}
       <header className="flex items-center justify-between">
         <h1 className="text-2xl font-bold" style={{ color: "black" }}
-            title={`Detected variables: ${detectedVars || "(none)"}`}>
-          {derivedTitle || "FabMo openSBP App"}
+            title={t("app.detectedVars", { vars: detectedVars || t("app.none") })}>
+          {derivedTitle || t("app.title")}
         </h1>
         <div className="flex items-center gap-2 text-sm">
-          {/* header controls could go here */}
+          <LocalePicker />
+          <button
+            className="btn-paper"
+            onClick={enterOperatorMode}
+            title={t("app.operatorModeTitle")}
+          >{t("app.operatorMode")}</button>
+          <button
+            className="btn-paper"
+            disabled={exporting}
+            onClick={exportApp}
+            title={t("app.exportAppTitle")}
+          >{t(exporting ? "app.exporting" : "app.exportApp")}</button>
         </div>
       </header>
+      {openMsg && <div className="open-msg">{openMsg}</div>}
 
       {/* Split layout */}
       <section className="split-resizable">
         {/* LEFT (UI) */}
         <div className="pane" style={{ flex: collapsedLeft ? "0 0 0" : `0 0 ${leftPct}%` }}>
           <div className="pane-header">
-            <button className="chev" onClick={collapseLeft} title="Hide UI">«</button>
+            <button className="chev" onClick={collapseLeft} title={t("app.hideUi")}>«</button>
           </div>
 
+          <ProblemsList problems={problems} onReveal={revealProblem} onFix={fixProblem} />
+
+          <PresetBar
+            programName={workspace.active?.name}
+            presets={presets}
+            onApply={(p) => setValues((v) => applyPreset(v, p, null, sectionModels))}
+            onSaveAll={(name) => setPresets((ps) => [...ps, makeProgramPreset(name, sectionModels, values)])}
+            onImport={(list) => setPresets((ps) => [...ps, ...list])}
+            onDelete={(id) => setPresets((ps) => ps.filter((p) => p.id !== id))}
+          />
+
+          <RunnerPanel configVars={configVars} onVarsChanged={refreshConfigVars} />
+          <RunQueuePanel sections={runnableSections} queue={queue} onResetProgress={resetProgress} />
+          <RunHistoryPanel history={history} onRerun={rerun} busy={running} />
+
           <div className="space-y-6">
             {sectionModels.map((sec) => (
               <SectionCard
                 key={sec.id}
-                sec={sec}
-                values={values}
-                setValues={setValues}
-                running={running}
-                runSection={runSection}
-                buildPreambleForSection={buildPreambleForSection}
-                isSectionComplete={isSectionComplete}
+                {...cardProps(sec)}
+                focused={sec.id === focusSecId}
+                onRevealField={(f) => revealField(sec, f)}
+                onSavePreset={(name) => setPresets((ps) => [...ps, makeSectionPreset(name, sec, values)])}
+                onDeletePreset={(id) => setPresets((ps) => ps.filter((p) => p.id !== id))}
+                onDesignEdit={editCode}
               />
             ))}
+            <button
+              type="button"
+              className="btn-paper add-section"
+              onClick={() => { const title = window.prompt(t("app.addSectionPrompt")); if (title && title.trim()) editCode((c) => addSection(c, title)); }}
+            >{t("app.addSection")}</button>
           </div>
         </div>
 
         {/* Divider */}
         {!collapsedLeft && !collapsedRight && (
-          <div className="divider" onMouseDown={startDrag} onTouchStart={startDrag} title="Drag to resize" />
+          <div className="divider" onMouseDown={startDrag} onTouchStart={startDrag} title={t("app.resize")} />
         )}
 
         {/* RIGHT (Editor) */}
         <div className="pane" style={{ flex: collapsedRight ? "0 0 0" : `1 1 0` }}>
           <div className="pane-header">
-            <h2 className="font-semibold">Editor</h2>
+            <h2 className="font-semibold">{t("app.editor")}</h2>
             <div className="flex items-center gap-2">
               <button
                 className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
-                onClick={() => setCode(DEFAULT_SNIPPET)}
-                title="Replace with sample"
-              >Load Sample</button>
-              <button className="chev" onClick={collapseRight} title="Hide Editor">»</button>
+                onClick={() => workspace.create("Sample", DEFAULT_SNIPPET)}
+                title={t("app.loadSampleTitle")}
+              >{t("app.loadSample")}</button>
+              <button
+                className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200"
+                onClick={() => setShowVersions(true)}
+                title={t("app.versionsTitle")}
+              >{t("app.versions")}{versions.snapshots.length ? ` (${versions.snapshots.length})` : ""}</button>
+              <ImportButton
+                units={parseUnitsIn(code)}
+                onAppend={(text) => { versions.take("before", t("versions.beforeImport")); editCode((c) => appendSection(c, text)); }}
+              />
+              <button className="chev" onClick={collapseRight} title={t("app.hideEditor")}>»</button>
             </div>
           </div>
 
+          {workspace.loaded && <WorkspaceBar workspace={workspace} />}
+          {workspace.storageError && <div className="storage-error">{workspace.storageError}</div>}
+
           <Editor
-            height="calc(100vh - 240px)"
-            defaultLanguage="opensbp"
+            height="calc(100vh - 280px)"
+            path={workspace.activeId || undefined}
+            defaultLanguage={SBP_LANGUAGE_ID}
             theme="sbp-light"
             value={code}
             beforeMount={handleBeforeMount}
-            onChange={(v) => setCode(v ?? "")}
+            onMount={handleMount}
+            onChange={(v) => { reconcileRename(v ?? ""); setCode(v ?? ""); }}
             options={{
               fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
               fontSize: 13, minimap: { enabled: false }, wordWrap: "on",
@@ -527,28 +430,50 @@ export default function FabMoOpenSBPApp() {
 
         {/* Edge tabs (to re-open panes) */}
         {collapsedLeft && (
-          <button className="edge-tab" style={{ left: 6 }} onClick={expandLeft} title="Show UI">» UI</button>
+          <button className="edge-tab" style={{ left: 6 }} onClick={expandLeft} title={t("app.showUi")}>» {t("app.ui")}</button>
         )}
         {collapsedRight && (
-          <button className="edge-tab" style={{ right: 6 }} onClick={expandRight} title="Show Editor">Editor «</button>
+          <button className="edge-tab" style={{ right: 6 }} onClick={expandRight} title={t("app.showEditor")}>{t("app.editor")} «</button>
         )}
       </section>
 
       {runMsg && <div className="text-sm text-gray-700">{runMsg}</div>}
+      <RunConfirmDialog gate={gate} />
+      {showVersions && (
+        <VersionHistory
+          snapshots={versions.snapshots}
+          code={code}
+          onTake={versions.take}
+          onRestore={restoreVersion}
+          onClose={() => setShowVersions(false)}
+        />
+      )}
+      {exportMsg && <div className="text-sm text-gray-700">{exportMsg}</div>}
     </div>
   );
 }
 
+const EMPTY_VALUES = {};
+const EMPTY_LIST = [];
+
 /* ---------------------- Sample openSBP snippet ---------------------- */
 const DEFAULT_SNIPPET = `' Shape Cutting App
 ' A toolkit of simple cutters
 
+' #@global Setup
+' @input &FeedRate  type=number default=120
+' @input &SafeZ     type=length default=1/4 label="Safe Z"
+' @check "Dust collector on"
+' @check "Hold-downs set"
+MS, &FeedRate
+Lift:
+JZ, &SafeZ
+RETURN
+
 ' #Circle Cutter
 ' @input &Radius    type=number min=0.1 max=48 step=0.01 label="Radius (in)" default=1.5
-' @input &FeedRate  type=number default=120
 ' @checkmark $RanCircle
-MS, &FeedRate
-JZ, 0.25
+GOSUB Lift
 ' ... circle code using &Radius ...
 ' (your SBP could set $RanCircle = 1 when complete)
 PAUSE "Circle complete"
@@ -557,9 +482,9 @@ PAUSE "Circle complete"
 ' @input &Length type=number default=4
 ' @input &Width  type=number default=2
 ' @input &Depth  type=number default=0.125
+' @limit depth=0.75
 ' @checkmark $RanRectangle
-MS, &FeedRate
-JZ, 0.25
+GOSUB Lift
 ' ... rectangle code using &Length &Width &Depth ...
 ' (your SBP could set $RanRectangle = 1 when complete)
 PAUSE "Rectangle complete"
@@ -0,0 +1,95 @@
+import { deriveTitleFromCode, parseUnitsIn } from "./sbp";
+import { normalizePresets } from "./presets";
+
+/* ---------------------- portable program bundle ---------------------- */
+// One JSON file with everything needed to open a program elsewhere:
+//   { format: "fabmo-sbp-program", version: 1, name, code, values, presets,
+//     meta: { title, units, exportedAt } }
+// values are keyed "<sectionId>::<Var>" like the workspace's; presets are the saved ones.
+// Share links carry the same bundle, deflated and base64url-encoded, in the URL hash.
+export const BUNDLE_FORMAT = "fabmo-sbp-program";
+export const BUNDLE_VERSION = 1;
+const SHARE_PREFIX = "#p=";       // deflate-raw + base64url
+const SHARE_PREFIX_PLAIN = "#pj="; // base64url JSON, for browsers without CompressionStream
+
+export function makeBundle({ name, code, values = {}, presets = [] }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name: name || deriveTitleFromCode(code) || "Untitled",
+    code,
+    values,
+    presets,
+    meta: { title: deriveTitleFromCode(code) || "", units: parseUnitsIn(code), exportedAt: new Date().toISOString() },
+  };
+}
+
+export const bundleToJson = (bundle) => JSON.stringify(bundle, null, 2);
+
+// A bundle (object or JSON text) -> { name, code, values, presets } ready for the
+// workspace. Throws with a readable message for anything that is not one of ours.
+export function parseBundle(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try { data = JSON.parse(input); } catch { throw new Error("Not a JSON file"); }
+  }
+  if (!data || data.format !== BUNDLE_FORMAT) throw new Error("Not a FabMo program bundle");
+  if (!Number.isInteger(data.version) || data.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${data.version} is newer than this App Maker understands (${BUNDLE_VERSION})`);
+  }
+  if (typeof data.code !== "string") throw new Error("The bundle has no program code");
+  const values = data.values && typeof data.values === "object" && !Array.isArray(data.values) ? data.values : {};
+  return {
+    name: String(data.name || "").trim() || deriveTitleFromCode(data.code) || "Untitled",
+    code: data.code,
+    values,
+    presets: Array.isArray(data.presets) ? normalizePresets(data.presets) : [],
+  };
+}
+
+/* ---- share links ---- */
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+// "#p=…" for a bundle
+export async function bundleToHash(bundle) {
+  const bytes = new TextEncoder().encode(JSON.stringify(bundle));
+  if (typeof CompressionStream === "undefined") return SHARE_PREFIX_PLAIN + toBase64Url(bytes);
+  return SHARE_PREFIX + toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")));
+}
+
+export const isShareHash = (hash) => String(hash || "").startsWith(SHARE_PREFIX) || String(hash || "").startsWith(SHARE_PREFIX_PLAIN);
+
+// location.hash -> parsed bundle (see parseBundle); throws when the link is damaged
+export async function hashToBundle(hash) {
+  const h = String(hash || "");
+  let bytes;
+  try {
+    if (h.startsWith(SHARE_PREFIX_PLAIN)) bytes = fromBase64Url(h.slice(SHARE_PREFIX_PLAIN.length));
+    else if (h.startsWith(SHARE_PREFIX)) bytes = await pipe(fromBase64Url(h.slice(SHARE_PREFIX.length)), new DecompressionStream("deflate-raw"));
+    else throw new Error("no program");
+  } catch {
+    throw new Error("This share link is damaged or incomplete");
+  }
+  return parseBundle(new TextDecoder().decode(bytes));
+}
+
+// Full link to this page with the program in the hash
+export async function shareUrl(bundle) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${await bundleToHash(bundle)}`;
+}
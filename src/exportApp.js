@@ -0,0 +1,117 @@
+import { zipSync, strToU8 } from "fflate";
+
+/* ---------------------- standalone .fma export ---------------------- */
+// The runtime page is built alongside App Maker (see vite.config.js). Its files are
+// listed in the Vite manifest, so an export is: fetch those files from our own dist,
+// embed the program into the page, add a generated app.json and zip it all up.
+const RUNTIME_ENTRY = "runtime.html";
+const MANIFEST_FILE = "manifest.json";
+const ICON_FILE = "assets/Icon.png";
+
+// same rules as scripts/package.mjs so exported names look like App Maker's own
+export function slugify(s) {
+  return String(s)
+    .replace(/[\/\\?%*:|"<>]/g, "-") // remove illegal filename chars
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function appIdFor(title) {
+  const id = String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  return `sbp_${id || "app"}`;
+}
+
+export function buildAppManifest({ title, sectionModels, version = "1.0.0", hasIcon = true }) {
+  const name = title || "openSBP App";
+  const sections = sectionModels.map(s => s.title).filter(Boolean);
+  const app = {
+    id: appIdFor(name),
+    name,
+    version,
+    description: sections.length ? `openSBP app: ${sections.join(", ")}` : "openSBP app",
+    author: "App Maker",
+    license: "MIT",
+    icon_color: "#383AB6",
+    index: "index.html",
+    keywords: ["openSBP", "FabMo"],
+  };
+  if (hasIcon) app.icon = ICON_FILE;
+  return app;
+}
+
+async function fetchOk(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load ${url}: ${res.status}`);
+  return res;
+}
+
+// Walk the manifest from the runtime entry: its chunk, imported chunks, css and assets.
+function collectRuntimeFiles(manifest) {
+  const files = new Set();
+  const seen = new Set();
+  const visit = (key) => {
+    if (seen.has(key) || !manifest[key]) return;
+    seen.add(key);
+    const chunk = manifest[key];
+    if (chunk.file && !chunk.file.endsWith(".html")) files.add(chunk.file);
+    (chunk.css || []).forEach(f => files.add(f));
+    (chunk.assets || []).forEach(f => files.add(f));
+    (chunk.imports || []).forEach(visit);
+  };
+  visit(RUNTIME_ENTRY);
+  if (!seen.size) throw new Error(`${RUNTIME_ENTRY} is missing from the build manifest.`);
+  return Array.from(files);
+}
+
+// JSON inside <script> must not be able to close the tag early
+function embedProgram(html, program) {
+  const json = JSON.stringify(program).replace(/</g, "\\u003c");
+  const title = program.title.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${title}</title>`)
+    .replace(/<\/head>/i, () => `  <script id="sbp-program" type="application/json">${json}</script>\n</head>`);
+}
+
+export async function buildFma({ code, sectionModels, title, values = {}, presets = [] }) {
+  let manifest;
+  try {
+    manifest = await (await fetchOk(`./${MANIFEST_FILE}`)).json();
+  } catch {
+    throw new Error('Export needs a built App Maker. Run "npm run build" and open dist/.');
+  }
+
+  const entries = {};
+  for (const file of collectRuntimeFiles(manifest)) {
+    entries[file] = new Uint8Array(await (await fetchOk(`./${file}`)).arrayBuffer());
+  }
+
+  let hasIcon = true;
+  try {
+    entries[ICON_FILE] = new Uint8Array(await (await fetchOk(`./${ICON_FILE}`)).arrayBuffer());
+  } catch {
+    hasIcon = false;
+  }
+
+  const app = buildAppManifest({ title, sectionModels, hasIcon });
+  const program = { id: app.id, title: app.name, code, values, presets };
+  const html = await (await fetchOk(`./${RUNTIME_ENTRY}`)).text();
+  entries["index.html"] = strToU8(embedProgram(html, program));
+  entries["app.json"] = strToU8(JSON.stringify(app, null, 2));
+
+  const bytes = zipSync(entries, { level: 9 });
+  return {
+    fileName: `${slugify(app.name)}-${slugify(app.version)}.fma`,
+    blob: new Blob([bytes], { type: "application/zip" }),
+  };
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
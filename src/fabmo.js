@@ -0,0 +1,80 @@
+import { activeRunner } from "./runners";
+import { t } from "./i18n";
+
+/* ---------------------- FabMo config + runner ---------------------- */
+// Everything goes to the selected runner backend (see runners.js): the FabMo
+// dashboard, an HTTP endpoint or the built-in simulator.
+export async function getFabMoConfigVars() {
+  return activeRunner().getConfigVars();
+}
+
+export async function setFabMoConfigVars(vars) {
+  return activeRunner().setConfigVars(vars);
+}
+
+export async function getFabMoTools() {
+  return activeRunner().getTools();
+}
+
+export async function getFabMoLocale() {
+  return activeRunner().getLocale();
+}
+
+export async function runSbpOnFabMo(fullSbpCode) {
+  return activeRunner().run(fullSbpCode);
+}
+
+/* ---------------------- machine status ---------------------- */
+// FabMo reports states like idle, running, paused, stopped, manual, limit, interlock.
+export async function getFabMoStatus() {
+  return activeRunner().getStatus();
+}
+
+// Feed hold / resume / stop for the job that is running now. `answer` fills the
+// variable of a DIALOG/INPUT the job is waiting on (status.info.input).
+export const pauseFabMo = () => activeRunner().command("pause");
+export const resumeFabMo = (answer) => activeRunner().command("resume", answer);
+export const stopFabMo = () => activeRunner().command("stop");
+
+// Calls `onStatus` with every status report until the returned function is called.
+// Runners that push status (dashboard, simulator) are subscribed to; others are polled.
+export function subscribeFabMoStatus(onStatus, pollMs = 1000) {
+  let live = true;
+  const handler = (status) => { if (live) onStatus(status || {}); };
+  const runner = activeRunner();
+  const unsubscribe = runner.subscribe(handler);
+  if (unsubscribe) {
+    runner.getStatus().then(handler, () => {});
+    return () => { live = false; unsubscribe(); };
+  }
+  const tick = () => runner.getStatus().then(handler, () => {}).finally(() => { if (live) timer = setTimeout(tick, pollMs); });
+  let timer = setTimeout(tick, 0);
+  return () => { live = false; clearTimeout(timer); };
+}
+
+const FAILED_STATES = ["stopped", "limit", "interlock", "dead"];
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Resolve once a job we just submitted has finished: the machine has left "idle"
+// and come back, or never left it within `startGraceMs` (very short jobs). Rejects
+// if the machine stops on an error state. `shouldCancel` is polled so a caller can
+// stop waiting (the machine itself is not touched here).
+export async function waitForFabMoIdle({ pollMs = 1000, startGraceMs = 3000, shouldCancel = () => false } = {}) {
+  const t0 = Date.now();
+  let started = false;
+  while (!shouldCancel()) {
+    let status;
+    try {
+      status = await getFabMoStatus();
+    } catch (err) {
+      throw new Error(t("runner.lostContact", { error: err?.message || err }));
+    }
+    const state = String(status.state || "idle").toLowerCase();
+    if (FAILED_STATES.includes(state)) {
+      throw new Error(status.info?.error || status.error || t("runner.machineState", { state }));
+    }
+    if (state !== "idle") started = true;
+    else if (started || Date.now() - t0 >= startGraceMs) return;
+    await sleep(pollMs);
+  }
+}
@@ -0,0 +1,97 @@
+import { interpretToolpath } from "./sbpToolpath";
+
+/* ---------------------- mock FabMo dashboard (offline development) ---------------------- */
+// Installs a stand-in for window.fabmo that "runs" submitted code one line at a time:
+// status events carry state, line, nb_lines and posx/posy/posz (taken from the toolpath
+// preview), and a PAUSE or DIALOG line parks the job in "paused" with its message
+// until resume. Turned on with ?mockFabmo in the URL (add =fail to end jobs in an
+// error) or localStorage "fabmo_mock" = "1".
+const LINE_MS = 250;
+
+export function mockRequested() {
+  if (typeof window === "undefined") return false;
+  const q = new URLSearchParams(window.location.search);
+  if (q.has("mockFabmo")) return true;
+  try { return window.localStorage.getItem("fabmo_mock") === "1"; } catch { return false; }
+}
+
+export function installFabMoMock({ lineMs = LINE_MS, failJobs = false } = {}) {
+  const listeners = new Set();
+  let status = { state: "idle", line: 0, nb_lines: 0, posx: 0, posy: 0, posz: 0, info: null };
+  let job = null; // { lines, positions, timer }
+
+  const emit = (patch) => {
+    status = { ...status, ...patch };
+    listeners.forEach(fn => fn(status));
+  };
+  const done = (cb, data) => setTimeout(() => cb && cb(null, data), 0);
+
+  function step() {
+    if (!job) return;
+    const i = status.line; // 0-based index of the next line
+    if (i >= job.lines.length) {
+      job = null;
+      emit(failJobs ? { state: "stopped", info: { error: "Mock job failed" } } : { state: "idle", info: null });
+      if (failJobs) setTimeout(() => emit({ state: "idle", info: null }), lineMs * 4);
+      return;
+    }
+    const text = job.lines[i].trim();
+    emit({ line: i + 1, ...(job.positions[i + 1] || {}) });
+    const pause = text.match(/^(?:PAUSE|DIALOG)\b\s*,?\s*(.*)$/i);
+    if (pause) {
+      emit({ state: "paused", info: { message: pause[1].replace(/^"|"$/g, "") || "Paused" } });
+      return;
+    }
+    job.timer = setTimeout(step, lineMs);
+  }
+
+  window.fabmo = {
+    mock: true,
+    on(event, fn) { if (event === "status") listeners.add(fn); },
+    off(event, fn) { listeners.delete(fn); },
+    requestStatus(cb) { done(cb, status); },
+    getConfig(cb) { done(cb, { opensbp: { variables: {} } }); },
+    runSBP(code, cb) {
+      if (job) { setTimeout(() => cb(new Error("Mock machine is busy")), 0); return; }
+      const lines = String(code).split(/\r?\n/);
+      // last known position after each line, for the status reports
+      const positions = {};
+      interpretToolpath(code).segments.forEach(s => { positions[s.line] = { posx: s.to.x, posy: s.to.y, posz: s.to.z }; });
+      job = { lines, positions, timer: null };
+      emit({ state: "running", line: 0, nb_lines: lines.length, info: null });
+      job.timer = setTimeout(step, lineMs);
+      done(cb, "Job submitted (mock)");
+    },
+    pause(cb) {
+      if (job && status.state === "running") {
+        clearTimeout(job.timer);
+        emit({ state: "paused", info: { message: "Feed hold" } });
+      }
+      done(cb);
+    },
+    resume(cb) {
+      if (job && status.state === "paused") {
+        emit({ state: "running", info: null });
+        job.timer = setTimeout(step, lineMs);
+      }
+      done(cb);
+    },
+    stop(cb) {
+      if (job) {
+        clearTimeout(job.timer);
+        job = null;
+        emit({ state: "stopped", info: { message: "Stopped by operator" } });
+        setTimeout(() => emit({ state: "idle", info: null }), lineMs * 2);
+      }
+      done(cb);
+    },
+  };
+  return window.fabmo;
+}
+
+// Entry points call this before rendering; never replaces a real dashboard.
+export function maybeInstallFabMoMock() {
+  if (!mockRequested() || window.fabmo) return;
+  const q = new URLSearchParams(window.location.search);
+  installFabMoMock({ failJobs: q.get("mockFabmo") === "fail" });
+}
@@ -0,0 +1,1042 @@
+/* ---------------------- translations for the UI ---------------------- */
+// t("run.section", { title }) looks the key up in the active locale, then English.
+// Covers the whole page: what operators see (forms, run queue, confirmation, history,
+// machine status) and the authoring tools around the editor. Editor diagnostics stay
+// English, like the directives they describe. Texts written by the program's
+// author come from the code: ' @input &Radius label="Radius" label.es="Radio" (sbp.js).
+//
+// The locale is ?lang= in the URL, else the one picked in the UI, else the FabMo
+// dashboard's language, else the browser's.
+export const LOCALES = [
+  { id: "en", label: "English" },
+  { id: "es", label: "Español" },
+  { id: "de", label: "Deutsch" },
+];
+export const AUTO_LOCALE = "auto";
+const LS_LOCALE_KEY = "fabmo_locale";
+
+const MESSAGES = {
+  en: {
+    "section.complete": "Complete",
+    "section.incomplete": "Not completed",
+    "section.editForm": "Edit form",
+    "section.editFormTitle": "Change fields and the title without editing code",
+    "section.done": "Done",
+    "section.note": "Note",
+    "section.noFields": "No variables found in this section.",
+    "section.presetPick": "Preset…",
+    "section.presetAll": "(all sections)",
+    "section.presetTitle": "Fill this form from a preset",
+    "section.presetSave": "Save preset",
+    "section.presetSaveAs": "Save the current {title} values as:",
+    "section.presetDelete": "Delete",
+    "section.presetDeleteConfirm": "Delete preset \"{name}\"?",
+    "section.globalNote": "These values, the setup code and the subroutines here are shared by every section.",
+    "section.running": "Running...",
+    "section.run": "Run: {title}",
+    "section.runTitle": "Send this section to FabMo",
+    "section.fix": "Fix: {fields}",
+    "section.preamble": "Show preamble for this section",
+    "section.preview": "Preview toolpath",
+    "section.reset": "Reset",
+    "section.locked": "Complete {titles} first",
+    "section.resetProgress": "Reset progress",
+    "section.resetProgressTitle": "Mark this step as not done: sets {vars} back to 0 on the machine",
+    "section.resetProgressConfirm": "Mark {title} as not done? {vars} will be set to 0 on the machine.",
+    "section.untitled": "Untitled Section",
+
+    "field.auto": "{value} (auto)",
+    "field.prompt": "Please input {label}",
+    "field.min": "must be at least {min}",
+    "field.max": "must be at most {max}",
+    "field.pointBoth": "needs both X and Y",
+    "field.chooseTool": "Choose a tool…",
+    "field.toolNumber": "Tool #",
+    "field.notInLibrary": "(not in library)",
+    "field.browse": "Browse…",
+    "value.yes": "Yes",
+    "value.no": "No",
+    "value.asked": "(asked at the machine)",
+
+    "state.connecting": "connecting",
+    "state.idle": "idle",
+    "state.running": "running",
+    "state.paused": "paused",
+    "state.stopped": "stopped",
+    "state.manual": "manual",
+    "state.limit": "limit",
+    "state.interlock": "interlock",
+    "machine.line": "Line {line}",
+    "machine.resume": "Resume",
+    "machine.hold": "Feed hold",
+    "machine.stop": "Stop",
+
+    "queue.title": "Run queue",
+    "queue.runAll": "Run all",
+    "queue.runSelected": "Run selected ({n})",
+    "queue.clear": "Clear",
+    "queue.pause": "Pause",
+    "queue.pauseTitle": "Hold the queue after the current section finishes",
+    "queue.resume": "Resume",
+    "queue.abort": "Abort",
+    "queue.abortConfirm": "Stop the machine and drop the rest of the queue?",
+    "queue.skip": "Skip",
+    "queue.aborted": "Aborted",
+    "queue.gone": "Section no longer exists",
+    "queue.check": "Check {fields}",
+    "queue.locked": "Complete {titles} first",
+    "queue.unconfirmed": "Changed since it was confirmed; the new values were not confirmed",
+    "queue.resetProgress": "Reset progress",
+    "queue.resetProgressConfirm": "Start over? {vars} will be set to 0 on the machine.",
+    "status.queued": "Queued",
+    "status.running": "Running",
+    "status.done": "Done",
+    "status.failed": "Failed",
+    "status.skipped": "Skipped",
+
+    "confirm.runMany": "Run {n} sections?",
+    "confirm.runOne": "Run {title}?",
+    "confirm.path": "X {x0}…{x1} · Y {y0}…{y1} · depth {depth} · about {time}",
+    "confirm.noMoves": "No moves found in this code.",
+    "confirm.override": "Run anyway — I have checked the limits above (this is logged)",
+    "confirm.cancel": "Cancel",
+    "confirm.run": "Run",
+    "confirm.overrideRun": "Override and run",
+
+    "safety.depth": "Cuts {depth} deep; the limit is {limit}.",
+    "safety.feed": "Feed speed {feed} is over the limit of {limit}.",
+    "safety.envelope": "Moves reach X {x0}…{x1}, Y {y0}…{y1}; the work area is X {ex0}…{ex1}, Y {ey0}…{ey1}.",
+    "safety.toolLoaded": "Tool {tool} is loaded",
+    "safety.toolField": "{label} is tool {value}; this section needs tool {tool}.",
+    "safety.spindleSet": "Spindle set to {rpm} RPM",
+    "safety.spindle": "The code sets the spindle to {rpm} RPM; this section expects {limit}.",
+    "safety.runtimeValues": "Some values are only known at run time, so the limits could not be fully checked.",
+    "safety.unfollowed": "Parts of the code jump in ways the preview cannot follow, so the limits could not be checked there.",
+
+    "run.queueInvalid": "Queue not started: some sections have invalid fields",
+    "run.queueCancelled": "Queue cancelled",
+    "run.cancelled": "Cancelled: {title}",
+    "run.invalid": "Not run: check {fields} in {title}",
+    "run.submitted": "Submitted: {title}",
+    "run.finished": "Finished: {title}",
+    "run.rerunGone": "Cannot re-run: this program no longer has a section \"{title}\"",
+    "run.locked": "Not run: complete {titles} before {title}",
+    "run.progressReset": "Progress reset: {vars} set to 0",
+    "run.progressResetFailed": "Could not reset progress: {error}",
+
+    "history.title": "Run history",
+    "history.filter": "Filter: section, value, &Depth=0.5…",
+    "history.anyResult": "Any result",
+    "history.clear": "Clear",
+    "history.clearConfirm": "Delete the whole run history?",
+    "history.pick": "Pick two runs to compare",
+    "history.override": "override",
+    "history.overrideTitle": "Run with a safety limit overridden",
+    "history.rerun": "Re-run",
+    "history.rerunTitle": "Load these values into the form and run the section again",
+    "history.noMatch": "No runs match the filter.",
+    "history.empty": "Nothing run yet.",
+    "history.close": "Close",
+    "history.sameValues": "Same values.",
+    "history.sameCode": "Same code.",
+    "history.asked": "(asked)",
+    "result.running": "running",
+    "result.finished": "finished",
+    "result.failed": "failed",
+    "result.aborted": "aborted",
+
+    "preview.top": "Top (XY)",
+    "preview.front": "Front (XZ)",
+    "preview.side": "Side (YZ)",
+    "preview.iso": "3D",
+    "preview.empty": "No motion found in this section.",
+    "preview.feed": "feed",
+    "preview.rapid": "rapid",
+    "preview.maxDepth": "Max depth",
+    "preview.time": "Est. time",
+
+    "app.title": "FabMo openSBP App",
+    "app.detectedVars": "Detected variables: {vars}",
+    "app.none": "(none)",
+    "app.operatorMode": "Operator mode",
+    "app.operatorModeTitle": "Show only the forms, sized for the machine's tablet, and lock the code",
+    "app.pinPrompt": "PIN to leave operator mode on this device (4–8 digits):",
+    "app.pinInvalid": "The PIN must be 4 to 8 digits.",
+    "app.exportApp": "Export App",
+    "app.exporting": "Exporting...",
+    "app.exportAppTitle": "Download these forms as a standalone FabMo app (.fma)",
+    "app.exported": "Exported {file}",
+    "app.drop": "Drop .sbp files or program bundles (.json) to open them",
+    "app.openedShared": "Opened \"{name}\" from a share link",
+    "app.ui": "UI",
+    "app.hideUi": "Hide UI",
+    "app.showUi": "Show UI",
+    "app.editor": "Editor",
+    "app.hideEditor": "Hide Editor",
+    "app.showEditor": "Show Editor",
+    "app.resize": "Drag to resize",
+    "app.addSection": "+ Add section",
+    "app.addSectionPrompt": "Title of the new section:",
+    "app.loadSample": "Load Sample",
+    "app.loadSampleTitle": "Open the sample as a new program",
+    "app.versions": "Versions",
+    "app.versionsTitle": "Compare saved versions of this program and restore one",
+
+    "workspace.new": "New",
+    "workspace.newTitle": "New empty program",
+    "workspace.newPrompt": "Name for the new program:",
+    "workspace.rename": "Rename",
+    "workspace.renamePrompt": "Rename program:",
+    "workspace.duplicate": "Duplicate",
+    "workspace.delete": "Delete",
+    "workspace.deleteConfirm": "Delete \"{name}\"? It can be brought back from \"Recently deleted\".",
+    "workspace.deleted": "Deleted \"{name}\"",
+    "workspace.recentlyDeleted": "Recently deleted…",
+    "workspace.recentlyDeletedTitle": "Bring back a deleted program with its version history",
+    "workspace.restored": "Restored \"{name}\" with its version history",
+    "workspace.import": "Import",
+    "workspace.importTitle": "Open .sbp files or program bundles (.json) from disk",
+    "workspace.exportSbp": "Export .sbp",
+    "workspace.exportSbpTitle": "Save this program as a .sbp file",
+    "workspace.exportBundle": "Export bundle",
+    "workspace.exportBundleTitle": "Save the code, values and presets as one file",
+    "workspace.share": "Copy share link",
+    "workspace.shareTitle": "Copy a link that opens this program, with its values and presets",
+    "workspace.shareCopied": "Share link copied ({n} characters)",
+    "workspace.shareLong": "long links may not survive chat apps; send the bundle file instead",
+    "workspace.shareFailed": "Could not copy the link: {error}",
+    "workspace.openedOne": "Opened \"{name}\"",
+    "workspace.openedMany": "Opened {n} programs",
+    "workspace.storageUnavailable": "Programs cannot be saved in this browser: {error}",
+    "workspace.saveFailed": "Could not save \"{name}\": {error}",
+    "workspace.keepDeletedFailed": "Could not keep deleted programs: {error}",
+    "workspace.deleteFailed": "Could not delete: {error}",
+
+    "presets.jobPick": "Job preset…",
+    "presets.jobPickTitle": "Fill every section from a saved job recipe",
+    "presets.saveAll": "Save all as preset",
+    "presets.saveAllPrompt": "Save all section values as:",
+    "presets.export": "Export presets",
+    "presets.import": "Import presets",
+    "presets.importedOne": "Imported 1 preset",
+    "presets.imported": "Imported {n} presets",
+    "presets.importFailed": "Import failed: {error}",
+    "presets.deletePick": "Delete…",
+    "presets.deletePickTitle": "Delete a job preset",
+    "presets.deleteConfirm": "Delete preset \"{name}\"?",
+
+    "runner.title": "Runner: {name}",
+    "runner.pickTitle": "Where Run sends the program",
+    "runner.auto": "Automatic ({name})",
+    "runner.unavailable": "{name} (not available here)",
+    "runner.httpTitle": "Base URL: <base>/run-sbp, /status, /config, /pause, /resume, /stop",
+    "runner.name.fabmo": "FabMo",
+    "runner.name.http": "HTTP endpoint",
+    "runner.name.simulator": "Simulator",
+    "runner.vars": "Persistent variables",
+    "runner.reset": "Reset",
+    "runner.resetConfirm": "Clear all simulator variables?",
+    "runner.noVars": "None set yet.",
+    "runner.log": "Recent runs",
+    "runner.clear": "Clear",
+    "runner.noLog": "Nothing run yet.",
+    "runner.lines": "{n} lines",
+    "runner.result.done": "done",
+    "runner.result.error": "error",
+    "runner.result.stopped": "stopped",
+    "runner.runFailed": "FabMo run failed: {status}",
+    "runner.varsFailed": "Could not change variables: {status}",
+    "runner.noSetConfig": "This FabMo dashboard cannot change variables",
+    "runner.lostContact": "Lost contact with FabMo: {error}",
+    "runner.machineState": "Machine {state}",
+    "runner.sim.paused": "Paused",
+    "runner.sim.input": "Input requested",
+    "runner.sim.stopped": "Stopped",
+    "runner.sim.stoppedByOperator": "Stopped by operator",
+    "runner.sim.busy": "The simulator is already running a job",
+    "runner.sim.submitted": "Submitted to the simulator",
+    "runner.sim.tooManySteps": "Stopped after {n} steps (endless loop?)",
+    "runner.sim.noAnswer": "Line {line}: nothing entered for {name}; 0 was used",
+    "runner.sim.skipped": "Line {line}: skipped \"{stmt}\" (not simulated)",
+
+    "versions.title": "Version history",
+    "versions.save": "Save version…",
+    "versions.saveTitle": "Keep the current code as a named version",
+    "versions.savePrompt": "Name for this version:",
+    "versions.close": "Close",
+    "versions.current": "Current code",
+    "versions.left": "Show on the left",
+    "versions.right": "Show on the right",
+    "versions.lines": "{n} lines",
+    "versions.restore": "Restore",
+    "versions.restoreTitle": "Put this version back in the editor",
+    "versions.restoreConfirm": "Replace the code in the editor with the version from {time}? The current code is kept as a version first.",
+    "versions.empty": "No versions yet. One is kept every few minutes while you edit, and each time a section runs.",
+    "versions.pickTwo": "Pick two different versions to compare.",
+    "versions.same": "These versions are the same.",
+    "versions.auto": "Autosave",
+    "versions.ran": "Ran {label}",
+    "versions.before": "Before {label}",
+    "versions.saved": "Saved version",
+    "versions.beforeRename": "renaming &{from} to &{to}",
+    "versions.beforeRestore": "restoring a version",
+    "versions.beforeImport": "an import",
+    "versions.beforeDelete": "deleting the program",
+
+    "designer.sectionTitle": "Section title",
+    "designer.newFieldPrompt": "Variable name for the new field (letters, digits, _):",
+    "designer.badName": "\"{name}\" is not a valid variable name",
+    "designer.editField": "Edit this field",
+    "designer.hidden": "hidden",
+    "designer.moveUp": "Move up",
+    "designer.moveDown": "Move down",
+    "designer.addField": "+ Add field",
+    "designer.type": "Type",
+    "designer.programUnits": "(program units)",
+    "designer.no": "no",
+    "designer.apply": "Apply",
+    "designer.close": "Close",
+    "designer.attr.label": "Label",
+    "designer.attr.default": "Default",
+    "designer.attr.min": "Min",
+    "designer.attr.max": "Max",
+    "designer.attr.step": "Step",
+    "designer.attr.options": "Options",
+    "designer.attr.units": "Units",
+    "designer.attr.prompt": "Prompt",
+    "designer.attr.help": "Help text",
+    "designer.attr.tooltip": "Tooltip",
+    "designer.attr.hidden": "Hidden",
+    "designer.hint.options": "comma separated",
+    "designer.hint.prompt": "asked at the machine when left empty",
+    "designer.hint.help": "shown under the field",
+    "designer.hint.tooltip": "shown on hover",
+    "designer.hint.hidden": "always sends its default",
+
+    "locale.label": "Language",
+    "locale.auto": "Automatic ({name})",
+
+    "keypad.done": "OK",
+    "keypad.clear": "Clear",
+    "keypad.backspace": "Delete last",
+    "keypad.sign": "Change sign",
+    "keypad.space": "Space (for 1 1/2)",
+
+    "operator.unlock": "Unlock",
+    "operator.unlockTitle": "Leave operator mode to edit the program",
+    "operator.pinPrompt": "Enter the PIN to unlock",
+    "operator.wrongPin": "Wrong PIN",
+    "operator.exitConfirm": "Leave operator mode? The code and form can then be edited.",
+    "operator.cancel": "Cancel",
+  },
+
+  es: {
+    "section.complete": "Completo",
+    "section.incomplete": "Sin completar",
+    "section.editForm": "Editar formulario",
+    "section.editFormTitle": "Cambiar campos y título sin editar el código",
+    "section.done": "Listo",
+    "section.note": "Nota",
+    "section.noFields": "No se encontraron variables en esta sección.",
+    "section.presetPick": "Preajuste…",
+    "section.presetAll": "(todas las secciones)",
+    "section.presetTitle": "Rellenar este formulario con un preajuste",
+    "section.presetSave": "Guardar preajuste",
+    "section.presetSaveAs": "Guardar los valores actuales de {title} como:",
+    "section.presetDelete": "Eliminar",
+    "section.presetDeleteConfirm": "¿Eliminar el preajuste \"{name}\"?",
+    "section.globalNote": "Estos valores, el código de preparación y las subrutinas se comparten con todas las secciones.",
+    "section.running": "Ejecutando...",
+    "section.run": "Ejecutar: {title}",
+    "section.runTitle": "Enviar esta sección a FabMo",
+    "section.fix": "Corregir: {fields}",
+    "section.preamble": "Mostrar el preámbulo de esta sección",
+    "section.preview": "Vista previa de la trayectoria",
+    "section.reset": "Restablecer",
+    "section.locked": "Complete primero {titles}",
+    "section.resetProgress": "Reiniciar progreso",
+    "section.resetProgressTitle": "Marcar este paso como no hecho: pone {vars} a 0 en la máquina",
+    "section.resetProgressConfirm": "¿Marcar {title} como no hecho? {vars} se pondrá a 0 en la máquina.",
+    "section.untitled": "Sección sin título",
+
+    "field.auto": "{value} (auto)",
+    "field.prompt": "Introduzca {label}",
+    "field.min": "debe ser al menos {min}",
+    "field.max": "debe ser como máximo {max}",
+    "field.pointBoth": "necesita X e Y",
+    "field.chooseTool": "Elija una herramienta…",
+    "field.toolNumber": "N.º de herramienta",
+    "field.notInLibrary": "(no está en la biblioteca)",
+    "field.browse": "Examinar…",
+    "value.yes": "Sí",
+    "value.no": "No",
+    "value.asked": "(se pregunta en la máquina)",
+
+    "state.connecting": "conectando",
+    "state.idle": "en espera",
+    "state.running": "en marcha",
+    "state.paused": "en pausa",
+    "state.stopped": "detenida",
+    "state.manual": "manual",
+    "state.limit": "límite",
+    "state.interlock": "bloqueo de seguridad",
+    "machine.line": "Línea {line}",
+    "machine.resume": "Reanudar",
+    "machine.hold": "Retener avance",
+    "machine.stop": "Parar",
+
+    "queue.title": "Cola de ejecución",
+    "queue.runAll": "Ejecutar todo",
+    "queue.runSelected": "Ejecutar selección ({n})",
+    "queue.clear": "Vaciar",
+    "queue.pause": "Pausar",
+    "queue.pauseTitle": "Detener la cola cuando termine la sección actual",
+    "queue.resume": "Reanudar",
+    "queue.abort": "Abortar",
+    "queue.abortConfirm": "¿Parar la máquina y descartar el resto de la cola?",
+    "queue.skip": "Omitir",
+    "queue.aborted": "Abortado",
+    "queue.gone": "La sección ya no existe",
+    "queue.check": "Revise {fields}",
+    "queue.locked": "Complete primero {titles}",
+    "queue.unconfirmed": "Cambió después de confirmarse; los valores nuevos no se confirmaron",
+    "queue.resetProgress": "Reiniciar progreso",
+    "queue.resetProgressConfirm": "¿Empezar de nuevo? {vars} se pondrá a 0 en la máquina.",
+    "status.queued": "En cola",
+    "status.running": "En marcha",
+    "status.done": "Hecho",
+    "status.failed": "Error",
+    "status.skipped": "Omitido",
+
+    "confirm.runMany": "¿Ejecutar {n} secciones?",
+    "confirm.runOne": "¿Ejecutar {title}?",
+    "confirm.path": "X {x0}…{x1} · Y {y0}…{y1} · profundidad {depth} · aprox. {time}",
+    "confirm.noMoves": "No se encontraron movimientos en este código.",
+    "confirm.override": "Ejecutar de todos modos: he revisado los límites (queda registrado)",
+    "confirm.cancel": "Cancelar",
+    "confirm.run": "Ejecutar",
+    "confirm.overrideRun": "Ignorar límites y ejecutar",
+
+    "safety.depth": "Corta a {depth} de profundidad; el límite es {limit}.",
+    "safety.feed": "La velocidad de avance {feed} supera el límite de {limit}.",
+    "safety.envelope": "Los movimientos llegan a X {x0}…{x1}, Y {y0}…{y1}; el área de trabajo es X {ex0}…{ex1}, Y {ey0}…{ey1}.",
+    "safety.toolLoaded": "La herramienta {tool} está montada",
+    "safety.toolField": "{label} es la herramienta {value}; esta sección necesita la herramienta {tool}.",
+    "safety.spindleSet": "Husillo ajustado a {rpm} RPM",
+    "safety.spindle": "El código pone el husillo a {rpm} RPM; esta sección espera {limit}.",
+    "safety.runtimeValues": "Algunos valores solo se conocen al ejecutar, así que los límites no se pudieron comprobar del todo.",
+    "safety.unfollowed": "Partes del código saltan de formas que la vista previa no puede seguir, así que allí no se pudieron comprobar los límites.",
+
+    "run.queueInvalid": "La cola no se inició: algunas secciones tienen campos no válidos",
+    "run.queueCancelled": "Cola cancelada",
+    "run.cancelled": "Cancelado: {title}",
+    "run.invalid": "No se ejecutó: revise {fields} en {title}",
+    "run.submitted": "Enviado: {title}",
+    "run.finished": "Terminado: {title}",
+    "run.rerunGone": "No se puede repetir: este programa ya no tiene una sección \"{title}\"",
+    "run.locked": "No se ejecutó: complete {titles} antes de {title}",
+    "run.progressReset": "Progreso reiniciado: {vars} a 0",
+    "run.progressResetFailed": "No se pudo reiniciar el progreso: {error}",
+
+    "history.title": "Historial de ejecuciones",
+    "history.filter": "Filtrar: sección, valor, &Depth=0.5…",
+    "history.anyResult": "Cualquier resultado",
+    "history.clear": "Vaciar",
+    "history.clearConfirm": "¿Eliminar todo el historial de ejecuciones?",
+    "history.pick": "Elija dos ejecuciones para compararlas",
+    "history.override": "límites ignorados",
+    "history.overrideTitle": "Ejecutado ignorando un límite de seguridad",
+    "history.rerun": "Repetir",
+    "history.rerunTitle": "Cargar estos valores en el formulario y volver a ejecutar la sección",
+    "history.noMatch": "Ninguna ejecución coincide con el filtro.",
+    "history.empty": "Todavía no se ha ejecutado nada.",
+    "history.close": "Cerrar",
+    "history.sameValues": "Mismos valores.",
+    "history.sameCode": "Mismo código.",
+    "history.asked": "(preguntado)",
+    "result.running": "en marcha",
+    "result.finished": "terminado",
+    "result.failed": "error",
+    "result.aborted": "abortado",
+
+    "preview.top": "Planta (XY)",
+    "preview.front": "Alzado (XZ)",
+    "preview.side": "Perfil (YZ)",
+    "preview.iso": "3D",
+    "preview.empty": "No se encontró movimiento en esta sección.",
+    "preview.feed": "avance",
+    "preview.rapid": "rápido",
+    "preview.maxDepth": "Profundidad máx.",
+    "preview.time": "Tiempo est.",
+
+    "app.title": "App openSBP de FabMo",
+    "app.detectedVars": "Variables detectadas: {vars}",
+    "app.none": "(ninguna)",
+    "app.operatorMode": "Modo operador",
+    "app.operatorModeTitle": "Mostrar solo los formularios, a la medida de la tableta de la máquina, y bloquear el código",
+    "app.pinPrompt": "PIN para salir del modo operador en este dispositivo (4–8 dígitos):",
+    "app.pinInvalid": "El PIN debe tener de 4 a 8 dígitos.",
+    "app.exportApp": "Exportar app",
+    "app.exporting": "Exportando...",
+    "app.exportAppTitle": "Descargar estos formularios como una app de FabMo independiente (.fma)",
+    "app.exported": "Exportado {file}",
+    "app.drop": "Suelte archivos .sbp o paquetes de programa (.json) para abrirlos",
+    "app.openedShared": "Abierto \"{name}\" desde un enlace compartido",
+    "app.ui": "Interfaz",
+    "app.hideUi": "Ocultar la interfaz",
+    "app.showUi": "Mostrar la interfaz",
+    "app.editor": "Editor",
+    "app.hideEditor": "Ocultar el editor",
+    "app.showEditor": "Mostrar el editor",
+    "app.resize": "Arrastre para cambiar el tamaño",
+    "app.addSection": "+ Añadir sección",
+    "app.addSectionPrompt": "Título de la nueva sección:",
+    "app.loadSample": "Cargar ejemplo",
+    "app.loadSampleTitle": "Abrir el ejemplo como un programa nuevo",
+    "app.versions": "Versiones",
+    "app.versionsTitle": "Comparar las versiones guardadas de este programa y restaurar una",
+
+    "workspace.new": "Nuevo",
+    "workspace.newTitle": "Programa nuevo vacío",
+    "workspace.newPrompt": "Nombre del programa nuevo:",
+    "workspace.rename": "Renombrar",
+    "workspace.renamePrompt": "Renombrar el programa:",
+    "workspace.duplicate": "Duplicar",
+    "workspace.delete": "Eliminar",
+    "workspace.deleteConfirm": "¿Eliminar \"{name}\"? Se puede recuperar desde \"Eliminados recientemente\".",
+    "workspace.deleted": "Eliminado \"{name}\"",
+    "workspace.recentlyDeleted": "Eliminados recientemente…",
+    "workspace.recentlyDeletedTitle": "Recuperar un programa eliminado con su historial de versiones",
+    "workspace.restored": "Recuperado \"{name}\" con su historial de versiones",
+    "workspace.import": "Importar",
+    "workspace.importTitle": "Abrir archivos .sbp o paquetes de programa (.json) del disco",
+    "workspace.exportSbp": "Exportar .sbp",
+    "workspace.exportSbpTitle": "Guardar este programa como archivo .sbp",
+    "workspace.exportBundle": "Exportar paquete",
+    "workspace.exportBundleTitle": "Guardar el código, los valores y los preajustes en un solo archivo",
+    "workspace.share": "Copiar enlace para compartir",
+    "workspace.shareTitle": "Copiar un enlace que abre este programa, con sus valores y preajustes",
+    "workspace.shareCopied": "Enlace copiado ({n} caracteres)",
+    "workspace.shareLong": "los enlaces largos pueden cortarse en las apps de chat; envíe mejor el archivo del paquete",
+    "workspace.shareFailed": "No se pudo copiar el enlace: {error}",
+    "workspace.openedOne": "Abierto \"{name}\"",
+    "workspace.openedMany": "Abiertos {n} programas",
+    "workspace.storageUnavailable": "Este navegador no puede guardar programas: {error}",
+    "workspace.saveFailed": "No se pudo guardar \"{name}\": {error}",
+    "workspace.keepDeletedFailed": "No se pudieron conservar los programas eliminados: {error}",
+    "workspace.deleteFailed": "No se pudo eliminar: {error}",
+
+    "presets.jobPick": "Preajuste del trabajo…",
+    "presets.jobPickTitle": "Rellenar todas las secciones con una receta de trabajo guardada",
+    "presets.saveAll": "Guardar todo como preajuste",
+    "presets.saveAllPrompt": "Guardar los valores de todas las secciones como:",
+    "presets.export": "Exportar preajustes",
+    "presets.import": "Importar preajustes",
+    "presets.importedOne": "Importado 1 preajuste",
+    "presets.imported": "Importados {n} preajustes",
+    "presets.importFailed": "Falló la importación: {error}",
+    "presets.deletePick": "Eliminar…",
+    "presets.deletePickTitle": "Eliminar un preajuste del trabajo",
+    "presets.deleteConfirm": "¿Eliminar el preajuste \"{name}\"?",
+
+    "runner.title": "Destino: {name}",
+    "runner.pickTitle": "Adónde envía Ejecutar el programa",
+    "runner.auto": "Automático ({name})",
+    "runner.unavailable": "{name} (no disponible aquí)",
+    "runner.httpTitle": "URL base: <base>/run-sbp, /status, /config, /pause, /resume, /stop",
+    "runner.name.fabmo": "FabMo",
+    "runner.name.http": "Servicio HTTP",
+    "runner.name.simulator": "Simulador",
+    "runner.vars": "Variables persistentes",
+    "runner.reset": "Restablecer",
+    "runner.resetConfirm": "¿Borrar todas las variables del simulador?",
+    "runner.noVars": "Ninguna todavía.",
+    "runner.log": "Ejecuciones recientes",
+    "runner.clear": "Vaciar",
+    "runner.noLog": "Todavía no se ha ejecutado nada.",
+    "runner.lines": "{n} líneas",
+    "runner.result.done": "terminado",
+    "runner.result.error": "error",
+    "runner.result.stopped": "parado",
+    "runner.runFailed": "Falló la ejecución en FabMo: {status}",
+    "runner.varsFailed": "No se pudieron cambiar las variables: {status}",
+    "runner.noSetConfig": "Este panel de FabMo no puede cambiar variables",
+    "runner.lostContact": "Se perdió la conexión con FabMo: {error}",
+    "runner.machineState": "Máquina: {state}",
+    "runner.sim.paused": "En pausa",
+    "runner.sim.input": "Se pide un valor",
+    "runner.sim.stopped": "Parado",
+    "runner.sim.stoppedByOperator": "Parado por el operador",
+    "runner.sim.busy": "El simulador ya está ejecutando un trabajo",
+    "runner.sim.submitted": "Enviado al simulador",
+    "runner.sim.tooManySteps": "Parado tras {n} pasos (¿bucle infinito?)",
+    "runner.sim.noAnswer": "Línea {line}: no se introdujo nada para {name}; se usó 0",
+    "runner.sim.skipped": "Línea {line}: se omitió \"{stmt}\" (no se simula)",
+
+    "versions.title": "Historial de versiones",
+    "versions.save": "Guardar versión…",
+    "versions.saveTitle": "Conservar el código actual como una versión con nombre",
+    "versions.savePrompt": "Nombre de esta versión:",
+    "versions.close": "Cerrar",
+    "versions.current": "Código actual",
+    "versions.left": "Mostrar a la izquierda",
+    "versions.right": "Mostrar a la derecha",
+    "versions.lines": "{n} líneas",
+    "versions.restore": "Restaurar",
+    "versions.restoreTitle": "Volver a poner esta versión en el editor",
+    "versions.restoreConfirm": "¿Sustituir el código del editor por la versión del {time}? Antes se guarda el código actual como versión.",
+    "versions.empty": "Todavía no hay versiones. Se guarda una cada pocos minutos mientras edita y cada vez que se ejecuta una sección.",
+    "versions.pickTwo": "Elija dos versiones distintas para compararlas.",
+    "versions.same": "Estas versiones son iguales.",
+    "versions.auto": "Guardado automático",
+    "versions.ran": "Ejecutado {label}",
+    "versions.before": "Antes de {label}",
+    "versions.saved": "Versión guardada",
+    "versions.beforeRename": "renombrar &{from} a &{to}",
+    "versions.beforeRestore": "restaurar una versión",
+    "versions.beforeImport": "una importación",
+    "versions.beforeDelete": "eliminar el programa",
+
+    "designer.sectionTitle": "Título de la sección",
+    "designer.newFieldPrompt": "Nombre de variable del campo nuevo (letras, dígitos, _):",
+    "designer.badName": "\"{name}\" no es un nombre de variable válido",
+    "designer.editField": "Editar este campo",
+    "designer.hidden": "oculto",
+    "designer.moveUp": "Subir",
+    "designer.moveDown": "Bajar",
+    "designer.addField": "+ Añadir campo",
+    "designer.type": "Tipo",
+    "designer.programUnits": "(unidades del programa)",
+    "designer.no": "no",
+    "designer.apply": "Aplicar",
+    "designer.close": "Cerrar",
+    "designer.attr.label": "Etiqueta",
+    "designer.attr.default": "Predeterminado",
+    "designer.attr.min": "Mín.",
+    "designer.attr.max": "Máx.",
+    "designer.attr.step": "Paso",
+    "designer.attr.options": "Opciones",
+    "designer.attr.units": "Unidades",
+    "designer.attr.prompt": "Pregunta",
+    "designer.attr.help": "Texto de ayuda",
+    "designer.attr.tooltip": "Información emergente",
+    "designer.attr.hidden": "Oculto",
+    "designer.hint.options": "separadas por comas",
+    "designer.hint.prompt": "se pregunta en la máquina si se deja vacío",
+    "designer.hint.help": "se muestra bajo el campo",
+    "designer.hint.tooltip": "se muestra al pasar el ratón",
+    "designer.hint.hidden": "siempre envía su valor predeterminado",
+
+    "locale.label": "Idioma",
+    "locale.auto": "Automático ({name})",
+
+    "keypad.done": "Aceptar",
+    "keypad.clear": "Borrar",
+    "keypad.backspace": "Borrar el último",
+    "keypad.sign": "Cambiar signo",
+    "keypad.space": "Espacio (para 1 1/2)",
+
+    "operator.unlock": "Desbloquear",
+    "operator.unlockTitle": "Salir del modo operador para editar el programa",
+    "operator.pinPrompt": "Introduzca el PIN para desbloquear",
+    "operator.wrongPin": "PIN incorrecto",
+    "operator.exitConfirm": "¿Salir del modo operador? El código y el formulario se podrán editar.",
+    "operator.cancel": "Cancelar",
+  },
+
+  de: {
+    "section.complete": "Vollständig",
+    "section.incomplete": "Nicht vollständig",
+    "section.editForm": "Formular bearbeiten",
+    "section.editFormTitle": "Felder und Titel ändern, ohne den Code zu bearbeiten",
+    "section.done": "Fertig",
+    "section.note": "Hinweis",
+    "section.noFields": "In diesem Abschnitt wurden keine Variablen gefunden.",
+    "section.presetPick": "Vorlage…",
+    "section.presetAll": "(alle Abschnitte)",
+    "section.presetTitle": "Dieses Formular aus einer Vorlage füllen",
+    "section.presetSave": "Vorlage speichern",
+    "section.presetSaveAs": "Aktuelle Werte von {title} speichern als:",
+    "section.presetDelete": "Löschen",
+    "section.presetDeleteConfirm": "Vorlage \"{name}\" löschen?",
+    "section.globalNote": "Diese Werte, der Vorbereitungscode und die Unterprogramme gelten für alle Abschnitte.",
+    "section.running": "Läuft...",
+    "section.run": "Starten: {title}",
+    "section.runTitle": "Diesen Abschnitt an FabMo senden",
+    "section.fix": "Korrigieren: {fields}",
+    "section.preamble": "Präambel dieses Abschnitts anzeigen",
+    "section.preview": "Werkzeugweg-Vorschau",
+    "section.reset": "Zurücksetzen",
+    "section.locked": "Zuerst {titles} abschließen",
+    "section.resetProgress": "Fortschritt zurücksetzen",
+    "section.resetProgressTitle": "Diesen Schritt als nicht erledigt markieren: setzt {vars} an der Maschine auf 0",
+    "section.resetProgressConfirm": "{title} als nicht erledigt markieren? {vars} wird an der Maschine auf 0 gesetzt.",
+    "section.untitled": "Abschnitt ohne Titel",
+
+    "field.auto": "{value} (automatisch)",
+    "field.prompt": "Bitte {label} eingeben",
+    "field.min": "muss mindestens {min} sein",
+    "field.max": "darf höchstens {max} sein",
+    "field.pointBoth": "braucht X und Y",
+    "field.chooseTool": "Werkzeug wählen…",
+    "field.toolNumber": "Werkzeug-Nr.",
+    "field.notInLibrary": "(nicht in der Bibliothek)",
+    "field.browse": "Durchsuchen…",
+    "value.yes": "Ja",
+    "value.no": "Nein",
+    "value.asked": "(wird an der Maschine abgefragt)",
+
+    "state.connecting": "verbinde",
+    "state.idle": "bereit",
+    "state.running": "läuft",
+    "state.paused": "pausiert",
+    "state.stopped": "gestoppt",
+    "state.manual": "manuell",
+    "state.limit": "Endschalter",
+    "state.interlock": "Verriegelung",
+    "machine.line": "Zeile {line}",
+    "machine.resume": "Fortsetzen",
+    "machine.hold": "Vorschub halten",
+    "machine.stop": "Stopp",
+
+    "queue.title": "Warteschlange",
+    "queue.runAll": "Alle starten",
+    "queue.runSelected": "Auswahl starten ({n})",
+    "queue.clear": "Leeren",
+    "queue.pause": "Anhalten",
+    "queue.pauseTitle": "Die Warteschlange nach dem aktuellen Abschnitt anhalten",
+    "queue.resume": "Fortsetzen",
+    "queue.abort": "Abbrechen",
+    "queue.abortConfirm": "Maschine stoppen und den Rest der Warteschlange verwerfen?",
+    "queue.skip": "Überspringen",
+    "queue.aborted": "Abgebrochen",
+    "queue.gone": "Abschnitt existiert nicht mehr",
+    "queue.check": "{fields} prüfen",
+    "queue.locked": "Zuerst {titles} abschließen",
+    "queue.unconfirmed": "Seit der Bestätigung geändert; die neuen Werte wurden nicht bestätigt",
+    "queue.resetProgress": "Fortschritt zurücksetzen",
+    "queue.resetProgressConfirm": "Von vorn beginnen? {vars} wird an der Maschine auf 0 gesetzt.",
+    "status.queued": "Wartend",
+    "status.running": "Läuft",
+    "status.done": "Fertig",
+    "status.failed": "Fehler",
+    "status.skipped": "Übersprungen",
+
+    "confirm.runMany": "{n} Abschnitte starten?",
+    "confirm.runOne": "{title} starten?",
+    "confirm.path": "X {x0}…{x1} · Y {y0}…{y1} · Tiefe {depth} · etwa {time}",
+    "confirm.noMoves": "In diesem Code wurden keine Bewegungen gefunden.",
+    "confirm.override": "Trotzdem starten – ich habe die Grenzen oben geprüft (wird protokolliert)",
+    "confirm.cancel": "Abbrechen",
+    "confirm.run": "Starten",
+    "confirm.overrideRun": "Grenzen übergehen und starten",
+
+    "safety.depth": "Schneidet {depth} tief; die Grenze ist {limit}.",
+    "safety.feed": "Vorschub {feed} liegt über der Grenze von {limit}.",
+    "safety.envelope": "Bewegungen reichen bis X {x0}…{x1}, Y {y0}…{y1}; der Arbeitsbereich ist X {ex0}…{ex1}, Y {ey0}…{ey1}.",
+    "safety.toolLoaded": "Werkzeug {tool} ist eingesetzt",
+    "safety.toolField": "{label} ist Werkzeug {value}; dieser Abschnitt braucht Werkzeug {tool}.",
+    "safety.spindleSet": "Spindel auf {rpm} U/min eingestellt",
+    "safety.spindle": "Der Code stellt die Spindel auf {rpm} U/min; dieser Abschnitt erwartet {limit}.",
+    "safety.runtimeValues": "Manche Werte stehen erst zur Laufzeit fest; die Grenzen konnten nicht vollständig geprüft werden.",
+    "safety.unfollowed": "Teile des Codes springen auf eine Weise, der die Vorschau nicht folgen kann; dort konnten die Grenzen nicht geprüft werden.",
+
+    "run.queueInvalid": "Warteschlange nicht gestartet: einige Abschnitte haben ungültige Felder",
+    "run.queueCancelled": "Warteschlange abgebrochen",
+    "run.cancelled": "Abgebrochen: {title}",
+    "run.invalid": "Nicht gestartet: {fields} in {title} prüfen",
+    "run.submitted": "Gesendet: {title}",
+    "run.finished": "Fertig: {title}",
+    "run.rerunGone": "Wiederholen nicht möglich: das Programm hat keinen Abschnitt \"{title}\" mehr",
+    "run.locked": "Nicht gestartet: zuerst {titles}, dann {title}",
+    "run.progressReset": "Fortschritt zurückgesetzt: {vars} auf 0",
+    "run.progressResetFailed": "Fortschritt konnte nicht zurückgesetzt werden: {error}",
+
+    "history.title": "Verlauf",
+    "history.filter": "Filter: Abschnitt, Wert, &Depth=0.5…",
+    "history.anyResult": "Jedes Ergebnis",
+    "history.clear": "Leeren",
+    "history.clearConfirm": "Den gesamten Verlauf löschen?",
+    "history.pick": "Zwei Läufe zum Vergleichen auswählen",
+    "history.override": "übergangen",
+    "history.overrideTitle": "Mit übergangener Sicherheitsgrenze gestartet",
+    "history.rerun": "Wiederholen",
+    "history.rerunTitle": "Diese Werte ins Formular laden und den Abschnitt erneut starten",
+    "history.noMatch": "Keine Läufe passen zum Filter.",
+    "history.empty": "Noch nichts gestartet.",
+    "history.close": "Schließen",
+    "history.sameValues": "Gleiche Werte.",
+    "history.sameCode": "Gleicher Code.",
+    "history.asked": "(abgefragt)",
+    "result.running": "läuft",
+    "result.finished": "fertig",
+    "result.failed": "Fehler",
+    "result.aborted": "abgebrochen",
+
+    "preview.top": "Oben (XY)",
+    "preview.front": "Vorne (XZ)",
+    "preview.side": "Seite (YZ)",
+    "preview.iso": "3D",
+    "preview.empty": "In diesem Abschnitt wurde keine Bewegung gefunden.",
+    "preview.feed": "Vorschub",
+    "preview.rapid": "Eilgang",
+    "preview.maxDepth": "Max. Tiefe",
+    "preview.time": "Geschätzte Zeit",
+
+    "app.title": "FabMo-openSBP-App",
+    "app.detectedVars": "Gefundene Variablen: {vars}",
+    "app.none": "(keine)",
+    "app.operatorMode": "Bedienermodus",
+    "app.operatorModeTitle": "Nur die Formulare zeigen, passend für das Tablet der Maschine, und den Code sperren",
+    "app.pinPrompt": "PIN zum Verlassen des Bedienermodus auf diesem Gerät (4–8 Ziffern):",
+    "app.pinInvalid": "Die PIN muss 4 bis 8 Ziffern haben.",
+    "app.exportApp": "App exportieren",
+    "app.exporting": "Wird exportiert...",
+    "app.exportAppTitle": "Diese Formulare als eigenständige FabMo-App (.fma) herunterladen",
+    "app.exported": "{file} exportiert",
+    "app.drop": "Legen Sie .sbp-Dateien oder Programmpakete (.json) hier ab, um sie zu öffnen",
+    "app.openedShared": "\"{name}\" aus einem geteilten Link geöffnet",
+    "app.ui": "Oberfläche",
+    "app.hideUi": "Oberfläche ausblenden",
+    "app.showUi": "Oberfläche einblenden",
+    "app.editor": "Editor",
+    "app.hideEditor": "Editor ausblenden",
+    "app.showEditor": "Editor einblenden",
+    "app.resize": "Ziehen, um die Größe zu ändern",
+    "app.addSection": "+ Abschnitt hinzufügen",
+    "app.addSectionPrompt": "Titel des neuen Abschnitts:",
+    "app.loadSample": "Beispiel laden",
+    "app.loadSampleTitle": "Das Beispiel als neues Programm öffnen",
+    "app.versions": "Versionen",
+    "app.versionsTitle": "Gespeicherte Versionen dieses Programms vergleichen und eine wiederherstellen",
+
+    "workspace.new": "Neu",
+    "workspace.newTitle": "Neues leeres Programm",
+    "workspace.newPrompt": "Name für das neue Programm:",
+    "workspace.rename": "Umbenennen",
+    "workspace.renamePrompt": "Programm umbenennen:",
+    "workspace.duplicate": "Duplizieren",
+    "workspace.delete": "Löschen",
+    "workspace.deleteConfirm": "\"{name}\" löschen? Es kann unter \"Zuletzt gelöscht\" zurückgeholt werden.",
+    "workspace.deleted": "\"{name}\" gelöscht",
+    "workspace.recentlyDeleted": "Zuletzt gelöscht…",
+    "workspace.recentlyDeletedTitle": "Ein gelöschtes Programm mit seinem Versionsverlauf zurückholen",
+    "workspace.restored": "\"{name}\" mit seinem Versionsverlauf wiederhergestellt",
+    "workspace.import": "Importieren",
+    "workspace.importTitle": ".sbp-Dateien oder Programmpakete (.json) vom Datenträger öffnen",
+    "workspace.exportSbp": ".sbp exportieren",
+    "workspace.exportSbpTitle": "Dieses Programm als .sbp-Datei speichern",
+    "workspace.exportBundle": "Paket exportieren",
+    "workspace.exportBundleTitle": "Code, Werte und Voreinstellungen in einer Datei speichern",
+    "workspace.share": "Teilen-Link kopieren",
+    "workspace.shareTitle": "Einen Link kopieren, der dieses Programm mit seinen Werten und Voreinstellungen öffnet",
+    "workspace.shareCopied": "Link kopiert ({n} Zeichen)",
+    "workspace.shareLong": "lange Links kommen in Chat-Apps oft nicht heil an; senden Sie besser die Paketdatei",
+    "workspace.shareFailed": "Der Link konnte nicht kopiert werden: {error}",
+    "workspace.openedOne": "\"{name}\" geöffnet",
+    "workspace.openedMany": "{n} Programme geöffnet",
+    "workspace.storageUnavailable": "In diesem Browser können keine Programme gespeichert werden: {error}",
+    "workspace.saveFailed": "\"{name}\" konnte nicht gespeichert werden: {error}",
+    "workspace.keepDeletedFailed": "Gelöschte Programme konnten nicht aufbewahrt werden: {error}",
+    "workspace.deleteFailed": "Löschen fehlgeschlagen: {error}",
+
+    "presets.jobPick": "Auftragsvorgabe…",
+    "presets.jobPickTitle": "Alle Abschnitte aus einem gespeicherten Auftragsrezept ausfüllen",
+    "presets.saveAll": "Alles als Vorgabe speichern",
+    "presets.saveAllPrompt": "Werte aller Abschnitte speichern als:",
+    "presets.export": "Vorgaben exportieren",
+    "presets.import": "Vorgaben importieren",
+    "presets.importedOne": "1 Vorgabe importiert",
+    "presets.imported": "{n} Vorgaben importiert",
+    "presets.importFailed": "Import fehlgeschlagen: {error}",
+    "presets.deletePick": "Löschen…",
+    "presets.deletePickTitle": "Eine Auftragsvorgabe löschen",
+    "presets.deleteConfirm": "Vorgabe \"{name}\" löschen?",
+
+    "runner.title": "Ausführung: {name}",
+    "runner.pickTitle": "Wohin Starten das Programm sendet",
+    "runner.auto": "Automatisch ({name})",
+    "runner.unavailable": "{name} (hier nicht verfügbar)",
+    "runner.httpTitle": "Basis-URL: <base>/run-sbp, /status, /config, /pause, /resume, /stop",
+    "runner.name.fabmo": "FabMo",
+    "runner.name.http": "HTTP-Endpunkt",
+    "runner.name.simulator": "Simulator",
+    "runner.vars": "Dauerhafte Variablen",
+    "runner.reset": "Zurücksetzen",
+    "runner.resetConfirm": "Alle Variablen des Simulators löschen?",
+    "runner.noVars": "Noch keine gesetzt.",
+    "runner.log": "Letzte Läufe",
+    "runner.clear": "Leeren",
+    "runner.noLog": "Noch nichts ausgeführt.",
+    "runner.lines": "{n} Zeilen",
+    "runner.result.done": "fertig",
+    "runner.result.error": "Fehler",
+    "runner.result.stopped": "gestoppt",
+    "runner.runFailed": "Ausführung auf FabMo fehlgeschlagen: {status}",
+    "runner.varsFailed": "Variablen konnten nicht geändert werden: {status}",
+    "runner.noSetConfig": "Dieses FabMo-Dashboard kann keine Variablen ändern",
+    "runner.lostContact": "Verbindung zu FabMo verloren: {error}",
+    "runner.machineState": "Maschine: {state}",
+    "runner.sim.paused": "Angehalten",
+    "runner.sim.input": "Eingabe erforderlich",
+    "runner.sim.stopped": "Gestoppt",
+    "runner.sim.stoppedByOperator": "Vom Bediener gestoppt",
+    "runner.sim.busy": "Der Simulator führt bereits einen Auftrag aus",
+    "runner.sim.submitted": "An den Simulator gesendet",
+    "runner.sim.tooManySteps": "Nach {n} Schritten gestoppt (Endlosschleife?)",
+    "runner.sim.noAnswer": "Zeile {line}: nichts eingegeben für {name}; 0 wurde verwendet",
+    "runner.sim.skipped": "Zeile {line}: \"{stmt}\" übersprungen (nicht simuliert)",
+
+    "versions.title": "Versionsverlauf",
+    "versions.save": "Version speichern…",
+    "versions.saveTitle": "Den aktuellen Code als benannte Version behalten",
+    "versions.savePrompt": "Name für diese Version:",
+    "versions.close": "Schließen",
+    "versions.current": "Aktueller Code",
+    "versions.left": "Links anzeigen",
+    "versions.right": "Rechts anzeigen",
+    "versions.lines": "{n} Zeilen",
+    "versions.restore": "Wiederherstellen",
+    "versions.restoreTitle": "Diese Version wieder in den Editor holen",
+    "versions.restoreConfirm": "Den Code im Editor durch die Version vom {time} ersetzen? Der aktuelle Code wird vorher als Version behalten.",
+    "versions.empty": "Noch keine Versionen. Beim Bearbeiten wird alle paar Minuten eine behalten, und jedes Mal, wenn ein Abschnitt läuft.",
+    "versions.pickTwo": "Wählen Sie zwei verschiedene Versionen zum Vergleichen.",
+    "versions.same": "Diese Versionen sind gleich.",
+    "versions.auto": "Automatisch gespeichert",
+    "versions.ran": "{label} ausgeführt",
+    "versions.before": "Vor {label}",
+    "versions.saved": "Gespeicherte Version",
+    "versions.beforeRename": "dem Umbenennen von &{from} in &{to}",
+    "versions.beforeRestore": "dem Wiederherstellen einer Version",
+    "versions.beforeImport": "einem Import",
+    "versions.beforeDelete": "dem Löschen des Programms",
+
+    "designer.sectionTitle": "Abschnittstitel",
+    "designer.newFieldPrompt": "Variablenname für das neue Feld (Buchstaben, Ziffern, _):",
+    "designer.badName": "\"{name}\" ist kein gültiger Variablenname",
+    "designer.editField": "Dieses Feld bearbeiten",
+    "designer.hidden": "verborgen",
+    "designer.moveUp": "Nach oben",
+    "designer.moveDown": "Nach unten",
+    "designer.addField": "+ Feld hinzufügen",
+    "designer.type": "Typ",
+    "designer.programUnits": "(Programmeinheiten)",
+    "designer.no": "nein",
+    "designer.apply": "Übernehmen",
+    "designer.close": "Schließen",
+    "designer.attr.label": "Beschriftung",
+    "designer.attr.default": "Standardwert",
+    "designer.attr.min": "Min.",
+    "designer.attr.max": "Max.",
+    "designer.attr.step": "Schritt",
+    "designer.attr.options": "Optionen",
+    "designer.attr.units": "Einheiten",
+    "designer.attr.prompt": "Abfrage",
+    "designer.attr.help": "Hilfetext",
+    "designer.attr.tooltip": "Tooltip",
+    "designer.attr.hidden": "Verborgen",
+    "designer.hint.options": "durch Kommas getrennt",
+    "designer.hint.prompt": "wird an der Maschine abgefragt, wenn leer",
+    "designer.hint.help": "wird unter dem Feld angezeigt",
+    "designer.hint.tooltip": "wird beim Überfahren angezeigt",
+    "designer.hint.hidden": "sendet immer den Standardwert",
+
+    "locale.label": "Sprache",
+    "locale.auto": "Automatisch ({name})",
+
+    "keypad.done": "OK",
+    "keypad.clear": "Löschen",
+    "keypad.backspace": "Letztes Zeichen löschen",
+    "keypad.sign": "Vorzeichen wechseln",
+    "keypad.space": "Leerzeichen (für 1 1/2)",
+
+    "operator.unlock": "Entsperren",
+    "operator.unlockTitle": "Bedienmodus verlassen, um das Programm zu bearbeiten",
+    "operator.pinPrompt": "PIN zum Entsperren eingeben",
+    "operator.wrongPin": "Falsche PIN",
+    "operator.exitConfirm": "Bedienmodus verlassen? Code und Formular können dann bearbeitet werden.",
+    "operator.cancel": "Abbrechen",
+  },
+};
+
+/* ---- choosing the locale ---- */
+const listeners = new Set();
+function notify() { listeners.forEach(fn => fn()); }
+let machineLocale = null; // the FabMo dashboard's language, once it has been read
+
+export function onLocaleChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// "es-MX" -> "es"; null when we have no translation for it
+export function matchLocale(tag) {
+  const lang = String(tag || "").toLowerCase().split(/[-_]/)[0];
+  return LOCALES.some(l => l.id === lang) ? lang : null;
+}
+
+export function getLocaleChoice() {
+  if (typeof window === "undefined") return AUTO_LOCALE;
+  const fromUrl = matchLocale(new URLSearchParams(window.location.search).get("lang"));
+  if (fromUrl) return fromUrl;
+  try { return matchLocale(window.localStorage.getItem(LS_LOCALE_KEY)) || AUTO_LOCALE; } catch { return AUTO_LOCALE; }
+}
+
+export function setLocaleChoice(id) {
+  try { window.localStorage.setItem(LS_LOCALE_KEY, id); } catch {}
+  notify();
+}
+
+export function setMachineLocale(tag) {
+  const next = matchLocale(tag);
+  if (next === machineLocale) return;
+  machineLocale = next;
+  notify();
+}
+
+// what "auto" means right now
+export function detectLocale() {
+  if (machineLocale) return machineLocale;
+  const nav = typeof navigator !== "undefined" ? [...(navigator.languages || []), navigator.language] : [];
+  return nav.map(matchLocale).find(Boolean) || "en";
+}
+
+export function activeLocale() {
+  const choice = getLocaleChoice();
+  return choice === AUTO_LOCALE ? detectLocale() : choice;
+}
+
+/* ---- messages ---- */
+export function t(key, params = {}, locale = activeLocale()) {
+  const msg = MESSAGES[locale]?.[key] ?? MESSAGES.en[key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (all, k) => (params[k] !== undefined ? String(params[k]) : all));
+}
+
+/* ---- numbers ---- */
+// Values are stored and sent with a "." decimal point; only what the operator reads
+// and types follows the locale ("0,75" in es/de).
+const formatters = new Map();
+export function formatNumber(n, { digits = 6, fixed = false, locale = activeLocale() } = {}) {
+  if (n === "" || n === null || n === undefined || !Number.isFinite(Number(n))) return n === undefined || n === null ? "" : String(n);
+  const key = `${locale}|${digits}|${fixed}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { maximumFractionDigits: digits, minimumFractionDigits: fixed ? digits : 0, useGrouping: false }));
+  }
+  return formatters.get(key).format(Number(n));
+}
+
+export function decimalSeparator(locale = activeLocale()) {
+  return formatNumber(1.5, { locale }).includes(",") ? "," : ".";
+}
+
+// typed text -> the same text with "." decimals, so the usual parsers read it
+export function delocalizeNumber(text, locale = activeLocale()) {
+  const s = String(text ?? "");
+  return decimalSeparator(locale) === "," ? s.replace(/(^|[\d\s-]),(?=\d)/g, "$1.") : s;
+}
+
+// "0.748 in (19 mm)" -> "0,748 in (19 mm)" for display
+export function localizeNumbers(text, locale = activeLocale()) {
+  const s = String(text ?? "");
+  return decimalSeparator(locale) === "," ? s.replace(/(\d)\.(\d)/g, "$1,$2") : s;
+}
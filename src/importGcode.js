@@ -0,0 +1,173 @@
+/* ---------------------- G-code -> openSBP ---------------------- */
+// Translates the common subset CAM posts emit: G0/G1 moves, G2/G3 arcs (I/J or R, XY
+// plane), G20/G21 units, G90/G91, F feeds, G4 dwells, M3/M4/M5 spindle, M0/M1 stops and
+// M6 tool changes. Coordinates are converted to the program's units and written
+// absolute; feeds (units/min) become MS speeds (units/sec) scaled by a feed override
+// field. Anything else is kept as a comment and counted in `notes`.
+const WORD = /([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/gi;
+const MM_PER = { in: 25.4, mm: 1 };
+
+const round = (n) => {
+  const r = Math.round(n * 10000) / 10000;
+  return Object.is(r, -0) ? 0 : r;
+};
+// an axis the program has not moved yet is left blank, which SBP reads as "stay put"
+const coord = (n) => (n === null ? "" : round(n));
+
+// "(comment)" and "; comment" out, "N120" line numbers and "%" tape marks ignored
+function cleanLine(line) {
+  return line.replace(/\([^)]*\)/g, " ").replace(/;.*$/, "").replace(/^\s*%.*$/, "").trim();
+}
+
+export function gcodeToSbp(text, { title = "Imported G-code", units = "in", source = "" } = {}) {
+  const out = [];
+  const notes = [];
+  const note = (lineNo, msg) => { if (notes.length < 50) notes.push({ line: lineNo, message: msg }); };
+  // where the tool is when the file starts is unknown, so the first move on each axis
+  // is always written out, even when it goes to 0
+  const pos = { x: null, y: null, z: null };
+  const state = { motion: 0, relative: false, units: "in", feed: null, sentFeed: null, plane: 17 };
+  let moves = 0;
+  // input units -> program units
+  const conv = (v) => (v * MM_PER[state.units]) / MM_PER[units];
+
+  const emitFeed = () => {
+    if (state.feed === null || state.feed === state.sentFeed) return;
+    const perSec = round(conv(state.feed) / 60);
+    out.push(`MS, ${perSec} * &FeedScale / 100, ${perSec} * &FeedScale / 100`);
+    state.sentFeed = state.feed;
+  };
+
+  const target = (words) => {
+    const t = { ...pos };
+    ["x", "y", "z"].forEach(axis => {
+      const w = words[axis.toUpperCase()];
+      if (w === undefined) return;
+      t[axis] = state.relative ? (pos[axis] ?? 0) + conv(w) : conv(w);
+    });
+    return t;
+  };
+
+  const linear = (to, rapid) => {
+    const dxy = to.x !== pos.x || to.y !== pos.y, dz = to.z !== pos.z;
+    if (!dxy && !dz) return;
+    const c = rapid ? "J" : "M";
+    if (!rapid) emitFeed();
+    if (dxy && dz) out.push(`${c}3, ${coord(to.x)}, ${coord(to.y)}, ${round(to.z)}`);
+    else if (dxy) out.push(`${c}2, ${coord(to.x)}, ${coord(to.y)}`);
+    else out.push(`${c}Z, ${round(to.z)}`);
+    Object.assign(pos, to);
+    moves++;
+  };
+
+  const arc = (to, words, cw, lineNo) => {
+    if (state.plane !== 17) { note(lineNo, "Arcs outside the XY plane (G18/G19) are not supported"); return; }
+    if (pos.x === null || pos.y === null || pos.z === null) {
+      note(lineNo, "Arc starts before the position is known; the unknown axes are taken as 0");
+      ["x", "y", "z"].forEach(axis => { if (pos[axis] === null) { pos[axis] = 0; if (to[axis] === null) to[axis] = 0; } });
+    }
+    let i, j;
+    if (words.R !== undefined) {
+      // centre from the radius, right of the chord for CW and left for CCW (the short
+      // way round); a negative R picks the long way round
+      const r = conv(words.R);
+      const dx = to.x - pos.x, dy = to.y - pos.y, d = Math.hypot(dx, dy);
+      if (d === 0 || Math.abs(r) < d / 2 - 1e-9) { note(lineNo, "Arc radius is too small for its end point"); linear(to, false); return; }
+      const h = Math.sqrt(Math.max(0, r * r - (d * d) / 4)) * ((cw ? -1 : 1) * (r < 0 ? -1 : 1));
+      i = dx / 2 - (h * dy) / d;
+      j = dy / 2 + (h * dx) / d;
+    } else {
+      i = conv(words.I ?? 0);
+      j = conv(words.J ?? 0);
+    }
+    emitFeed();
+    if (to.z !== pos.z) {
+      // helical: CG cannot ramp Z, so follow it with short straight moves
+      const cx = pos.x + i, cy = pos.y + j, r = Math.hypot(i, j);
+      const a0 = Math.atan2(pos.y - cy, pos.x - cx);
+      let sweep = Math.atan2(to.y - cy, to.x - cx) - a0;
+      if (cw) { while (sweep >= 0) sweep -= 2 * Math.PI; } else { while (sweep <= 0) sweep += 2 * Math.PI; }
+      const steps = Math.max(4, Math.ceil(Math.abs(sweep) / (Math.PI / 18)));
+      const z0 = pos.z;
+      for (let s = 1; s <= steps; s++) {
+        const a = a0 + sweep * (s / steps);
+        out.push(`M3, ${round(cx + r * Math.cos(a))}, ${round(cy + r * Math.sin(a))}, ${round(z0 + (to.z - z0) * (s / steps))}`);
+      }
+    } else {
+      out.push(`CG, , ${round(to.x)}, ${round(to.y)}, ${round(i)}, ${round(j)}, T, ${cw ? 1 : -1}`);
+    }
+    Object.assign(pos, to);
+    moves++;
+  };
+
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    const lineNo = idx + 1;
+    const line = cleanLine(raw);
+    if (!line) return;
+    const words = {};
+    const gs = [], ms = [];
+    let w;
+    WORD.lastIndex = 0;
+    while ((w = WORD.exec(line))) {
+      const letter = w[1].toUpperCase(), n = Number(w[2]);
+      if (letter === "G") gs.push(n);
+      else if (letter === "M") ms.push(n);
+      else words[letter] = n;
+    }
+    let handled = false, unknown = false;
+
+    gs.forEach(g => {
+      handled = true;
+      if (g === 0 || g === 1 || g === 2 || g === 3) state.motion = g;
+      else if (g === 20) state.units = "in";
+      else if (g === 21) state.units = "mm";
+      else if (g === 90) state.relative = false;
+      else if (g === 91) state.relative = true;
+      else if (g === 17 || g === 18 || g === 19) state.plane = g;
+      else if (g === 4) out.push(`PAUSE ${round(words.P ?? words.X ?? 0)}`);
+      else if (g === 40 || g === 49 || g === 80 || g === 94 || g === 54 || g === 61 || g === 64 || g === 90.1 || g === 91.1) { /* modal noise */ }
+      else { unknown = true; note(lineNo, `G${g} is not translated`); }
+    });
+    // canned cycles and the like: keep the line as a comment rather than guess its moves
+    if (unknown) { state.motion = null; out.push(`' ${raw.trim()}`); return; }
+    if (words.F !== undefined) state.feed = words.F;
+
+    if (["X", "Y", "Z"].some(a => words[a] !== undefined) && !gs.includes(4)) {
+      handled = true;
+      if (state.motion === null) { out.push(`' ${raw.trim()}`); note(lineNo, "Move after an untranslated G code is skipped"); return; }
+      const to = target(words);
+      if (state.motion === 0 || state.motion === 1) linear(to, state.motion === 0);
+      else arc(to, words, state.motion === 2, lineNo);
+    }
+
+    ms.forEach(m => {
+      handled = true;
+      if (m === 3 || m === 4) {
+        if (words.S !== undefined) out.push(`TR, ${words.S}`);
+        if (m === 4) note(lineNo, "M4 (counter-clockwise spindle) is started like M3");
+        out.push("C6 ' spindle on");
+      } else if (m === 5) out.push("C7 ' spindle off");
+      else if (m === 0 || m === 1) out.push(`PAUSE "Program stop (M${m}) — continue when ready"`);
+      else if (m === 6) out.push(`PAUSE "Load tool ${words.T ?? "?"} and continue"`);
+      else if (m === 2 || m === 30) { /* end of program: the section ends here anyway */ }
+      else if (m === 7 || m === 8 || m === 9) { /* coolant */ }
+      else note(lineNo, `M${m} is not translated`);
+    });
+
+    if (!handled && (words.F !== undefined || words.S !== undefined || words.T !== undefined)) handled = true;
+    if (!handled) {
+      out.push(`' ${raw.trim()}`);
+      note(lineNo, `"${raw.trim()}" is not translated`);
+    }
+  });
+
+  const head = [
+    `' #${title}`,
+    `' Imported from ${source || "G-code"}: ${moves} moves, units ${units}${notes.length ? `; ${notes.length} line(s) not translated` : ""}`,
+    `' @input &FeedScale type=range min=10 max=150 step=5 default=100 label="Feed override (%)"`,
+    "SA",
+  ];
+  return { text: [...head, ...out, ""].join("\n"), notes, moves };
+}
+
+export const GCODE_EXTENSIONS = [".nc", ".gcode", ".ngc", ".tap", ".cnc", ".gc"];
@@ -0,0 +1,552 @@
+import { sectionSlug } from "./sbp";
+
+/* ---------------------- SVG / DXF outlines -> profile section ---------------------- */
+// Outlines are read as polylines (curves and arcs flattened), converted to the program's
+// units, moved so the drawing's lower-left corner is at 0,0 and written as a profile
+// section: depth, pass depth, feed, safe Z, tool offset and position are @input fields
+// and the passes are an openSBP loop, so nothing has to be re-imported to change them.
+const MM_PER = { in: 25.4, mm: 1 };
+const CURVE_SEGMENTS = 16;
+const ARC_SEGMENTS = 72; // per full circle, like the preview
+const MAX_MITER = 4; // sharp corners: cap how far an offset vertex may travel
+const round = (n) => {
+  const r = Math.round(n * 10000) / 10000;
+  return Object.is(r, -0) ? 0 : r;
+};
+
+// points along an arc from angle a0 sweeping `sweep` radians (sign = direction)
+function arcPoints(cx, cy, rx, ry, a0, sweep, rot = 0) {
+  const steps = Math.max(2, Math.ceil((Math.abs(sweep) / (2 * Math.PI)) * ARC_SEGMENTS));
+  const cos = Math.cos(rot), sin = Math.sin(rot);
+  const pts = [];
+  for (let s = 1; s <= steps; s++) {
+    const a = a0 + sweep * (s / steps);
+    const x = rx * Math.cos(a), y = ry * Math.sin(a);
+    pts.push([cx + x * cos - y * sin, cy + x * sin + y * cos]);
+  }
+  return pts;
+}
+
+/* ---- SVG ---- */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const mul = (m, n) => [
+  m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5],
+];
+const apply = (m, [x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+const nums = (s) => (String(s || "").match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+
+function parseTransform(text) {
+  let m = IDENTITY;
+  for (const [, fn, args] of String(text || "").matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    const a = nums(args);
+    let t = IDENTITY;
+    if (fn === "matrix" && a.length === 6) t = a;
+    else if (fn === "translate") t = [1, 0, 0, 1, a[0] || 0, a[1] || 0];
+    else if (fn === "scale") t = [a[0] ?? 1, 0, 0, a[1] ?? a[0] ?? 1, 0, 0];
+    else if (fn === "rotate") {
+      const r = ((a[0] || 0) * Math.PI) / 180, c = Math.cos(r), s = Math.sin(r);
+      t = [c, s, -s, c, 0, 0];
+      if (a.length === 3) t = mul(mul([1, 0, 0, 1, a[1], a[2]], t), [1, 0, 0, 1, -a[1], -a[2]]);
+    } else if (fn === "skewX") t = [1, 0, Math.tan(((a[0] || 0) * Math.PI) / 180), 1, 0, 0];
+    else if (fn === "skewY") t = [1, Math.tan(((a[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+    m = mul(m, t);
+  }
+  return m;
+}
+
+// SVG path data -> [{ points, closed }] in user units (before the element's transform)
+export function parsePathData(d) {
+  const out = [];
+  const src = String(d || "");
+  let i = 0;
+  const NUM = /[\s,]*([-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?)/y;
+  const FLAG = /[\s,]*([01])/y;
+  const read = (re) => { re.lastIndex = i; const m = re.exec(src); if (!m) return null; i = re.lastIndex; return Number(m[1]); };
+  const more = () => { NUM.lastIndex = i; return NUM.test(src); };
+
+  let cur = null, pos = [0, 0], start = [0, 0], lastCtrl = null, lastCmd = "";
+  const begin = () => { if (cur && cur.points.length > 1) out.push(cur); cur = { points: [pos.slice()], closed: false }; };
+  const to = (p) => { if (!cur) begin(); cur.points.push(p); pos = p; };
+
+  while (i < src.length) {
+    const c = src.slice(i).match(/^[\s,]*([MmLlHhVvCcSsQqTtAaZz])/);
+    if (!c) break;
+    i += c[0].length;
+    const cmd = c[1], rel = cmd === cmd.toLowerCase(), C = cmd.toUpperCase();
+    const pt = (x, y) => (rel ? [pos[0] + x, pos[1] + y] : [x, y]);
+    if (C === "Z") {
+      if (cur) { cur.closed = true; out.push(cur); cur = null; }
+      pos = start.slice();
+      lastCtrl = null; lastCmd = C;
+      continue;
+    }
+    let first = true;
+    do {
+      if (C === "M") {
+        const x = read(NUM), y = read(NUM);
+        if (y === null) break;
+        if (first) { pos = pt(x, y); start = pos.slice(); if (cur && cur.points.length > 1) out.push(cur); cur = { points: [pos.slice()], closed: false }; }
+        else to(pt(x, y)); // extra pairs after M are line-tos
+        lastCtrl = null;
+      } else if (C === "L") {
+        const x = read(NUM), y = read(NUM);
+        if (y === null) break;
+        to(pt(x, y)); lastCtrl = null;
+      } else if (C === "H") {
+        const x = read(NUM);
+        if (x === null) break;
+        to([rel ? pos[0] + x : x, pos[1]]); lastCtrl = null;
+      } else if (C === "V") {
+        const y = read(NUM);
+        if (y === null) break;
+        to([pos[0], rel ? pos[1] + y : y]); lastCtrl = null;
+      } else if (C === "C" || C === "S") {
+        const a = C === "C" ? [read(NUM), read(NUM)] : null;
+        const b = [read(NUM), read(NUM)], e = [read(NUM), read(NUM)];
+        if (e[1] === null) break;
+        const p0 = pos;
+        const c1 = a ? pt(...a) : lastCtrl && /[CS]/.test(lastCmd) ? [2 * p0[0] - lastCtrl[0], 2 * p0[1] - lastCtrl[1]] : p0;
+        const c2 = pt(...b), p3 = pt(...e);
+        for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+          const t = s / CURVE_SEGMENTS, u = 1 - t;
+          to([0, 1].map(k => u * u * u * p0[k] + 3 * u * u * t * c1[k] + 3 * u * t * t * c2[k] + t * t * t * p3[k]));
+        }
+        lastCtrl = c2;
+      } else if (C === "Q" || C === "T") {
+        const a = C === "Q" ? [read(NUM), read(NUM)] : null;
+        const e = [read(NUM), read(NUM)];
+        if (e[1] === null) break;
+        const p0 = pos;
+        const c1 = a ? pt(...a) : lastCtrl && /[QT]/.test(lastCmd) ? [2 * p0[0] - lastCtrl[0], 2 * p0[1] - lastCtrl[1]] : p0;
+        const p2 = pt(...e);
+        for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+          const t = s / CURVE_SEGMENTS, u = 1 - t;
+          to([0, 1].map(k => u * u * p0[k] + 2 * u * t * c1[k] + t * t * p2[k]));
+        }
+        lastCtrl = c1;
+      } else if (C === "A") {
+        let rx = read(NUM), ry = read(NUM);
+        const rot = read(NUM), large = read(FLAG), sweep = read(FLAG);
+        const e = [read(NUM), read(NUM)];
+        if (e[1] === null || sweep === null) break;
+        const p1 = pt(...e);
+        svgArc(pos, p1, Math.abs(rx), Math.abs(ry), rot, large, sweep).forEach(to);
+        lastCtrl = null;
+      }
+      lastCmd = C;
+      first = false;
+    } while (more());
+    lastCmd = C;
+  }
+  if (cur && cur.points.length > 1) out.push(cur);
+  return out;
+}
+
+// endpoint arc -> points (SVG spec, "conversion from endpoint to center parameterization")
+function svgArc(p0, p1, rx, ry, rotDeg, large, sweep) {
+  if (!rx || !ry) return [p1];
+  const phi = (rotDeg * Math.PI) / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (p0[0] - p1[0]) / 2, dy = (p0[1] - p1[1]) / 2;
+  const x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+  const l = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (l > 1) { rx *= Math.sqrt(l); ry *= Math.sqrt(l); }
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const k = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+  const cxp = (k * rx * y1) / ry, cyp = (-k * ry * x1) / rx;
+  const cx = cos * cxp - sin * cyp + (p0[0] + p1[0]) / 2, cy = sin * cxp + cos * cyp + (p0[1] + p1[1]) / 2;
+  const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const a0 = ang(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+  let da = ang((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+  if (!sweep && da > 0) da -= 2 * Math.PI;
+  if (sweep && da < 0) da += 2 * Math.PI;
+  const pts = arcPoints(cx, cy, rx, ry, a0, da, phi);
+  pts[pts.length - 1] = p1;
+  return pts;
+}
+
+const SVG_UNITS_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96, "": 25.4 / 96 };
+const SKIPPED = /^(defs|clipPath|mask|symbol|marker|pattern|metadata|title|desc|style|text)$/i;
+
+function attrsOf(s) {
+  const a = {};
+  for (const [, k, v1, v2] of s.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) a[k] = v1 ?? v2;
+  return a;
+}
+
+// -> { contours: [{ points, closed }] in mm, notes }
+export function parseSvg(text) {
+  const notes = [];
+  const contours = [];
+  const src = String(text).replace(/<!--[\s\S]*?-->/g, "").replace(/<\?[\s\S]*?\?>/g, "").replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "");
+  const stack = [];
+  let m = null; // user units -> mm
+  let skip = 0;
+  const add = (pts, closed, tf) => { if (pts.length > 1) contours.push({ points: pts.map(p => apply(tf, p)), closed }); };
+
+  for (const [, close, tag, rawAttrs, selfClose] of src.matchAll(/<(\/?)([A-Za-z][\w:.-]*)([^>]*?)(\/?)>/g)) {
+    const name = tag.replace(/^svg:/, "");
+    if (close) {
+      if (skip) { if (SKIPPED.test(name)) skip--; continue; }
+      stack.pop();
+      continue;
+    }
+    if (skip || SKIPPED.test(name)) { if (!selfClose) skip++; continue; }
+    const a = attrsOf(rawAttrs);
+    const parent = stack.length ? stack[stack.length - 1] : IDENTITY;
+    let tf = mul(parent, parseTransform(a.transform));
+    if (name === "svg" && m === null) {
+      // the root maps user units to mm through width/height and the viewBox
+      const vb = nums(a.viewBox);
+      const size = (v) => { const u = String(v || "").match(/^\s*([\d.]+)\s*(mm|cm|in|pt|pc|px)?\s*$/); return u ? Number(u[1]) * SVG_UNITS_MM[u[2] || ""] : null; };
+      const w = size(a.width), h = size(a.height);
+      let sx = 25.4 / 96, sy = sx, ox = 0, oy = 0;
+      if (vb.length === 4 && vb[2] > 0 && vb[3] > 0) {
+        sx = w ? w / vb[2] : sx;
+        sy = h ? h / vb[3] : w ? sx : sy;
+        ox = -vb[0]; oy = -vb[1];
+      }
+      if (!w && !h) notes.push("The SVG has no physical size; 96 px per inch is assumed");
+      m = [sx, 0, 0, sy, ox * sx, oy * sy];
+      tf = mul(m, parseTransform(a.transform));
+    }
+    if (!selfClose) stack.push(tf);
+    const n = (k) => Number(a[k]) || 0;
+    switch (name) {
+      case "path": parsePathData(a.d).forEach(c => add(c.points, c.closed, tf)); break;
+      case "polyline":
+      case "polygon": {
+        const v = nums(a.points);
+        const pts = [];
+        for (let k = 0; k + 1 < v.length; k += 2) pts.push([v[k], v[k + 1]]);
+        add(pts, name === "polygon", tf);
+        break;
+      }
+      case "line": add([[n("x1"), n("y1")], [n("x2"), n("y2")]], false, tf); break;
+      case "rect": {
+        const x = n("x"), y = n("y"), w = n("width"), h = n("height");
+        if (w > 0 && h > 0) add([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], true, tf);
+        if (a.rx || a.ry) notes.push("Rounded rectangle corners are cut square");
+        break;
+      }
+      case "circle":
+      case "ellipse": {
+        const rx = name === "circle" ? n("r") : n("rx"), ry = name === "circle" ? n("r") : n("ry");
+        if (rx > 0 && ry > 0) add(arcPoints(n("cx"), n("cy"), rx, ry, 0, 2 * Math.PI).slice(0, -1), true, tf);
+        break;
+      }
+      case "use": notes.push("<use> references are not followed"); break;
+      default: break;
+    }
+  }
+  // SVG's y axis points down; the machine's points up
+  contours.forEach(c => { c.points = c.points.map(([x, y]) => [x, -y]); });
+  return { contours, notes: Array.from(new Set(notes)) };
+}
+
+/* ---- DXF ---- */
+const DXF_UNITS_MM = { 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000 };
+
+// bulge between two LWPOLYLINE vertices -> the arc points after `a`
+function bulgePoints(a, b, bulge) {
+  if (!bulge) return [b];
+  const theta = 4 * Math.atan(bulge);
+  const dx = b[0] - a[0], dy = b[1] - a[1], chord = Math.hypot(dx, dy);
+  if (!chord) return [b];
+  const r = chord / (2 * Math.sin(theta / 2));
+  const mx = (a[0] + b[0]) / 2, my = (a[1] + b[1]) / 2;
+  const h = r * Math.cos(theta / 2); // centre distance from the chord, signed with r
+  const cx = mx - (h * dy) / chord, cy = my + (h * dx) / chord;
+  const a0 = Math.atan2(a[1] - cy, a[0] - cx);
+  const pts = arcPoints(cx, cy, Math.abs(r), Math.abs(r), a0, theta);
+  pts[pts.length - 1] = b;
+  return pts;
+}
+
+// de Boor evaluation of a (possibly rational) B-spline
+function splinePoints(degree, knots, ctrl, weights) {
+  const n = ctrl.length;
+  if (n < 2 || knots.length !== n + degree + 1) return ctrl;
+  const lo = knots[degree], hi = knots[n];
+  const steps = Math.max(CURVE_SEGMENTS, (n - degree) * CURVE_SEGMENTS);
+  const pts = [];
+  for (let s = 0; s <= steps; s++) {
+    const t = Math.min(lo + ((hi - lo) * s) / steps, hi - 1e-12);
+    let k = degree;
+    while (k < n - 1 && t >= knots[k + 1]) k++;
+    const d = [];
+    for (let j = 0; j <= degree; j++) {
+      const p = ctrl[k - degree + j], w = weights[k - degree + j] ?? 1;
+      d.push([p[0] * w, p[1] * w, w]);
+    }
+    for (let r = 1; r <= degree; r++) {
+      for (let j = degree; j >= r; j--) {
+        const i = k - degree + j;
+        const den = knots[i + degree - r + 1] - knots[i];
+        const alpha = den ? (t - knots[i]) / den : 0;
+        d[j] = d[j].map((v, q) => (1 - alpha) * d[j - 1][q] + alpha * v);
+      }
+    }
+    pts.push([d[degree][0] / d[degree][2], d[degree][1] / d[degree][2]]);
+  }
+  return pts;
+}
+
+// -> { contours in mm, notes }
+export function parseDxf(text) {
+  const notes = [];
+  const lines = String(text).split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([Number(lines[i].trim()), lines[i + 1].trim()]);
+
+  let scale = null;
+  const ins = pairs.findIndex(([c, v]) => c === 9 && v === "$INSUNITS");
+  if (ins >= 0 && pairs[ins + 1]) scale = DXF_UNITS_MM[Number(pairs[ins + 1][1])] ?? null;
+  if (scale === null) notes.push("The DXF does not say its units; they are taken as the program's units");
+
+  // entities of the ENTITIES section only (blocks are only drawn through INSERT)
+  const entities = [];
+  let inEntities = false, cur = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 0 && value === "SECTION" && pairs[i + 1]?.[0] === 2) { inEntities = pairs[i + 1][1] === "ENTITIES"; continue; }
+    if (!inEntities) continue;
+    if (code === 0 && value === "ENDSEC") { inEntities = false; cur = null; continue; }
+    if (code === 0) { cur = { type: value, pairs: [] }; entities.push(cur); }
+    else if (cur) cur.pairs.push([code, value]);
+  }
+
+  const contours = [];
+  const skipped = new Set();
+  const get = (e, code, dflt = 0) => { const p = e.pairs.find(([c]) => c === code); return p ? Number(p[1]) : dflt; };
+  const all = (e, code) => e.pairs.filter(([c]) => c === code).map(([, v]) => Number(v));
+  for (let i = 0; i < entities.length; i++) {
+    const e = entities[i];
+    switch (e.type) {
+      case "LINE": contours.push({ points: [[get(e, 10), get(e, 20)], [get(e, 11), get(e, 21)]], closed: false }); break;
+      case "LWPOLYLINE": {
+        const verts = [];
+        e.pairs.forEach(([c, v]) => {
+          if (c === 10) verts.push({ p: [Number(v), 0], bulge: 0 });
+          else if (c === 20 && verts.length) verts[verts.length - 1].p[1] = Number(v);
+          else if (c === 42 && verts.length) verts[verts.length - 1].bulge = Number(v);
+        });
+        contours.push(polyFromVertices(verts, (get(e, 70) & 1) === 1));
+        break;
+      }
+      case "POLYLINE": {
+        const verts = [];
+        while (entities[i + 1] && entities[i + 1].type === "VERTEX") {
+          const v = entities[++i];
+          verts.push({ p: [get(v, 10), get(v, 20)], bulge: get(v, 42) });
+        }
+        contours.push(polyFromVertices(verts, (get(e, 70) & 1) === 1));
+        break;
+      }
+      case "CIRCLE": {
+        const r = get(e, 40);
+        if (r > 0) contours.push({ points: arcPoints(get(e, 10), get(e, 20), r, r, 0, 2 * Math.PI).slice(0, -1), closed: true });
+        break;
+      }
+      case "ARC": {
+        const r = get(e, 40), cx = get(e, 10), cy = get(e, 20);
+        const a0 = (get(e, 50) * Math.PI) / 180;
+        let sweep = (get(e, 51) * Math.PI) / 180 - a0;
+        while (sweep <= 0) sweep += 2 * Math.PI;
+        contours.push({ points: [[cx + r * Math.cos(a0), cy + r * Math.sin(a0)], ...arcPoints(cx, cy, r, r, a0, sweep)], closed: false });
+        break;
+      }
+      case "ELLIPSE": {
+        const cx = get(e, 10), cy = get(e, 20), mx = get(e, 11), my = get(e, 21);
+        const rx = Math.hypot(mx, my), ry = rx * get(e, 40, 1), rot = Math.atan2(my, mx);
+        const t0 = get(e, 41, 0);
+        let sweep = get(e, 42, 2 * Math.PI) - t0;
+        while (sweep <= 0) sweep += 2 * Math.PI;
+        const full = Math.abs(sweep - 2 * Math.PI) < 1e-6;
+        const first = arcPoints(cx, cy, rx, ry, t0, 1e-12, rot)[0];
+        const pts = arcPoints(cx, cy, rx, ry, t0, sweep, rot);
+        contours.push(full ? { points: pts.slice(0, -1), closed: true } : { points: [first, ...pts], closed: false });
+        break;
+      }
+      case "SPLINE": {
+        const xs = all(e, 10), ys = all(e, 20);
+        const ctrl = xs.map((x, k) => [x, ys[k] ?? 0]);
+        const fx = all(e, 11), fy = all(e, 21);
+        const pts = ctrl.length ? splinePoints(get(e, 71, 3), all(e, 40), ctrl, all(e, 41)) : fx.map((x, k) => [x, fy[k] ?? 0]);
+        contours.push({ points: pts, closed: (get(e, 70) & 1) === 1 });
+        break;
+      }
+      case "VERTEX": case "SEQEND": case "POINT": break;
+      default: skipped.add(e.type);
+    }
+  }
+  if (skipped.size) notes.push(`Skipped ${Array.from(skipped).join(", ")} entities`);
+  const k = scale ?? null;
+  return { contours: contours.filter(c => c.points.length > 1).map(c => (k ? { ...c, points: c.points.map(([x, y]) => [x * k, y * k]) } : c)), notes, unitless: k === null };
+}
+
+function polyFromVertices(verts, closed) {
+  const pts = verts.length ? [verts[0].p] : [];
+  for (let k = 1; k < verts.length; k++) pts.push(...bulgePoints(verts[k - 1].p, verts[k].p, verts[k - 1].bulge));
+  if (closed && verts.length > 1 && verts[verts.length - 1].bulge) {
+    pts.push(...bulgePoints(verts[verts.length - 1].p, verts[0].p, verts[verts.length - 1].bulge).slice(0, -1));
+  }
+  return { points: pts, closed };
+}
+
+/* ---- contours ---- */
+const near = (a, b, eps) => Math.abs(a[0] - b[0]) <= eps && Math.abs(a[1] - b[1]) <= eps;
+
+// Drawings often come as loose LINE/ARC pieces: join pieces that share end points and
+// close a chain that comes back to its start. Repeated points are dropped.
+export function joinContours(contours, eps = 1e-4) {
+  const clean = (pts) => pts.filter((p, k) => k === 0 || !near(p, pts[k - 1], eps));
+  const out = [];
+  const open = [];
+  contours.forEach(c => {
+    const pts = clean(c.points);
+    if (pts.length < 2) return;
+    if (c.closed) out.push({ points: near(pts[0], pts[pts.length - 1], eps) ? pts.slice(0, -1) : pts, closed: true });
+    else open.push(pts);
+  });
+  while (open.length) {
+    let chain = open.shift();
+    for (let k = 0; k < open.length; k++) {
+      const o = open[k];
+      const start = chain[0], end = chain[chain.length - 1];
+      if (near(end, o[0], eps)) chain = chain.concat(o.slice(1));
+      else if (near(end, o[o.length - 1], eps)) chain = chain.concat(o.slice(0, -1).reverse());
+      else if (near(start, o[o.length - 1], eps)) chain = o.slice(0, -1).concat(chain);
+      else if (near(start, o[0], eps)) chain = o.slice(1).reverse().concat(chain);
+      else continue;
+      open.splice(k, 1);
+      k = -1; // the chain grew: look at the rest again
+    }
+    if (chain.length > 3 && near(chain[0], chain[chain.length - 1], eps)) out.push({ points: chain.slice(0, -1), closed: true });
+    else out.push({ points: chain, closed: false });
+  }
+  return out;
+}
+
+const signedArea = (pts) => pts.reduce((s, p, k) => { const q = pts[(k + 1) % pts.length]; return s + p[0] * q[1] - q[0] * p[1]; }, 0) / 2;
+
+function inside(pt, pts) {
+  let hit = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [xi, yi] = pts[i], [xj, yj] = pts[j];
+    if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < ((xj - xi) * (pt[1] - yi)) / (yj - yi) + xi) hit = !hit;
+  }
+  return hit;
+}
+
+// Unit miter vectors for a closed contour, pointing away from the material: outward
+// for an outline, into the hole for a contour nested inside another one.
+function miters(pts, outward) {
+  const ccw = signedArea(pts) > 0;
+  const sign = (ccw ? 1 : -1) * (outward ? 1 : -1);
+  const normal = (a, b) => {
+    const dx = b[0] - a[0], dy = b[1] - a[1], l = Math.hypot(dx, dy) || 1;
+    return [(dy / l) * sign, (-dx / l) * sign]; // right-hand normal of a CCW contour points out
+  };
+  return pts.map((p, k) => {
+    const prev = pts[(k - 1 + pts.length) % pts.length], next = pts[(k + 1) % pts.length];
+    const n1 = normal(prev, p), n2 = normal(p, next);
+    let mx = n1[0] + n2[0], my = n1[1] + n2[1];
+    const ml = Math.hypot(mx, my);
+    if (ml < 1e-9) return n1;
+    mx /= ml; my /= ml;
+    const cos = mx * n1[0] + my * n1[1];
+    const len = Math.min(MAX_MITER, 1 / Math.max(cos, 1e-9));
+    return [mx * len, my * len];
+  });
+}
+
+// -> contours in program units, lower-left at 0,0, holes first, each with its miters
+export function prepareContours(contours, units) {
+  const k = 1 / MM_PER[units];
+  const joined = joinContours(contours.map(c => ({ ...c, points: c.points.map(([x, y]) => [x * k, y * k]) })), 1e-4);
+  const allPts = joined.flatMap(c => c.points);
+  if (!allPts.length) return { contours: [], width: 0, height: 0 };
+  const minX = Math.min(...allPts.map(p => p[0])), minY = Math.min(...allPts.map(p => p[1]));
+  const maxX = Math.max(...allPts.map(p => p[0])), maxY = Math.max(...allPts.map(p => p[1]));
+  const moved = joined.map(c => ({ ...c, points: c.points.map(([x, y]) => [x - minX, y - minY]) }));
+  moved.forEach(c => {
+    c.depth = c.closed ? moved.filter(o => o !== c && o.closed && inside(c.points[0], o.points)).length : 0;
+    c.miters = c.closed ? miters(c.points, c.depth % 2 === 0) : c.points.map(() => [0, 0]);
+  });
+  // cut the insides before the outlines that hold them
+  moved.sort((a, b) => b.depth - a.depth);
+  return { contours: moved, width: maxX - minX, height: maxY - minY };
+}
+
+const DEFAULTS = {
+  in: { depth: 0.25, pass: 0.125, feed: 1, safeZ: 0.25 },
+  mm: { depth: 6, pass: 3, feed: 25, safeZ: 6 },
+};
+
+// "1.25 + 0.7071 * &Offset + &Origin_X"
+function coord(v, m, axis) {
+  const parts = [String(round(v))];
+  const mr = round(m);
+  if (mr) parts.push(`${mr < 0 ? "- " : "+ "}${Math.abs(mr)} * &Offset`);
+  parts.push(`+ &Origin_${axis}`);
+  return parts.join(" ");
+}
+
+// the profile section for a parsed drawing
+export function profileSection(contours, { title, units = "in", source = "", notes = [] }) {
+  const { contours: cs, width, height } = prepareContours(contours, units);
+  if (!cs.length) throw new Error(`No outlines were found in ${source || "the file"}`);
+  const d = DEFAULTS[units];
+  // labels are program-wide in openSBP, so they carry the section's name
+  const tag = sectionSlug(title).replace(/[^a-z0-9]/g, "_").replace(/^(\d)/, "_$1").toUpperCase();
+  const points = cs.reduce((s, c) => s + c.points.length, 0);
+  const out = [
+    `' #${title}`,
+    `' Profile of ${source || "an imported drawing"}: ${cs.length} contour(s), ${round(width)} x ${round(height)} ${units}`,
+    ...notes.map(n => `' Note: ${n}`),
+    `' @group "Cut" &Depth &PassDepth &Feed &Offset`,
+    `' @group "Placement" &Origin &SafeZ`,
+    `' @input &Depth type=length default=${d.depth} min=0 label="Cut depth"`,
+    `' @input &PassDepth type=length default=${d.pass} min=0.01 label="Depth per pass"`,
+    `' @input &Feed type=number default=${d.feed} min=0.01 label="Feed (${units}/sec)"`,
+    `' @input &Offset type=length default=0 label="Tool offset" help="Usually the tool radius: positive cuts outside outlines and inside holes, negative the other way"`,
+    `' @input &Origin type=point default=0,0 label="Position (X,Y)" help="Where the drawing's lower-left corner goes"`,
+    `' @input &SafeZ type=length default=${d.safeZ} min=0 label="Safe Z"`,
+    `' @internal &Cut`,
+    "SA",
+    "MS, &Feed, &Feed / 2",
+    "JZ, &SafeZ",
+    "&Cut = 0",
+    `${tag}_PASS:`,
+    "&Cut = &Cut + &PassDepth",
+    `IF &Cut < &Depth THEN GOTO ${tag}_CUT`,
+    "&Cut = &Depth",
+    `${tag}_CUT:`,
+  ];
+  cs.forEach((c, n) => {
+    const kind = !c.closed ? "open, cut on the line" : c.depth % 2 ? "hole" : "outline";
+    out.push(`' contour ${n + 1} (${kind}, ${c.points.length} points)`);
+    const at = (k) => `${coord(c.points[k][0], c.miters[k][0], "X")}, ${coord(c.points[k][1], c.miters[k][1], "Y")}`;
+    out.push(`J2, ${at(0)}`);
+    out.push("MZ, 0 - &Cut");
+    for (let k = 1; k < c.points.length; k++) out.push(`M2, ${at(k)}`);
+    if (c.closed) out.push(`M2, ${at(0)}`);
+    out.push("JZ, &SafeZ");
+  });
+  out.push(`IF &Cut < &Depth THEN GOTO ${tag}_PASS`, "");
+  return { text: out.join("\n"), contours: cs.length, points };
+}
+
+export const SHAPE_EXTENSIONS = [".svg", ".dxf"];
+
+// file text -> { text, notes } for a new section
+export function shapeToSbp(fileText, { title, units = "in", source = "", kind }) {
+  const isSvg = kind ? kind === "svg" : /<svg[\s>]/i.test(fileText);
+  const parsed = isSvg ? parseSvg(fileText) : parseDxf(fileText);
+  // a unit-less DXF is taken as drawn in the program's units
+  const contours = parsed.unitless ? parsed.contours.map(c => ({ ...c, points: c.points.map(([x, y]) => [x * MM_PER[units], y * MM_PER[units]]) })) : parsed.contours;
+  const res = profileSection(contours, { title, units, source, notes: parsed.notes });
+  return { text: res.text, notes: parsed.notes.map(message => ({ message })) };
+}
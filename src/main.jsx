@@ -1,6 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import App from './App'
+import App from './app'
+import { maybeInstallFabMoMock } from './fabmoMock'
+import { rememberRunnerChoice } from './runners'
+
+maybeInstallFabMoMock()
+rememberRunnerChoice()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -0,0 +1,104 @@
+import { coerceFieldValue, keyFor } from "./sbp";
+
+/* ---------------------- named presets (job recipes) ---------------------- */
+// Saved presets live on the program record:
+//   { id, name, scope: "section", section: "<title>", sectionId, values: { Var: value } }
+//   { id, name, scope: "program", values: { "<section id>": { Var: value } }, titles: { "<section id>": "<title>" } }
+// Presets match sections on the section id (stable across reordering, and across
+// renames when the header has an explicit id=) or, failing that, the title. Program
+// presets saved before they had `titles` are keyed by title alone.
+// Presets declared with ' @preset in the source are read-only and listed first.
+export const PRESETS_FORMAT = "fabmo-sbp-presets";
+
+const newId = () => `ps_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+// Everything the dropdown on a card offers: declared, saved for this section, whole-program.
+export function presetsForSection(sec, saved = []) {
+  return [
+    ...(sec.presets || []).map((p, i) => ({ id: `src:${i}`, name: p.name, source: "program", scope: "section", values: p.values })),
+    ...saved.filter(p => p.scope === "section" && (p.sectionId === sec.id || p.section === sec.title)).map(p => ({ ...p, source: "saved" })),
+    ...saved.filter(p => p.scope === "program").map(p => ({ ...p, source: "saved" })),
+  ];
+}
+
+function applyToSection(next, sec, vals) {
+  const byName = new Map(sec.fields.map(f => [f.name.toLowerCase(), f]));
+  Object.entries(vals || {}).forEach(([name, raw]) => {
+    const f = byName.get(name.toLowerCase());
+    if (f) next[keyFor(sec.id, f.name)] = coerceFieldValue(f, raw);
+  });
+}
+
+// A program preset's values for one section; a title only matches an id no section has now
+function programValuesFor(preset, sec, sectionModels) {
+  if (!preset.titles) return preset.values[sec.title];
+  if (preset.values[sec.id]) return preset.values[sec.id];
+  const id = Object.keys(preset.titles).find(k => preset.titles[k] === sec.title && !sectionModels.some(s => s.id === k));
+  return id ? preset.values[id] : undefined;
+}
+
+// Returns the new values map with the preset applied (section or whole program).
+export function applyPreset(values, preset, sec, sectionModels) {
+  const next = { ...values };
+  if (preset.scope === "program") {
+    sectionModels.forEach(s => applyToSection(next, s, programValuesFor(preset, s, sectionModels)));
+  } else {
+    applyToSection(next, sec, preset.values);
+  }
+  return next;
+}
+
+function captureSection(sec, values) {
+  const out = {};
+  sec.fields.forEach(f => { out[f.name] = values[keyFor(sec.id, f.name)]; });
+  return out;
+}
+
+export function makeSectionPreset(name, sec, values) {
+  return { id: newId(), name, scope: "section", section: sec.title, sectionId: sec.id, values: captureSection(sec, values) };
+}
+
+export function makeProgramPreset(name, sectionModels, values) {
+  const out = {}, titles = {};
+  sectionModels.forEach(s => { out[s.id] = captureSection(s, values); titles[s.id] = s.title; });
+  return { id: newId(), name, scope: "program", values: out, titles };
+}
+
+export function presetsToJson(presets, programName) {
+  return JSON.stringify({ format: PRESETS_FORMAT, version: 1, program: programName, presets }, null, 2);
+}
+
+// Accepts our export format or a bare array; fresh ids so imports never clash.
+export function parsePresetsJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list)) throw new Error("No presets found in this file.");
+  return normalizePresets(list);
+}
+
+// Well-formed saved presets from imported data (see parsePresetsJson, bundle.js)
+export function normalizePresets(list) {
+  return list
+    .filter(p => p && typeof p.name === "string" && p.values && typeof p.values === "object")
+    .map(p => ({
+      id: newId(),
+      name: p.name,
+      scope: p.scope === "program" ? "program" : "section",
+      ...(p.scope === "program"
+        ? (p.titles && typeof p.titles === "object" ? { titles: p.titles } : {})
+        : { section: String(p.section || ""), ...(p.sectionId ? { sectionId: String(p.sectionId) } : {}) }),
+      values: p.values,
+    }));
+}
+
+// Saved presets keep naming a variable after it is renamed in the code
+export function renamePresetVars(presets, from, to) {
+  const lower = from.toLowerCase();
+  const rename = (vals) => Object.fromEntries(Object.entries(vals).map(([k, v]) => [k.toLowerCase() === lower ? to : k, v]));
+  return presets.map(p => ({
+    ...p,
+    values: p.scope === "program"
+      ? Object.fromEntries(Object.entries(p.values).map(([title, vals]) => [title, rename(vals)]))
+      : rename(p.values),
+  }));
+}
@@ -0,0 +1,120 @@
+import { hasVal, keyFor, resolveSection } from "./sbp";
+
+/* ---------------------- run history (one record per section sent) ---------------------- */
+// { id, at, program, secId, title, kind: section | queue, values, resolved: [{ name, label, value }],
+//   code, result: running | finished | failed | aborted, error, finishedAt, auditId, overridden }
+// `values` are the raw form values of the section (and @global) so a run can be loaded
+// back into the form; `resolved` is what the preamble assigned, for people and exports.
+export const RUN_RESULTS = ["running", "finished", "failed", "aborted"];
+
+const newId = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+export function resolvedValuesFor(sec, values) {
+  const list = (s) => {
+    const r = resolveSection(s, values);
+    return s.fields.map(f => ({ name: f.name, label: f.label, value: r.fields[f.name].value }));
+  };
+  return [...(sec.globalSec ? list(sec.globalSec) : []), ...list(sec)];
+}
+
+export function makeRun(sec, values, code, { program, kind = "section", audit = null } = {}) {
+  const fields = [...(sec.globalSec ? sec.globalSec.fields.map(f => [sec.globalSec, f]) : []), ...sec.fields.map(f => [sec, f])];
+  return {
+    id: newId(),
+    at: Date.now(),
+    program,
+    secId: sec.id,
+    title: sec.title,
+    kind,
+    values: Object.fromEntries(fields.map(([s, f]) => [keyFor(s.id, f.name), values[keyFor(s.id, f.name)]]).filter(([, v]) => v !== undefined)),
+    resolved: resolvedValuesFor(sec, values),
+    code,
+    result: "running",
+    error: "",
+    finishedAt: null,
+    // the confirmation this run went out under (see useRunGate.js)
+    auditId: audit?.id || null,
+    overridden: Boolean(audit?.overridden),
+  };
+}
+
+const showValue = (v) => (typeof v === "boolean" ? (v ? "1" : "0") : hasVal(v) ? String(v) : "");
+
+// Free text matches program, section, result, error and any variable name or value.
+export function filterRuns(runs, { text = "", result = "" } = {}) {
+  const q = text.trim().toLowerCase();
+  return runs.filter(r => {
+    if (result && r.result !== result) return false;
+    if (!q) return true;
+    const hay = [r.program, r.title, r.result, r.error, ...r.resolved.map(v => `${v.name}=${showValue(v.value)}`)].join("\n").toLowerCase();
+    return hay.includes(q);
+  });
+}
+
+/* ---------------------- diff ---------------------- */
+// Variables that differ between two runs (missing on one side shows as undefined)
+export function diffValues(a, b) {
+  const va = new Map(a.resolved.map(v => [v.name, v]));
+  const vb = new Map(b.resolved.map(v => [v.name, v]));
+  const names = Array.from(new Set([...va.keys(), ...vb.keys()]));
+  return names
+    .map(name => ({ name, label: (va.get(name) || vb.get(name)).label, a: va.get(name)?.value, b: vb.get(name)?.value }))
+    .filter(d => showValue(d.a) !== showValue(d.b) || (d.a === undefined) !== (d.b === undefined));
+}
+
+// Line diff (LCS) of the code sent: [{ op: " " | "-" | "+", text }]. The common head and
+// tail are matched first; very long middles are shown as removed + added.
+export function diffLines(a, b) {
+  const x = a.split(/\r?\n/), y = b.split(/\r?\n/);
+  let head = 0;
+  while (head < x.length && head < y.length && x[head] === y[head]) head++;
+  let tail = 0;
+  while (tail < x.length - head && tail < y.length - head && x[x.length - 1 - tail] === y[y.length - 1 - tail]) tail++;
+  const xs = x.slice(head, x.length - tail), ys = y.slice(head, y.length - tail);
+  const same = (lines) => lines.map(text => ({ op: " ", text }));
+
+  const mid = [];
+  const n = xs.length, m = ys.length;
+  if (n * m > 4e6) {
+    xs.forEach(text => mid.push({ op: "-", text }));
+    ys.forEach(text => mid.push({ op: "+", text }));
+  } else {
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) lcs[i][j] = xs[i] === ys[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (xs[i] === ys[j]) { mid.push({ op: " ", text: xs[i] }); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) mid.push({ op: "-", text: xs[i++] });
+      else mid.push({ op: "+", text: ys[j++] });
+    }
+    while (i < n) mid.push({ op: "-", text: xs[i++] });
+    while (j < m) mid.push({ op: "+", text: ys[j++] });
+  }
+  return [...same(x.slice(0, head)), ...mid, ...same(x.slice(x.length - tail))];
+}
+
+/* ---------------------- export ---------------------- */
+export function runsToJson(runs) {
+  return JSON.stringify({ kind: "fabmo-app-maker/run-history", exportedAt: new Date().toISOString(), runs }, null, 2);
+}
+
+const csvCell = (v) => {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// One row per run, one column per variable name seen in any of the runs
+export function runsToCsv(runs) {
+  const names = Array.from(new Set(runs.flatMap(r => r.resolved.map(v => v.name))));
+  const head = ["time", "program", "section", "result", "error", "overridden", ...names.map(n => `&${n}`), "code"];
+  const rows = runs.map(r => {
+    const byName = new Map(r.resolved.map(v => [v.name, v.value]));
+    return [
+      new Date(r.at).toISOString(), r.program, r.title, r.result, r.error, r.overridden ? "yes" : "",
+      ...names.map(n => showValue(byName.get(n))), r.code,
+    ];
+  });
+  return [head, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n");
+}
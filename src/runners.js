@@ -0,0 +1,221 @@
+import { createSimulator } from "./sbpSimulator";
+import { t } from "./i18n";
+
+/* ---------------------- runner backends ---------------------- */
+// A runner is where "Run" sends a program. Every backend has the same async surface:
+//   run(code)          submit; resolves with a short message once accepted
+//   getConfigVars()    persistent ($) variables, as FabMo's opensbp.variables
+//   setConfigVars(v)   write some of them back ({ Name: value }), e.g. to reset progress
+//   getStatus()        a FabMo-shaped status report ({ state, line, posx, ... })
+//   command(name, answer)  "pause" | "resume" | "stop"; resume may carry the answer to
+//                      a DIALOG/INPUT the status asks for (info.input, simulator only)
+//   subscribe(fn)      optional push updates; returns an unsubscribe function
+//   getTools()         tool library for type=tool fields: [{ number, name, diameter? }]
+//   getLocale()        the machine's UI language ("es", "de-DE", ...) or null
+// fabmo.js talks to whichever one is selected.
+const LS_RUNNER_KEY = "fabmo_appmaker_runner";
+const LS_HTTP_BASE_KEY = "fabmo_runner_http";
+export const DEFAULT_HTTP_BASE = "/api/fabmo";
+
+// Accepts [{ number, name, diameter }] or { "1": { name, diameter } | "name" }, sorted by number.
+export function normalizeTools(raw) {
+  if (!raw || typeof raw !== "object") return [];
+  const list = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw).map(([number, tool]) => (typeof tool === "object" ? { number, ...tool } : { number, name: String(tool) }));
+  return list
+    .map(tool => ({ number: Number(tool.number ?? tool.id ?? tool.tool), name: String(tool.name ?? tool.description ?? ""), diameter: tool.diameter !== undefined ? Number(tool.diameter) : undefined }))
+    .filter(tool => Number.isFinite(tool.number))
+    .sort((a, b) => a.number - b.number);
+}
+
+// A small demo library so tool fields can be tried without a machine
+const SIMULATOR_TOOLS = [
+  { number: 1, name: "1/4\" up-cut end mill", diameter: 0.25 },
+  { number: 2, name: "1/8\" down-cut end mill", diameter: 0.125 },
+  { number: 3, name: "60° V-bit", diameter: 0.5 },
+  { number: 4, name: "1/2\" ball nose", diameter: 0.5 },
+];
+
+// where a FabMo config keeps the dashboard language
+const localeOf = (config) => config?.engine?.language || config?.machine?.language || config?.language || null;
+
+const hasDashboard = () => typeof window !== "undefined" && !!window.fabmo?.runSBP;
+
+const callback = (fn, ...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, data) => (err ? reject(err) : resolve(data)));
+});
+
+// The FabMo dashboard API (window.fabmo) inside a FabMo app.
+const fabmoRunner = {
+  id: "fabmo",
+  label: "FabMo",
+  available: hasDashboard,
+  run: (code) => callback(window.fabmo.runSBP.bind(window.fabmo), code),
+  async getConfigVars() {
+    if (!window.fabmo?.getConfig) return {};
+    try {
+      const data = await callback(window.fabmo.getConfig.bind(window.fabmo));
+      return (data && data.opensbp && data.opensbp.variables) || {};
+    } catch (err) {
+      console.error("FabMo getConfig error:", err);
+      return {};
+    }
+  },
+  async setConfigVars(vars) {
+    if (!window.fabmo?.setConfig) throw new Error(t("runner.noSetConfig"));
+    await callback(window.fabmo.setConfig.bind(window.fabmo), { opensbp: { variables: vars } });
+  },
+  // the library is read from the config when the machine has one
+  async getTools() {
+    if (!window.fabmo?.getConfig) return [];
+    try {
+      const data = await callback(window.fabmo.getConfig.bind(window.fabmo));
+      return normalizeTools(data?.tools || data?.opensbp?.tools || data?.machine?.tools);
+    } catch {
+      return [];
+    }
+  },
+  async getLocale() {
+    if (!window.fabmo?.getConfig) return null;
+    try {
+      return localeOf(await callback(window.fabmo.getConfig.bind(window.fabmo)));
+    } catch {
+      return null;
+    }
+  },
+  getStatus: () => (window.fabmo?.requestStatus ? callback(window.fabmo.requestStatus.bind(window.fabmo)).then(s => s || {}) : Promise.resolve({ state: "idle" })),
+  command: (name) => (window.fabmo?.[name] ? new Promise((resolve) => window.fabmo[name](() => resolve())) : Promise.resolve()),
+  subscribe(onStatus) {
+    if (!window.fabmo?.on) return null;
+    window.fabmo.on("status", onStatus);
+    return () => window.fabmo.off?.("status", onStatus);
+  },
+};
+
+// A server that speaks plain HTTP: POST <base>/run-sbp (text body), GET <base>/status,
+// GET|POST <base>/config (variables), GET <base>/tools, POST <base>/pause|resume|stop.
+export function getHttpBase() {
+  try { return window.localStorage.getItem(LS_HTTP_BASE_KEY) || DEFAULT_HTTP_BASE; } catch { return DEFAULT_HTTP_BASE; }
+}
+export function setHttpBase(base) {
+  try { window.localStorage.setItem(LS_HTTP_BASE_KEY, String(base || "").replace(/\/+$/, "") || DEFAULT_HTTP_BASE); } catch {}
+  notify();
+}
+
+const httpRunner = {
+  id: "http",
+  label: "HTTP endpoint",
+  available: () => true,
+  async run(code) {
+    const res = await fetch(`${getHttpBase()}/run-sbp`, { method: "POST", headers: { "Content-Type": "text/plain" }, body: code });
+    if (!res.ok) throw new Error(t("runner.runFailed", { status: res.status }));
+    return await res.text();
+  },
+  async getConfigVars() {
+    try {
+      const res = await fetch(`${getHttpBase()}/config`);
+      if (res.ok) {
+        const data = await res.json();
+        return data?.opensbp?.variables || data?.variables || {};
+      }
+    } catch {}
+    return {};
+  },
+  async setConfigVars(vars) {
+    const res = await fetch(`${getHttpBase()}/config`, {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ opensbp: { variables: vars } }),
+    });
+    if (!res.ok) throw new Error(t("runner.varsFailed", { status: res.status }));
+  },
+  async getTools() {
+    try {
+      const res = await fetch(`${getHttpBase()}/tools`);
+      if (res.ok) return normalizeTools(await res.json());
+    } catch {}
+    return [];
+  },
+  async getLocale() {
+    try {
+      const res = await fetch(`${getHttpBase()}/config`);
+      if (res.ok) return localeOf(await res.json());
+    } catch {}
+    return null;
+  },
+  // without a status endpoint there is no way to know, so report "idle"
+  async getStatus() {
+    try {
+      const res = await fetch(`${getHttpBase()}/status`);
+      if (res.ok) return await res.json();
+    } catch {}
+    return { state: "idle" };
+  },
+  command: (name) => fetch(`${getHttpBase()}/${name}`, { method: "POST" }).then(() => {}, () => {}),
+  subscribe: () => null,
+};
+
+// Built in: runs the program in the page (see sbpSimulator.js). Created on first use.
+let simulator = null;
+export function getSimulator() {
+  if (!simulator) simulator = createSimulator();
+  return simulator;
+}
+
+const simulatorRunner = {
+  id: "simulator",
+  label: "Simulator",
+  available: () => true,
+  run: (code) => getSimulator().run(code),
+  getConfigVars: async () => getSimulator().getConfigVars(),
+  setConfigVars: async (vars) => Object.entries(vars).forEach(([k, v]) => getSimulator().setVariable(k, v)),
+  getStatus: async () => getSimulator().getStatus(),
+  getTools: async () => SIMULATOR_TOOLS,
+  getLocale: async () => null,
+  command: async (name, answer) => getSimulator().command(name, answer),
+  subscribe: (onStatus) => getSimulator().subscribe(onStatus),
+};
+
+export const RUNNERS = [fabmoRunner, httpRunner, simulatorRunner];
+export const AUTO_RUNNER = "auto";
+
+/* ---------------------- selection ---------------------- */
+// "auto" (the default) is the dashboard inside FabMo and the HTTP endpoint elsewhere.
+// ?runner=simulator in the URL overrides the saved choice for that page. The choice is
+// only saved and read by pages that call rememberRunnerChoice() (App Maker): FabMo
+// serves every app from one origin, so an exported app must not pick up the simulator
+// an author chose while testing.
+const listeners = new Set();
+let remember = false;
+function notify() { listeners.forEach(fn => fn()); }
+
+export function onRunnerChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function rememberRunnerChoice() {
+  remember = true;
+  notify();
+}
+
+export function getRunnerChoice() {
+  if (typeof window === "undefined") return AUTO_RUNNER;
+  const fromUrl = new URLSearchParams(window.location.search).get("runner");
+  if (fromUrl && RUNNERS.some(r => r.id === fromUrl)) return fromUrl;
+  if (!remember) return AUTO_RUNNER;
+  try { return window.localStorage.getItem(LS_RUNNER_KEY) || AUTO_RUNNER; } catch { return AUTO_RUNNER; }
+}
+
+export function setRunnerChoice(id) {
+  if (remember) {
+    try { window.localStorage.setItem(LS_RUNNER_KEY, id); } catch {}
+  }
+  notify();
+}
+
+export function activeRunner() {
+  const choice = getRunnerChoice();
+  const picked = RUNNERS.find(r => r.id === choice);
+  if (picked && picked.available()) return picked;
+  return hasDashboard() ? fabmoRunner : httpRunner;
+}
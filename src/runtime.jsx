@@ -0,0 +1,106 @@
+import React, { useEffect, useMemo, useState } from "react";
+import ReactDOM from "react-dom/client";
+import "../style.css";
+import SectionCard from "./SectionCard";
+import RunQueuePanel from "./RunQueuePanel";
+import RunConfirmDialog from "./RunConfirmDialog";
+import RunHistoryPanel from "./RunHistoryPanel";
+import LocalePicker from "./LocalePicker";
+import useProgram from "./useProgram";
+import useOperatorMode from "./useOperatorMode";
+import { deriveTitleFromCode } from "./sbp";
+import { presetsForSection, applyPreset } from "./presets";
+import { maybeInstallFabMoMock } from "./fabmoMock";
+import { LS_VALS_KEY, loadLS, saveLS, getMeta, getProgram } from "./storage";
+
+/* ---------------------- program source ---------------------- */
+// Exported apps carry their program in <script id="sbp-program" type="application/json">.
+// Without one (runtime.html opened straight from App Maker) preview the workspace's
+// active program.
+async function readProgram() {
+  const el = document.getElementById("sbp-program");
+  if (el) {
+    try { return JSON.parse(el.textContent); }
+    catch (err) { console.error("Invalid embedded program:", err); }
+  }
+  try {
+    const p = await getProgram(await getMeta("activeId"));
+    if (p) return { id: `preview_${p.id}`, title: deriveTitleFromCode(p.code) || p.name, code: p.code, values: p.values, presets: p.presets };
+  } catch (err) {
+    console.error("Could not read the workspace:", err);
+  }
+  return { id: "", title: "", code: "", values: {} };
+}
+
+// Values persist per app in localStorage; `initial` seeds the first visit.
+function useStoredValues(key, initial) {
+  const [values, setValues] = useState(() => loadLS(key, initial || {}));
+  useEffect(() => saveLS(key, values), [key, values]);
+  return [values, setValues];
+}
+
+/* ====================== Runtime Component ====================== */
+function FabMoSBPRuntime({ program }) {
+  const valsKey = program.id ? `${LS_VALS_KEY}::${program.id}` : LS_VALS_KEY;
+  const [values, setValues] = useStoredValues(valsKey, program.values);
+  const {
+    sectionModels,
+    isSectionComplete, blockersFor, resetProgress, buildPreambleForSection, buildRunCode, runSection, running, runMsg, queue,
+    activeSecId, machine, machineControls, tools, gate, history, rerun,
+  } = useProgram(program.code, values, setValues);
+  const runnableSections = useMemo(() => sectionModels.filter((s) => !s.global), [sectionModels]);
+  // no editor to protect here: operator mode only switches to the touch layout
+  const operator = useOperatorMode(program.code, { programKey: program.id, lockable: false });
+
+  useEffect(() => { document.title = program.title || "FabMo openSBP App"; }, [program.title]);
+
+  return (
+    <div className={`${operator.active ? "operator " : ""}max-w-7xl mx-auto p-4 space-y-4`}>
+      <header className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold" style={{ color: "black" }}>
+          {program.title || "FabMo openSBP App"}
+        </h1>
+        <LocalePicker />
+      </header>
+
+      <RunQueuePanel sections={runnableSections} queue={queue} onResetProgress={resetProgress} />
+      <RunHistoryPanel history={history} onRerun={rerun} busy={running} />
+
+      <div className="space-y-6">
+        {sectionModels.map((sec) => (
+          <SectionCard
+            key={sec.id}
+            sec={sec}
+            values={values}
+            setValues={setValues}
+            running={running}
+            runSection={runSection}
+            buildPreambleForSection={buildPreambleForSection}
+            buildRunCode={buildRunCode}
+            isSectionComplete={isSectionComplete}
+            tools={tools}
+            machine={sec.id === activeSecId ? machine : null}
+            machineControls={sec.id === activeSecId ? machineControls : undefined}
+            presets={presetsForSection(sec, program.presets || [])}
+            onApplyPreset={(p) => setValues((v) => applyPreset(v, p, sec, sectionModels))}
+            keypad={operator.active}
+            blockers={blockersFor(sec)}
+            onResetProgress={() => resetProgress([sec])}
+          />
+        ))}
+      </div>
+
+      {runMsg && <div className="text-sm text-gray-700">{runMsg}</div>}
+      <RunConfirmDialog gate={gate} />
+    </div>
+  );
+}
+
+maybeInstallFabMoMock();
+readProgram().then((program) => {
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <FabMoSBPRuntime program={program} />
+    </React.StrictMode>
+  );
+});
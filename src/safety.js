@@ -0,0 +1,136 @@
+import { interpretToolpath } from "./sbpToolpath";
+import { checkRunnable, hasVal, keyFor, resolveSection } from "./sbp";
+import { formatNumber, t } from "./i18n";
+
+/* ---------------------- safety limits + pre-run checklist ---------------------- */
+//   ' @limit depth=0.75 feed=4 envelope=0,0,24,18 tool=2 spindle=18000
+//   ' @check "Dust collector on"
+// @limit attributes are maxima (depth below Z0, MS feed), the X/Y work envelope
+// (xmin,ymin,xmax,ymax), the tool a section needs and the spindle RPM it expects.
+// Lines in the @global section apply to every section; a section's own lines add
+// items and override limits. Checks run on the exact code that would be sent.
+const LIMIT_REGEX = /^\s*[';]\s*@limit\b([^\r\n]*)/gmi;
+const CHECK_REGEX = /^\s*[';]\s*@check[ \t]+("[^"\r\n]*"|'[^'\r\n]*'|[^\r\n]+?)\s*$/gmi;
+const LIMIT_ATTR = /(\w+)=("[^"]*"|'[^']*'|\S+)/g;
+export const LIMIT_ATTRS = ["depth", "feed", "envelope", "tool", "spindle"];
+
+const unquote = (v) => v.replace(/^(["'])(.*)\1$/, "$2");
+
+export function parseSafetyIn(text) {
+  const limits = {};
+  const checks = [];
+  let m;
+  LIMIT_REGEX.lastIndex = 0;
+  while ((m = LIMIT_REGEX.exec(text))) {
+    let a;
+    LIMIT_ATTR.lastIndex = 0;
+    while ((a = LIMIT_ATTR.exec(m[1]))) {
+      // a malformed value (flagged by the diagnostics) must not replace a good one
+      const key = a[1].toLowerCase(), value = unquote(a[2]);
+      if (key === "envelope" ? parseEnvelope(value) : LIMIT_ATTRS.includes(key) && Number.isFinite(Number(value))) limits[key] = value;
+    }
+  }
+  CHECK_REGEX.lastIndex = 0;
+  while ((m = CHECK_REGEX.exec(text))) {
+    const label = unquote(m[1].trim());
+    if (label) checks.push(label);
+  }
+  return { limits, checks };
+}
+
+// "0,0,24,18" -> { xmin, ymin, xmax, ymax } (null if it is not four numbers)
+export function parseEnvelope(v) {
+  const n = String(v || "").split(/\s*,\s*/).map(Number);
+  if (n.length !== 4 || n.some(x => !Number.isFinite(x))) return null;
+  return { xmin: Math.min(n[0], n[2]), ymin: Math.min(n[1], n[3]), xmax: Math.max(n[0], n[2]), ymax: Math.max(n[1], n[3]) };
+}
+
+export function safetyFor(sec) {
+  const shared = sec.globalSec ? parseSafetyIn(sec.globalSec.text) : { limits: {}, checks: [] };
+  const own = parseSafetyIn(sec.text);
+  return {
+    limits: { ...shared.limits, ...own.limits },
+    checks: Array.from(new Set([...shared.checks, ...own.checks])),
+  };
+}
+
+const fmt = (n) => formatNumber(n, { digits: 3 });
+
+// Everything the confirmation dialog shows for one section:
+//   { secId, title, params: [{ label, value }], path, checklist: [label],
+//     violations: [message], warnings: [message], invalid: [label] }
+export function checkSection(sec, values, runCode, tools = []) {
+  const { limits, checks } = safetyFor(sec);
+  const path = interpretToolpath(runCode);
+  const violations = [];
+  const warnings = [];
+
+  const depth = Number(limits.depth);
+  if (limits.depth !== undefined && path.maxDepth > depth + 1e-9) {
+    violations.push(t("safety.depth", { depth: fmt(path.maxDepth), limit: fmt(depth) }));
+  }
+  const feed = Number(limits.feed);
+  if (limits.feed !== undefined && path.maxFeed !== null && path.maxFeed > feed + 1e-9) {
+    violations.push(t("safety.feed", { feed: fmt(path.maxFeed), limit: fmt(feed) }));
+  }
+  const env = parseEnvelope(limits.envelope);
+  if (env && path.bbox) {
+    const { min, max } = path.bbox;
+    if (min.x < env.xmin - 1e-9 || min.y < env.ymin - 1e-9 || max.x > env.xmax + 1e-9 || max.y > env.ymax + 1e-9) {
+      violations.push(t("safety.envelope", {
+        x0: fmt(min.x), x1: fmt(max.x), y0: fmt(min.y), y1: fmt(max.y),
+        ex0: fmt(env.xmin), ex1: fmt(env.xmax), ey0: fmt(env.ymin), ey1: fmt(env.ymax),
+      }));
+    }
+  }
+
+  const checklist = [...checks];
+  if (limits.tool !== undefined) {
+    const need = Number(limits.tool);
+    const tool = tools.find(x => x.number === need);
+    checklist.push(t("safety.toolLoaded", { tool: `${limits.tool}${tool ? ` (${tool.name})` : ""}` }));
+    // a tool field holding a different tool is a mismatch, not just a reminder
+    const all = sec.globalSec ? [...sec.globalSec.fields.map(f => [sec.globalSec, f]), ...sec.fields.map(f => [sec, f])] : sec.fields.map(f => [sec, f]);
+    all.filter(([, f]) => f.type === "tool").forEach(([s, f]) => {
+      const v = values[keyFor(s.id, f.name)];
+      if (hasVal(v) && Number(v) !== need) violations.push(t("safety.toolField", { label: f.label, value: v, tool: limits.tool }));
+    });
+  }
+  if (limits.spindle !== undefined) {
+    checklist.push(t("safety.spindleSet", { rpm: limits.spindle }));
+    if (path.spindle !== null && path.spindle !== Number(limits.spindle)) {
+      violations.push(t("safety.spindle", { rpm: fmt(path.spindle), limit: limits.spindle }));
+    }
+  }
+
+  // motion the preview could not trace (an ON GOTO, an IF on a run-time value, a runaway
+  // loop) is unchecked, so it blocks like a broken limit until the operator overrides
+  const motionLimits = Object.keys(limits).some(k => k !== "tool");
+  if (motionLimits && path.unfollowed) violations.push(t("safety.unfollowed"));
+  // so do values only known at run time (a DIALOG, an empty field): the operator could
+  // type anything
+  if (motionLimits && path.notes.some(n => n.kind === "value")) violations.push(t("safety.runtimeValues"));
+
+  const params = [];
+  const addParams = (s) => {
+    const r = resolveSection(s, values);
+    s.fields.filter(f => r.fields[f.name].visible).forEach(f => {
+      const v = r.fields[f.name].value;
+      params.push({ label: f.label, value: hasVal(v) ? (typeof v === "boolean" ? t(v ? "value.yes" : "value.no") : String(v)) : t("value.asked") });
+    });
+  };
+  if (sec.globalSec) addParams(sec.globalSec);
+  addParams(sec);
+
+  return {
+    secId: sec.id,
+    title: sec.title,
+    params,
+    path: { bbox: path.bbox, maxDepth: path.maxDepth, time: path.time },
+    limits,
+    checklist,
+    violations,
+    warnings,
+    invalid: checkRunnable(sec, values).invalid.map(f => f.label),
+  };
+}
@@ -0,0 +1,711 @@
+import { evalExpr, isTruthy } from "./sbpExpr";
+import { stripComment } from "./sbpToolpath";
+import { UNIT_SYSTEMS, parseLength, parseAngle, parsePoint, formatPoint } from "./units";
+import { t } from "./i18n";
+
+/* ---------------------- parsing + inference ---------------------- */
+const VAR_REGEX = /&([A-Za-z][A-Za-z0-9_]*)/g;
+// allow ' @input …  OR  ; @input … (back-compat); attributes are optional and stay on
+// their line
+const DIRECTIVE_REGEX = /^[ \t]*[';][ \t]*@input[ \t]+(&[A-Za-z][A-Za-z0-9_]*)(?![A-Za-z0-9_])[ \t]*([^\r\n]*)/gmi;
+// key=value, key="quoted value", label.es='…'
+const DIRECTIVE_ATTR = /(\w+(?:\.[A-Za-z]{2,3}(?:-[A-Za-z0-9]+)?)?)=("[^"]*"|'[^']*'|\S+)/g;
+// section headers: "# Title" with optional leading comment marker
+const SECTION_HEADER = /^\s*(?:[';]\s*)?#\s*(.+?)\s*$/;
+const GLOBAL_HEADER = /^@global\b(.*)$/i;
+// optional stable id at the end of a header: "# Pocket cut id=pocket"
+const SECTION_ID = /(?:^|\s+)id=([A-Za-z0-9_-]+)$/;
+// ' @checkmark $Done   ' @checkmark all $CutA $CutB   ' @checkmark $PassCount >= &Passes
+// (a bare name may also be written VarName or &VarName; it is the $ variable either way)
+const CHECKMARK_REGEX = /^\s*[';]\s*@checkmark\b[ \t]*([^\r\n]*)$/gmi;
+const CHECKMARK_VAR = /^&?\$?([A-Za-z][A-Za-z0-9_]*)$/;
+// ' @requires circle   ' @requires "Rough cut"   (sections that must be complete first)
+const REQUIRES_REGEX = /^\s*[';]\s*@requires\b([^\r\n]*)/gmi;
+// ' @preset "Oak 3/4in" &Depth=0.75 &FeedRate=2   (name may be bare if it has no spaces)
+const PRESET_REGEX = /^\s*[';]\s*@preset[ \t]+("[^"\r\n]*"|'[^'\r\n]*'|[^\s&]+)([^\r\n]*)/gmi;
+const PRESET_ASSIGN = /&?([A-Za-z][A-Za-z0-9_]*)=("[^"]*"|'[^']*'|\S+)/g;
+// ' @units mm   (the job's unit system for length/point fields; inches otherwise)
+const UNITS_REGEX = /^\s*[';]\s*@units\s+(\S+)/mi;
+// ' @mode operator pin=2468   (open the program in the touch operator view, see useOperatorMode.js)
+const MODE_REGEX = /^\s*[';]\s*@mode\s+(\S+)([^\r\n]*)/mi;
+// form layout: ' @order &A &B   ' @group "Size" columns=2 &W &H   ' @internal &i   ' @columns 2
+const ORDER_REGEX = /^\s*[';]\s*@order\b([^\r\n]*)/gmi;
+const GROUP_REGEX = /^\s*[';]\s*@group[ \t]+("[^"\r\n]*"|'[^'\r\n]*'|[^\s&]+)([^\r\n]*)/gmi;
+const INTERNAL_REGEX = /^\s*[';]\s*@internal\b([^\r\n]*)/gmi;
+const COLUMNS_REGEX = /^\s*[';]\s*@columns\s+(\d+)/mi;
+// directive lines that name variables without making fields of them
+const NON_FIELD_LINES = /^\s*[';]\s*@(preset|order|group|internal)\b.*$/gmi;
+
+// Attributes and types understood by ' @input (checked by sbpDiagnostics.js)
+export const INPUT_ATTRS = [
+  "type", "label", "default", "min", "max", "step", "options", "prompt", "placeholder", "showIf", "enableIf", "units",
+  "help", "tooltip", "hidden",
+];
+// Texts with per-language variants: label="Radius" label.es="Radio" prompt.de="…"
+export const LOCALIZED_ATTRS = ["label", "prompt", "help", "tooltip", "placeholder", "options"];
+// "label.es" -> { base: "label", locale: "es" }; null for a plain attribute name
+export function splitLocaleAttr(key) {
+  const m = String(key).match(/^(\w+)\.([A-Za-z]{2,3}(?:-[A-Za-z0-9]+)?)$/);
+  return m ? { base: m[1], locale: m[2].toLowerCase() } : null;
+}
+// default/min/max/step written as "=<expr>" are computed from the section's other fields
+export const EXPR_ATTRS = ["default", "min", "max", "step"];
+export const isExprAttr = (v) => typeof v === "string" && v.trim().startsWith("=");
+const exprBody = (v) => String(v).trim().replace(/^=/, "");
+export const FIELD_TYPES = ["text", "number", "checkbox", "select", "length", "range", "angle", "point", "tool", "file"];
+// types whose value is a plain number (lengths are converted to job units on entry)
+export const NUMERIC_TYPES = ["number", "length", "range", "angle", "tool"];
+export const isNumericType = (type) => NUMERIC_TYPES.includes(type);
+export const KNOWN_DIRECTIVES = ["input", "checkmark", "preset", "units", "limit", "check", "order", "group", "internal", "columns", "mode", "requires"];
+export const MAX_COLUMNS = 4;
+export const PROGRAM_MODES = ["operator"];
+
+export function parseUnitsIn(code) {
+  const m = String(code || "").match(UNITS_REGEX);
+  const u = m && m[1].toLowerCase();
+  return UNIT_SYSTEMS.includes(u) ? u : "in";
+}
+
+// { mode: "operator" | null, pin: "2468" | null } from the program's @mode line
+export function parseModeIn(code) {
+  const m = String(code || "").match(MODE_REGEX);
+  if (!m) return { mode: null, pin: null };
+  const mode = m[1].toLowerCase();
+  const pin = m[2].match(/\bpin=(\S+)/i);
+  return { mode: PROGRAM_MODES.includes(mode) ? mode : null, pin: pin ? pin[1].replace(/^(["'])(.*)\1$/, "$2") : null };
+}
+
+// Typed text ("3/4", "19mm", "45°", "1,2"), preset values and loosely typed JSON ->
+// the value stored for a field of this type. Unreadable input comes back as "" (empty).
+export function coerceFieldValue(f, raw) {
+  const clean = (n) => (Number.isFinite(n) ? n : "");
+  switch (f.type) {
+    case "checkbox": return toBool(raw);
+    case "length": return clean(parseLength(raw, f.units));
+    case "angle": return clean(parseAngle(raw));
+    case "point": {
+      const { x, y } = parsePoint(raw, f.units);
+      return formatPoint({ x: Number.isNaN(x) ? "" : x, y: Number.isNaN(y) ? "" : y });
+    }
+    default:
+      if (isNumericType(f.type)) return toNumOrEmpty(raw);
+      return raw === null || raw === undefined ? "" : String(raw);
+  }
+}
+
+// { mode: "any" | "all", conditions: ["$Done", "$PassCount >= 3"], vars: ["Done", "PassCount"] }.
+// Every @checkmark line adds conditions; "all"/"any" at the start of a line sets how they
+// combine (any, as before, when no line says). A line of plain names is one condition
+// per name; anything else is a single expression.
+export function parseCheckmarkIn(text) {
+  const out = { mode: "any", conditions: [], vars: [] };
+  for (const m of String(text).matchAll(CHECKMARK_REGEX)) {
+    let rest = m[1].replace(/\s+$/, "");
+    const mode = rest.match(/^(all|any)\b\s*/i);
+    if (mode) { out.mode = mode[1].toLowerCase(); rest = rest.slice(mode[0].length); }
+    if (!rest) continue;
+    const words = rest.split(/\s+/);
+    if (words.every(w => CHECKMARK_VAR.test(w))) words.forEach(w => out.conditions.push(`$${w.match(CHECKMARK_VAR)[1]}`));
+    else out.conditions.push(rest);
+  }
+  const seen = new Set();
+  out.conditions.forEach(c => (c.match(/\$[A-Za-z][A-Za-z0-9_]*/g) || []).forEach(v => {
+    if (!seen.has(v.toLowerCase())) { seen.add(v.toLowerCase()); out.vars.push(v.slice(1)); }
+  }));
+  return out;
+}
+
+// the $ variables a section's @checkmark lines track (without the $)
+export function parseCheckmarksIn(text) {
+  return parseCheckmarkIn(text).vars;
+}
+
+// section ids or titles named by @requires lines
+export function parseRequiresIn(text) {
+  const out = [];
+  for (const m of String(text).matchAll(REQUIRES_REGEX)) {
+    for (const r of m[1].matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+      const ref = (r[1] ?? r[2] ?? r[3]).trim();
+      if (ref) out.push(ref);
+    }
+  }
+  return out;
+}
+
+const stripQuotes = (v) => ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'")) ? v.slice(1, -1) : v);
+
+// Presets declared in the source ship with the program: [{ name, values: { Var: "raw" } }]
+export function parsePresetsIn(text) {
+  const list = [];
+  for (const m of String(text).matchAll(PRESET_REGEX)) {
+    const values = {};
+    for (const a of m[2].matchAll(PRESET_ASSIGN)) values[a[1]] = stripQuotes(a[2]);
+    list.push({ name: stripQuotes(m[1]), values });
+  }
+  return list;
+}
+
+const namesIn = (text) => Array.from(String(text).matchAll(/&([A-Za-z][A-Za-z0-9_]*)/g), m => m[1]);
+const columnCount = (v) => Math.min(MAX_COLUMNS, Math.max(1, parseInt(v, 10) || 1));
+
+// How a section's form is laid out:
+//   { order: [name], groups: [{ caption, columns, fields: [name] }], internal: [name], columns }
+export function parseLayoutIn(text) {
+  const layout = { order: [], groups: [], internal: [], columns: 1 };
+  for (const m of String(text).matchAll(ORDER_REGEX)) layout.order.push(...namesIn(m[1]));
+  for (const m of String(text).matchAll(GROUP_REGEX)) {
+    const cols = m[2].match(/\bcolumns=(\d+)/i);
+    layout.groups.push({ caption: stripQuotes(m[1]), columns: cols ? columnCount(cols[1]) : 1, fields: namesIn(m[2]) });
+  }
+  for (const m of String(text).matchAll(INTERNAL_REGEX)) layout.internal.push(...namesIn(m[1]));
+  const c = String(text).match(COLUMNS_REGEX);
+  if (c) layout.columns = columnCount(c[1]);
+  return layout;
+}
+
+export function toBool(v) {
+  if (typeof v === "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  return s === "1" || s === "true" || s === "yes" || s === "y" || s === "on";
+}
+export function toNumOrEmpty(v) {
+  if (v === "" || v === undefined || v === null) return "";
+  const n = Number(v);
+  return Number.isFinite(n) ? n : "";
+}
+
+export function deriveTitleFromCode(code) {
+  if (!code) return "";
+  const first = (code.split(/\r?\n/).find(l => l.trim().length > 0) || "").trim();
+  const m = first.match(/^[';]\s*(.*)$/);
+  if (!m) return "";
+  const body = m[1].trim();
+  if (!body || /^@\w+/i.test(body)) return "";
+  return body.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1").trim();
+}
+
+// "Pocket Cut (1/2in)" -> "pocket-cut-1-2in"
+export function sectionSlug(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "section";
+}
+
+// Section ids key the saved values, so they must not depend on position: an explicit
+// "# Title id=pocket" wins, else a slug of the title; repeats get "-2", "-3", ...
+export function parseSections(code) {
+  const lines = code.split(/\r?\n/);
+  const headers = [];
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(SECTION_HEADER);
+    if (!m) continue;
+    const idm = m[1].match(SECTION_ID);
+    const title = (idm ? m[1].slice(0, idm.index) : m[1]).trim();
+    // "# @global" (optionally "# @global Shop setup") holds program-wide inputs and subroutines
+    const g = title.match(GLOBAL_HEADER);
+    headers.push({ line: i, title: g ? (g[1].trim() || "Global settings") : title, explicitId: idm ? idm[1] : null, global: !!g });
+  }
+  if (headers.length === 0) {
+    return [{ id: "main", title: "Main", start: 0, end: lines.length, text: code }];
+  }
+  const used = new Set();
+  const unique = (base) => {
+    let id = base, n = 2;
+    while (used.has(id)) id = `${base}-${n++}`;
+    used.add(id);
+    return id;
+  };
+  // explicit ids claim their names first so a slug can never take one
+  headers.forEach(h => { if (h.explicitId && !used.has(h.explicitId)) { h.id = h.explicitId; used.add(h.id); } });
+  const out = [];
+  for (let i = 0; i < headers.length; i++) {
+    const h = headers[i];
+    const id = h.id || unique(h.explicitId || (h.global ? "global" : sectionSlug(h.title)));
+    const start = h.line + 1;
+    const end = (i + 1 < headers.length) ? headers[i + 1].line : lines.length;
+    out.push({
+      id, title: h.title || "Untitled Section", explicitId: h.explicitId, start, end, text: lines.slice(start, end).join("\n"),
+      ...(h.global ? { global: true } : {}),
+    });
+  }
+  return out;
+}
+
+// The global regexes are only used through matchAll(), which works on a copy, so no
+// lastIndex is left behind between calls (or by a call that throws half way).
+export function parseDirectivesIn(text) {
+  const map = {};
+  for (const m of String(text).matchAll(DIRECTIVE_REGEX)) {
+    const cfg = {};
+    for (const a of m[2].matchAll(DIRECTIVE_ATTR)) cfg[a[1]] = stripQuotes(a[2]);
+    map[m[1].replace(/^&/, "")] = cfg;
+  }
+  return map;
+}
+
+export function extractVariables(code) {
+  return Array.from(new Set(Array.from(String(code).matchAll(VAR_REGEX), m => m[1])));
+}
+export function inferField(varName, cfg = {}, { units: jobUnits = "in" } = {}) {
+  let type = cfg.type || "text";
+  if (!cfg.type) {
+    const n = varName.toLowerCase();
+    if (/(diameter|radius|depth|height|width|speed|feed|x|y|z|angle|thickness|step|offset|distance|length)/.test(n)) type = "number";
+    else if (/^(use|enable|flag|do|is_)/.test(n)) type = "checkbox";
+  }
+  const label = cfg.label || varName;
+  const units = UNIT_SYSTEMS.includes(String(cfg.units).toLowerCase()) ? String(cfg.units).toLowerCase() : jobUnits;
+  const exprs = {};
+  EXPR_ATTRS.forEach(k => { if (isExprAttr(cfg[k])) exprs[k] = exprBody(cfg[k]); });
+  // a computed default leaves the stored value empty ("auto") until the operator types one
+  const def = exprs.default !== undefined ? "" : coerceFieldValue({ type, units }, cfg.default ?? "");
+  const options = cfg.options ? String(cfg.options).split(/\s*,\s*/) : null;
+  // bounds are written like values: min=1/8 on a length, max=19mm, ...
+  const readBound = (v) => (type === "length" ? parseLength(v, units) : type === "angle" ? parseAngle(v) : Number(v));
+  const num = (k) => (cfg[k] !== undefined && exprs[k] === undefined ? readBound(cfg[k]) : undefined);
+  const min = num("min");
+  const max = num("max");
+  const step = num("step");
+  const showIf = cfg.showIf ? exprBody(cfg.showIf) : null;
+  const enableIf = cfg.enableIf ? exprBody(cfg.enableIf) : null;
+  // label.es=… and friends, applied by localizeSections()
+  const texts = {};
+  Object.entries(cfg).forEach(([k, v]) => {
+    const loc = splitLocaleAttr(k);
+    if (!loc || !LOCALIZED_ATTRS.includes(loc.base)) return;
+    texts[loc.base] = { ...texts[loc.base], [loc.locale]: v };
+  });
+  return {
+    type, label, default: def, options, min, max, step, placeholder: cfg.placeholder, exprs, showIf, enableIf,
+    help: cfg.help, tooltip: cfg.tooltip, prompt: cfg.prompt,
+    ...(Object.keys(texts).length ? { texts } : {}),
+    // hidden fields are not shown; they always send their (fixed or computed) default
+    hidden: toBool(cfg.hidden ?? ""),
+    ...(type === "length" || type === "point" ? { units } : {}),
+  };
+}
+
+/* ---------------------- section models + preamble ---------------------- */
+// Values per section/var: key "secId::var"
+export const keyFor = (secId, varName) => `${secId}::${varName}`;
+export const hasVal = (v) => v !== "" && v !== null && v !== undefined;
+
+/* ---------------------- value reconciliation ---------------------- */
+// Bring a values map in line with the current sections. Fields that are new to the
+// map first look for an orphaned value (its key names a section or field that no
+// longer exists) with the same variable name, preferring the orphaned section that
+// shares the most variables with this one. That carries values across renamed,
+// re-id'd, split and merged sections, and across the old positional "secN" ids.
+// Anything still orphaned afterwards is dropped. Returns `values` itself when
+// nothing changed.
+export function reconcileValues(values, sectionModels) {
+  const valid = new Set();
+  sectionModels.forEach(sec => sec.fields.forEach(f => valid.add(keyFor(sec.id, f.name))));
+
+  // orphans grouped by their old section id: { secId: Map(lowercased var -> key) }
+  const orphans = new Map();
+  Object.keys(values).forEach(k => {
+    if (valid.has(k)) return;
+    const at = k.indexOf("::");
+    if (at < 0) return;
+    const secId = k.slice(0, at);
+    if (!orphans.has(secId)) orphans.set(secId, new Map());
+    orphans.get(secId).set(k.slice(at + 2).toLowerCase(), k);
+  });
+
+  const next = { ...values };
+  let changed = false;
+  sectionModels.forEach(sec => {
+    const missing = sec.fields.filter(f => !(keyFor(sec.id, f.name) in values));
+    if (!missing.length) return;
+    const names = sec.fields.map(f => f.name.toLowerCase());
+    const groups = Array.from(orphans.values())
+      .map(g => ({ g, score: names.filter(n => g.has(n)).length }))
+      .filter(x => x.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(x => x.g);
+    missing.forEach(f => {
+      const k = keyFor(sec.id, f.name);
+      const n = f.name.toLowerCase();
+      const from = groups.find(g => g.has(n));
+      if (from) {
+        next[k] = values[from.get(n)];
+        from.delete(n);
+      } else {
+        next[k] = defaultValueFor(f);
+      }
+      changed = true;
+    });
+  });
+
+  sectionModels.forEach(sec => sec.fields.forEach(f => {
+    const k = keyFor(sec.id, f.name);
+    if (!hasVal(next[k])) {
+      const def = defaultValueFor(f);
+      if (next[k] !== def) { next[k] = def; changed = true; }
+    }
+  }));
+  Object.keys(next).forEach(k => { if (!valid.has(k)) { delete next[k]; changed = true; } });
+  return changed ? next : values;
+}
+
+// A point field &Start is used in code as &Start_X / &Start_Y (see buildPreamble)
+export const pointParts = (name) => [`${name}_X`, `${name}_Y`];
+
+/* ---------------------- @global section: shared inputs, setup code, subroutines ---------------------- */
+// The @global section's code up to its first label is setup, run ahead of every
+// section. From each label down to the first plain RETURN is a subroutine, appended
+// (after an END) to any section that GOSUBs into it without defining that label.
+const LABEL_LINE = /^\s*([A-Za-z_][A-Za-z0-9_]*):\s*$/;
+const GOSUB_REF = /\bGOSUB\s*,?\s*([A-Za-z_][A-Za-z0-9_]*)/gi;
+const codeOnly = (line) => stripComment(line);
+
+export function parseGlobalBlock(text) {
+  const lines = text.split(/\r?\n/);
+  const first = lines.findIndex(l => LABEL_LINE.test(l));
+  const setup = (first < 0 ? lines : lines.slice(0, first))
+    .filter(l => codeOnly(l).trim() !== "")
+    .join("\n");
+  const subroutines = {};
+  if (first >= 0) {
+    let i = first;
+    while (i < lines.length) {
+      const m = lines[i].match(LABEL_LINE);
+      if (!m) { i++; continue; }
+      const end = lines.findIndex((l, j) => j > i && /^\s*RETURN\s*$/i.test(codeOnly(l)));
+      const stop = end < 0 ? lines.length - 1 : end;
+      subroutines[m[1].toLowerCase()] = { name: m[1], text: lines.slice(i, stop + 1).join("\n") };
+      i = stop + 1;
+    }
+  }
+  return { setup, subroutines };
+}
+
+export function gosubTargets(text) {
+  const out = new Set();
+  text.split(/\r?\n/).forEach(l => {
+    for (const m of codeOnly(l).matchAll(GOSUB_REF)) out.add(m[1].toLowerCase());
+  });
+  return out;
+}
+
+export function labelsIn(text) {
+  const out = new Set();
+  text.split(/\r?\n/).forEach(l => { const m = l.match(LABEL_LINE); if (m) out.add(m[1].toLowerCase()); });
+  return out;
+}
+
+// Subroutines from @global this section needs, following GOSUBs inside them too
+export function subroutinesFor(sec) {
+  const g = sec.globalSec;
+  if (!g || sec.global) return [];
+  const own = labelsIn(sec.text);
+  const needed = [];
+  const queue = Array.from(gosubTargets(sec.text));
+  const seen = new Set();
+  while (queue.length) {
+    const name = queue.shift();
+    if (seen.has(name) || own.has(name)) continue;
+    seen.add(name);
+    const sub = g.block.subroutines[name];
+    if (!sub) continue;
+    needed.push(sub);
+    gosubTargets(sub.text).forEach(n => queue.push(n));
+  }
+  return needed;
+}
+
+export function buildSectionModels(code) {
+  const units = parseUnitsIn(code);
+  const models = parseSections(code).map(sec => {
+    const directives = parseDirectivesIn(sec.text);
+    const layout = parseLayoutIn(sec.text);
+    // @preset/@order/@group/@internal lines refer to fields; they must not create new ones
+    const internal = new Set(layout.internal.map(n => n.toLowerCase()));
+    const vars = extractVariables(sec.text.replace(NON_FIELD_LINES, "")).filter(v => !internal.has(v.toLowerCase()));
+    const parts = new Set();
+    Object.entries(directives).forEach(([v, cfg]) => {
+      if (cfg.type === "point") pointParts(v).forEach(p => parts.add(p.toLowerCase()));
+    });
+    const fields = orderFields(vars
+      .filter(v => !parts.has(v.toLowerCase()))
+      .map(v => ({ name: v, ...inferField(v, directives[v] || {}, { units }) })), layout.order);
+    const checkmark = parseCheckmarkIn(sec.text);
+    const presets = parsePresetsIn(sec.text);
+    return { ...sec, directives, fields, checkmark, checkVars: checkmark.vars, requires: parseRequiresIn(sec.text), presets, layout };
+  });
+
+  // only the first @global counts; the others become ordinary sections
+  const globalSec = models.find(m => m.global);
+  models.forEach(m => { if (m.global && m !== globalSec) { delete m.global; m.extraGlobal = true; } });
+  if (!globalSec) return models;
+  globalSec.block = parseGlobalBlock(globalSec.text);
+  const globalNames = new Set(globalSec.fields.flatMap(f => (f.type === "point" ? pointParts(f.name) : [f.name])).map(n => n.toLowerCase()));
+  return models.map(m => {
+    if (m === globalSec) return m;
+    // global inputs are filled in once; a section only keeps its own @input overrides
+    const fields = m.fields.filter(f => !globalNames.has(f.name.toLowerCase()) || m.directives[f.name]);
+    return { ...m, fields, globalSec };
+  });
+}
+
+// Section models with the field texts in `locale` (label.es=… etc.), falling back to
+// the plain attribute. Option values stay as written; only what is shown changes
+// (optionLabels). Models without variants are returned as they are.
+export function localizeSections(models, locale) {
+  const tag = String(locale).toLowerCase();
+  const pick = (map) => map && (map[tag] ?? map[tag.split("-")[0]]);
+  const localizeField = (f) => {
+    if (!f.texts) return f;
+    const out = { ...f };
+    ["label", "prompt", "help", "tooltip", "placeholder"].forEach(k => { const v = pick(f.texts[k]); if (v !== undefined) out[k] = v; });
+    const opts = pick(f.texts.options);
+    if (opts !== undefined && f.options) {
+      const labels = String(opts).split(/\s*,\s*/);
+      if (labels.length === f.options.length) out.optionLabels = labels;
+    }
+    return out;
+  };
+  const localize = (m) => (m.fields.some(f => f.texts) ? { ...m, fields: m.fields.map(localizeField) } : m);
+  const globalSec = models.find(m => m.global);
+  const g = globalSec && localize(globalSec);
+  return models.map(m => {
+    if (m === globalSec) return g;
+    const out = localize(m);
+    return m.globalSec && g !== globalSec ? { ...out, globalSec: g } : out;
+  });
+}
+
+// @order names first (in that order), then the rest in order of first use
+function orderFields(fields, order) {
+  if (!order.length) return fields;
+  const rank = new Map();
+  order.forEach(n => { if (!rank.has(n.toLowerCase())) rank.set(n.toLowerCase(), rank.size); });
+  const pos = (f) => rank.get(f.name.toLowerCase()) ?? Infinity;
+  return fields.map((f, i) => [f, i]).sort((a, b) => pos(a[0]) - pos(b[0]) || a[1] - b[1]).map(([f]) => f);
+}
+
+// The form as blocks, in field order: loose fields together, and each @group at the
+// place of its first field. `fields` are the ones to show (visible, not hidden).
+//   [{ group: null | { caption, columns }, fields }]
+export function layoutBlocks(sec, fields) {
+  const groupOf = new Map();
+  (sec.layout?.groups || []).forEach(g => g.fields.forEach(n => { if (!groupOf.has(n.toLowerCase())) groupOf.set(n.toLowerCase(), g); }));
+  const blocks = [];
+  const placed = new Set();
+  fields.forEach(f => {
+    const g = groupOf.get(f.name.toLowerCase());
+    if (!g) {
+      const last = blocks[blocks.length - 1];
+      if (last && !last.group) last.fields.push(f);
+      else blocks.push({ group: null, fields: [f] });
+      return;
+    }
+    if (placed.has(g)) return;
+    placed.add(g);
+    blocks.push({ group: g, fields: fields.filter(x => groupOf.get(x.name.toLowerCase()) === g) });
+  });
+  return blocks;
+}
+
+export function defaultValueFor(f) {
+  return f.type === "checkbox" ? (f.default ?? false) : (f.default ?? "");
+}
+
+/* ---------------------- computed fields ---------------------- */
+// Resolve every field of a section against the current values: computed defaults,
+// min/max/step expressions and showIf/enableIf. Expressions see the section's own
+// fields as &Name (checkboxes as 1/0); references are resolved on demand so order
+// does not matter, and cycles are reported instead of recursing forever. An
+// expression that needs an empty field just stays unresolved; that is not an error.
+export function resolveSection(sec, values) {
+  const byName = new Map(sec.fields.map(f => [f.name.toLowerCase(), f]));
+  // point fields are seen by expressions as &Name_X / &Name_Y
+  const parts = new Map();
+  sec.fields.filter(f => f.type === "point").forEach(f => {
+    pointParts(f.name).forEach((p, i) => parts.set(p.toLowerCase(), { f, axis: i ? "y" : "x" }));
+  });
+  const out = {};
+  const visiting = new Set();
+
+  const missing = (f) => Object.assign(new Error(`${f.label} has no value`), { missing: true });
+  // @global inputs are visible too (resolved once, on first use)
+  let globals = null;
+  const globalField = (name) => {
+    if (!sec.globalSec || byName.has(name) || parts.has(name)) return null;
+    const f = sec.globalSec.fields.find(g => g.name.toLowerCase() === name);
+    return f && f.type !== "point" ? f : null;
+  };
+  const env = new Proxy({}, {
+    has: (_, key) => typeof key === "string" && key.startsWith("&")
+      && (byName.has(key.slice(1)) || parts.has(key.slice(1)) || !!globalField(key.slice(1))),
+    get: (_, key) => {
+      const g = globalField(key.slice(1));
+      if (g) {
+        globals = globals || resolveSection(sec.globalSec, values);
+        const v = globals.fields[g.name].value;
+        if (!hasVal(v)) throw missing(g);
+        return typeof v === "boolean" ? Number(v) : v;
+      }
+      const part = parts.get(key.slice(1));
+      if (part) {
+        const n = parsePoint(valueOf(part.f), part.f.units)[part.axis];
+        if (!hasVal(n) || Number.isNaN(n)) throw missing(part.f);
+        return n;
+      }
+      const f = byName.get(key.slice(1));
+      const v = valueOf(f);
+      if (!hasVal(v)) throw missing(f);
+      return typeof v === "boolean" ? Number(v) : v;
+    },
+  });
+  const evaluate = (src) => evalExpr(src, env);
+
+  function valueOf(f) {
+    const lower = f.name.toLowerCase();
+    if (out[f.name]) return out[f.name].value;
+    if (visiting.has(lower)) throw new Error(`&${f.name} depends on itself`);
+    visiting.add(lower);
+    const raw = f.hidden ? f.default : values[keyFor(sec.id, f.name)];
+    let value = raw, computed = false, error = null;
+    if (!hasVal(raw) && f.exprs?.default !== undefined) {
+      computed = true;
+      try {
+        value = evaluate(f.exprs.default);
+        if (f.type === "checkbox") value = isTruthy(value);
+        else if (isNumericType(f.type)) value = toNumOrEmpty(value);
+        else if (f.type === "point") value = String(value);
+      } catch (err) {
+        value = "";
+        if (!err.missing) error = err.message;
+      }
+    }
+    visiting.delete(lower);
+    out[f.name] = { value, computed, errors: error ? [error] : [] };
+    return value;
+  }
+
+  const condition = (src, r) => {
+    if (!src) return true;
+    try { return isTruthy(evaluate(src)); }
+    catch (err) { if (!err.missing) r.errors.push(err.message); return true; }
+  };
+  const bound = (f, k, r) => {
+    if (f.exprs?.[k] === undefined) return f[k];
+    try {
+      const n = Number(evaluate(f.exprs[k]));
+      return Number.isFinite(n) ? n : undefined;
+    } catch (err) {
+      if (!err.missing) r.errors.push(`${k}: ${err.message}`);
+      return undefined;
+    }
+  };
+
+  sec.fields.forEach(f => {
+    try { valueOf(f); } catch (err) { out[f.name] = { value: "", computed: false, errors: [err.message] }; }
+    const r = out[f.name];
+    r.visible = !f.hidden && condition(f.showIf, r);
+    r.enabled = condition(f.enableIf, r);
+    r.min = bound(f, "min", r);
+    r.max = bound(f, "max", r);
+    r.step = bound(f, "step", r);
+    if (isNumericType(f.type) && hasVal(r.value) && r.visible) {
+      const n = Number(r.value);
+      if (r.min !== undefined && n < r.min) r.errors.push(t("field.min", { min: r.min }));
+      if (r.max !== undefined && n > r.max) r.errors.push(t("field.max", { max: r.max }));
+    }
+    if (f.type === "point" && hasVal(r.value) && r.visible) {
+      const { x, y } = parsePoint(r.value, f.units);
+      if (!hasVal(x) || !hasVal(y) || Number.isNaN(x) || Number.isNaN(y)) r.errors.push(t("field.pointBoth"));
+    }
+  });
+
+  const invalid = sec.fields.filter(f => out[f.name].visible && out[f.name].errors.length);
+  return { fields: out, ok: invalid.length === 0, invalid };
+}
+
+// A string in double quotes for SBP: quotes doubled, line breaks (which would end the
+// statement) turned into spaces
+export const sbpString = (s) => `"${String(s).replace(/\r\n|\r|\n/g, " ").replace(/"/g, '""')}"`;
+
+// DIALOG prompts are in `locale` (the operator's language when not given). Only fields
+// the form shows are asked for: an empty field hidden by showIf (or hidden=1) gets a
+// neutral 0 / "" so the code can still read it.
+export function buildPreamble(sec, values, locale) {
+  // @global assignments first so a section's own @input can override one
+  const shared = sec.globalSec ? buildPreamble(sec.globalSec, values, locale) : [];
+  const resolved = resolveSection(sec, values);
+  return shared.concat(sec.fields.flatMap(f => {
+    const { value: val, visible } = resolved.fields[f.name];
+    const prompt = f.prompt || t("field.prompt", { label: f.label || f.name }, locale);
+    const neutral = isNumericType(f.type) || f.type === "checkbox" || f.type === "point" ? "0" : '""';
+    if (f.type === "point") {
+      // one variable per axis; a missing half is asked for at the machine
+      const p = parsePoint(val, f.units);
+      return pointParts(f.name).map((name, i) => {
+        const n = i ? p.y : p.x;
+        if (hasVal(n) && !Number.isNaN(n)) return `&${name} = ${n}`;
+        return visible ? `DIALOG ${sbpString(`${prompt} (${i ? "Y" : "X"})`)}, &${name}` : `&${name} = ${neutral}`;
+      });
+    }
+    if (!hasVal(val)) return visible ? `DIALOG ${sbpString(prompt)}, &${f.name}` : `&${f.name} = ${neutral}`;
+    if (isNumericType(f.type) && !isNaN(Number(val))) return `&${f.name} = ${val}`;
+    if (f.type === "checkbox") return `&${f.name} = ${val ? 1 : 0}`;
+    return `&${f.name} = ${sbpString(val)}`;
+  }));
+}
+
+// Can this section be sent? Its own fields and the @global ones must all be valid.
+export function checkRunnable(sec, values) {
+  const own = resolveSection(sec, values);
+  if (!sec.globalSec) return { ok: own.ok, invalid: own.invalid };
+  const shared = resolveSection(sec.globalSec, values);
+  return { ok: own.ok && shared.ok, invalid: [...shared.invalid, ...own.invalid] };
+}
+
+// Exactly what gets sent for a section: preamble, @global setup, the section body and,
+// after an END, any @global subroutines it GOSUBs into.
+export function buildSectionProgram(sec, values, locale) {
+  const parts = [buildPreamble(sec, values, locale).join("\n")];
+  const setup = sec.globalSec?.block.setup;
+  if (setup) parts.push(setup);
+  parts.push(sec.text);
+  const subs = subroutinesFor(sec);
+  if (subs.length) parts.push(["END", ...subs.map(s => s.text)].join("\n\n"));
+  return parts.join("\n\n");
+}
+
+// The section's @checkmark conditions against the machine's $ variables (configVars,
+// as FabMo reports them: names without the $) and the section's own fields (&Name).
+// A condition that cannot be worked out (a variable not set yet) counts as not met.
+export function isSectionComplete(sec, configVars, values = {}) {
+  const cm = sec.checkmark;
+  if (!cm || cm.conditions.length === 0) return false;
+  const env = {};
+  Object.entries(configVars || {}).forEach(([k, v]) => { env[`$${k.replace(/^\$/, "").toLowerCase()}`] = v; });
+  if (cm.conditions.some(c => c.includes("&"))) {
+    [sec.globalSec, sec].filter(Boolean).forEach(s => {
+      const r = resolveSection(s, values);
+      s.fields.forEach(f => {
+        const v = r.fields[f.name].value;
+        if (hasVal(v)) env[`&${f.name.toLowerCase()}`] = typeof v === "boolean" ? Number(v) : v;
+      });
+    });
+  }
+  const met = (src) => {
+    try { return isTruthy(evalExpr(src, env)); } catch { return false; }
+  };
+  return cm.mode === "all" ? cm.conditions.every(met) : cm.conditions.some(met);
+}
+
+// @requires targets by id, else by title (case-insensitive). Unknown names are skipped,
+// and so are sections without @checkmark (@global among them): they can never count
+// as complete, so requiring them would lock this section for good.
+export function requiredSections(sec, models) {
+  return (sec.requires || [])
+    .map(ref => models.find(m => m.id === ref) || models.find(m => m.title.toLowerCase() === ref.toLowerCase()))
+    .filter(m => m && m !== sec && m.checkmark?.conditions.length);
+}
+
+// sections that still have to be completed before this one may run
+export function sectionBlockers(sec, models, configVars, values) {
+  return requiredSections(sec, models).filter(m => !isSectionComplete(m, configVars, values));
+}
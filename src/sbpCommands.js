@@ -0,0 +1,183 @@
+/* ---------------------- openSBP command catalogue ---------------------- */
+// Two-letter commands take comma-separated arguments ("M2, 1, 2"). `args` is the
+// positional argument list used for completion snippets and signature help.
+const arg = (name, doc = "") => ({ name, doc });
+
+const X = arg("X", "X location");
+const Y = arg("Y", "Y location");
+const Z = arg("Z", "Z location");
+const A = arg("A", "A (rotary) location");
+const B = arg("B", "B (rotary) location");
+
+export const SBP_COMMANDS = [
+  // Moves (feed rate, set by MS)
+  { name: "M2", group: "Move", summary: "Move X and Y at move speed.", args: [X, Y] },
+  { name: "M3", group: "Move", summary: "Move X, Y and Z at move speed.", args: [X, Y, Z] },
+  { name: "M4", group: "Move", summary: "Move X, Y, Z and A at move speed.", args: [X, Y, Z, A] },
+  { name: "M5", group: "Move", summary: "Move X, Y, Z, A and B at move speed.", args: [X, Y, Z, A, B] },
+  { name: "MX", group: "Move", summary: "Move the X axis only.", args: [X] },
+  { name: "MY", group: "Move", summary: "Move the Y axis only.", args: [Y] },
+  { name: "MZ", group: "Move", summary: "Move the Z axis only.", args: [Z] },
+  { name: "MA", group: "Move", summary: "Move the A axis only.", args: [A] },
+  { name: "MB", group: "Move", summary: "Move the B axis only.", args: [B] },
+  { name: "MH", group: "Move", summary: "Move to X/Y home (0,0) at move speed after raising Z to safe height.", args: [] },
+  {
+    name: "MS", group: "Move", summary: "Set move (feed) speeds.",
+    args: [arg("XY speed", "X/Y move speed (units/sec)"), arg("Z speed", "Z move speed"), arg("A speed"), arg("B speed")],
+  },
+
+  // Jogs (rapid, set by JS)
+  { name: "J2", group: "Jog", summary: "Jog X and Y at jog speed.", args: [X, Y] },
+  { name: "J3", group: "Jog", summary: "Jog X, Y and Z at jog speed.", args: [X, Y, Z] },
+  { name: "J4", group: "Jog", summary: "Jog X, Y, Z and A at jog speed.", args: [X, Y, Z, A] },
+  { name: "J5", group: "Jog", summary: "Jog X, Y, Z, A and B at jog speed.", args: [X, Y, Z, A, B] },
+  { name: "JX", group: "Jog", summary: "Jog the X axis only.", args: [X] },
+  { name: "JY", group: "Jog", summary: "Jog the Y axis only.", args: [Y] },
+  { name: "JZ", group: "Jog", summary: "Jog the Z axis only.", args: [Z] },
+  { name: "JA", group: "Jog", summary: "Jog the A axis only.", args: [A] },
+  { name: "JB", group: "Jog", summary: "Jog the B axis only.", args: [B] },
+  { name: "JH", group: "Jog", summary: "Jog to X/Y home (0,0) after raising Z to safe height.", args: [] },
+  {
+    name: "JS", group: "Jog", summary: "Set jog (rapid) speeds.",
+    args: [arg("XY speed", "X/Y jog speed (units/sec)"), arg("Z speed", "Z jog speed"), arg("A speed"), arg("B speed")],
+  },
+
+  // Cuts
+  {
+    name: "CG", group: "Cut", summary: "Cut a circle or arc given its end point and center offset.",
+    args: [
+      arg("Diameter", "Leave blank when using I/J"), arg("X end"), arg("Y end"),
+      arg("I center", "X offset from start to center"), arg("J center", "Y offset from start to center"),
+      arg("I-O-T", "Tool offset: I inside, O outside, T on the line"),
+      arg("Direction", "1 = clockwise, -1 = counter-clockwise"),
+      arg("Plunge", "Plunge depth per pass"), arg("Repetitions"),
+      arg("Proportion X"), arg("Proportion Y"),
+      arg("Options", "1 = tab, 2 = pocket, 3 = spiral plunge"),
+      arg("No pull up", "1 = stay down between repetitions"),
+      arg("Plunge from Z0", "1 = plunge relative to Z zero"),
+    ],
+  },
+  {
+    name: "CP", group: "Cut", summary: "Cut a circle around a center point.",
+    args: [
+      arg("Diameter"), arg("X center"), arg("Y center"),
+      arg("I-O-T", "Tool offset: I inside, O outside, T on the line"),
+      arg("Direction", "1 = clockwise, -1 = counter-clockwise"),
+      arg("Begin angle"), arg("End angle"),
+      arg("Plunge", "Plunge depth per pass"), arg("Repetitions"),
+      arg("Proportion X"), arg("Proportion Y"),
+      arg("Options", "1 = tab, 2 = pocket, 3 = spiral plunge"),
+      arg("No pull up"), arg("Plunge from Z0"),
+    ],
+  },
+  {
+    name: "CR", group: "Cut", summary: "Cut a rectangle from the current location.",
+    args: [
+      arg("X length"), arg("Y length"),
+      arg("I-O-T", "Tool offset: I inside, O outside, T on the line"),
+      arg("Direction", "1 = clockwise, -1 = counter-clockwise"),
+      arg("Start corner", "1 = lower left, 2 = upper left, 3 = upper right, 4 = lower right, 0 = center"),
+      arg("Plunge", "Plunge depth per pass"), arg("Repetitions"),
+      arg("Options", "2 = pocket outside-in, 3 = pocket inside-out"),
+      arg("Plunge from Z0"), arg("Rotation", "Angle of rotation (degrees)"),
+      arg("Spiral plunge", "1 = ramp down each pass"),
+    ],
+  },
+  { name: "C2", group: "Cut", summary: "Run custom cut 2 (zero Z with the plate).", args: [] },
+  { name: "C3", group: "Cut", summary: "Run custom cut 3 (home X, Y and Z).", args: [] },
+  { name: "C1", group: "Cut", summary: "Run custom cut 1 (tool change).", args: [] },
+  { name: "C6", group: "Cut", summary: "Run custom cut 6 (spindle on).", args: [] },
+  { name: "C7", group: "Cut", summary: "Run custom cut 7 (spindle off).", args: [] },
+
+  // Zero
+  { name: "Z2", group: "Zero", summary: "Zero the X and Y axes at the current location.", args: [] },
+  { name: "Z3", group: "Zero", summary: "Zero the X, Y and Z axes at the current location.", args: [] },
+  { name: "ZX", group: "Zero", summary: "Zero the X axis.", args: [] },
+  { name: "ZY", group: "Zero", summary: "Zero the Y axis.", args: [] },
+  { name: "ZZ", group: "Zero", summary: "Zero the Z axis.", args: [] },
+  { name: "ZA", group: "Zero", summary: "Zero the A axis.", args: [] },
+  { name: "ZB", group: "Zero", summary: "Zero the B axis.", args: [] },
+
+  // Values
+  {
+    name: "VA", group: "Values", summary: "Assign axis locations and table base offsets.",
+    args: [X, Y, Z, A, B, arg("C"), arg("X base"), arg("Y base"), arg("Z base"), arg("A base"), arg("B base")],
+  },
+  {
+    name: "VS", group: "Values", summary: "Set move and jog speeds together.",
+    args: [
+      arg("XY move"), arg("Z move"), arg("A move"), arg("B move"),
+      arg("XY jog"), arg("Z jog"), arg("A jog"), arg("B jog"),
+    ],
+  },
+  { name: "VC", group: "Values", summary: "Set cutter parameters.", args: [arg("Diameter", "Cutter diameter"), arg("Obsolete"), arg("Obsolete"), arg("Safe Z", "Safe Z pull-up height"), arg("Plunge direction")] },
+  { name: "VD", group: "Values", summary: "Set display and unit settings.", args: [arg("Obsolete"), arg("Units", "0 = inches, 1 = millimeters")] },
+  { name: "VR", group: "Values", summary: "Set ramp (acceleration) rates.", args: [arg("XY ramp"), arg("Z ramp")] },
+  { name: "VL", group: "Values", summary: "Set table limits.", args: [arg("X low"), arg("X high"), arg("Y low"), arg("Y high"), arg("Z low"), arg("Z high")] },
+  { name: "VN", group: "Values", summary: "Set input and limit switch behavior.", args: [arg("Limits", "0 = off, 1 = on")] },
+  { name: "VU", group: "Values", summary: "Set unit values (steps per unit).", args: [arg("X unit"), arg("Y unit"), arg("Z unit"), arg("A unit"), arg("B unit")] },
+
+  // Settings
+  { name: "SA", group: "Settings", summary: "Use absolute distances for moves.", args: [] },
+  { name: "SR", group: "Settings", summary: "Use relative (incremental) distances for moves.", args: [] },
+  { name: "SO", group: "Settings", summary: "Set an output switch on or off.", args: [arg("Output", "Output number (1 = spindle on most tools)"), arg("State", "1 = on, 0 = off")] },
+  { name: "SL", group: "Settings", summary: "Clear all user (&) variables.", args: [] },
+  { name: "SM", group: "Settings", summary: "Set move/preview mode.", args: [arg("Mode", "0 = move, 1 = preview")] },
+
+  // Files + tool
+  {
+    name: "FP", group: "File", summary: "Run (fill) another part file.",
+    args: [
+      arg("File", "Path of the .sbp file to run"), arg("Proportion X"), arg("Proportion Y"),
+      arg("Proportion Z"), arg("Repetitions"), arg("Plunge"), arg("2D/3D offset", "0 = none, 1 = 2D, 2 = 3D"),
+    ],
+  },
+  { name: "TR", group: "Tool", summary: "Set spindle RPM.", args: [arg("RPM")] },
+];
+
+// Statements that are written as words, not two-letter commands.
+export const SBP_STATEMENTS = [
+  { name: "IF", summary: "Conditional: IF <expr> THEN GOTO <label> (or GOSUB).", snippet: "IF ${1:&Var} ${2:=} ${3:0} THEN GOTO ${4:Label}" },
+  { name: "THEN", summary: "Follows the condition of an IF." },
+  { name: "GOTO", summary: "Jump to a label.", snippet: "GOTO ${1:Label}" },
+  { name: "GOSUB", summary: "Call a subroutine label; RETURN comes back here.", snippet: "GOSUB ${1:Label}" },
+  { name: "RETURN", summary: "Return from a GOSUB." },
+  { name: "END", summary: "End the program." },
+  { name: "ON", summary: "Event handler: ON INPUT(<input>, <state>) GOSUB <label>.", snippet: "ON INPUT(${1:1}, ${2:1}) GOSUB ${3:Label}" },
+  { name: "INPUT", summary: "Ask the operator for a value: INPUT \"prompt\" &Var.", snippet: "INPUT \"${1:Prompt}\" &${2:Var}" },
+  { name: "DIALOG", summary: "Show a dialog asking for a value: DIALOG \"prompt\", &Var.", snippet: "DIALOG \"${1:Prompt}\", &${2:Var}" },
+  { name: "PAUSE", summary: "Pause: PAUSE <seconds> waits, PAUSE \"message\" waits for the operator.", snippet: "PAUSE \"${1:Message}\"" },
+];
+
+// %(n) read-only system variables.
+export const SBP_SYSTEM_VARS = [
+  { index: 1, summary: "Current X location" },
+  { index: 2, summary: "Current Y location" },
+  { index: 3, summary: "Current Z location" },
+  { index: 4, summary: "Current A location" },
+  { index: 5, summary: "Current B location" },
+  { index: 6, summary: "Current C location" },
+  { index: 25, summary: "Unit system (0 = inches, 1 = millimeters)" },
+  { index: 28, summary: "Safe Z pull-up height" },
+  { index: 51, summary: "Input switch 1 state" },
+  { index: 52, summary: "Input switch 2 state" },
+  { index: 53, summary: "Input switch 3 state" },
+  { index: 54, summary: "Input switch 4 state" },
+  { index: 71, summary: "XY move speed" },
+  { index: 72, summary: "Z move speed" },
+  { index: 73, summary: "A move speed" },
+  { index: 74, summary: "B move speed" },
+  { index: 76, summary: "XY jog speed" },
+  { index: 77, summary: "Z jog speed" },
+  { index: 78, summary: "A jog speed" },
+  { index: 79, summary: "B jog speed" },
+];
+
+const BY_NAME = new Map(SBP_COMMANDS.map(c => [c.name, c]));
+export const findCommand = (name) => BY_NAME.get(String(name || "").toUpperCase()) || null;
+export const findStatement = (name) => SBP_STATEMENTS.find(s => s.name === String(name || "").toUpperCase()) || null;
+export const findSystemVar = (index) => SBP_SYSTEM_VARS.find(v => v.index === Number(index)) || null;
+
+export function commandSignature(cmd) {
+  return cmd.args.length ? `${cmd.name}, ${cmd.args.map(a => a.name).join(", ")}` : cmd.name;
+}
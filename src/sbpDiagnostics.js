@@ -0,0 +1,487 @@
+import {
+  FIELD_TYPES, INPUT_ATTRS, LOCALIZED_ATTRS, KNOWN_DIRECTIVES, MAX_COLUMNS, PROGRAM_MODES, buildSectionModels, coerceFieldValue, gosubTargets, hasVal, isExprAttr, isNumericType,
+  keyFor, labelsIn, pointParts, requiredSections, splitLocaleAttr, toBool,
+} from "./sbp";
+import { UNIT_SYSTEMS, parseAngle, parseLength, parsePoint } from "./units";
+import { checkExprSyntax, exprVariables } from "./sbpExpr";
+import { LIMIT_ATTRS, parseEnvelope } from "./safety";
+
+/* ---------------------- directive + variable diagnostics ---------------------- */
+// A diagnostic is { severity: "error" | "warning", message, line, startColumn, endColumn, fix? }
+// with 1-based line/columns (Monaco's convention). `fix` is a single-line edit:
+// { title, startColumn, endColumn, text } replacing that column range on `line`.
+const DIRECTIVE_LINE = /^(\s*[';]\s*)@(\w+)/;
+const ATTR_TOKEN = /(\w+(?:\.[A-Za-z]{2,3}(?:-[A-Za-z0-9]+)?)?)=("[^"]*"|'[^']*'|\S+)|(\S+)/g;
+const NUMERIC_ATTRS = ["min", "max", "step"];
+
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Closest known word within two edits, for "did you mean" fixes.
+function closest(word, known) {
+  let best = null, bestDist = 3;
+  known.forEach(k => {
+    const dist = editDistance(word.toLowerCase(), k);
+    if (dist < bestDist) { best = k; bestDist = dist; }
+  });
+  return best;
+}
+
+const unquote = (v) => (/^(".*"|'.*')$/.test(v) ? v.slice(1, -1) : v);
+const isNum = (v) => v.trim() !== "" && Number.isFinite(Number(v));
+// numbers as a field of this type reads them: "3/4" and "19mm" are fine for a length
+function numberFor(type, v) {
+  if (type === "length") return parseLength(v);
+  if (type === "angle") return parseAngle(v);
+  return isNum(v) ? Number(v) : NaN;
+}
+const isNumFor = (type, v) => Number.isFinite(numberFor(type, v));
+
+// Split the attribute text of a directive into tokens with absolute columns.
+function tokenizeAttrs(line, offset) {
+  const out = [];
+  let m;
+  ATTR_TOKEN.lastIndex = 0;
+  while ((m = ATTR_TOKEN.exec(line.slice(offset)))) {
+    const startColumn = offset + m.index + 1;
+    out.push({
+      key: m[1], raw: m[2], value: m[2] !== undefined ? unquote(m[2]) : undefined, stray: m[3],
+      startColumn, endColumn: startColumn + m[0].length, keyEnd: startColumn + (m[1] ? m[1].length : 0),
+    });
+  }
+  return out;
+}
+
+function checkInputLine(line, lineNo, usedVars, seen, sectionVars, push) {
+  const m = line.match(/^(\s*[';]\s*@input\b\s*)(&[A-Za-z][A-Za-z0-9_]*)?/i);
+  const varTok = m[2];
+  if (!varTok) {
+    push("error", "@input needs a variable, e.g. ' @input &Depth type=number", lineNo, 1, line.length + 1);
+    return;
+  }
+  const name = varTok.slice(1);
+  const varStart = m[1].length + 1, varEnd = varStart + varTok.length;
+
+  if (seen.has(name)) push("warning", `&${name} already has an @input in this section; only the last one is used.`, lineNo, varStart, varEnd);
+  seen.add(name);
+
+  const attrs = {};
+  const variants = [];
+  tokenizeAttrs(line, varEnd - 1).forEach(t => {
+    if (t.stray) {
+      push("warning", `Unexpected "${t.stray}" (values with spaces need quotes).`, lineNo, t.startColumn, t.endColumn);
+      return;
+    }
+    const key = t.key;
+    const loc = splitLocaleAttr(key);
+    if (loc) {
+      if (!LOCALIZED_ATTRS.includes(loc.base)) {
+        push("error", `"${loc.base}" has no language variants; only ${LOCALIZED_ATTRS.join(", ")} do.`, lineNo, t.startColumn, t.keyEnd);
+      } else variants.push(t);
+      return;
+    }
+    if (!INPUT_ATTRS.includes(key)) {
+      const guess = closest(key, INPUT_ATTRS);
+      push("error", `Unknown @input attribute "${key}".${guess ? ` Did you mean "${guess}"?` : ""}`,
+        lineNo, t.startColumn, t.keyEnd,
+        guess && { title: `Change to "${guess}"`, startColumn: t.startColumn, endColumn: t.keyEnd, text: guess });
+      return;
+    }
+    attrs[key] = t;
+  });
+
+  // options.es=… relabels the options one by one
+  const optionCount = attrs.options ? attrs.options.value.split(/\s*,\s*/).length : 0;
+  variants.filter(t => t.key.startsWith("options.")).forEach(t => {
+    if (!attrs.options) push("warning", `${t.key} has no options= to translate.`, lineNo, t.startColumn, t.keyEnd);
+    else if (t.value.split(/\s*,\s*/).length !== optionCount) push("warning", `${t.key} needs ${optionCount} labels, one per option; it is ignored.`, lineNo, t.keyEnd + 1, t.endColumn);
+  });
+
+  const type = attrs.type?.value;
+  if (type === "point") {
+    if (!pointParts(name).some(p => usedVars.has(p))) {
+      push("warning", `&${name} is a point; use &${name}_X and &${name}_Y in this section's code.`, lineNo, varStart, varEnd);
+    }
+  } else if (!usedVars.has(name)) {
+    push("warning", `&${name} is declared but never used in this section's code.`, lineNo, varStart, varEnd);
+  }
+  if (type !== undefined && !FIELD_TYPES.includes(type)) {
+    const guess = closest(type, FIELD_TYPES);
+    const valStart = attrs.type.keyEnd + 1;
+    push("error", `Unknown type "${type}". Use one of: ${FIELD_TYPES.join(", ")}.`, lineNo, valStart, attrs.type.endColumn,
+      guess && { title: `Change to "${guess}"`, startColumn: valStart, endColumn: attrs.type.endColumn, text: guess });
+  }
+
+  // "=expr" values (computed defaults/bounds) and showIf/enableIf conditions
+  const exprAttrs = Object.values(attrs).filter(t => isExprAttr(t.value) || t.key === "showIf" || t.key === "enableIf");
+  exprAttrs.forEach(t => {
+    const src = t.value.trim().replace(/^=/, "");
+    const syntax = checkExprSyntax(src);
+    if (syntax) { push("error", `${t.key}: ${syntax}`, lineNo, t.keyEnd + 1, t.endColumn); return; }
+    exprVariables(src).forEach(v => {
+      if (v.startsWith("$")) push("warning", `${t.key}: ${v} is a persistent variable; only this section's &fields can be used here.`, lineNo, t.keyEnd + 1, t.endColumn);
+      else if (!sectionVars.has(v.slice(1))) push("warning", `${t.key}: ${v} is not a field of this section.`, lineNo, t.keyEnd + 1, t.endColumn);
+      else if (v.slice(1) === name.toLowerCase()) push("error", `${t.key}: &${name} cannot refer to itself.`, lineNo, t.keyEnd + 1, t.endColumn);
+    });
+  });
+
+  NUMERIC_ATTRS.forEach(k => {
+    const t = attrs[k];
+    if (t && !isExprAttr(t.value) && !isNumFor(type, t.value)) push("error", `${k}= must be a number, got "${t.value}".`, lineNo, t.keyEnd + 1, t.endColumn);
+  });
+  const bound = (k) => (attrs[k] && isNumFor(type, attrs[k].value) ? numberFor(type, attrs[k].value) : undefined);
+  const lo = bound("min"), hi = bound("max");
+  if (lo !== undefined && hi !== undefined && lo > hi) {
+    push("error", `min (${attrs.min.value}) is greater than max (${attrs.max.value}).`, lineNo, attrs.min.startColumn, attrs.max.endColumn);
+  }
+
+  const units = attrs.units;
+  if (units && !UNIT_SYSTEMS.includes(units.value.toLowerCase())) {
+    push("error", `units= must be one of: ${UNIT_SYSTEMS.join(", ")}.`, lineNo, units.keyEnd + 1, units.endColumn);
+  }
+  if (units && type !== "length" && type !== "point") push("warning", "units= only applies to type=length and type=point.", lineNo, units.startColumn, units.endColumn);
+
+  const def = attrs.default;
+  const hidden = attrs.hidden;
+  if (hidden && !/^(1|0|true|false|yes|no|on|off|y|n)$/i.test(hidden.value)) {
+    push("error", `hidden= takes true or false, got "${hidden.value}".`, lineNo, hidden.keyEnd + 1, hidden.endColumn);
+  } else if (hidden && toBool(hidden.value) && (!def || def.value === "")) {
+    push("warning", "A hidden field is never filled in; give it a default= (a value or =expression).", lineNo, hidden.startColumn, hidden.endColumn);
+  }
+  const numeric = isNumericType(type);
+  if (def && numeric && def.value !== "" && !isExprAttr(def.value) && !isNumFor(type, def.value)) {
+    push("error", `default "${def.value}" is not a number.`, lineNo, def.keyEnd + 1, def.endColumn);
+  }
+  if (def && numeric && isNumFor(type, def.value)) {
+    const n = numberFor(type, def.value);
+    if ((lo !== undefined && n < lo) || (hi !== undefined && n > hi)) {
+      push("warning", `default ${def.value} is outside min/max.`, lineNo, def.keyEnd + 1, def.endColumn);
+    }
+  }
+  if (def && type === "point" && def.value !== "" && !isExprAttr(def.value)) {
+    const { x, y } = parsePoint(def.value);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) push("error", `default "${def.value}" is not an X,Y point.`, lineNo, def.keyEnd + 1, def.endColumn);
+  }
+
+  const opts = attrs.options;
+  if (opts && type === "checkbox") {
+    // drop the attribute together with the whitespace before it
+    const lead = line.slice(0, opts.startColumn - 1).match(/\s*$/)[0].length;
+    push("error", "options= cannot be used with type=checkbox.", lineNo, opts.startColumn, opts.endColumn,
+      { title: "Remove options=", startColumn: opts.startColumn - lead, endColumn: opts.endColumn, text: "" });
+  }
+  if (opts && numeric) push("warning", `options= turns this field into a dropdown; type=${type} is ignored.`, lineNo, opts.startColumn, opts.endColumn);
+  if (opts && def && type !== "checkbox" && !isExprAttr(def.value)) {
+    const list = opts.value.split(/\s*,\s*/);
+    if (def.value !== "" && !list.includes(def.value)) push("warning", `default "${def.value}" is not one of the options.`, lineNo, def.keyEnd + 1, def.endColumn);
+  }
+}
+
+// ' @checkmark $Done   ' @checkmark all $A $B   ' @checkmark $PassCount >= 3
+function checkCheckmarkLine(line, lineNo, push) {
+  const m = line.match(/^(\s*[';]\s*@checkmark\b[ \t]*)((?:all|any)\b[ \t]*)?(.*?)\s*$/i);
+  const rest = m[3];
+  if (!rest) {
+    if (!m[2]) push("error", "@checkmark needs a variable or a condition, e.g. ' @checkmark $StepDone or ' @checkmark $PassCount >= 3", lineNo, 1, line.length + 1);
+    return;
+  }
+  const col = m[1].length + (m[2] || "").length + 1;
+  if (rest.split(/\s+/).every(w => /^&?\$?[A-Za-z][A-Za-z0-9_]*$/.test(w))) return;
+  const err = checkExprSyntax(rest);
+  if (err) push("error", `@checkmark condition: ${err}`, lineNo, col, line.length + 1);
+  else if (!/\$[A-Za-z]/.test(rest)) push("warning", "This condition uses no $ variable, so a run can never change it.", lineNo, col, line.length + 1);
+}
+
+// ' @requires circle "Rough cut": ids or titles of other sections, without loops
+function checkRequiresLine(line, lineNo, sec, models, push) {
+  const offset = line.search(/@requires/i) + "@requires".length;
+  const refs = [...line.slice(offset).matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)];
+  if (!refs.length) {
+    push("error", "@requires needs the id or title of another section, e.g. ' @requires circle", lineNo, 1, line.length + 1);
+    return;
+  }
+  refs.forEach(r => {
+    const ref = (r[1] ?? r[2] ?? r[3]).trim();
+    const start = offset + r.index + 1, end = start + r[0].length;
+    const target = models.find(m => m.id === ref) || models.find(m => m.title.toLowerCase() === ref.toLowerCase());
+    if (!target) {
+      const guess = closest(ref, models.map(m => m.id));
+      push("warning", `No section "${ref}".${guess ? ` Did you mean "${guess}"?` : ""}`, lineNo, start, end,
+        guess && { title: `Change to "${guess}"`, startColumn: start, endColumn: end, text: guess });
+    } else if (target === sec) {
+      push("warning", "A section cannot require itself.", lineNo, start, end);
+    } else if (!target.checkmark.conditions.length) {
+      push("warning", `"${target.title}" has no @checkmark, so it never counts as complete; this requirement is ignored.`, lineNo, start, end);
+    } else if (requiresLoop(target, sec, models)) {
+      push("error", `"${target.title}" already requires this section; neither could ever run.`, lineNo, start, end);
+    }
+  });
+}
+
+// does `from` (directly or through others) require `to`?
+function requiresLoop(from, to, models, seen = new Set()) {
+  if (seen.has(from)) return false;
+  seen.add(from);
+  return requiredSections(from, models).some(m => m === to || requiresLoop(m, to, models, seen));
+}
+
+// ' @preset "Name" &Var=value ...; assignments must target this section's fields
+function checkPresetLine(line, lineNo, fieldsByName, push) {
+  const m = line.match(/^(\s*[';]\s*@preset\b[ \t]*)("[^"]*"|'[^']*'|[^\s&]+)?/i);
+  if (!m[2] || unquote(m[2]).trim() === "") {
+    push("error", "@preset needs a name, e.g. ' @preset \"Oak 3/4\" &Depth=0.75", lineNo, 1, line.length + 1);
+    return;
+  }
+  const assign = /&?([A-Za-z][A-Za-z0-9_]*)=("[^"]*"|'[^']*'|\S+)/g;
+  const offset = m[0].length;
+  let a;
+  let count = 0;
+  while ((a = assign.exec(line.slice(offset)))) {
+    count++;
+    const startColumn = offset + a.index + 1, endColumn = startColumn + a[0].length;
+    const f = fieldsByName.get(a[1].toLowerCase());
+    const value = unquote(a[2]);
+    if (!f) push("warning", `@preset sets ${a[1]}, which is not a field of this section.`, lineNo, startColumn, endColumn);
+    else if ((isNumericType(f.type) || f.type === "point") && !f.options && value !== "" && coerceFieldValue(f, value) === "") {
+      push("warning", `@preset value "${value}" for &${f.name} is not ${f.type === "point" ? "an X,Y point" : "a number"}.`, lineNo, startColumn, endColumn);
+    }
+  }
+  if (!count) push("warning", "@preset does not set any values.", lineNo, 1, line.length + 1);
+}
+
+function checkUnitsLine(line, lineNo, push) {
+  const m = line.match(/@units\s+(\S+)\s*$/i);
+  if (!m || !UNIT_SYSTEMS.includes(m[1].toLowerCase())) {
+    push("error", `@units takes one of: ${UNIT_SYSTEMS.join(", ")}, e.g. ' @units mm`, lineNo, 1, line.length + 1);
+  }
+}
+
+// ' @mode operator pin=2468
+function checkModeLine(line, lineNo, push) {
+  const tokens = tokenizeAttrs(line, line.search(/@mode/i) + "@mode".length);
+  const mode = tokens[0]?.stray;
+  if (!mode || !PROGRAM_MODES.includes(mode.toLowerCase())) {
+    push("error", `@mode takes ${PROGRAM_MODES.join(" or ")}, e.g. ' @mode operator pin=2468`, lineNo, 1, line.length + 1);
+    return;
+  }
+  tokens.slice(1).forEach(t => {
+    if (t.stray || t.key.toLowerCase() !== "pin") {
+      push("warning", `Unexpected "${t.stray || t.key}" — @mode only takes pin=.`, lineNo, t.startColumn, t.endColumn);
+    } else if (!/^\d{4,8}$/.test(t.value)) {
+      push("error", "pin= takes 4 to 8 digits, typed on the operator keypad to unlock the program.", lineNo, t.keyEnd + 1, t.endColumn);
+    }
+  });
+}
+
+// ' @order / @group / @internal name variables of this section
+function checkLayoutLine(line, lineNo, name, sectionVars, usedVars, grouped, push) {
+  let rest = line.slice(line.search(/@\w+/) + name.length + 1);
+  let offset = line.length - rest.length;
+  if (name === "group") {
+    const cap = rest.match(/^[ \t]+("[^"]*"|'[^']*'|[^\s&]+)/);
+    if (!cap || /^columns=/i.test(cap[1]) || unquote(cap[1]).trim() === "") {
+      push("error", "@group needs a caption, e.g. ' @group \"Cut settings\" &Depth &Passes", lineNo, 1, line.length + 1);
+      return;
+    }
+    offset += cap[0].length;
+    rest = rest.slice(cap[0].length);
+    const cols = rest.match(/\bcolumns=(\S*)/i);
+    if (cols && !(/^\d+$/.test(cols[1]) && cols[1] >= 1 && cols[1] <= MAX_COLUMNS)) {
+      const col = offset + cols.index + 1;
+      push("error", `columns= must be a whole number from 1 to ${MAX_COLUMNS}.`, lineNo, col, col + cols[0].length);
+    }
+  }
+  const refs = Array.from(rest.matchAll(/&([A-Za-z][A-Za-z0-9_]*)/g));
+  if (!refs.length) push("warning", `@${name} does not name any variables, e.g. ' @${name} &Depth`, lineNo, 1, line.length + 1);
+  refs.forEach(r => {
+    const col = offset + r.index + 1, end = col + r[0].length;
+    const lower = r[1].toLowerCase();
+    if (name === "internal") {
+      if (!usedVars.has(r[1])) push("warning", `&${r[1]} is not used in this section's code.`, lineNo, col, end);
+      return;
+    }
+    if (!sectionVars.has(lower)) push("warning", `&${r[1]} is not a field of this section.`, lineNo, col, end);
+    else if (name === "group" && grouped.has(lower)) push("warning", `&${r[1]} is already in another @group; it is shown in the first one.`, lineNo, col, end);
+    if (name === "group") grouped.add(lower);
+  });
+}
+
+function checkColumnsLine(line, lineNo, push) {
+  const m = line.match(/@columns\s+(\S+)\s*$/i);
+  if (!m || !/^\d+$/.test(m[1]) || m[1] < 1 || m[1] > MAX_COLUMNS) {
+    push("error", `@columns takes a whole number from 1 to ${MAX_COLUMNS}, e.g. ' @columns 2`, lineNo, 1, line.length + 1);
+  }
+}
+
+// ' @limit depth=0.75 feed=4 envelope=0,0,24,18 tool=2 spindle=18000
+function checkLimitLine(line, lineNo, push) {
+  const tokens = tokenizeAttrs(line, line.search(/@limit/i) + "@limit".length);
+  if (!tokens.length) {
+    push("error", `@limit needs at least one of: ${LIMIT_ATTRS.join(", ")}, e.g. ' @limit depth=0.75`, lineNo, 1, line.length + 1);
+    return;
+  }
+  tokens.forEach(t => {
+    if (t.stray) {
+      push("error", `Unexpected "${t.stray}" — @limit takes key=value pairs.`, lineNo, t.startColumn, t.endColumn);
+      return;
+    }
+    const key = t.key.toLowerCase();
+    if (!LIMIT_ATTRS.includes(key)) {
+      const guess = closest(key, LIMIT_ATTRS);
+      push("warning", `Unknown @limit "${t.key}".${guess ? ` Did you mean "${guess}"?` : ""}`, lineNo, t.startColumn, t.keyEnd,
+        guess && { title: `Change to "${guess}"`, startColumn: t.startColumn, endColumn: t.keyEnd, text: guess });
+    } else if (key === "envelope") {
+      if (!parseEnvelope(t.value)) push("error", "envelope= takes four numbers: xmin,ymin,xmax,ymax.", lineNo, t.keyEnd + 1, t.endColumn);
+    } else if (!isNum(t.value) || Number(t.value) < 0) {
+      push("error", `${key}= must be a positive number, got "${t.value}".`, lineNo, t.keyEnd + 1, t.endColumn);
+    }
+  });
+}
+
+// ' @check "Dust collector on"
+function checkCheckLine(line, lineNo, push) {
+  const m = line.match(/@check\b[ \t]*(.*?)\s*$/i);
+  if (!m[1] || unquote(m[1]).trim() === "") {
+    push("error", "@check needs the item to confirm, e.g. ' @check \"Dust collector on\"", lineNo, 1, line.length + 1);
+  }
+}
+
+export function validateProgram(code, values = null) {
+  const out = [];
+  const push = (severity, message, line, startColumn, endColumn, fix) =>
+    out.push({ severity, message, line, startColumn, endColumn, ...(fix ? { fix } : {}) });
+
+  const codeLines = code.split(/\r?\n/);
+  const varsInCode = (lines) => {
+    const used = new Set();
+    lines.forEach(l => {
+      if (/^\s*[';]/.test(l)) return;
+      (l.match(/&[A-Za-z][A-Za-z0-9_]*/g) || []).forEach(v => used.add(v.slice(1)));
+    });
+    return used;
+  };
+  // @global inputs are meant for the other sections, so any use anywhere counts
+  const programVars = varsInCode(codeLines);
+
+  const models = buildSectionModels(code);
+  const globalSec = models.find(m => m.global);
+  models.forEach(sec => {
+    const lines = sec.text.split(/\r?\n/);
+    if (sec.extraGlobal) {
+      push("warning", "Only the first @global section is shared; this one is treated as an ordinary section.", sec.start, 1, codeLines[sec.start - 1].length + 1);
+    }
+    // GOSUB targets: this section's labels, else the @global subroutines
+    const own = labelsIn(sec.text);
+    gosubTargets(sec.text).forEach(name => {
+      if (own.has(name) || (!sec.global && globalSec?.block.subroutines[name])) return;
+      const ref = new RegExp(`\\bGOSUB\\s*,?\\s*(${name})\\b`, "i");
+      const i = lines.findIndex(l => ref.test(l));
+      const col = lines[i].search(/GOSUB/i) + 1;
+      push("warning", `GOSUB ${lines[i].match(ref)[1]}: no such label in this section${globalSec && !sec.global ? " or the @global section" : ""}.`, sec.start + i + 1, col, lines[i].length + 1);
+    });
+    if (sec.explicitId && sec.id !== sec.explicitId) {
+      // sec.start is the line after the header, i.e. the header's 1-based line number
+      const header = codeLines[sec.start - 1];
+      const col = header.lastIndexOf(`id=${sec.explicitId}`) + 1;
+      push("warning", `Another section already uses id=${sec.explicitId}; this one is saved as "${sec.id}".`, sec.start, col, col + sec.explicitId.length + 3);
+    }
+    // variables referenced by code, not by comments/directives
+    const usedVars = sec.global ? programVars : varsInCode(lines);
+
+    const seen = new Set();
+    const visibleFields = sec.globalSec ? [...sec.fields, ...sec.globalSec.fields] : sec.fields;
+    const sectionVars = new Set(visibleFields.flatMap(f => (f.type === "point" ? pointParts(f.name) : [f.name]).map(n => n.toLowerCase())));
+    const fieldsByName = new Map(sec.fields.map(f => [f.name.toLowerCase(), f]));
+    const ownVars = new Set(fieldsByName.keys());
+    const grouped = new Set();
+    lines.forEach((line, i) => {
+      const lineNo = sec.start + i + 1;
+      const d = line.match(DIRECTIVE_LINE);
+      if (!d) return;
+      const name = d[2].toLowerCase();
+      if (name === "input") checkInputLine(line, lineNo, usedVars, seen, sectionVars, push);
+      else if (name === "checkmark") checkCheckmarkLine(line, lineNo, push);
+      else if (name === "preset") checkPresetLine(line, lineNo, fieldsByName, push);
+      else if (name === "units") checkUnitsLine(line, lineNo, push);
+      else if (name === "limit") checkLimitLine(line, lineNo, push);
+      else if (name === "check") checkCheckLine(line, lineNo, push);
+      else if (name === "order" || name === "group" || name === "internal") checkLayoutLine(line, lineNo, name, ownVars, usedVars, grouped, push);
+      else if (name === "columns") checkColumnsLine(line, lineNo, push);
+      else if (name === "mode") checkModeLine(line, lineNo, push);
+      else if (name === "requires") checkRequiresLine(line, lineNo, sec, models, push);
+      else {
+        const guess = closest(name, KNOWN_DIRECTIVES);
+        const start = d[1].length + 2;
+        push("warning", `Unknown directive "@${d[2]}".${guess ? ` Did you mean "@${guess}"?` : ""}`, lineNo, start - 1, start + d[2].length,
+          guess && { title: `Change to "@${guess}"`, startColumn: start, endColumn: start + d[2].length, text: guess });
+      }
+    });
+
+    if (!values) return;
+    sec.fields.forEach(f => {
+      if (hasVal(f.hidden ? f.default : values[keyFor(sec.id, f.name)]) || (f.hidden && f.exprs.default !== undefined)) return;
+      const inCode = lines.findIndex(l => !/^\s*[';]/.test(l) && l.includes(`&${f.name}`));
+      const at = inCode >= 0 ? inCode : Math.max(0, lines.findIndex(l => l.includes(`&${f.name}`)));
+      const col = Math.max(1, lines[at].indexOf(`&${f.name}`) + 1);
+      push("warning", `&${f.name} has no value in "${sec.title}"; the machine will stop with a DIALOG to ask for it.`,
+        sec.start + at + 1, col, col + f.name.length + 1);
+    });
+  });
+  return out.sort((a, b) => a.line - b.line || a.startColumn - b.startColumn);
+}
+
+// Monaco markers for the diagnostics above.
+export function toMarkers(monaco, diagnostics) {
+  return diagnostics.map(d => ({
+    severity: d.severity === "error" ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+    message: d.message,
+    startLineNumber: d.line, endLineNumber: d.line,
+    startColumn: d.startColumn, endColumn: d.endColumn,
+  }));
+}
+
+// Apply a fix to the plain code string (used when the editor is not mounted).
+export function applyFixToCode(code, diag) {
+  const lines = code.split(/\r?\n/);
+  const nl = code.includes("\r\n") ? "\r\n" : "\n";
+  const line = lines[diag.line - 1];
+  if (line === undefined) return code;
+  lines[diag.line - 1] = line.slice(0, diag.fix.startColumn - 1) + diag.fix.text + line.slice(diag.fix.endColumn - 1);
+  return lines.join(nl);
+}
+
+// Quick fixes in the editor's lightbulb menu, matched to markers by line + message.
+export function registerQuickFixes(monaco, languageId) {
+  monaco.languages.registerCodeActionProvider(languageId, {
+    provideCodeActions(model, range, context) {
+      const fixable = validateProgram(model.getValue()).filter(d => d.fix);
+      const actions = [];
+      context.markers.forEach(marker => {
+        const d = fixable.find(x => x.line === marker.startLineNumber && x.message === marker.message);
+        if (!d) return;
+        actions.push({
+          title: d.fix.title,
+          kind: "quickfix",
+          diagnostics: [marker],
+          isPreferred: true,
+          edit: {
+            edits: [{
+              resource: model.uri,
+              versionId: model.getVersionId(),
+              textEdit: { range: new monaco.Range(d.line, d.fix.startColumn, d.line, d.fix.endColumn), text: d.fix.text },
+            }],
+          },
+        });
+      });
+      return { actions, dispose() {} };
+    },
+  });
+}
@@ -0,0 +1,229 @@
+import { INPUT_ATTRS, buildSectionModels, parseSections, sectionSlug, splitLocaleAttr } from "./sbp";
+
+/* ---------------------- source edits for the form designer ---------------------- */
+// Each operation takes the program text and returns the new text; only @input lines and
+// section headers are touched. minimalEdit() turns old/new text into one replacement
+// ({ start, end, text } offsets) so the editor can apply it as a single undoable edit.
+const INPUT_LINE = /^(\s*[';]\s*@input\s+)&([A-Za-z][A-Za-z0-9_]*)(.*)$/i;
+const HEADER_LINE = /^(\s*(?:[';]\s*)?#\s*)(.+?)(\s*)$/;
+const ATTR = /(\w+(?:\.[A-Za-z]{2,3}(?:-[A-Za-z0-9]+)?)?)=("[^"]*"|'[^']*'|\S+)/g;
+const ORDER_LINE = /^(\s*[';]\s*@order\b).*$/i;
+
+const eolOf = (code) => (code.includes("\r\n") ? "\r\n" : "\n");
+const unquote = (v) => (/^(".*"|'.*')$/.test(v) ? v.slice(1, -1) : v);
+
+// value as written in a directive: bare when it can be, quoted otherwise
+export function formatAttrValue(v) {
+  const s = String(v);
+  if (s !== "" && !/[\s"']/.test(s)) return s;
+  return s.includes('"') ? `'${s}'` : `"${s}"`;
+}
+
+// [[key, value], ...] in the order they are written
+export function parseInputAttrs(rest) {
+  const out = [];
+  let a;
+  ATTR.lastIndex = 0;
+  while ((a = ATTR.exec(rest))) out.push([a[1], unquote(a[2])]);
+  return out;
+}
+
+export function formatInputLine(name, attrs, prefix = "' @input ") {
+  const parts = attrs.map(([k, v]) => `${k}=${formatAttrValue(v)}`);
+  return `${prefix}&${name}${parts.length ? ` ${parts.join(" ")}` : ""}`;
+}
+
+function sectionById(code, secId) {
+  const sec = buildSectionModels(code).find(s => s.id === secId);
+  if (!sec) throw new Error("That section is no longer in the code");
+  return sec;
+}
+
+// index (0-based, into the whole program) of a field's @input line, or -1
+function inputLineIndex(lines, sec, name) {
+  for (let i = sec.start; i < sec.end; i++) {
+    const m = lines[i].match(INPUT_LINE);
+    if (m && m[2].toLowerCase() === name.toLowerCase()) return i;
+  }
+  return -1;
+}
+
+// New @input lines go after the section's last one, else at the top of the section
+// (below the program's title comment when the program has no headers)
+function insertIndex(lines, sec) {
+  let last = -1;
+  for (let i = sec.start; i < sec.end; i++) if (INPUT_LINE.test(lines[i])) last = i;
+  if (last >= 0) return last + 1;
+  if (sec.start === 0 && /^\s*[';]\s*[^@\s#]/.test(lines[0] || "")) return 1;
+  return sec.start;
+}
+
+// usual attribute order; label.es=… goes right after label=
+const rank = (k) => {
+  const loc = splitLocaleAttr(k);
+  return loc ? (INPUT_ATTRS.indexOf(loc.base) + 1 || 99) + 0.5 : INPUT_ATTRS.indexOf(k) + 1 || 99;
+};
+
+// Set attributes of a field's @input, creating the line if there is none. A value of
+// "" / null / undefined removes the attribute; other attributes keep their place.
+export function setFieldAttrs(code, secId, name, patch) {
+  const eol = eolOf(code);
+  const lines = code.split(/\r?\n/);
+  const sec = sectionById(code, secId);
+  const idx = inputLineIndex(lines, sec, name);
+  const m = idx >= 0 ? lines[idx].match(INPUT_LINE) : null;
+  const attrs = m ? parseInputAttrs(m[3]) : [];
+  const drop = (v) => v === "" || v === null || v === undefined;
+
+  const next = attrs
+    .filter(([k]) => !(k in patch) || !drop(patch[k]))
+    .map(([k, v]) => [k, k in patch ? String(patch[k]) : v]);
+  // new attributes in the usual order (type, label, default, min, ...)
+  Object.keys(patch)
+    .filter(k => !drop(patch[k]) && !attrs.some(([a]) => a === k))
+    .sort((a, b) => rank(a) - rank(b))
+    .forEach(k => next.push([k, String(patch[k])]));
+
+  if (m) lines[idx] = formatInputLine(m[2], next, m[1]);
+  else lines.splice(insertIndex(lines, sec), 0, formatInputLine(name, next));
+  return lines.join(eol);
+}
+
+// A new field is just an @input line; the variable shows up in the form right away.
+export function addField(code, secId, name, attrs = {}) {
+  const sec = sectionById(code, secId);
+  if (sec.fields.some(f => f.name.toLowerCase() === name.toLowerCase())) throw new Error(`&${name} is already a field of this section`);
+  return setFieldAttrs(code, secId, name, { type: "number", ...attrs });
+}
+
+// Move a field up (-1) or down (+1). With an @order line, that line is rewritten.
+// Otherwise field order is the order of first use, so every field gets an @input line
+// (with its current type) and those lines are put in the new order where the first
+// of them was.
+export function moveField(code, secId, name, dir) {
+  const sec = sectionById(code, secId);
+  const order = sec.fields.map(f => f.name);
+  const i = order.findIndex(n => n.toLowerCase() === name.toLowerCase());
+  const j = i + dir;
+  if (i < 0 || j < 0 || j >= order.length) return code;
+
+  const all = code.split(/\r?\n/);
+  const orderAt = all.slice(sec.start, sec.end).findIndex(l => ORDER_LINE.test(l));
+  if (orderAt >= 0) {
+    [order[i], order[j]] = [order[j], order[i]];
+    const idx = sec.start + orderAt;
+    all[idx] = `${all[idx].match(ORDER_LINE)[1]} ${order.map(n => `&${n}`).join(" ")}`;
+    // later @order lines would add to this one
+    for (let k = sec.end - 1; k > idx; k--) if (ORDER_LINE.test(all[k])) all.splice(k, 1);
+    return all.join(eolOf(code));
+  }
+
+  let next = code;
+  sec.fields.forEach(f => {
+    const lines = next.split(/\r?\n/);
+    if (inputLineIndex(lines, sectionById(next, secId), f.name) < 0) next = setFieldAttrs(next, secId, f.name, { type: f.type });
+  });
+
+  [order[i], order[j]] = [order[j], order[i]];
+  const eol = eolOf(next);
+  const lines = next.split(/\r?\n/);
+  const s = sectionById(next, secId);
+  const at = order.map(n => inputLineIndex(lines, s, n));
+  const block = order.map((n, k) => lines[at[k]]);
+  const first = Math.min(...at);
+  // drop the old lines bottom-up, then put the block back where the first one was
+  [...at].sort((a, b) => b - a).forEach(k => lines.splice(k, 1));
+  lines.splice(first, 0, ...block);
+  return lines.join(eol);
+}
+
+// Rename a section's header. A section without an id= keeps its current one so saved
+// values, presets and history still find it.
+export function renameSection(code, secId, title) {
+  const clean = String(title).replace(/\s+/g, " ").trim();
+  if (!clean) throw new Error("A section needs a title");
+  const eol = eolOf(code);
+  const lines = code.split(/\r?\n/);
+  const sec = parseSections(code).find(s => s.id === secId);
+  if (!sec) throw new Error("That section is no longer in the code");
+  if (sec.id === "main" && sec.start === 0) {
+    // no headers yet: this program becomes its first section
+    const at = /^\s*[';]\s*[^@\s#]/.test(lines[0] || "") ? 1 : 0;
+    lines.splice(at, 0, `' #${clean}${sectionSlug(clean) === "main" ? "" : " id=main"}`);
+    return lines.join(eol);
+  }
+  const m = lines[sec.start - 1].match(HEADER_LINE);
+  const head = sec.global ? `@global ${clean}` : clean;
+  const id = sec.explicitId || (!sec.global && sectionSlug(clean) !== sec.id ? sec.id : null);
+  lines[sec.start - 1] = `${m[1]}${head}${id ? ` id=${id}` : ""}`;
+  return lines.join(eol);
+}
+
+// Append a whole section (its "' #Title" header first) after the last one; a program
+// without headers gets one for its existing code first. Imports land here too.
+export function appendSection(code, text) {
+  const eol = eolOf(code);
+  let next = code;
+  const secs = parseSections(code);
+  if (secs.length === 1 && secs[0].id === "main" && secs[0].start === 0 && code.trim()) next = renameSection(code, "main", "Main");
+  const body = next.replace(/(\r?\n)*$/, "");
+  const added = String(text).replace(/(\r?\n)*$/, "").split(/\r?\n/).join(eol);
+  return `${body}${body ? eol + eol : ""}${added}${eol}`;
+}
+
+export function addSection(code, title) {
+  const clean = String(title).replace(/\s+/g, " ").trim();
+  if (!clean) throw new Error("A section needs a title");
+  return appendSection(code, `' #${clean}`);
+}
+
+/* ---------------------- variables across the program ---------------------- */
+const PRESET_LINE = /^\s*[';]\s*@preset\b/i;
+
+// Where &Name is written: { line, startColumn, endColumn } (1-based, just the name, not
+// the &). `parts` adds &Name_X / &Name_Y (a point field), and @preset lines also name
+// fields without the & (Depth=0.75).
+export function variableOccurrences(code, name, { parts = false } = {}) {
+  const ref = new RegExp(`&(${name})${parts ? "(?:_[XY])?" : ""}(?![A-Za-z0-9_])`, "gi");
+  const bare = new RegExp(`(^|[\\s&])(${name})(?==)`, "gi");
+  const out = [];
+  code.split(/\r?\n/).forEach((text, i) => {
+    for (const m of text.matchAll(ref)) out.push({ line: i + 1, startColumn: m.index + 2, endColumn: m.index + 2 + m[1].length });
+    if (!PRESET_LINE.test(text)) return;
+    for (const m of text.matchAll(bare)) {
+      if (m[1] === "&") continue; // already found above
+      const col = m.index + m[1].length + 1;
+      out.push({ line: i + 1, startColumn: col, endColumn: col + m[2].length });
+    }
+  });
+  return out;
+}
+
+// Stored values ("<secId>::Name") follow a renamed variable
+export function renameValueKeys(values, from, to) {
+  const lower = from.toLowerCase();
+  let changed = false;
+  const next = {};
+  Object.entries(values).forEach(([k, v]) => {
+    const at = k.indexOf("::");
+    if (at >= 0 && k.slice(at + 2).toLowerCase() === lower) { next[`${k.slice(0, at)}::${to}`] = v; changed = true; }
+    else next[k] = v;
+  });
+  return changed ? next : values;
+}
+
+/* ---------------------- applying ---------------------- */
+// The smallest single replacement that turns `before` into `after`.
+export function minimalEdit(before, after) {
+  if (before === after) return null;
+  let start = 0;
+  const max = Math.min(before.length, after.length);
+  while (start < max && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < max - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  return { start, end: before.length - end, text: after.slice(start, after.length - end) };
+}
+
+export function applyEdit(code, edit) {
+  return edit ? code.slice(0, edit.start) + edit.text + code.slice(edit.end) : code;
+}
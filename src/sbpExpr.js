@@ -0,0 +1,128 @@
+/* ---------------------- openSBP expression evaluator ---------------------- */
+// Numbers, "strings", &user / $persistent / %(n) system variables, + - * / ^,
+// parentheses, the comparisons = <> < > <= >= and AND / OR / NOT (true = 1, false = 0).
+// Variables are looked up case-insensitively through `vars`, keyed like "&depth".
+
+const TOKEN = /\s*(?:(\d+\.?\d*|\.\d+)|("(?:[^"]|"")*")|([&$][A-Za-z][A-Za-z0-9_]*)|(%\(\s*\d+\s*\))|(<>|<=|>=|[-+*/^()=<>])|(AND|OR|NOT)\b)/iy;
+
+function tokenize(src) {
+  const out = [];
+  TOKEN.lastIndex = 0;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(src);
+    if (!m) throw new Error(`Unexpected "${src.slice(pos).trim()[0]}" in "${src}"`);
+    pos = TOKEN.lastIndex;
+    if (m[1] !== undefined) out.push({ t: "num", v: Number(m[1]) });
+    else if (m[2] !== undefined) out.push({ t: "str", v: m[2].slice(1, -1).replace(/""/g, '"') });
+    else if (m[3] !== undefined) out.push({ t: "var", v: m[3].toLowerCase() });
+    else if (m[4] !== undefined) out.push({ t: "var", v: m[4].replace(/\s+/g, "") });
+    else if (m[5] !== undefined) out.push({ t: "op", v: m[5] });
+    else out.push({ t: "op", v: m[6].toUpperCase() });
+  }
+  return out;
+}
+
+export function evalExpr(src, vars = {}) {
+  const toks = tokenize(String(src));
+  let i = 0;
+  const peek = () => toks[i];
+  const isOp = (v) => peek()?.t === "op" && peek().v === v;
+
+  function primary() {
+    const tok = toks[i++];
+    if (!tok) throw new Error(`Unexpected end of "${src}"`);
+    if (tok.t === "num" || tok.t === "str") return tok.v;
+    if (tok.t === "var") {
+      if (!(tok.v in vars)) throw new Error(`${tok.v} has no value`);
+      return vars[tok.v];
+    }
+    if (tok.v === "(") {
+      const v = or();
+      if (!isOp(")")) throw new Error(`Missing ")" in "${src}"`);
+      i++;
+      return v;
+    }
+    if (tok.v === "-") return -num(primary());
+    if (tok.v === "+") return num(primary());
+    throw new Error(`Unexpected "${tok.v}" in "${src}"`);
+  }
+  const num = (v) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) throw new Error(`"${v}" is not a number`);
+    return n;
+  };
+  function power() {
+    let v = primary();
+    while (isOp("^")) { i++; v = Math.pow(num(v), num(primary())); }
+    return v;
+  }
+  function term() {
+    let v = power();
+    while (isOp("*") || isOp("/")) {
+      const op = toks[i++].v;
+      const r = num(power());
+      v = op === "*" ? num(v) * r : num(v) / r;
+    }
+    return v;
+  }
+  function sum() {
+    let v = term();
+    while (isOp("+") || isOp("-")) {
+      const op = toks[i++].v;
+      const r = term();
+      // + concatenates when either side is text, like openSBP string assignment
+      if (op === "+" && (typeof v === "string" || typeof r === "string") && !(isNumeric(v) && isNumeric(r))) v = `${v}${r}`;
+      else v = op === "+" ? num(v) + num(r) : num(v) - num(r);
+    }
+    return v;
+  }
+  function comparison() {
+    let v = sum();
+    while (peek()?.t === "op" && ["=", "<>", "<", ">", "<=", ">="].includes(peek().v)) {
+      const op = toks[i++].v;
+      const r = sum();
+      const [a, b] = isNumeric(v) && isNumeric(r) ? [Number(v), Number(r)] : [String(v), String(r)];
+      v = Number({ "=": a === b, "<>": a !== b, "<": a < b, ">": a > b, "<=": a <= b, ">=": a >= b }[op]);
+    }
+    return v;
+  }
+
+  function not() {
+    if (isOp("NOT")) { i++; return Number(!isTruthy(not())); }
+    return comparison();
+  }
+  function and() {
+    let v = not();
+    while (isOp("AND")) { i++; const r = not(); v = Number(isTruthy(v) && isTruthy(r)); }
+    return v;
+  }
+  function or() {
+    let v = and();
+    while (isOp("OR")) { i++; const r = and(); v = Number(isTruthy(v) || isTruthy(r)); }
+    return v;
+  }
+
+  const v = or();
+  if (i < toks.length) throw new Error(`Unexpected "${toks[i].v}" in "${src}"`);
+  return v;
+}
+
+const isNumeric = (v) => typeof v === "number" || (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v)));
+
+// Truthiness used by showIf/enableIf and IF: non-zero numbers, non-empty text.
+export const isTruthy = (v) => (isNumeric(v) ? Number(v) !== 0 : Boolean(v));
+
+// Check an expression's syntax without knowing any variable values.
+export function checkExprSyntax(src) {
+  const anything = new Proxy({}, { has: () => true, get: () => 1 });
+  try { evalExpr(src, anything); return null; }
+  catch (err) { return err.message; }
+}
+
+// The &/$ variable names an expression refers to (lower-cased, with sigil).
+export function exprVariables(src) {
+  return (String(src).match(/[&$][A-Za-z][A-Za-z0-9_]*/g) || []).map(v => v.toLowerCase());
+}
@@ -0,0 +1,357 @@
+import { SBP_COMMANDS, SBP_STATEMENTS, SBP_SYSTEM_VARS, commandSignature, findCommand, findStatement, findSystemVar } from "./sbpCommands";
+import { parseDirectivesIn, parseCheckmarksIn, parseSections, buildSectionModels } from "./sbp";
+import { registerQuickFixes } from "./sbpDiagnostics";
+import { variableOccurrences } from "./sbpEdit";
+
+/* ---------------------- Monaco: openSBP language service ---------------------- */
+export const SBP_LANGUAGE_ID = "opensbp";
+
+const LABEL_DEF = /^\s*([A-Za-z_][A-Za-z0-9_]*):/;
+const COMMAND_AT_START = /^\s*([A-Za-z][A-Za-z0-9])(?=[\s,]|$)/;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const KEYWORDS = new RegExp(`\\b(?:${SBP_COMMANDS.map(c => escapeRe(c.name)).join("|")}|HOME)\\b`, "i");
+const STATEMENTS = new RegExp(`\\b(?:${SBP_STATEMENTS.map(s => s.name).join("|")})\\b`, "i");
+
+function collectSymbols(text) {
+  const vars = new Set(), persistent = new Set(), labels = new Map();
+  let m;
+  const varRe = /&([A-Za-z][A-Za-z0-9_]*)/g;
+  while ((m = varRe.exec(text))) vars.add(m[1]);
+  const pvarRe = /\$([A-Za-z][A-Za-z0-9_]*)/g;
+  while ((m = pvarRe.exec(text))) persistent.add(m[1]);
+  text.split(/\r?\n/).forEach((line, i) => {
+    const lm = line.match(LABEL_DEF);
+    if (lm && !labels.has(lm[1])) labels.set(lm[1], i + 1);
+  });
+  return { vars: [...vars], persistent: [...persistent], labels };
+}
+
+// The symbol under the cursor: &var, $var, %(n), or a bare word.
+function symbolAt(line, column) {
+  const re = /&[A-Za-z][A-Za-z0-9_]*|\$[A-Za-z][A-Za-z0-9_]*|%\(\s*\d+\s*\)|[A-Za-z_][A-Za-z0-9_]*/g;
+  let m;
+  while ((m = re.exec(line))) {
+    const start = m.index + 1, end = m.index + m[0].length + 1;
+    if (column >= start && column <= end) return { text: m[0], start, end };
+  }
+  return null;
+}
+
+// Number of argument separators in `text`, ignoring commas inside strings.
+function countArgCommas(text) {
+  let n = 0, inStr = false;
+  for (const ch of text) {
+    if (ch === '"') inStr = !inStr;
+    else if (ch === "," && !inStr) n++;
+  }
+  return n;
+}
+
+function commandDoc(cmd) {
+  const args = cmd.args.map((a, i) => `${i + 1}. **${a.name}**${a.doc ? ` — ${a.doc}` : ""}`).join("\n");
+  return [
+    { value: `**${cmd.name}** _(${cmd.group})_ — ${cmd.summary}` },
+    { value: "```opensbp\n" + commandSignature(cmd) + "\n```" },
+    ...(args ? [{ value: args }] : []),
+  ];
+}
+
+function commandSnippet(cmd) {
+  if (!cmd.args.length) return cmd.name;
+  return `${cmd.name}, ${cmd.args.map((a, i) => `\${${i + 1}:${a.name}}`).join(", ")}`;
+}
+
+function registerTokens(monaco) {
+  monaco.languages.setMonarchTokensProvider(SBP_LANGUAGE_ID, {
+    ignoreCase: true,
+    tokenizer: {
+      root: [
+        [/[';].*$/, "comment"],
+        [/^\s*[A-Za-z_][A-Za-z0-9_]*:/, "type.label"],
+        [/(GOTO|GOSUB)(\s+)([A-Za-z_][A-Za-z0-9_]*)/, ["keyword.control", "", "type.label"]],
+        [/&[A-Za-z][A-Za-z0-9_]*/, "variable"],
+        [/\$[A-Za-z][A-Za-z0-9_]*/, "variable.persistent"],
+        [/%\(\s*\d+\s*\)/, "variable.system"],
+        [/\b-?(?:\d+\.\d+|\d+|\.\d+)\b/, "number"],
+        [/"/, { token: "string.quote", bracket: "@open", next: "@string" }],
+        [STATEMENTS, "keyword.control"],
+        [KEYWORDS, "keyword"],
+        [/[=<>!+\-*/^]+/, "operator"],
+        [/,/, "delimiter"],
+      ],
+      string: [
+        [/[^"]+/, "string"],
+        [/""/, "string.escape"],
+        [/"/, { token: "string.quote", bracket: "@close", next: "@root" }],
+      ],
+    },
+  });
+  monaco.languages.setLanguageConfiguration(SBP_LANGUAGE_ID, {
+    comments: { lineComment: "'" },
+    brackets: [["(", ")"]],
+    autoClosingPairs: [{ open: "(", close: ")" }, { open: '"', close: '"', notIn: ["string", "comment"] }],
+  });
+}
+
+function registerCompletion(monaco) {
+  const Kind = monaco.languages.CompletionItemKind;
+  const Rule = monaco.languages.CompletionItemInsertTextRule;
+
+  monaco.languages.registerCompletionItemProvider(SBP_LANGUAGE_ID, {
+    triggerCharacters: ["&", "$", "%"],
+    provideCompletionItems(model, position) {
+      const prefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+      if (/^\s*[';]/.test(prefix)) return { suggestions: [] };
+
+      const partial = prefix.match(/[&$%]?[A-Za-z0-9_(]*$/)[0];
+      const range = {
+        startLineNumber: position.lineNumber, endLineNumber: position.lineNumber,
+        startColumn: position.column - partial.length, endColumn: position.column,
+      };
+      const { vars, persistent, labels } = collectSymbols(model.getValue());
+
+      if (/\b(?:GOTO|GOSUB)\s+[A-Za-z0-9_]*$/i.test(prefix)) {
+        return {
+          suggestions: [...labels].map(([name, line]) => ({
+            label: name, kind: Kind.Reference, insertText: name, range, detail: `Label (line ${line})`,
+          })),
+        };
+      }
+
+      const suggestions = [];
+      const atStart = prefix.slice(0, prefix.length - partial.length).trim() === "";
+      if (atStart && !/^[&$%]/.test(partial)) {
+        SBP_COMMANDS.forEach(cmd => suggestions.push({
+          label: cmd.name, kind: Kind.Function, detail: commandSignature(cmd),
+          documentation: { value: cmd.summary }, insertText: commandSnippet(cmd),
+          insertTextRules: Rule.InsertAsSnippet, range,
+        }));
+      }
+      SBP_STATEMENTS.forEach(st => suggestions.push({
+        label: st.name, kind: Kind.Keyword, detail: st.summary,
+        insertText: st.snippet || st.name, insertTextRules: st.snippet ? Rule.InsertAsSnippet : undefined, range,
+      }));
+      vars.forEach(v => suggestions.push({ label: `&${v}`, kind: Kind.Variable, insertText: `&${v}`, range, detail: "User variable" }));
+      persistent.forEach(v => suggestions.push({ label: `$${v}`, kind: Kind.Variable, insertText: `$${v}`, range, detail: "Persistent variable" }));
+      SBP_SYSTEM_VARS.forEach(v => suggestions.push({
+        label: `%(${v.index})`, kind: Kind.Constant, insertText: `%(${v.index})`, filterText: `%(${v.index}) ${v.summary}`,
+        range, detail: v.summary,
+      }));
+      return { suggestions };
+    },
+  });
+}
+
+function registerHover(monaco) {
+  monaco.languages.registerHoverProvider(SBP_LANGUAGE_ID, {
+    provideHover(model, position) {
+      const line = model.getLineContent(position.lineNumber);
+      if (/^\s*[';]/.test(line)) return null;
+      const sym = symbolAt(line, position.column);
+      if (!sym) return null;
+      const range = new monaco.Range(position.lineNumber, sym.start, position.lineNumber, sym.end);
+      const text = model.getValue();
+
+      let contents = null;
+      if (sym.text.startsWith("&")) {
+        const name = sym.text.slice(1);
+        const cfg = parseDirectivesIn(text)[name];
+        contents = [{ value: `**&${name}** — user variable` }];
+        if (cfg) {
+          const attrs = Object.entries(cfg).map(([k, v]) => `- ${k}: \`${v}\``).join("\n");
+          contents.push({ value: `Declared by \`@input\`:\n${attrs}` });
+        }
+      } else if (sym.text.startsWith("$")) {
+        const name = sym.text.slice(1);
+        contents = [{ value: `**$${name}** — persistent variable (kept in FabMo config between runs)` }];
+        if (parseCheckmarksIn(text).includes(name)) contents.push({ value: "Tracked by `@checkmark`." });
+      } else if (sym.text.startsWith("%")) {
+        const index = sym.text.match(/\d+/)[0];
+        const sv = findSystemVar(index);
+        contents = [{ value: `**%(${index})** — ${sv ? sv.summary : "system variable"}` }];
+      } else {
+        const before = line.slice(0, sym.start - 1);
+        const labels = collectSymbols(text).labels;
+        const cmd = before.trim() === "" ? findCommand(sym.text) : null;
+        const st = findStatement(sym.text);
+        if (cmd) contents = commandDoc(cmd);
+        else if (st) contents = [{ value: `**${st.name}** — ${st.summary}` }];
+        else if (labels.has(sym.text)) contents = [{ value: `**${sym.text}:** — label (line ${labels.get(sym.text)})` }];
+      }
+      return contents ? { range, contents } : null;
+    },
+  });
+}
+
+function registerSignatureHelp(monaco) {
+  monaco.languages.registerSignatureHelpProvider(SBP_LANGUAGE_ID, {
+    signatureHelpTriggerCharacters: [","],
+    signatureHelpRetriggerCharacters: [","],
+    provideSignatureHelp(model, position) {
+      const prefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+      const m = prefix.match(COMMAND_AT_START);
+      const cmd = m && findCommand(m[1]);
+      if (!cmd || !cmd.args.length) return null;
+      const commas = countArgCommas(prefix.slice(m[0].length));
+      if (commas === 0) return null;
+
+      const label = commandSignature(cmd);
+      let offset = cmd.name.length + 2;
+      const parameters = cmd.args.map(a => {
+        const p = { label: [offset, offset + a.name.length], documentation: a.doc || undefined };
+        offset += a.name.length + 2;
+        return p;
+      });
+      return {
+        value: {
+          signatures: [{ label, documentation: cmd.summary, parameters }],
+          activeSignature: 0,
+          activeParameter: Math.min(commas - 1, parameters.length - 1),
+        },
+        dispose() {},
+      };
+    },
+  });
+}
+
+function defineThemes(monaco) {
+  monaco.editor.defineTheme("sbp-dark", {
+    base: "vs-dark", inherit: true,
+    rules: [
+      { token: "comment", foreground: "6A9955" },
+      { token: "variable", foreground: "4FC1FF" },
+      { token: "variable.persistent", foreground: "9CDCFE", fontStyle: "italic" },
+      { token: "variable.system", foreground: "DCDCAA" },
+      { token: "type.label", foreground: "4EC9B0", fontStyle: "bold" },
+      { token: "number", foreground: "B5CEA8" },
+      { token: "keyword", foreground: "C586C0", fontStyle: "bold" },
+      { token: "keyword.control", foreground: "569CD6", fontStyle: "bold" },
+      { token: "string", foreground: "CE9178" },
+    ],
+    colors: {},
+  });
+  monaco.editor.defineTheme("sbp-light", {
+    base: "vs", inherit: true,
+    rules: [
+      { token: "comment", foreground: "008000" },
+      { token: "variable", foreground: "0000FF" },
+      { token: "variable.persistent", foreground: "001080", fontStyle: "italic" },
+      { token: "variable.system", foreground: "795E26" },
+      { token: "type.label", foreground: "267F99", fontStyle: "bold" },
+      { token: "number", foreground: "098658" },
+      { token: "keyword", foreground: "AF00DB", fontStyle: "bold" },
+      { token: "keyword.control", foreground: "0000FF", fontStyle: "bold" },
+      { token: "string", foreground: "A31515" },
+    ],
+    colors: { "editor.background": "#FFFFFF" },
+  });
+}
+
+/* ---- links back to the page (the providers are registered once, for every editor) ---- */
+// The page running the sections answers the "Run section" lens; rename listeners move
+// stored values and presets along with a renamed variable.
+const RUN_SECTION_COMMAND = "opensbp.runSection";
+let runSectionHandler = null;
+const renameListeners = new Set();
+// Renames offered to the editor, newest first, with the code before and after their
+// edits. The listeners only hear of one when the code changes to match (a refactor
+// preview can still be cancelled), and hear it backwards when the edit is undone.
+const renames = [];
+const MAX_RENAMES = 20;
+
+export function setRunSectionHandler(fn) {
+  runSectionHandler = fn;
+  return () => { if (runSectionHandler === fn) runSectionHandler = null; };
+}
+
+export function onVariableRename(fn) {
+  renameListeners.add(fn);
+  return () => renameListeners.delete(fn);
+}
+
+// Called with the editor's code after each change, before the page stores it
+export function reconcileRename(code) {
+  const r = renames.find(x => (x.applied ? x.before : x.after) === code);
+  if (!r) return;
+  r.applied = !r.applied;
+  const change = r.applied ? { from: r.from, to: r.to, undo: false } : { from: r.to, to: r.from, undo: true };
+  renameListeners.forEach(fn => fn(change));
+}
+
+function applyOccurrences(lines, occurrences, text) {
+  const out = [...lines];
+  [...occurrences].sort((a, b) => b.line - a.line || b.startColumn - a.startColumn).forEach(o => {
+    const l = out[o.line - 1];
+    out[o.line - 1] = l.slice(0, o.startColumn - 1) + text + l.slice(o.endColumn - 1);
+  });
+  return out;
+}
+
+// F2 on &Var: every &Var in the program (directives and expressions included) and
+// bare names in @preset lines; a point field takes its &Var_X / &Var_Y along.
+function registerRename(monaco) {
+  const varAt = (model, position) => {
+    const sym = symbolAt(model.getLineContent(position.lineNumber), position.column);
+    return sym && sym.text.startsWith("&") ? sym : null;
+  };
+  monaco.languages.registerRenameProvider(SBP_LANGUAGE_ID, {
+    resolveRenameLocation(model, position) {
+      const sym = varAt(model, position);
+      if (!sym) return { rejectReason: "Only &variables can be renamed", range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column), text: "" };
+      return { range: new monaco.Range(position.lineNumber, sym.start + 1, position.lineNumber, sym.end), text: sym.text.slice(1) };
+    },
+    provideRenameEdits(model, position, newName) {
+      const sym = varAt(model, position);
+      if (!sym) return { edits: [], rejectReason: "Only &variables can be renamed" };
+      const from = sym.text.slice(1);
+      const to = String(newName).trim().replace(/^&/, "");
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(to)) return { edits: [], rejectReason: `"${to}" is not a variable name` };
+      const text = model.getValue();
+      if (to.toLowerCase() !== from.toLowerCase() && collectSymbols(text).vars.some(v => v.toLowerCase() === to.toLowerCase())) {
+        return { edits: [], rejectReason: `&${to} is already used in this program` };
+      }
+      const parts = buildSectionModels(text).some(sec => sec.fields.some(f => f.type === "point" && f.name.toLowerCase() === from.toLowerCase()));
+      const occurrences = variableOccurrences(text, from, { parts });
+      const edits = occurrences.map(o => ({
+        resource: model.uri,
+        versionId: model.getVersionId(),
+        textEdit: { range: new monaco.Range(o.line, o.startColumn, o.line, o.endColumn), text: to },
+      }));
+      const after = applyOccurrences(model.getLinesContent(), occurrences, to).join(model.getEOL());
+      renames.unshift({ before: text, after, from, to, applied: false });
+      renames.length = Math.min(renames.length, MAX_RENAMES);
+      return { edits };
+    },
+  });
+}
+
+// "▶ Run section" above every section header
+function registerCodeLens(monaco) {
+  monaco.editor.registerCommand(RUN_SECTION_COMMAND, (accessor, secId) => runSectionHandler?.(secId));
+  monaco.languages.registerCodeLensProvider(SBP_LANGUAGE_ID, {
+    provideCodeLenses(model) {
+      const lenses = parseSections(model.getValue())
+        .filter(sec => sec.start > 0 && !sec.global)
+        .map(sec => ({
+          range: new monaco.Range(sec.start, 1, sec.start, 1),
+          command: { id: RUN_SECTION_COMMAND, title: `▶ Run ${sec.title}`, arguments: [sec.id] },
+        }));
+      return { lenses, dispose() {} };
+    },
+  });
+}
+
+export function handleBeforeMount(monaco) {
+  if (!monaco.languages.getEncodedLanguageId(SBP_LANGUAGE_ID)) {
+    monaco.languages.register({ id: SBP_LANGUAGE_ID });
+    registerTokens(monaco);
+    registerCompletion(monaco);
+    registerHover(monaco);
+    registerSignatureHelp(monaco);
+    registerRename(monaco);
+    registerCodeLens(monaco);
+    registerQuickFixes(monaco, SBP_LANGUAGE_ID);
+    defineThemes(monaco);
+  }
+}
@@ -0,0 +1,39 @@
+import {
+  buildSectionModels, localizeSections, reconcileValues, resolveSection, buildPreamble, buildSectionProgram,
+  deriveTitleFromCode, parseUnitsIn, parseModeIn,
+} from "./sbp";
+
+/* ---------------------- the form model as plain data ---------------------- */
+// What the App Maker makes of a program, without React, Monaco or a browser: title,
+// units and, per section, its fields with their resolved values and the SBP the
+// section sends, with labels and prompts in `locale`. `values` are keyed
+// "<sectionId>::<Var>" like the workspace's; missing ones get their defaults. Used by
+// scripts/sbp-model.mjs and the tests.
+export function formModel(code, values = {}, { locale = "en" } = {}) {
+  const sections = localizeSections(buildSectionModels(code), locale);
+  const vals = reconcileValues(values, sections);
+  return {
+    title: deriveTitleFromCode(code),
+    units: parseUnitsIn(code),
+    mode: parseModeIn(code).mode,
+    sections: sections.map(sec => {
+      const r = resolveSection(sec, vals);
+      return {
+        id: sec.id,
+        title: sec.title,
+        global: Boolean(sec.global),
+        // 1-based lines of the header (0 without one) and the last body line
+        lines: [sec.start, sec.end],
+        fields: sec.fields.map(f => {
+          const { value, computed, visible, enabled, min, max, step, errors } = r.fields[f.name];
+          return { ...f, resolved: { value, computed, visible, enabled, min, max, step, errors } };
+        }),
+        layout: sec.layout,
+        checkmark: sec.checkmark,
+        requires: sec.requires,
+        presets: sec.presets,
+        ...(sec.global ? {} : { preamble: buildPreamble(sec, vals, locale), program: buildSectionProgram(sec, vals, locale) }),
+      };
+    }),
+  };
+}
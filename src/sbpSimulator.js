@@ -0,0 +1,242 @@
+import { evalExpr, isTruthy } from "./sbpExpr";
+import { splitArgs, stripComment } from "./sbpToolpath";
+import { t } from "./i18n";
+
+/* ---------------------- built-in simulator runner ---------------------- */
+// Executes a program in the page, a line at a time, so apps can be developed and
+// demoed without a machine. It follows labels, GOTO, GOSUB/RETURN, IF ... THEN and
+// END; evaluates &/$ assignments; tracks X/Y/Z through the move/jog commands; and
+// treats PAUSE (without a time) and DIALOG/INPUT as a hold until resume. DIALOG/INPUT
+// name their variable in the status (info.input) and resume(answer) assigns it, 0
+// when nothing was typed. Statements it does not model (ON INPUT, ...) are skipped
+// with a note in the log entry. Persistent
+// $ variables survive reloads in localStorage and come back through getConfigVars(),
+// which is what lets @checkmark sections turn complete. Every run is logged.
+const LS_SIM_VARS_KEY = "fabmo_sim_vars";
+const LS_SIM_LOG_KEY = "fabmo_sim_log";
+const MAX_STEPS = 100000;
+const LOG_LIMIT = 50;
+
+const AXIS_ARGS = {
+  M2: ["x", "y"], M3: ["x", "y", "z"], MX: ["x"], MY: ["y"], MZ: ["z"],
+  J2: ["x", "y"], J3: ["x", "y", "z"], JX: ["x"], JY: ["y"], JZ: ["z"],
+};
+
+// first argument of PAUSE/DIALOG, unquoted: DIALOG "Depth?", &Depth -> Depth?
+const messageOf = (rest) => (splitArgs(rest)[0] || "").replace(/^"(.*)"$/, "$1").replace(/""/g, '"');
+// the variable DIALOG/INPUT fills: its last argument (DIALOG "Depth?", &Depth -> &Depth)
+const inputOf = (rest) => {
+  const last = splitArgs(rest).pop()?.trim() || "";
+  return /^[&$][A-Za-z][A-Za-z0-9_]*$/.test(last) ? last : null;
+};
+
+function loadJson(key, fallback) {
+  try { const raw = window.localStorage.getItem(key); return raw ? JSON.parse(raw) : fallback; } catch { return fallback; }
+}
+function saveJson(key, value) {
+  try { window.localStorage.setItem(key, JSON.stringify(value)); } catch {}
+}
+
+export function createSimulator({ lineMs = 40, persist = true } = {}) {
+  // persistent variables by display name ("StepDone"); lookups are case-insensitive
+  let persistent = persist ? loadJson(LS_SIM_VARS_KEY, {}) : {};
+  let log = persist ? loadJson(LS_SIM_LOG_KEY, []) : [];
+  let status = { state: "idle", line: 0, nb_lines: 0, posx: 0, posy: 0, posz: 0, info: null };
+  let job = null;
+  const listeners = new Set();
+
+  const emit = (patch) => {
+    status = { ...status, ...patch };
+    listeners.forEach(fn => fn(status));
+  };
+  const savePersistent = () => { if (persist) saveJson(LS_SIM_VARS_KEY, persistent); };
+  const saveLog = () => { if (persist) saveJson(LS_SIM_LOG_KEY, log); };
+
+  function persistentName(name) {
+    const lower = name.toLowerCase();
+    return Object.keys(persistent).find(k => k.toLowerCase() === lower) || name;
+  }
+
+  // evalExpr wants lower-cased "&name" / "$name" keys
+  function scope() {
+    const vars = { ...job.locals };
+    Object.entries(persistent).forEach(([k, v]) => { vars[`$${k.toLowerCase()}`] = v; });
+    return vars;
+  }
+  const evaluate = (src) => evalExpr(src, scope());
+  const note = (msg) => { if (job.entry.notes.length < 20) job.entry.notes.push(msg); };
+
+  // what the operator typed for a DIALOG/INPUT: a number when it reads as one, else text
+  function answerInput(answer) {
+    const target = job.input;
+    job.input = null;
+    if (!target) return;
+    const text = answer === undefined || answer === null ? "" : String(answer).trim();
+    if (!text) note(t("runner.sim.noAnswer", { line: status.line, name: target }));
+    const value = !text ? 0 : Number.isFinite(Number(text)) ? Number(text) : text;
+    setVar(target, value);
+  }
+
+  const assign = (target, src) => setVar(target, evaluate(src));
+  function setVar(target, value) {
+    if (target.startsWith("$")) {
+      const name = persistentName(target.slice(1));
+      persistent = { ...persistent, [name]: value };
+      job.entry.assigned[name] = value;
+      savePersistent();
+    } else {
+      job.locals[target.toLowerCase()] = value;
+    }
+  }
+
+  function move(cmd, args) {
+    const axes = AXIS_ARGS[cmd];
+    const pos = { x: status.posx, y: status.posy, z: status.posz };
+    axes.forEach((axis, i) => {
+      if (args[i] === undefined || args[i] === "") return;
+      const v = Number(evaluate(args[i]));
+      if (!Number.isFinite(v)) throw new Error(`${cmd}: "${args[i]}" is not a number`);
+      pos[axis] = job.relative ? pos[axis] + v : v;
+    });
+    emit({ posx: pos.x, posy: pos.y, posz: pos.z });
+  }
+
+  // Runs one statement; returns "hold" to stop stepping until resume, "end" to finish.
+  function exec(stmt) {
+    const assignment = stmt.match(/^([&$][A-Za-z][A-Za-z0-9_]*)\s*=\s*(.+)$/);
+    if (assignment) { assign(assignment[1], assignment[2]); return null; }
+
+    const cond = stmt.match(/^IF\s+(.+?)\s+THEN\s+(.+)$/i);
+    if (cond) return isTruthy(evaluate(cond[1])) ? exec(cond[2].trim()) : null;
+
+    const word = (stmt.match(/^[A-Za-z]+/) || [""])[0].toUpperCase();
+    const rest = stmt.slice(word.length).replace(/^\s*,?\s*/, "");
+    switch (word) {
+      case "GOTO":
+      case "GOSUB": {
+        const label = rest.trim().toLowerCase();
+        if (!(label in job.labels)) throw new Error(`${word}: no label "${rest.trim()}"`);
+        if (word === "GOSUB") job.stack.push(job.pc);
+        job.pc = job.labels[label];
+        return null;
+      }
+      case "RETURN":
+        if (!job.stack.length) throw new Error("RETURN without GOSUB");
+        job.pc = job.stack.pop();
+        return null;
+      case "END":
+        return "end";
+      case "PAUSE": {
+        // PAUSE <seconds> just waits; anything else holds for the operator
+        if (rest && Number.isFinite(Number(rest))) return null;
+        emit({ state: "paused", info: { message: messageOf(rest) || t("runner.sim.paused") } });
+        return "hold";
+      }
+      case "DIALOG":
+      case "INPUT": {
+        const input = inputOf(rest);
+        job.input = input;
+        emit({ state: "paused", info: { message: messageOf(rest) || t("runner.sim.input"), ...(input ? { input } : {}) } });
+        return "hold";
+      }
+      default:
+        break;
+    }
+
+    const m = stmt.match(/^([A-Za-z][A-Za-z0-9])\s*(?:,(.*))?$/);
+    if (!m) {
+      note(t("runner.sim.skipped", { line: status.line, stmt }));
+      return null;
+    }
+    const cmd = m[1].toUpperCase();
+    const args = m[2] !== undefined ? splitArgs(m[2]) : [];
+    if (AXIS_ARGS[cmd]) move(cmd, args);
+    else if (cmd === "SA") job.relative = false;
+    else if (cmd === "SR") job.relative = true;
+    else if (cmd === "CG") move("M2", [args[1], args[2]]);
+    // other commands (speeds, spindle, tool changes, ...) are accepted and logged
+    return null;
+  }
+
+  function finish(result, error) {
+    clearTimeout(job.timer);
+    const entry = { ...job.entry, finishedAt: Date.now(), result, ...(error ? { error } : {}) };
+    log = [entry, ...log.filter(e => e.id !== entry.id)].slice(0, LOG_LIMIT);
+    saveLog();
+    job = null;
+    if (result === "done") emit({ state: "idle", info: null });
+    else {
+      emit({ state: "stopped", info: { error: error || t("runner.sim.stopped") } });
+      // FabMo settles back to idle after a stop
+      setTimeout(() => { if (!job) emit({ state: "idle", info: null }); }, lineMs * 10);
+    }
+  }
+
+  function step() {
+    if (!job) return;
+    try {
+      // labels and blank lines cost nothing; one executable line per tick
+      while (job.pc < job.lines.length) {
+        const lineNo = job.pc + 1;
+        const stmt = stripComment(job.lines[job.pc]).trim();
+        job.pc++;
+        if (!stmt || /^[A-Za-z_][A-Za-z0-9_]*:$/.test(stmt)) continue;
+        if (++job.steps > MAX_STEPS) throw new Error(t("runner.sim.tooManySteps", { n: MAX_STEPS }));
+        job.entry.steps = job.steps;
+        emit({ line: lineNo });
+        const r = exec(stmt);
+        if (r === "end") break;
+        if (r === "hold") return;
+        job.timer = setTimeout(step, lineMs);
+        return;
+      }
+      finish("done");
+    } catch (err) {
+      finish("error", `${t("machine.line", { line: status.line })}: ${err?.message || err}`);
+    }
+  }
+
+  return {
+    async run(code) {
+      if (job) throw new Error(t("runner.sim.busy"));
+      const lines = String(code).split(/\r?\n/);
+      const labels = {};
+      lines.forEach((l, i) => {
+        const m = stripComment(l).trim().match(/^([A-Za-z_][A-Za-z0-9_]*):$/);
+        if (m) labels[m[1].toLowerCase()] = i + 1;
+      });
+      const entry = { id: `sim_${Date.now().toString(36)}`, startedAt: Date.now(), code: String(code), assigned: {}, notes: [], steps: 0 };
+      job = { lines, labels, locals: {}, stack: [], pc: 0, steps: 0, relative: false, input: null, entry, timer: null };
+      emit({ state: "running", line: 0, nb_lines: lines.length, info: null });
+      job.timer = setTimeout(step, lineMs);
+      return t("runner.sim.submitted");
+    },
+    getStatus: () => status,
+    getConfigVars: () => ({ ...persistent }),
+    // resume takes the answer to a pending DIALOG/INPUT
+    command(name, answer) {
+      if (!job) return;
+      if (name === "pause" && status.state === "running") {
+        clearTimeout(job.timer);
+        emit({ state: "paused", info: { message: t("machine.hold") } });
+      } else if (name === "resume" && status.state === "paused") {
+        answerInput(answer);
+        emit({ state: "running", info: null });
+        job.timer = setTimeout(step, lineMs);
+      } else if (name === "stop") {
+        finish("stopped", t("runner.sim.stoppedByOperator"));
+      }
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getLog: () => log,
+    clearLog() { log = []; saveLog(); },
+    setVariable(name, value) {
+      persistent = { ...persistent, [persistentName(name)]: value };
+      savePersistent();
+    },
+    resetVariables() { persistent = {}; savePersistent(); },
+  };
+}
@@ -0,0 +1,259 @@
+import { evalExpr } from "./sbpExpr";
+
+/* ---------------------- toolpath interpreter (preview only) ---------------------- */
+// Runs the program from the top and records the motion it would make. GOSUB/RETURN
+// and GOTO jump to their labels (so @global subroutines appended after END are
+// drawn), IF is followed when its condition can be worked out and END stops.
+// Anything we cannot resolve becomes a note { line, message, kind }, kind being
+// "value" (a number a command needs is only known at run time), "unknown" (a variable
+// asked for or not worked out; it matters once a command uses it), "flow" (control
+// flow not followed), "skipped" (motion that is not drawn) or "speed" (a default
+// speed was assumed). `unfollowed` is set when some control flow could not be
+// followed, so the path may be missing moves.
+// Speeds are units/sec like MS/JS; when a program never sets them we fall back to
+// these so the time estimate still means something.
+const DEFAULT_SPEEDS = { moveXY: 1, moveZ: 0.5, jogXY: 6, jogZ: 3 };
+const ARC_SEGMENTS = 72; // per full circle
+const MAX_STEPS = 20000; // lines run before we give up on a loop
+const MAX_CALL_DEPTH = 100;
+const LABEL = /^([A-Za-z_][A-Za-z0-9_]*):$/;
+
+// Split "CG, , 2, 0" into args, keeping commas inside quotes/parentheses.
+export function splitArgs(text) {
+  const out = [];
+  let cur = "", depth = 0, inStr = false;
+  for (const ch of text) {
+    if (ch === '"') inStr = !inStr;
+    if (!inStr && ch === "(") depth++;
+    if (!inStr && ch === ")") depth--;
+    if (ch === "," && !inStr && depth === 0) { out.push(cur.trim()); cur = ""; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// Drop a trailing ' comment that is not inside a string.
+export function stripComment(line) {
+  let inStr = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inStr = !inStr;
+    else if (!inStr && (line[i] === "'" || line[i] === ";")) return line.slice(0, i);
+  }
+  return line;
+}
+
+export function interpretToolpath(code) {
+  const vars = {};
+  const notes = [];
+  const segments = [];
+  const speeds = { ...DEFAULT_SPEEDS };
+  const speedSet = { move: false, jog: false };
+  const pos = { x: 0, y: 0, z: 0 };
+  let relative = false;
+  let time = 0;
+  let maxFeed = null; // fastest MS speed the code sets
+  let spindle = null; // last TR (RPM)
+  let unfollowed = false;
+
+  const note = (lineNo, msg, kind) => {
+    if (notes.length < 50 && !notes.some(n => n.message === msg)) notes.push({ line: lineNo, message: msg, kind });
+  };
+
+  // evaluate one argument; blank stays undefined so axes can be left alone
+  const value = (arg, lineNo) => {
+    if (arg === undefined || arg === "") return undefined;
+    try {
+      const v = evalExpr(arg, vars);
+      const n = Number(v);
+      if (Number.isFinite(n)) return n;
+      note(lineNo, `"${arg}" is not a number`, "value");
+    } catch (err) {
+      note(lineNo, err.message, "value");
+    }
+    return undefined;
+  };
+
+  function moveTo(target, kind, lineNo) {
+    const to = { ...pos };
+    ["x", "y", "z"].forEach(axis => {
+      const v = target[axis];
+      if (v === undefined) return;
+      to[axis] = relative ? pos[axis] + v : v;
+    });
+    addSegment(to, kind, lineNo);
+  }
+
+  function addSegment(to, kind, lineNo) {
+    const from = { ...pos };
+    const dxy = Math.hypot(to.x - from.x, to.y - from.y);
+    const dz = Math.abs(to.z - from.z);
+    if (dxy === 0 && dz === 0) return;
+    const xy = kind === "rapid" ? speeds.jogXY : speeds.moveXY;
+    const z = kind === "rapid" ? speeds.jogZ : speeds.moveZ;
+    time += Math.max(xy > 0 ? dxy / xy : 0, z > 0 ? dz / z : 0);
+    segments.push({ from, to, kind, line: lineNo });
+    Object.assign(pos, to);
+  }
+
+  // CG: arc from the current point to (Xend, Yend) around (x + I, y + J).
+  function cutArc(args, lineNo) {
+    // args: diameter, Xend, Yend, I, J, I-O-T, direction, plunge, repetitions, ...
+    const [xEnd, yEnd, i, j] = [1, 2, 3, 4].map(k => value(args[k], lineNo));
+    const [dir, plunge, reps] = [6, 7, 8].map(k => value(args[k], lineNo));
+    if (i === undefined && j === undefined) {
+      note(lineNo, "CG without I/J center offsets is not previewed", "skipped");
+      return;
+    }
+    const start = { ...pos };
+    const cx = start.x + (i || 0), cy = start.y + (j || 0);
+    const ex = xEnd === undefined ? start.x : (relative ? start.x + xEnd : xEnd);
+    const ey = yEnd === undefined ? start.y : (relative ? start.y + yEnd : yEnd);
+    const r = Math.hypot(start.x - cx, start.y - cy);
+    const a0 = Math.atan2(start.y - cy, start.x - cx);
+    let sweep = Math.atan2(ey - cy, ex - cx) - a0;
+    const cw = (dir ?? 1) >= 0;
+    if (cw) { while (sweep >= 0) sweep -= 2 * Math.PI; } else { while (sweep <= 0) sweep += 2 * Math.PI; }
+    const steps = Math.max(4, Math.ceil(Math.abs(sweep) / (2 * Math.PI) * ARC_SEGMENTS));
+    const passes = Math.max(1, Math.round(reps || 1));
+
+    for (let p = 0; p < passes; p++) {
+      if (p > 0) {
+        addSegment({ ...pos, z: start.z }, "rapid", lineNo);
+        addSegment({ x: start.x, y: start.y, z: start.z }, "rapid", lineNo);
+      }
+      if (plunge) addSegment({ ...pos, z: start.z + plunge * (p + 1) }, "feed", lineNo);
+      for (let s = 1; s <= steps; s++) {
+        const a = a0 + sweep * (s / steps);
+        addSegment({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a), z: pos.z }, "feed", lineNo);
+      }
+    }
+    if (plunge) addSegment({ ...pos, z: start.z }, "rapid", lineNo);
+  }
+
+  const lines = code.split(/\r?\n/).map(l => stripComment(l).trim());
+  const labels = new Map();
+  lines.forEach((l, i) => { const m = l.match(LABEL); if (m && !labels.has(m[1].toLowerCase())) labels.set(m[1].toLowerCase(), i); });
+
+  const cannotFollow = (lineNo, msg) => { unfollowed = true; note(lineNo, msg, "flow"); };
+  const labelAt = (name, lineNo) => {
+    const at = labels.get(name.toLowerCase());
+    if (at === undefined) cannotFollow(lineNo, `There is no label ${name}: to go to`);
+    return at;
+  };
+
+  // One statement. Returns where to go next: undefined (the next line), a line index,
+  // or null to stop.
+  const stack = [];
+  function run(line, idx) {
+    const lineNo = idx + 1;
+    if (!line || LABEL.test(line)) return undefined;
+    if (/^END\b/i.test(line)) return null;
+
+    const assign = line.match(/^([&$][A-Za-z][A-Za-z0-9_]*)\s*=\s*(.+)$/);
+    if (assign) {
+      try { vars[assign[1].toLowerCase()] = evalExpr(assign[2], vars); }
+      catch (err) { note(lineNo, err.message, "unknown"); }
+      return undefined;
+    }
+
+    const dialog = line.match(/^(?:DIALOG|INPUT)\b.*?([&$][A-Za-z][A-Za-z0-9_]*)\s*$/i);
+    if (dialog) {
+      note(lineNo, `${dialog[1]} will be asked for at run time; the preview treats it as unknown`, "unknown");
+      return undefined;
+    }
+
+    const flow = line.match(/^(GOTO|GOSUB)\s*,?\s*([A-Za-z_][A-Za-z0-9_]*)\s*$/i);
+    if (flow) {
+      const at = labelAt(flow[2], lineNo);
+      if (at === undefined) return undefined;
+      if (flow[1].toUpperCase() === "GOSUB") {
+        if (stack.length >= MAX_CALL_DEPTH) { cannotFollow(lineNo, `GOSUB ${flow[2]} nests too deep; the preview stops here`); return null; }
+        stack.push(idx + 1);
+      }
+      return at;
+    }
+    if (/^RETURN\b/i.test(line)) return stack.length ? stack.pop() : null;
+
+    const cond = line.match(/^IF\s+(.+?)\s+THEN\s+(.+)$/i);
+    if (cond) {
+      let met;
+      try { met = Number(evalExpr(cond[1], vars)) !== 0; }
+      catch { cannotFollow(lineNo, `IF ${cond[1]} cannot be worked out before the run; the preview does not follow it`); return undefined; }
+      return met ? run(cond[2].trim(), idx) : undefined;
+    }
+    if (/^(?:IF|ON|GOTO|GOSUB)\b/i.test(line)) {
+      cannotFollow(lineNo, "This control flow is not followed; the preview reads on to the next line");
+      return undefined;
+    }
+    const m = line.match(/^([A-Za-z][A-Za-z0-9])\s*(?:,(.*))?$/);
+    if (!m) return undefined;
+    const cmd = m[1].toUpperCase();
+    const args = m[2] !== undefined ? splitArgs(m[2]) : [];
+    const n = (k) => value(args[k], lineNo);
+
+    switch (cmd) {
+      case "M2": moveTo({ x: n(0), y: n(1) }, "feed", lineNo); break;
+      case "M3": moveTo({ x: n(0), y: n(1), z: n(2) }, "feed", lineNo); break;
+      case "MX": moveTo({ x: n(0) }, "feed", lineNo); break;
+      case "MY": moveTo({ y: n(0) }, "feed", lineNo); break;
+      case "MZ": moveTo({ z: n(0) }, "feed", lineNo); break;
+      case "J2": moveTo({ x: n(0), y: n(1) }, "rapid", lineNo); break;
+      case "J3": moveTo({ x: n(0), y: n(1), z: n(2) }, "rapid", lineNo); break;
+      case "JX": moveTo({ x: n(0) }, "rapid", lineNo); break;
+      case "JY": moveTo({ y: n(0) }, "rapid", lineNo); break;
+      case "JZ": moveTo({ z: n(0) }, "rapid", lineNo); break;
+      case "CG": cutArc(args, lineNo); break;
+      case "MS": {
+        const xy = n(0), z = n(1);
+        if (xy !== undefined) speeds.moveXY = xy;
+        if (z !== undefined) speeds.moveZ = z;
+        speedSet.move = speedSet.move || xy !== undefined || z !== undefined;
+        [xy, z].forEach(v => { if (v !== undefined) maxFeed = Math.max(maxFeed ?? v, v); });
+        break;
+      }
+      case "JS": {
+        const xy = n(0), z = n(1);
+        if (xy !== undefined) speeds.jogXY = xy;
+        if (z !== undefined) speeds.jogZ = z;
+        speedSet.jog = speedSet.jog || xy !== undefined || z !== undefined;
+        break;
+      }
+      case "TR": { const rpm = n(0); if (rpm !== undefined) spindle = rpm; break; }
+      case "SA": relative = false; break;
+      case "SR": relative = true; break;
+      default: break;
+    }
+    return undefined;
+  }
+
+  let pc = 0;
+  let steps = 0;
+  while (pc !== null && pc < lines.length) {
+    if (++steps > MAX_STEPS) { cannotFollow(pc + 1, `Stopped after ${MAX_STEPS} lines; the program may loop forever`); break; }
+    const next = run(lines[pc], pc);
+    pc = next === undefined ? pc + 1 : next;
+  }
+
+  let bbox = null;
+  segments.forEach(({ from, to }) => [from, to].forEach(p => {
+    if (!bbox) bbox = { min: { ...p }, max: { ...p } };
+    ["x", "y", "z"].forEach(a => {
+      bbox.min[a] = Math.min(bbox.min[a], p[a]);
+      bbox.max[a] = Math.max(bbox.max[a], p[a]);
+    });
+  }));
+  if (segments.length && !speedSet.move) note(0, `No MS in this code; times assume ${DEFAULT_SPEEDS.moveXY} units/sec feed`, "speed");
+  if (segments.length && !speedSet.jog) note(0, `No JS in this code; times assume ${DEFAULT_SPEEDS.jogXY} units/sec rapids`, "speed");
+
+  return {
+    segments,
+    bbox,
+    maxDepth: bbox ? Math.max(0, -bbox.min.z) : 0,
+    time,
+    maxFeed,
+    spindle,
+    notes,
+    unfollowed,
+  };
+}
@@ -0,0 +1,43 @@
+import { t } from "./i18n";
+
+/* ---------------------- program versions (snapshots) ---------------------- */
+// { id, program, at, code, reason: auto | run | before | manual, label }
+// "auto" is taken on a timer while the code changes; "run" when sections are sent (label:
+// their titles); "before" ahead of a change that replaces a lot of code at once (label:
+// what was about to happen); "manual" when the author saves one by name.
+export const SNAPSHOT_REASONS = ["auto", "run", "before", "manual"];
+const MAX_SNAPSHOTS = 100; // per program; named ones are never dropped
+
+const newId = () => `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+export function makeSnapshot(program, code, reason = "auto", label = "") {
+  return { id: newId(), program, at: Date.now(), code, reason, label };
+}
+
+// What to store for `code` given the newest stored snapshot: a new one, the newest one
+// changed (unchanged code that runs again adds its section to the label), or null when
+// the code is already kept.
+export function nextSnapshot(latest, program, code, reason = "auto", label = "") {
+  if (!latest || latest.code !== code) return makeSnapshot(program, code, reason, label);
+  if (reason === "auto" || reason === "before") return null;
+  if (reason === "run" && latest.reason === "run") {
+    const titles = latest.label.split(", ");
+    return titles.includes(label) ? null : { ...latest, label: [...titles, label].join(", ") };
+  }
+  if (latest.reason === "auto") return { ...latest, reason, label };
+  return makeSnapshot(program, code, reason, label);
+}
+
+// ids to delete so a program keeps at most MAX_SNAPSHOTS, oldest unnamed ones first
+export function snapshotsToDrop(list, max = MAX_SNAPSHOTS) {
+  const newest = [...list].sort((a, b) => b.at - a.at);
+  const named = newest.filter(s => s.reason === "manual").length;
+  return newest.filter(s => s.reason !== "manual").slice(Math.max(0, max - named)).map(s => s.id);
+}
+
+export function snapshotTitle(s) {
+  if (s.reason === "run") return t("versions.ran", { label: s.label });
+  if (s.reason === "before") return t("versions.before", { label: s.label });
+  if (s.reason === "manual") return s.label || t("versions.saved");
+  return t("versions.auto");
+}
@@ -0,0 +1,72 @@
+/* ---------------------- localStorage helpers ---------------------- */
+// Legacy single-program keys; the workspace migrates them on first run.
+export const LS_CODE_KEY = "fabmo_sbp_code";
+export const LS_VALS_KEY = "fabmo_sbp_values";
+
+export const loadLS = (key, fallback) => {
+  try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : fallback; }
+  catch { return fallback; }
+};
+export const saveLS = (key, val) => { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} };
+
+/* ---------------------- IndexedDB workspace ---------------------- */
+// "programs" holds one record per program: { id, name, code, values, presets, createdAt, updatedAt }.
+// "meta" is a small key/value store (e.g. the active program id).
+// "audit" records every pre-run check, confirmation and override (see useRunGate.js).
+// "runs" holds one record per section sent to the machine (see runHistory.js).
+// "snapshots" holds saved versions of each program's code (see snapshots.js).
+const DB_NAME = "fabmo_app_maker";
+const DB_VERSION = 4;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("programs")) db.createObjectStore("programs", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+        if (!db.objectStoreNames.contains("audit")) db.createObjectStore("audit", { keyPath: "id" }).createIndex("at", "at");
+        if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id" }).createIndex("at", "at");
+        if (!db.objectStoreNames.contains("snapshots")) db.createObjectStore("snapshots", { keyPath: "id" }).createIndex("program", "program");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in its own transaction and resolve with its result once committed.
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const listPrograms = () => withStore("programs", "readonly", s => s.getAll());
+export const getProgram = (id) => withStore("programs", "readonly", s => s.get(id));
+export const putProgram = (program) => withStore("programs", "readwrite", s => s.put(program));
+export const deleteProgram = (id) => withStore("programs", "readwrite", s => s.delete(id));
+export const getMeta = (key) => withStore("meta", "readonly", s => s.get(key));
+export const setMeta = (key, value) => withStore("meta", "readwrite", s => s.put(value, key));
+export const addAudit = (entry) => withStore("audit", "readwrite", s => s.put(entry));
+export const listAudit = () => withStore("audit", "readonly", s => s.index("at").getAll());
+export const putRun = (run) => withStore("runs", "readwrite", s => s.put(run));
+export const listRuns = () => withStore("runs", "readonly", s => s.index("at").getAll());
+export const clearRuns = () => withStore("runs", "readwrite", s => s.clear());
+export const putSnapshot = (snap) => withStore("snapshots", "readwrite", s => s.put(snap));
+export const listSnapshots = (programId) => withStore("snapshots", "readonly", s => s.index("program").getAll(programId));
+export const deleteSnapshot = (id) => withStore("snapshots", "readwrite", s => s.delete(id));
+export const deleteSnapshotsOf = (programId) => withStore("snapshots", "readwrite", s => {
+  const req = s.index("program").openKeyCursor(IDBKeyRange.only(programId));
+  req.onsuccess = () => { const c = req.result; if (c) { s.delete(c.primaryKey); c.continue(); } };
+  return null;
+});
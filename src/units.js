@@ -0,0 +1,91 @@
+/* ---------------------- lengths, angles and points as typed by people ---------------------- */
+// "3/4", "1 1/2", "1-1/2in", "19mm", "0.75in", '3/4"', "2cm" -> a number in the job's
+// units (in or mm). A bare number is already in job units. Returns "" for blank and
+// NaN for anything unreadable so callers can tell "empty" from "wrong".
+export const UNIT_SYSTEMS = ["in", "mm"];
+
+const MM_PER = {
+  in: 25.4, inch: 25.4, inches: 25.4, '"': 25.4,
+  ft: 304.8, foot: 304.8, feet: 304.8, "'": 304.8,
+  mm: 1, cm: 10, m: 1000,
+};
+
+// "1 1/2", "1-1/2", "3/4", "-0.5", ".25" -> number (NaN when it is none of those)
+function parseMagnitude(text) {
+  const s = text.trim();
+  const mixed = s.match(/^(-)?(\d+)(?:\s+|-)(\d+)\/(\d+)$/);
+  if (mixed) {
+    const n = Number(mixed[2]) + Number(mixed[3]) / Number(mixed[4]);
+    return mixed[1] ? -n : n;
+  }
+  const frac = s.match(/^(-)?(\d+)\/(\d+)$/);
+  if (frac) {
+    const n = Number(frac[2]) / Number(frac[3]);
+    return frac[1] ? -n : n;
+  }
+  return /^-?(\d+\.?\d*|\.\d+)$/.test(s) ? Number(s) : NaN;
+}
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+export function parseLength(value, units = "in") {
+  if (value === "" || value === null || value === undefined) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  const s = String(value).trim().toLowerCase();
+  if (!s) return "";
+  const m = s.match(/^(.*?)\s*(inches|inch|in|feet|foot|ft|mm|cm|m|"|')?$/);
+  const n = parseMagnitude(m[1]);
+  if (!Number.isFinite(n)) return NaN;
+  const from = m[2] ? MM_PER[m[2]] : MM_PER[units];
+  const to = MM_PER[units] || MM_PER.in;
+  const out = round((n * from) / to);
+  return Number.isFinite(out) ? out : NaN;
+}
+
+// 0.75 -> "3/4", 1.5 -> "1 1/2"; null when not within a hair of a 1/denom fraction
+export function toFraction(n, denom = 64) {
+  if (!Number.isFinite(n)) return null;
+  const sign = n < 0 ? "-" : "";
+  const abs = Math.abs(n);
+  let whole = Math.floor(abs);
+  let num = Math.round((abs - whole) * denom);
+  if (Math.abs(abs - (whole + num / denom)) > 1e-4) return null;
+  if (num === denom) { whole += 1; num = 0; }
+  if (!num) return `${sign}${whole}`;
+  let d = denom;
+  while (num % 2 === 0 && d % 2 === 0) { num /= 2; d /= 2; }
+  return `${sign}${whole ? `${whole} ` : ""}${num}/${d}`;
+}
+
+// Short hint shown next to a length box: 0.748 in (19 mm) / 3/4 in
+export function describeLength(n, units = "in") {
+  if (!Number.isFinite(n)) return "";
+  if (units === "mm") return `${n} mm (${round(n / 25.4)} in)`;
+  const frac = toFraction(n);
+  return frac && frac !== String(n) ? `${n} in (${frac}")` : `${n} in (${round(n * 25.4)} mm)`;
+}
+
+// "45", "45°", "45deg", "1/8", "0.5rad" -> degrees
+export function parseAngle(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  const s = String(value).trim().toLowerCase();
+  if (!s) return "";
+  const m = s.match(/^(.*?)\s*(°|deg|degrees|rad|radians)?$/);
+  const n = parseMagnitude(m[1]);
+  if (!Number.isFinite(n)) return NaN;
+  return m[2] === "rad" || m[2] === "radians" ? round((n * 180) / Math.PI) : n;
+}
+
+// Points are stored as "x,y" text so they behave like any other value (presets,
+// JSON, "empty" checks). parsePoint returns { x, y } with "" for a missing half.
+export function parsePoint(value, units = "in") {
+  if (value === "" || value === null || value === undefined) return { x: "", y: "" };
+  if (typeof value === "object") return { x: parseLength(value.x, units), y: parseLength(value.y, units) };
+  const [x = "", y = ""] = String(value).split(/\s*[,;]\s*/);
+  return { x: parseLength(x, units), y: parseLength(y, units) };
+}
+
+export function formatPoint({ x, y }) {
+  return x === "" && y === "" ? "" : `${x},${y}`;
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+import { activeLocale, onLocaleChange, setMachineLocale } from "./i18n";
+import { getFabMoLocale } from "./fabmo";
+import { onRunnerChange } from "./runners";
+
+/* ---------------------- the UI locale (see i18n.js) ---------------------- */
+// Re-renders when the locale changes. `watchMachine` (set once, at the top of the page)
+// also reads the FabMo dashboard's language, again whenever the runner changes.
+export default function useLocale({ watchMachine = false } = {}) {
+  const [locale, setLocale] = useState(activeLocale);
+  useEffect(() => onLocaleChange(() => setLocale(activeLocale())), []);
+  useEffect(() => {
+    if (!watchMachine) return undefined;
+    const load = () => getFabMoLocale().then(setMachineLocale, () => {});
+    load();
+    return onRunnerChange(load);
+  }, [watchMachine]);
+  return locale;
+}
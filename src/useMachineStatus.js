@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+import { subscribeFabMoStatus } from "./fabmo";
+
+/* ---------------------- live machine status while a section runs ---------------------- */
+// Normalized view of a FabMo status report:
+//   { state, line, lines, x, y, z, message, error, input }
+// `input` is the variable a DIALOG/INPUT waits for ("&Feed"), when the runner says.
+export function normalizeStatus(s = {}) {
+  const num = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+  return {
+    state: String(s.state || "unknown").toLowerCase(),
+    line: num(s.line),
+    lines: num(s.nb_lines),
+    x: num(s.posx), y: num(s.posy), z: num(s.posz),
+    message: s.info?.message || "",
+    error: s.info?.error || s.error || "",
+    input: s.info?.input || null,
+  };
+}
+
+// Subscribes only while `active`; returns null otherwise.
+export default function useMachineStatus(active) {
+  const [status, setStatus] = useState(null);
+  useEffect(() => {
+    if (!active) { setStatus(null); return undefined; }
+    return subscribeFabMoStatus((s) => setStatus(normalizeStatus(s)));
+  }, [active]);
+  return status;
+}
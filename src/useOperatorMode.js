@@ -0,0 +1,82 @@
+import { useEffect, useMemo, useState } from "react";
+import { parseModeIn } from "./sbp";
+
+/* ---------------------- operator (kiosk) mode ---------------------- */
+// The touch view for the machine's tablet: section cards only, big controls, a keypad
+// for numbers, no editor. It is asked for by ?mode=operator or the program's
+// "' @mode operator" line, or entered from the authoring view. Leaving it takes the PIN
+// from "@mode operator pin=…", else the one set on this device (entering from the
+// authoring view asks for one), else just a confirm.
+// A lock entered here holds for the device (localStorage), so a reload or a new tab
+// stays locked; unlocking a requested mode only lasts for the browser tab.
+const LS_MODE_KEY = "fabmo_operator_mode"; // "on": entered here
+const SS_MODE_KEY = "fabmo_operator_mode"; // "off": unlocked in this tab
+const LS_PIN_KEY = "fabmo_operator_pin";
+
+const listeners = new Set();
+function notify() { listeners.forEach(fn => fn()); }
+
+export function urlMode() {
+  if (typeof window === "undefined") return null;
+  const m = String(new URLSearchParams(window.location.search).get("mode") || "").toLowerCase();
+  return m === "operator" || m === "kiosk" ? "operator" : null;
+}
+
+function readChoice() {
+  try {
+    if (window.localStorage.getItem(LS_MODE_KEY) === "on") return "on";
+    return window.sessionStorage.getItem(SS_MODE_KEY);
+  } catch { return null; }
+}
+function writeChoice(v) {
+  try {
+    if (v === "on") { window.localStorage.setItem(LS_MODE_KEY, "on"); window.sessionStorage.removeItem(SS_MODE_KEY); }
+    else { window.localStorage.removeItem(LS_MODE_KEY); window.sessionStorage.setItem(SS_MODE_KEY, v); }
+  } catch {}
+  notify();
+}
+
+export function getDevicePin() {
+  try { return window.localStorage.getItem(LS_PIN_KEY) || null; } catch { return null; }
+}
+export function setDevicePin(pin) {
+  try {
+    if (pin) window.localStorage.setItem(LS_PIN_KEY, pin);
+    else window.localStorage.removeItem(LS_PIN_KEY);
+  } catch {}
+  notify();
+}
+
+// The @mode line is read when the program is opened (`programKey` changes), not while
+// it is being typed. `lockable` is false in exported apps, which have no authoring view
+// to unlock into.
+export default function useOperatorMode(code, { programKey = null, lockable = true } = {}) {
+  const [choice, setChoice] = useState(readChoice);
+  const [devicePin, setPin] = useState(getDevicePin);
+  useEffect(() => {
+    const fn = () => { setChoice(readChoice()); setPin(getDevicePin()); };
+    listeners.add(fn);
+    // locked or unlocked in another tab
+    window.addEventListener("storage", fn);
+    return () => { listeners.delete(fn); window.removeEventListener("storage", fn); };
+  }, []);
+
+  const [programMode, setProgramMode] = useState(null);
+  useEffect(() => setProgramMode(parseModeIn(code).mode), [programKey]);
+  const program = useMemo(() => parseModeIn(code), [code]);
+  const requested = urlMode() === "operator" || programMode === "operator";
+  const active = lockable ? choice === "on" || (requested && choice !== "off") : requested;
+  const pin = program.pin || devicePin;
+
+  return {
+    active,
+    hasPin: Boolean(pin),
+    enter: () => writeChoice("on"),
+    // true when the PIN matches (or there is none); the tab then stays unlocked
+    unlock: (typed) => {
+      if (pin && String(typed) !== pin) return false;
+      writeChoice("off");
+      return true;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+import { useEffect, useMemo, useState } from "react";
+import { deriveTitleFromCode, keyFor, buildSectionModels, localizeSections, buildPreamble, buildSectionProgram, checkRunnable, reconcileValues, isSectionComplete as checkComplete, sectionBlockers } from "./sbp";
+import { getFabMoConfigVars, setFabMoConfigVars, getFabMoTools, runSbpOnFabMo, waitForFabMoIdle, pauseFabMo, resumeFabMo, stopFabMo } from "./fabmo";
+import useRunQueue from "./useRunQueue";
+import useMachineStatus from "./useMachineStatus";
+import useRunGate, { recordAudit } from "./useRunGate";
+import useRunHistory from "./useRunHistory";
+import { makeRun } from "./runHistory";
+import { onRunnerChange } from "./runners";
+import { t } from "./i18n";
+import useLocale from "./useLocale";
+
+/* ---------------------- program state shared by editor + runtime ---------------------- */
+// Owns the parsed section models, FabMo config vars for @checkmark and the run state
+// for a single program. The per-field values are owned by the caller (the workspace
+// in the editor, localStorage in exported apps) and kept in step with the fields here.
+// `onRun(sec)` is called as each confirmed section goes out (the editor keeps a version).
+export default function useProgram(code, values, setValues, { onRun } = {}) {
+  // Sections + models (directives, fields, checkmarks), field texts in the UI language
+  const locale = useLocale({ watchMachine: true });
+  const rawModels = useMemo(() => buildSectionModels(code), [code]);
+  const sectionModels = useMemo(() => localizeSections(rawModels, locale), [rawModels, locale]);
+
+  // defaults for new fields; values of renamed/moved sections follow them (see reconcileValues)
+  useEffect(() => {
+    setValues(prev => reconcileValues(prev, rawModels));
+  }, [rawModels]);
+
+  // FabMo config variables for @checkmark, read again every few seconds so steps done
+  // elsewhere (another tab, the dashboard) show up
+  const [configVars, setConfigVars] = useState({});
+  useEffect(() => {
+    refreshConfigVars();
+    const timer = setInterval(() => { if (!document.hidden) refreshConfigVars(); }, CONFIG_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const isSectionComplete = (sec) => checkComplete(sec, configVars, values);
+  // @requires sections that are not complete yet; the section cannot run until they are
+  const blockersFor = (sec, vars = configVars) => sectionBlockers(sec, sectionModels, vars, values);
+
+  // Run state
+  const [running, setRunning] = useState(null); // id of the section run on its own
+  const [runMsg, setRunMsg] = useState("");
+
+  const buildPreambleForSection = (sec) => buildPreamble(sec, values);
+  // exactly what runSection sends (see buildSectionProgram)
+  const buildRunCode = (sec) => buildSectionProgram(sec, values);
+
+  // refresh config so checkmarks update if your routine set variables
+  async function refreshConfigVars() {
+    try {
+      const vars = await getFabMoConfigVars();
+      // polling: keep the same object (no re-render) while nothing changed
+      setConfigVars(prev => (JSON.stringify(prev) === JSON.stringify(vars) ? prev : vars));
+    } catch {}
+  }
+
+  // "Reset progress": the @checkmark variables of these sections back to 0 on the machine
+  async function resetProgress(sections) {
+    const names = [...new Set(sections.flatMap(sec => sec.checkVars))];
+    if (!names.length) return;
+    try {
+      await setFabMoConfigVars(Object.fromEntries(names.map(n => [n, 0])));
+      setRunMsg(t("run.progressReset", { vars: names.map(n => `$${n}`).join(", ") }));
+    } catch (err) {
+      setRunMsg(t("run.progressResetFailed", { error: err?.message || String(err) }));
+    }
+    await refreshConfigVars();
+  }
+
+  // tool library for type=tool fields
+  const [tools, setTools] = useState([]);
+  const refreshTools = () => getFabMoTools().then(setTools, () => setTools([]));
+  useEffect(() => { refreshTools(); }, []);
+
+  // a different runner has different variables and tools
+  useEffect(() => onRunnerChange(() => { refreshConfigVars(); refreshTools(); }), []);
+
+  // nothing reaches the machine without passing the safety checks and the confirmation dialog
+  const gate = useRunGate({ code, values, tools, buildRunCode });
+
+  // every section sent is kept in the run history, with the confirmation it went out under
+  const history = useRunHistory();
+  const programTitle = deriveTitleFromCode(code) || "Untitled program";
+  const track = (sec, runCode, kind, audit) => {
+    onRun?.(sec);
+    return history.begin(makeRun(sec, values, runCode, { program: programTitle, kind, audit }));
+  };
+
+  const rawQueue = useRunQueue({
+    sectionModels, values, buildRunCode, onSectionDone: refreshConfigVars,
+    track: (sec, runCode, audit) => track(sec, runCode, "queue", audit),
+    // values changed while the queue waited: the section is checked and confirmed again
+    reconfirm: async (sec) => {
+      const entry = await gate.request([sec], "queue");
+      return entry && { code: entry.sections[0].code, audit: entry };
+    },
+  });
+  const queue = {
+    ...rawQueue,
+    async start(sections) {
+      if (rawQueue.active || !sections.length) return;
+      const entry = await gate.request(sections, "queue");
+      if (!entry) {
+        setRunMsg(sections.some(sec => !checkRunnable(sec, values).ok) ? t("run.queueInvalid") : t("run.queueCancelled"));
+        return;
+      }
+      setRunMsg("");
+      const entries = await rawQueue.start(sections, Object.fromEntries(entry.sections.map(s => [s.secId, { code: s.code, audit: entry }])));
+      recordAudit({ ...entry, result: summarizeQueue(entries), finishedAt: Date.now() });
+    },
+  };
+
+  const activeSecId = running || queue.currentSecId;
+  const machine = useMachineStatus(Boolean(activeSecId));
+  const machineControls = { hold: pauseFabMo, resume: resumeFabMo, stop: stopFabMo };
+
+  async function runSection(sec) {
+    // the step order is checked against the machine's variables as they are now
+    const blocked = blockersFor(sec, await getFabMoConfigVars().catch(() => configVars));
+    if (blocked.length) {
+      setRunMsg(t("run.locked", { titles: blocked.map(s => s.title).join(", "), title: sec.title }));
+      return;
+    }
+    const { ok, invalid } = checkRunnable(sec, values);
+    const entry = await gate.request([sec]);
+    if (!entry) {
+      setRunMsg(ok ? t("run.cancelled", { title: sec.title }) : t("run.invalid", { fields: invalid.map(f => f.label).join(", "), title: sec.title }));
+      return;
+    }
+    const runCode = entry.sections[0].code;
+    const finish = track(sec, runCode, "section", entry);
+    try {
+      setRunning(sec.id);
+      setRunMsg("");
+      const res = await runSbpOnFabMo(runCode);
+      setRunMsg(typeof res === "string" ? res : t("run.submitted", { title: sec.title }));
+      // stay "running" (and keep the live status up) until the machine is idle again
+      await waitForFabMoIdle();
+      setRunMsg(t("run.finished", { title: sec.title }));
+      finish({ result: "finished" });
+      recordAudit({ ...entry, result: "finished", finishedAt: Date.now() });
+      await refreshConfigVars();
+    } catch (err) {
+      setRunMsg(err?.message || String(err));
+      finish({ result: "failed", error: err?.message || String(err) });
+      recordAudit({ ...entry, result: "failed", error: err?.message || String(err), finishedAt: Date.now() });
+    } finally {
+      setRunning(null);
+    }
+  }
+
+  // Re-run: put a past run's values back into the form, then run its section as usual
+  // (through the checks and the confirmation) once they are in place
+  const [rerunReq, setRerunReq] = useState(null);
+  function rerun(run) {
+    const sec = sectionModels.find(s => s.id === run.secId) || sectionModels.find(s => s.title === run.title);
+    if (!sec || sec.global) {
+      setRunMsg(t("run.rerunGone", { title: run.title }));
+      return;
+    }
+    // a section found by title has a new id; its values follow it
+    const moved = Object.fromEntries(Object.entries(run.values).map(([k, v]) => {
+      const [secId, name] = k.split("::");
+      return [secId === run.secId ? keyFor(sec.id, name) : k, v];
+    }));
+    setValues(prev => ({ ...prev, ...moved }));
+    setRerunReq({ secId: sec.id });
+  }
+  useEffect(() => {
+    if (!rerunReq) return;
+    setRerunReq(null);
+    const sec = sectionModels.find(s => s.id === rerunReq.secId);
+    if (sec) runSection(sec);
+  }, [rerunReq]);
+
+  return {
+    sectionModels, values, setValues, configVars, refreshConfigVars, tools,
+    isSectionComplete, blockersFor, resetProgress, buildPreambleForSection, buildRunCode, runSection, runMsg, queue,
+    // single runs and the queue share the machine
+    running: Boolean(running) || queue.active,
+    activeSecId, machine, machineControls, gate, history, rerun,
+  };
+}
+
+const CONFIG_POLL_MS = 5000;
+
+// "3 done, 1 failed" for the audit log
+function summarizeQueue(entries = []) {
+  const counts = {};
+  entries.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+  return Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(", ") || "finished";
+}
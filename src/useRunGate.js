@@ -0,0 +1,73 @@
+import { useRef, useState } from "react";
+import { checkRunnable, deriveTitleFromCode } from "./sbp";
+import { checkSection } from "./safety";
+import { addAudit } from "./storage";
+
+/* ---------------------- pre-run gate (limits, checklist, audit) ---------------------- */
+// Everything that starts motion goes through request(): it checks the sections against
+// their @limit/@check lines and, unless a field is invalid, opens the confirmation
+// dialog (RunConfirmDialog). It resolves with the audit entry once the operator
+// confirms, or null when the run is blocked or cancelled. Every outcome is written
+// to the "audit" store:
+//   { id, at, program, kind, sections: [{ secId, title, code }], values, reports,
+//     ticked, overridden, outcome: blocked | cancelled | confirmed, result?, finishedAt? }
+const newId = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+export function recordAudit(entry) {
+  return addAudit(entry).catch(err => console.error("Audit log error:", err));
+}
+
+export default function useRunGate({ code, values, tools, buildRunCode }) {
+  const [pending, setPending] = useState(null); // { kind, reports } while the dialog is open
+  const resolver = useRef(null);
+
+  // values of the sections (and the shared section) being run, as they were confirmed
+  function valuesFor(sections) {
+    const ids = new Set(sections.flatMap(s => [s.id, s.globalSec?.id]).filter(Boolean));
+    return Object.fromEntries(Object.entries(values).filter(([k]) => ids.has(k.split("::")[0])));
+  }
+
+  function request(sections, kind = "section") {
+    const reports = sections.map(sec => checkSection(sec, values, buildRunCode(sec), tools));
+    const entry = {
+      id: newId(),
+      at: Date.now(),
+      program: deriveTitleFromCode(code) || "Untitled program",
+      kind,
+      sections: sections.map(sec => ({ secId: sec.id, title: sec.title, code: buildRunCode(sec) })),
+      values: valuesFor(sections),
+      reports,
+    };
+
+    const invalid = sections.filter(sec => !checkRunnable(sec, values).ok);
+    if (invalid.length) {
+      recordAudit({ ...entry, outcome: "blocked", ticked: [], overridden: false });
+      return Promise.resolve(null);
+    }
+
+    // a second request while the dialog is open replaces the first
+    resolver.current?.(null);
+    return new Promise(resolve => {
+      resolver.current = (ticked, overridden) => {
+        resolver.current = null;
+        setPending(null);
+        if (!ticked) {
+          recordAudit({ ...entry, outcome: "cancelled", ticked: [], overridden: false });
+          resolve(null);
+          return;
+        }
+        const done = { ...entry, outcome: "confirmed", ticked, overridden };
+        recordAudit(done);
+        resolve(done);
+      };
+      setPending({ kind, reports });
+    });
+  }
+
+  // ticked: checklist labels per section ({ [secId]: [label] }); override is only
+  // honoured by the dialog when there are violations
+  const confirm = ({ ticked, override = false }) => resolver.current?.(ticked, override);
+  const cancel = () => resolver.current?.(null);
+
+  return { pending, request, confirm, cancel };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+import { clearRuns, listRuns, putRun } from "./storage";
+
+/* ---------------------- run history state (see runHistory.js) ---------------------- */
+// Newest first. begin(run) stores a run as "running" and returns finish(patch), which
+// records the outcome; both update the list right away and save in the background.
+export default function useRunHistory() {
+  const [runs, setRuns] = useState([]);
+  const save = (run) => putRun(run).catch(err => console.error("Run history error:", err));
+
+  const reload = () => listRuns().then(list => setRuns(list.reverse()), () => setRuns([]));
+  useEffect(() => { reload(); }, []);
+
+  function begin(run) {
+    setRuns(rs => [run, ...rs]);
+    save(run);
+    return (patch) => {
+      const done = { ...run, ...patch, finishedAt: Date.now() };
+      setRuns(rs => rs.map(r => (r.id === run.id ? done : r)));
+      save(done);
+    };
+  }
+
+  async function clear() {
+    try { await clearRuns(); } catch (err) { console.error("Run history error:", err); }
+    setRuns([]);
+  }
+
+  return { runs, reload, begin, clear };
+}
@@ -0,0 +1,130 @@
+import { useRef, useState } from "react";
+import { checkRunnable, sectionBlockers } from "./sbp";
+import { getFabMoConfigVars, runSbpOnFabMo, stopFabMo, waitForFabMoIdle } from "./fabmo";
+import { t } from "./i18n";
+
+/* ---------------------- run queue (several sections in order) ---------------------- */
+// Entries: { id, secId, title, status, message, startedAt, finishedAt } where status is
+// queued | running | done | failed | skipped. Sections run one at a time through
+// runSbpOnFabMo and the next one starts only after the machine is idle again.
+// Pause holds the queue before the next section; abort stops the machine and drops
+// whatever is still queued. start(sections, confirmed) takes the code the operator
+// confirmed for each section ({ [secId]: { code, audit } }) and sends exactly that.
+// Fields can still be adjusted while the queue is paused: a section whose code has
+// changed by the time it starts goes through reconfirm(sec) first, which resolves with
+// a new { code, audit } or null (the section fails). start() resolves with the
+// entries' final statuses once the queue is finished. track(sec, code, audit), when
+// given, is called as each section is sent and returns a function that is told how it ended.
+export default function useRunQueue({ sectionModels, values, buildRunCode, onSectionDone, track, reconfirm }) {
+  const [entries, setEntries] = useState([]);
+  const [state, setState] = useState("idle"); // idle | running | paused
+
+  // the loop runs across renders; read the latest inputs and controls through refs
+  const latest = useRef({});
+  latest.current = { sectionModels, values, buildRunCode, onSectionDone, track, reconfirm };
+  const ctl = useRef({ paused: false, aborted: false, skip: new Set() });
+
+  const patch = (id, p) => setEntries(es => es.map(e => (e.id === id ? { ...e, ...p } : e)));
+
+  async function waitWhilePaused() {
+    while (ctl.current.paused && !ctl.current.aborted) await new Promise(r => setTimeout(r, 200));
+  }
+
+  async function runEntry(entry) {
+    const { sectionModels: secs, values: vals, buildRunCode: build } = latest.current;
+    const sec = secs.find(s => s.id === entry.secId);
+    if (!sec) throw new Error(t("queue.gone"));
+    const { ok, invalid } = checkRunnable(sec, vals);
+    if (!ok) throw new Error(t("queue.check", { fields: invalid.map(f => f.label).join(", ") }));
+    // @requires: the earlier steps must have set their @checkmark variables by now
+    const blocked = sectionBlockers(sec, secs, await getFabMoConfigVars(), vals);
+    if (blocked.length) throw new Error(t("queue.locked", { titles: blocked.map(s => s.title).join(", ") }));
+    let { code, audit } = entry.confirmed || {};
+    if (build(sec) !== code) {
+      const again = await latest.current.reconfirm?.(sec);
+      if (!again) throw new Error(t("queue.unconfirmed"));
+      ({ code, audit } = again);
+    }
+    const finish = latest.current.track?.(sec, code, audit);
+    try {
+      await runSbpOnFabMo(code);
+      await waitForFabMoIdle({ shouldCancel: () => ctl.current.aborted });
+      finish?.({ result: ctl.current.aborted ? "aborted" : "finished" });
+    } catch (err) {
+      finish?.({ result: "failed", error: err?.message || String(err) });
+      throw err;
+    }
+  }
+
+  async function start(sections, confirmed = {}) {
+    if (state !== "idle" || !sections.length) return;
+    const list = sections.map((sec, i) => ({
+      id: `${Date.now().toString(36)}_${i}`, secId: sec.id, title: sec.title,
+      status: "queued", message: "", startedAt: null, finishedAt: null, confirmed: confirmed[sec.id],
+    }));
+    ctl.current = { paused: false, aborted: false, skip: new Set() };
+    // final status per entry, so the caller gets the outcome without waiting for a render
+    const final = new Map();
+    const mark = (id, p) => { final.set(id, p.status); patch(id, p); };
+    setEntries(list);
+    setState("running");
+
+    for (const entry of list) {
+      await waitWhilePaused();
+      if (ctl.current.aborted) break;
+      if (ctl.current.skip.has(entry.id)) continue;
+      mark(entry.id, { status: "running", startedAt: Date.now() });
+      try {
+        await runEntry(entry);
+        if (ctl.current.aborted) {
+          mark(entry.id, { status: "failed", message: t("queue.aborted"), finishedAt: Date.now() });
+          break;
+        }
+        mark(entry.id, { status: "done", finishedAt: Date.now() });
+        latest.current.onSectionDone?.(entry);
+      } catch (err) {
+        // a failed section leaves the rest queued behind a pause so the operator decides
+        mark(entry.id, { status: "failed", message: err?.message || String(err), finishedAt: Date.now() });
+        ctl.current.paused = true;
+        setState("paused");
+      }
+    }
+
+    if (ctl.current.aborted) {
+      setEntries(es => es.map(e => (e.status === "queued" ? { ...e, status: "skipped", message: t("queue.aborted") } : e)));
+    }
+    setState("idle");
+    return list.map(e => ({ ...e, status: final.get(e.id) || "skipped" }));
+  }
+
+  function pause() {
+    if (state !== "running") return;
+    ctl.current.paused = true;
+    setState("paused");
+  }
+
+  function resume() {
+    if (state !== "paused") return;
+    ctl.current.paused = false;
+    setState("running");
+  }
+
+  function skip(id) {
+    ctl.current.skip.add(id);
+    setEntries(es => es.map(e => (e.id === id && e.status === "queued" ? { ...e, status: "skipped" } : e)));
+  }
+
+  async function abort() {
+    if (state === "idle") return;
+    ctl.current.aborted = true;
+    ctl.current.paused = false;
+    await stopFabMo();
+  }
+
+  function clear() {
+    if (state === "idle") setEntries([]);
+  }
+
+  const currentSecId = entries.find(e => e.status === "running")?.secId || null;
+  return { entries, state, active: state !== "idle", currentSecId, start, pause, resume, skip, abort, clear };
+}
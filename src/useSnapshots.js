@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from "react";
+import { deleteSnapshot, listSnapshots, putSnapshot } from "./storage";
+import { nextSnapshot, snapshotsToDrop } from "./snapshots";
+
+/* ---------------------- version history of the active program (see snapshots.js) ---------------------- */
+// Newest first. take(reason, label) keeps the code as it is now; the list updates right
+// away and is saved in the background. An "auto" snapshot is taken every few minutes
+// (nothing is stored while the code has not changed).
+const AUTO_MS = 2 * 60 * 1000;
+
+export default function useSnapshots(program) {
+  const [snapshots, setSnapshots] = useState([]);
+  const id = program?.id || null;
+  // several snapshots can be taken before React re-renders (a queue of runs)
+  const listRef = useRef([]);
+  const current = useRef({});
+  current.current = { id, code: program?.code ?? "" };
+
+  const show = (list) => { listRef.current = list; setSnapshots(list); };
+  const report = (err) => console.error("Version history error:", err);
+
+  useEffect(() => {
+    show([]);
+    if (!id) return undefined;
+    let live = true;
+    listSnapshots(id).then((list) => {
+      if (!live) return;
+      // keep any taken while the list was loading
+      const taken = listRef.current.filter(s => !list.some(l => l.id === s.id));
+      show([...taken, ...list].sort((a, b) => b.at - a.at));
+    }, report);
+    return () => { live = false; };
+  }, [id]);
+
+  function take(reason = "auto", label = "") {
+    const { id: programId, code } = current.current;
+    if (!programId) return;
+    const latest = listRef.current[0];
+    const snap = nextSnapshot(latest, programId, code, reason, label);
+    if (!snap) return;
+    const list = snap.id === latest?.id ? [snap, ...listRef.current.slice(1)] : [snap, ...listRef.current];
+    const drop = snapshotsToDrop(list);
+    show(list.filter(s => !drop.includes(s.id)));
+    putSnapshot(snap).catch(report);
+    drop.forEach(d => deleteSnapshot(d).catch(report));
+  }
+
+  useEffect(() => {
+    const timer = setInterval(() => take("auto"), AUTO_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return { snapshots, take };
+}
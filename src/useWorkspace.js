@@ -0,0 +1,202 @@
+import { useEffect, useRef, useState } from "react";
+import { deriveTitleFromCode } from "./sbp";
+import { parseBundle } from "./bundle";
+import { makeSnapshot } from "./snapshots";
+import { t } from "./i18n";
+import {
+  LS_CODE_KEY, LS_VALS_KEY, loadLS,
+  listPrograms, putProgram, deleteProgram, putSnapshot, deleteSnapshotsOf, getMeta, setMeta,
+} from "./storage";
+
+/* ---------------------- workspace of named programs ---------------------- */
+// Programs live in IndexedDB (see storage.js). The hook keeps the full list in
+// React state and writes changed records back shortly after each edit, so typing
+// in the editor never waits on the database.
+const SAVE_DELAY_MS = 400;
+// Deleted programs are kept (newest first, in the "deleted" meta record) with their
+// version history until this many more have been deleted after them.
+const KEEP_DELETED = 20;
+
+const newId = () => `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+export function makeProgram(name, code, values = {}, presets = []) {
+  const now = Date.now();
+  return { id: newId(), name: name || deriveTitleFromCode(code) || "Untitled", code, values, presets, createdAt: now, updatedAt: now };
+}
+
+// "Copy of X", "Copy of X (2)", ... never colliding with an existing name
+function uniqueName(base, programs) {
+  const names = new Set(programs.map(p => p.name));
+  if (!names.has(base)) return base;
+  let n = 2;
+  while (names.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+export default function useWorkspace(sampleCode) {
+  const [programs, setPrograms] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState("");
+  const [deleted, setDeleted] = useState([]);
+
+  // setValues may be called from effects queued before a switch; always target the current program
+  const activeIdRef = useRef(activeId);
+  activeIdRef.current = activeId;
+
+  useEffect(() => {
+    (async () => {
+      let list = [];
+      let savedActive = null;
+      try {
+        list = await listPrograms();
+        savedActive = await getMeta("activeId");
+        setDeleted((await getMeta("deleted")) || []);
+      } catch (err) {
+        setStorageError(t("workspace.storageUnavailable", { error: err?.message || err }));
+      }
+      if (!list.length) {
+        // first run: bring over the old single localStorage program, else start from the sample
+        const legacy = loadLS(LS_CODE_KEY, null);
+        list = [legacy ? makeProgram("", legacy, loadLS(LS_VALS_KEY, {})) : makeProgram("", sampleCode)];
+      }
+      list.sort((a, b) => a.createdAt - b.createdAt);
+      setPrograms(list);
+      setActiveId(list.some(p => p.id === savedActive) ? savedActive : list[0].id);
+      setLoaded(true);
+    })();
+  }, []);
+
+  // Persist changed records (by identity) after a short pause, and straight away when
+  // the page is hidden or closed or the workspace goes away, so the last edits are kept
+  const savedRef = useRef(new Map());
+  const latestRef = useRef({ programs, loaded });
+  latestRef.current = { programs, loaded };
+  // reads refs only, so the listeners below can keep the first render's copy
+  function flush() {
+    const { programs: list, loaded: ready } = latestRef.current;
+    if (!ready) return;
+    list.forEach(p => {
+      if (savedRef.current.get(p.id) === p) return;
+      savedRef.current.set(p.id, p);
+      putProgram(p).catch(err => setStorageError(t("workspace.saveFailed", { name: p.name, error: err?.message || err })));
+    });
+  }
+
+  useEffect(() => {
+    if (!loaded) return;
+    const timer = setTimeout(flush, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [programs, loaded]);
+
+  useEffect(() => {
+    const onHidden = () => { if (document.visibilityState === "hidden") flush(); };
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", onHidden);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      document.removeEventListener("visibilitychange", onHidden);
+      flush();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loaded && activeId) setMeta("activeId", activeId).catch(() => {});
+  }, [activeId, loaded]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    setMeta("deleted", deleted).catch(err => setStorageError(t("workspace.keepDeletedFailed", { error: err?.message || err })));
+  }, [deleted, loaded]);
+
+  const active = programs.find(p => p.id === activeId) || null;
+
+  function update(id, patch) {
+    setPrograms(ps => ps.map(p => (p.id === id ? { ...p, ...patch(p), updatedAt: Date.now() } : p)));
+  }
+
+  const setCode = (next) => update(activeIdRef.current, p => ({ code: typeof next === "function" ? next(p.code) : next }));
+  const setValues = (next) => update(activeIdRef.current, p => ({ values: typeof next === "function" ? next(p.values) : next }));
+  const setPresets = (next) => update(activeIdRef.current, p => ({ presets: typeof next === "function" ? next(p.presets || []) : next }));
+
+  function create(name, code = "", values = {}, presets = []) {
+    const p = makeProgram(uniqueName(name || deriveTitleFromCode(code) || "Untitled", programs), code, values, presets);
+    setPrograms(ps => [...ps, p]);
+    setActiveId(p.id);
+    return p;
+  }
+
+  function rename(id, name) {
+    const trimmed = String(name || "").trim();
+    if (trimmed) update(id, () => ({ name: trimmed }));
+  }
+
+  function duplicate(id) {
+    const src = programs.find(p => p.id === id);
+    if (src) create(`Copy of ${src.name}`, src.code, src.values, src.presets);
+  }
+
+  // The program goes to the deleted list with a last version of its code; its history
+  // stays until it drops off the end of the list.
+  function remove(id) {
+    const gone = programs.find(p => p.id === id);
+    if (!gone) return;
+    const rest = programs.filter(p => p.id !== id);
+    savedRef.current.delete(id);
+    putSnapshot(makeSnapshot(id, gone.code, "before", t("versions.beforeDelete"))).catch(() => {});
+    deleteProgram(id).catch(err => setStorageError(t("workspace.deleteFailed", { error: err?.message || err })));
+    const kept = [{ ...gone, deletedAt: Date.now() }, ...deleted.filter(p => p.id !== id)];
+    kept.slice(KEEP_DELETED).forEach(p => deleteSnapshotsOf(p.id).catch(() => {}));
+    setDeleted(kept.slice(0, KEEP_DELETED));
+    if (!rest.length) {
+      const p = makeProgram("Untitled", "");
+      setPrograms([p]);
+      setActiveId(p.id);
+      return;
+    }
+    setPrograms(rest);
+    if (id === activeId) setActiveId(rest[0].id);
+  }
+
+  // back under its old id, so its version history comes with it
+  function restore(id) {
+    const p = deleted.find(d => d.id === id);
+    if (!p) return;
+    const { deletedAt, ...program } = p;
+    setDeleted(ds => ds.filter(d => d.id !== id));
+    setPrograms(ps => [...ps, { ...program, name: uniqueName(program.name, ps) }]);
+    setActiveId(id);
+  }
+
+  // Each .sbp/.txt file becomes a new program named after the file; a .json bundle
+  // (see bundle.js) brings its own name, values and presets. Resolves with
+  // { added, errors: ["file: why"] } so the caller can say what happened.
+  async function importFiles(fileList) {
+    const files = Array.from(fileList || []);
+    const added = [];
+    const errors = [];
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || file.type === "application/json";
+        const b = isJson ? parseBundle(text) : { name: file.name.replace(/\.[^.]+$/, ""), code: text };
+        added.push(makeProgram(uniqueName(b.name, [...programs, ...added]), b.code, b.values, b.presets));
+      } catch (err) {
+        errors.push(`${file.name}: ${err?.message || err}`);
+      }
+    }
+    if (added.length) {
+      setPrograms(ps => [...ps, ...added]);
+      setActiveId(added[added.length - 1].id);
+    }
+    return { added, errors };
+  }
+
+  // a bundle from a share link, already parsed
+  const openBundle = (b) => create(b.name, b.code, b.values, b.presets);
+
+  return {
+    loaded, storageError, programs, active, activeId, deleted,
+    switchTo: setActiveId, setCode, setValues, setPresets, create, rename, duplicate, remove, restore, importFiles, openBundle,
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { gcodeToSbp } from "../src/importGcode";
+
+// the translated lines after the header (title, summary, feed override, SA)
+const body = (gcode, opts) => gcodeToSbp(gcode, opts).text.split("\n").slice(4).filter(Boolean);
+const moves = (gcode) => body(gcode).filter(l => !/^MS\b/.test(l));
+
+describe("R-form arcs", () => {
+  const cases = [
+    ["CW, short way", "G2 X2 Y0 R2", "G2 X2 Y0 I1 J-1.7320508"],
+    ["CCW, short way", "G3 X2 Y0 R2", "G3 X2 Y0 I1 J1.7320508"],
+    ["CW, long way", "G2 X2 Y0 R-2", "G2 X2 Y0 I1 J1.7320508"],
+    ["CCW, long way", "G3 X2 Y0 R-2", "G3 X2 Y0 I1 J-1.7320508"],
+    ["CW, vertical chord", "G2 X0 Y2 R2", "G2 X0 Y2 I1.7320508 J1"],
+  ];
+  it.each(cases)("%s matches the I/J form", (_, r, ij) => {
+    const start = "G0 X0 Y0 Z0\nG1 F60\n";
+    expect(moves(start + r)).toEqual(moves(start + ij));
+  });
+
+  it("puts the centre below the chord for a clockwise arc over the top", () => {
+    expect(moves("G0 X0 Y0 Z0\nG2 X2 Y0 R2 F60").at(-1)).toBe("CG, , 2, 0, 1, -1.7321, T, 1");
+  });
+
+  it("keeps a helical R arc between its end points", () => {
+    const pts = moves("G0 X0 Y0 Z0\nG2 X2 Y0 Z-1 R2 F60").filter(l => l.startsWith("M3")).map(l => l.split(", ").slice(1).map(Number));
+    expect(Math.min(...pts.map(p => p[0]))).toBeGreaterThanOrEqual(-1e-9);
+    expect(Math.max(...pts.map(p => p[0]))).toBeLessThanOrEqual(2 + 1e-9);
+    expect(pts.at(-1)).toEqual([2, 0, -1]);
+  });
+});
+
+describe("start position", () => {
+  it("writes the first move to the origin", () => {
+    expect(moves("G0 Z5\nG0 X0 Y0\nG1 Z-1 F60")).toEqual(["JZ, 5", "J2, 0, 0", "MZ, -1"]);
+  });
+
+  it("leaves an axis that has not moved yet blank", () => {
+    expect(moves("G0 Z5\nG0 X1")).toEqual(["JZ, 5", "J2, 1, "]);
+  });
+
+  it("notes an arc that starts before the position is known", () => {
+    const { notes } = gcodeToSbp("G2 X2 Y0 I1 J0 F60");
+    expect(notes.map(n => n.message)).toEqual(["Arc starts before the position is known; the unknown axes are taken as 0"]);
+  });
+});
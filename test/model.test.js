@@ -0,0 +1,56 @@
+import { readFileSync } from "node:fs";
+import { beforeAll, describe, expect, it } from "vitest";
+import { formModel } from "../src/sbpModel";
+import { validateProgram } from "../src/sbpDiagnostics";
+import { setMachineLocale } from "../src/i18n";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+beforeAll(() => setMachineLocale("en"));
+
+// The whole model, preamble and program text of each sample program. A change here
+// changes what operators see or what the machine is sent: check the diff, then
+// update with `npx vitest run -u`.
+describe("fixtures", () => {
+  // the samples are programs an author could write: no diagnostics errors
+  it.each(["shapes.sbp", "all-fields.sbp"])("%s validates", (name) => {
+    expect(validateProgram(fixture(name)).filter(d => d.severity === "error")).toEqual([]);
+  });
+});
+
+describe("formModel snapshots", () => {
+  it.each(["shapes.sbp", "all-fields.sbp"])("%s", (name) => {
+    expect(formModel(fixture(name))).toMatchSnapshot();
+  });
+
+  it("all-fields.sbp with values and a locale", () => {
+    const values = {
+      "shop::Feed": 12,
+      "panel::Height": 80,
+      "panel::Origin": "5,",
+      "panel::Name": 'Door "A"',
+      "panel::UseVac": false,
+    };
+    expect(formModel(fixture("all-fields.sbp"), values, { locale: "es" })).toMatchSnapshot();
+  });
+});
+
+describe("formModel", () => {
+  it("is plain data", () => {
+    const model = formModel(fixture("all-fields.sbp"));
+    expect(JSON.parse(JSON.stringify(model))).toEqual(JSON.parse(JSON.stringify(model)));
+    expect(model.sections.map(s => [s.id, s.global])).toEqual([["shop", true], ["square", false], ["panel", false]]);
+  });
+
+  it("resolves computed and hidden fields", () => {
+    const panel = formModel(fixture("all-fields.sbp")).sections.find(s => s.id === "panel");
+    const field = (name) => panel.fields.find(f => f.name === name).resolved;
+    expect(field("Height")).toMatchObject({ value: 150, computed: true });
+    expect(field("Passes")).toMatchObject({ value: 3, computed: true, visible: false });
+    expect(field("Note").visible).toBe(true);
+  });
+
+  it("does not change between runs", () => {
+    expect(formModel(fixture("shapes.sbp"))).toEqual(formModel(fixture("shapes.sbp")));
+  });
+});
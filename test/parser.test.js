@@ -0,0 +1,226 @@
+import { describe, expect, it } from "vitest";
+import {
+  parseSections, parseDirectivesIn, parseCheckmarkIn, parseCheckmarksIn, parseRequiresIn, parsePresetsIn,
+  parseLayoutIn, inferField, deriveTitleFromCode, parseUnitsIn, parseModeIn, extractVariables, gosubTargets,
+  buildSectionModels, requiredSections, sectionBlockers,
+} from "../src/sbp";
+import { validateProgram } from "../src/sbpDiagnostics";
+
+describe("parseSections", () => {
+  it("is one Main section when there are no headers", () => {
+    const code = "' Title\nMS, 2\n";
+    expect(parseSections(code)).toEqual([{ id: "main", title: "Main", start: 0, end: 3, text: code }]);
+  });
+
+  it("slugs titles, keeps explicit ids and numbers repeats", () => {
+    const secs = parseSections("' #Pocket Cut (1/2in)\nA\n#Pocket Cut (1/2in)\nB\n; # Drill id=holes\nC");
+    expect(secs.map(s => [s.id, s.title, s.start, s.end, s.text])).toEqual([
+      ["pocket-cut-1-2in", "Pocket Cut (1/2in)", 1, 2, "A"],
+      ["pocket-cut-1-2in-2", "Pocket Cut (1/2in)", 3, 4, "B"],
+      ["holes", "Drill", 5, 6, "C"],
+    ]);
+  });
+
+  it("lets an explicit id claim its name before a slug takes it", () => {
+    const secs = parseSections("' #Drill\n' #Other id=drill");
+    expect(secs.map(s => s.id)).toEqual(["drill-2", "drill"]);
+  });
+
+  it("marks @global headers", () => {
+    const [g, plain] = parseSections("' #@global\nMS, 2\n' #@global Shop setup id=shop");
+    expect(g).toMatchObject({ id: "global", title: "Global settings", global: true });
+    expect(plain).toMatchObject({ id: "shop", title: "Shop setup", global: true });
+  });
+
+  it("reads CRLF programs", () => {
+    expect(parseSections("' #A\r\nX\r\n' #B\r\nY").map(s => s.text)).toEqual(["X", "Y"]);
+  });
+});
+
+describe("parseDirectivesIn", () => {
+  it("reads bare, double- and single-quoted values", () => {
+    expect(parseDirectivesIn(`' @input &Radius type=number label="Radius (in)" help='say "when"' min=0.1`)).toEqual({
+      Radius: { type: "number", label: "Radius (in)", help: 'say "when"', min: "0.1" },
+    });
+  });
+
+  it("accepts ; as the comment marker and any case", () => {
+    expect(parseDirectivesIn("; @INPUT &Depth type=length")).toEqual({ Depth: { type: "length" } });
+  });
+
+  it("keeps per-language attributes", () => {
+    expect(parseDirectivesIn(`' @input &R label="Radius" label.es="Radio" prompt.pt-BR=Raio`)).toEqual({
+      R: { label: "Radius", "label.es": "Radio", "prompt.pt-BR": "Raio" },
+    });
+  });
+
+  it("does not take the next line as attributes of an @input without any", () => {
+    expect(parseDirectivesIn("' @input &Radius\n' @input &Depth type=number\n")).toEqual({
+      Radius: {},
+      Depth: { type: "number" },
+    });
+  });
+
+  it("only reads @input lines", () => {
+    expect(parseDirectivesIn("MS, &Radius type=number")).toEqual({});
+  });
+
+  it("gives the same answer every time (no regex state between calls)", () => {
+    const text = "' @input &A type=number\n' @input &B type=text\n";
+    const first = parseDirectivesIn(text);
+    expect(parseDirectivesIn(text)).toEqual(first);
+    expect(parseDirectivesIn("' @input &C type=checkbox")).toEqual({ C: { type: "checkbox" } });
+    expect(parseDirectivesIn(text)).toEqual(first);
+  });
+
+  it("keeps the last @input of a variable", () => {
+    expect(parseDirectivesIn("' @input &A type=text\n' @input &A type=number")).toEqual({ A: { type: "number" } });
+  });
+});
+
+describe("@checkmark", () => {
+  it("reads a plain name with or without $ or &", () => {
+    expect(parseCheckmarkIn("' @checkmark $RanCircle")).toEqual({ mode: "any", conditions: ["$RanCircle"], vars: ["RanCircle"] });
+    expect(parseCheckmarksIn("' @checkmark Done")).toEqual(["Done"]);
+    expect(parseCheckmarksIn("' @checkmark &Done")).toEqual(["Done"]);
+  });
+
+  it("reads all/any and expressions", () => {
+    expect(parseCheckmarkIn("' @checkmark all $CutA $CutB\n' @checkmark $Passes >= &Count")).toEqual({
+      mode: "all",
+      conditions: ["$CutA", "$CutB", "$Passes >= &Count"],
+      vars: ["CutA", "CutB", "Passes"],
+    });
+  });
+
+  it("lists each $ variable once", () => {
+    expect(parseCheckmarksIn("' @checkmark $a\n' @checkmark $A > 1")).toEqual(["a"]);
+  });
+
+  it("gives the same answer every time", () => {
+    const text = "' @checkmark $One\n' @checkmark $Two";
+    expect(parseCheckmarksIn(text)).toEqual(["One", "Two"]);
+    expect(parseCheckmarksIn(text)).toEqual(["One", "Two"]);
+  });
+
+  it("is empty without a @checkmark line", () => {
+    expect(parseCheckmarkIn("' @check \"Dust collector on\"")).toEqual({ mode: "any", conditions: [], vars: [] });
+  });
+});
+
+describe("other directives", () => {
+  it("@requires takes ids and quoted titles", () => {
+    expect(parseRequiresIn(`' @requires circle "Rough cut" 'Finish pass'`)).toEqual(["circle", "Rough cut", "Finish pass"]);
+  });
+
+  it("@preset takes a quoted or bare name and &Var= or Var= values", () => {
+    expect(parsePresetsIn(`' @preset "Oak 3/4in" &Depth=0.75 Feed=2 &Label="two words"\n' @preset Pine &Depth=0.5`)).toEqual([
+      { name: "Oak 3/4in", values: { Depth: "0.75", Feed: "2", Label: "two words" } },
+      { name: "Pine", values: { Depth: "0.5" } },
+    ]);
+  });
+
+  it("reads the form layout", () => {
+    const text = `' @order &W &H\n' @group "Size" columns=9 &W &H\n' @internal &i\n' @columns 3`;
+    expect(parseLayoutIn(text)).toEqual({
+      order: ["W", "H"],
+      groups: [{ caption: "Size", columns: 4, fields: ["W", "H"] }],
+      internal: ["i"],
+      columns: 3,
+    });
+    expect(parseLayoutIn(text)).toEqual(parseLayoutIn(text));
+  });
+
+  it("@units and @mode", () => {
+    expect(parseUnitsIn("' @units MM")).toBe("mm");
+    expect(parseUnitsIn("' @units furlongs")).toBe("in");
+    expect(parseModeIn(`' @mode operator pin="2468"`)).toEqual({ mode: "operator", pin: "2468" });
+    expect(parseModeIn("' @mode kiosk")).toEqual({ mode: null, pin: null });
+  });
+});
+
+describe("@requires", () => {
+  const code = [
+    "' #@global id=shop", "MS, 2",
+    "' #Rough", "' @checkmark $RoughDone", "MZ, -0.5",
+    "' #Notes", "' nothing to check",
+    "' #Finish", "' @requires rough shop Notes", "MZ, -0.75",
+  ].join("\n");
+  const models = buildSectionModels(code);
+  const finish = models.find(s => s.id === "finish");
+
+  it("waits only for sections that can be completed", () => {
+    expect(requiredSections(finish, models).map(s => s.id)).toEqual(["rough"]);
+    expect(sectionBlockers(finish, models, {}).map(s => s.id)).toEqual(["rough"]);
+    expect(sectionBlockers(finish, models, { RoughDone: 1 })).toEqual([]);
+  });
+
+  it("warns that a target without @checkmark is ignored", () => {
+    const warnings = validateProgram(code).filter(d => d.line === 9).map(d => d.message);
+    expect(warnings).toEqual([
+      `"Global settings" has no @checkmark, so it never counts as complete; this requirement is ignored.`,
+      `"Notes" has no @checkmark, so it never counts as complete; this requirement is ignored.`,
+    ]);
+  });
+});
+
+describe("deriveTitleFromCode", () => {
+  it("is the first comment line", () => {
+    expect(deriveTitleFromCode("\n  ' Shape Cutting App\n' more")).toBe("Shape Cutting App");
+    expect(deriveTitleFromCode(`; "Quoted title"`)).toBe("Quoted title");
+  });
+
+  it("is empty when the program starts with code or a directive", () => {
+    expect(deriveTitleFromCode("MS, 2\n' Title")).toBe("");
+    expect(deriveTitleFromCode("' @units mm")).toBe("");
+    expect(deriveTitleFromCode("")).toBe("");
+  });
+});
+
+describe("inferField", () => {
+  it("guesses number and checkbox from the name", () => {
+    expect(inferField("CutDepth").type).toBe("number");
+    expect(inferField("UseVacuum").type).toBe("checkbox");
+    expect(inferField("PartName").type).toBe("text");
+  });
+
+  it("reads bounds and defaults the way values are written", () => {
+    const f = inferField("Depth", { type: "length", default: "1/4", min: "1/8", max: "19mm" });
+    expect(f).toMatchObject({ type: "length", default: 0.25, min: 0.125, units: "in" });
+    expect(f.max).toBeCloseTo(0.748, 3);
+    expect(inferField("Depth", { type: "length", default: "6" }, { units: "mm" })).toMatchObject({ default: 6, units: "mm" });
+  });
+
+  it("keeps expressions for computed attributes", () => {
+    const f = inferField("Passes", { type: "number", default: "=&Depth / &Step", max: "=&Depth" });
+    expect(f).toMatchObject({ default: "", exprs: { default: "&Depth / &Step", max: "&Depth" } });
+    expect(f.max).toBeUndefined();
+  });
+
+  it("collects per-language texts and options", () => {
+    const f = inferField("Wood", { type: "select", options: "Oak, Pine", "options.es": "Roble,Pino", "label.es": "Madera" });
+    expect(f.options).toEqual(["Oak", "Pine"]);
+    expect(f.texts).toEqual({ options: { es: "Roble,Pino" }, label: { es: "Madera" } });
+  });
+
+  it("reads hidden as a flag", () => {
+    expect(inferField("i", { hidden: "yes" }).hidden).toBe(true);
+    expect(inferField("i").hidden).toBe(false);
+  });
+});
+
+describe("variables", () => {
+  it("lists each &Var once, in order of first use", () => {
+    expect(extractVariables("MS, &Feed\nJZ, &SafeZ\nMZ, &Feed")).toEqual(["Feed", "SafeZ"]);
+    expect(extractVariables("&A")).toEqual(["A"]);
+  });
+
+  it("finds GOSUB targets outside comments", () => {
+    expect([...gosubTargets("GOSUB Lift\nGOSUB, Park ' GOSUB Nope\n' GOSUB Skip")]).toEqual(["lift", "park"]);
+  });
+
+  it("does not make fields of @preset, @order and @internal names", () => {
+    const [sec] = buildSectionModels("' @preset Oak &Depth=1 &Extra=2\n' @internal &i\nMZ, &Depth\n&i = 1");
+    expect(sec.fields.map(f => f.name)).toEqual(["Depth"]);
+  });
+});
@@ -0,0 +1,179 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { buildSectionModels, localizeSections, buildPreamble, buildSectionProgram, keyFor, sbpString } from "../src/sbp";
+import { setMachineLocale } from "../src/i18n";
+
+// DIALOG prompts are in the operator's language
+beforeAll(() => setMachineLocale("en"));
+
+// the preamble of the program's only section (or the one with this id)
+function preamble(code, values = {}, secId) {
+  const secs = buildSectionModels(code);
+  const sec = secId ? secs.find(s => s.id === secId) : secs[0];
+  return buildPreamble(sec, Object.fromEntries(Object.entries(values).map(([k, v]) => [keyFor(sec.id, k), v])));
+}
+
+describe("one line per field type", () => {
+  const cases = [
+    ["text", `' @input &Name type=text`, "Part A", `&Name = "Part A"`],
+    ["number", `' @input &Depth type=number`, 0.75, "&Depth = 0.75"],
+    ["number (negative)", `' @input &Z type=number`, -0.1, "&Z = -0.1"],
+    ["checkbox on", `' @input &UseVac type=checkbox`, true, "&UseVac = 1"],
+    ["checkbox off", `' @input &UseVac type=checkbox`, false, "&UseVac = 0"],
+    ["select", `' @input &Wood type=select options="Oak,Pine"`, "Pine", `&Wood = "Pine"`],
+    ["select of numbers", `' @input &Bit type=select options="1,2"`, "2", `&Bit = "2"`],
+    ["length", `' @input &SafeZ type=length`, 0.25, "&SafeZ = 0.25"],
+    ["range", `' @input &Speed type=range min=1 max=10`, 7, "&Speed = 7"],
+    ["angle", `' @input &Tilt type=angle`, 45, "&Tilt = 45"],
+    ["tool", `' @input &Tool type=tool`, 3, "&Tool = 3"],
+    ["file", `' @input &Part type=file`, "C:\\jobs\\part.sbp", `&Part = "C:\\jobs\\part.sbp"`],
+  ];
+  it.each(cases)("%s", (_, directive, value, line) => {
+    const name = directive.match(/&(\w+)/)[1];
+    expect(preamble(directive, { [name]: value })).toEqual([line]);
+  });
+
+  it("point: one variable per axis", () => {
+    expect(preamble(`' @input &Start type=point`, { Start: "1.5, -2" })).toEqual(["&Start_X = 1.5", "&Start_Y = -2"]);
+  });
+
+  it("point: a missing axis is asked for", () => {
+    expect(preamble(`' @input &Start type=point label="Start"`, { Start: "1.5," })).toEqual([
+      "&Start_X = 1.5",
+      `DIALOG "Please input Start (Y)", &Start_Y`,
+    ]);
+  });
+});
+
+describe("empty values", () => {
+  it("become a DIALOG with the label", () => {
+    expect(preamble(`' @input &Depth type=number label="Cut depth"`, { Depth: "" })).toEqual([`DIALOG "Please input Cut depth", &Depth`]);
+  });
+
+  it("use the prompt when there is one", () => {
+    expect(preamble(`' @input &Depth type=number prompt="How deep?"`, { Depth: "" })).toEqual([`DIALOG "How deep?", &Depth`]);
+  });
+
+  it("ask in the operator's language", () => {
+    const [sec] = localizeSections(buildSectionModels(`' @input &Depth type=number label="Depth" label.es="Profundidad"`), "es");
+    expect(buildPreamble(sec, {}, "es")).toEqual([`DIALOG "Introduzca Profundidad", &Depth`]);
+    setMachineLocale("es");
+    try {
+      expect(buildPreamble(sec, {})).toEqual([`DIALOG "Introduzca Profundidad", &Depth`]);
+    } finally {
+      setMachineLocale("en");
+    }
+  });
+});
+
+describe("escaping", () => {
+  it("doubles quotes in strings", () => {
+    expect(preamble(`' @input &Name type=text`, { Name: `3/4" ply` })).toEqual([`&Name = "3/4"" ply"`]);
+    expect(preamble(`' @input &D type=number prompt='Depth in "inches"'`, { D: "" })).toEqual([`DIALOG "Depth in ""inches""", &D`]);
+  });
+
+  it("keeps a value on one line", () => {
+    expect(preamble(`' @input &Note type=text`, { Note: "first\r\nsecond\nthird" })).toEqual([`&Note = "first second third"`]);
+  });
+
+  it("leaves other characters alone", () => {
+    expect(sbpString("a,b;'c'&d")).toBe(`"a,b;'c'&d"`);
+    expect(sbpString("")).toBe(`""`);
+  });
+
+  it("quotes text that looks like a number in a numeric field that is not one", () => {
+    expect(preamble(`' @input &Name type=text`, { Name: "12" })).toEqual([`&Name = "12"`]);
+  });
+});
+
+describe("defaults, hidden and computed fields", () => {
+  it("sends a hidden field's default whatever is stored", () => {
+    expect(preamble(`' @input &Passes type=number default=3 hidden=1`, { Passes: 9 })).toEqual(["&Passes = 3"]);
+  });
+
+  it("computes an empty field from the others", () => {
+    const code = `' @input &Depth type=number\n' @input &Step type=number\n' @input &Passes type=number default="=&Depth / &Step"`;
+    expect(preamble(code, { Depth: 1, Step: 0.25, Passes: "" })).toEqual(["&Depth = 1", "&Step = 0.25", "&Passes = 4"]);
+  });
+
+  it("asks for a computed field whose inputs are empty", () => {
+    const code = `' @input &Depth type=number\n' @input &Half type=number default="=&Depth / 2"`;
+    expect(preamble(code, { Depth: "", Half: "" })).toEqual([`DIALOG "Please input Depth", &Depth`, `DIALOG "Please input Half", &Half`]);
+  });
+});
+
+describe("fields the form does not show", () => {
+  const code = [
+    "' @input &UseVac type=checkbox",
+    "' @input &Note type=text showIf=\"&UseVac\"",
+    "' @input &Power type=number showIf=\"&UseVac\"",
+    "' @input &Spot type=point showIf=\"&UseVac\"",
+  ].join("\n");
+
+  it("are not asked for when showIf hides them", () => {
+    expect(preamble(code, { UseVac: false, Note: "", Power: "", Spot: "" })).toEqual([
+      "&UseVac = 0", `&Note = ""`, "&Power = 0", "&Spot_X = 0", "&Spot_Y = 0",
+    ]);
+  });
+
+  it("keep a value they already have", () => {
+    expect(preamble(code, { UseVac: false, Note: "keep", Power: 3, Spot: "1,2" })).toEqual([
+      "&UseVac = 0", `&Note = "keep"`, "&Power = 3", "&Spot_X = 1", "&Spot_Y = 2",
+    ]);
+  });
+
+  it("are asked for once showIf shows them", () => {
+    expect(preamble(code, { UseVac: true, Note: "", Power: "", Spot: "" })).toEqual([
+      "&UseVac = 1",
+      `DIALOG "Please input Note", &Note`,
+      `DIALOG "Please input Power", &Power`,
+      `DIALOG "Please input Spot (X)", &Spot_X`,
+      `DIALOG "Please input Spot (Y)", &Spot_Y`,
+    ]);
+  });
+
+  it("hidden=1 without a default is not asked for", () => {
+    expect(preamble(`' @input &i type=number hidden=1`, { i: "" })).toEqual(["&i = 0"]);
+  });
+});
+
+describe("@global", () => {
+  const code = [
+    "' #@global Setup",
+    "' @input &Feed type=number",
+    "MS, &Feed",
+    "Lift:",
+    "JZ, 1",
+    "RETURN",
+    "Park:",
+    "GOSUB Lift",
+    "J2, 0, 0",
+    "RETURN",
+    "",
+    "' #Cut",
+    "' @input &Depth type=number",
+    "GOSUB Park",
+    "MZ, -&Depth",
+  ].join("\n");
+  const values = { "global::Feed": 2, "cut::Depth": 0.5 };
+
+  it("assigns the global inputs first", () => {
+    const cut = buildSectionModels(code).find(s => s.id === "cut");
+    expect(buildPreamble(cut, values)).toEqual(["&Feed = 2", "&Depth = 0.5"]);
+  });
+
+  it("sends preamble, setup, the section and the subroutines it needs", () => {
+    const cut = buildSectionModels(code).find(s => s.id === "cut");
+    expect(buildSectionProgram(cut, values)).toBe([
+      "&Feed = 2\n&Depth = 0.5",
+      "MS, &Feed",
+      "' @input &Depth type=number\nGOSUB Park\nMZ, -&Depth",
+      "END\n\nPark:\nGOSUB Lift\nJ2, 0, 0\nRETURN\n\nLift:\nJZ, 1\nRETURN",
+    ].join("\n\n"));
+  });
+
+  it("lets a section's own @input override a global one", () => {
+    const own = `${code}\n' @input &Feed type=number`;
+    const cut = buildSectionModels(own).find(s => s.id === "cut");
+    expect(buildPreamble(cut, { ...values, "cut::Feed": 1 })).toEqual(["&Feed = 2", "&Depth = 0.5", "&Feed = 1"]);
+  });
+});
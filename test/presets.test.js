@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { buildSectionModels } from "../src/sbp";
+import { applyPreset, makeProgramPreset } from "../src/presets";
+
+const CODE = `' # Pocket
+' @input &Depth type=number default=0.25
+MZ, -&Depth
+' # Pocket
+' @input &Depth type=number default=0.5
+MZ, -&Depth
+`;
+
+describe("program presets", () => {
+  const secs = buildSectionModels(CODE);
+  const [a, b] = secs;
+
+  it("keep two sections with the same title apart", () => {
+    const preset = makeProgramPreset("Both", secs, { [`${a.id}::Depth`]: 0.1, [`${b.id}::Depth`]: 0.2 });
+    expect(applyPreset({}, preset, null, secs)).toEqual({ [`${a.id}::Depth`]: 0.1, [`${b.id}::Depth`]: 0.2 });
+  });
+
+  it("follow a section whose id changed by its title", () => {
+    const preset = { scope: "program", values: { old: { Depth: 0.3 } }, titles: { old: "Pocket" } };
+    expect(applyPreset({}, preset, null, [a])).toEqual({ [`${a.id}::Depth`]: 0.3 });
+  });
+
+  it("still apply presets keyed by title", () => {
+    const preset = { scope: "program", values: { Pocket: { Depth: 0.4 } } };
+    expect(applyPreset({}, preset, null, secs)).toEqual({ [`${a.id}::Depth`]: 0.4, [`${b.id}::Depth`]: 0.4 });
+  });
+});
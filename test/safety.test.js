@@ -0,0 +1,59 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { buildSectionModels, buildSectionProgram } from "../src/sbp";
+import { checkSection, parseSafetyIn } from "../src/safety";
+import { setMachineLocale } from "../src/i18n";
+
+beforeAll(() => setMachineLocale("en"));
+
+// the report for one section, checked on the code it would send
+function report(code, secId, values = {}) {
+  const sec = buildSectionModels(code).find(s => s.id === secId);
+  return checkSection(sec, values, buildSectionProgram(sec, values));
+}
+
+describe("parseSafetyIn", () => {
+  it("reads limits and checklist items", () => {
+    expect(parseSafetyIn(`' @limit depth=0.5 envelope=0,0,24,18\n' @check "Dust collector on"`)).toEqual({
+      limits: { depth: "0.5", envelope: "0,0,24,18" },
+      checks: ["Dust collector on"],
+    });
+  });
+});
+
+describe("checkSection", () => {
+  it("breaks the depth limit in the section itself", () => {
+    expect(report(`' #Cut\n' @limit depth=0.5\nMZ, -1`, "cut").violations).toEqual(["Cuts 1 deep; the limit is 0.5."]);
+  });
+
+  it("checks the @global subroutines a section calls", () => {
+    const code = ["' #@global", "' @limit depth=0.5", "Deep:", "MZ, -3", "RETURN", "", "' #Cut", "GOSUB Deep"].join("\n");
+    const r = report(code, "cut");
+    expect(r.violations).toEqual(["Cuts 3 deep; the limit is 0.5."]);
+    expect(r.warnings).toEqual([]);
+  });
+
+  it("blocks code it cannot follow when there are limits", () => {
+    const code = `' #Cut\n' @limit depth=0.5\nON INPUT(1, 1) GOSUB Deep\nEND\nDeep:\nMZ, -3\nRETURN`;
+    expect(report(code, "cut").violations).toContain(
+      "Parts of the code jump in ways the preview cannot follow, so the limits could not be checked there.",
+    );
+  });
+
+  it("blocks a limited value that is only known at run time", () => {
+    const code = `' #Cut\n' @limit depth=0.5\n' @input &Depth type=number\nMZ, -&Depth`;
+    expect(report(code, "cut", { "cut::Depth": "" }).violations).toEqual([
+      "Some values are only known at run time, so the limits could not be fully checked.",
+    ]);
+    expect(report(code, "cut", { "cut::Depth": 0.25 }).violations).toEqual([]);
+  });
+
+  it("does not block on an asked-for value no move uses", () => {
+    const code = `' #Cut\n' @limit depth=0.5\n' @input &Name type=text\nMZ, -0.25`;
+    expect(report(code, "cut", { "cut::Name": "" }).violations).toEqual([]);
+  });
+
+  it("lets unfollowed code through without motion limits", () => {
+    const code = `' #Cut\n' @limit tool=2\nON INPUT(1, 1) GOSUB Deep\nEND\nDeep:\nMZ, -3\nRETURN`;
+    expect(report(code, "cut").violations).toEqual([]);
+  });
+});
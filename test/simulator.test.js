@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { createSimulator } from "../src/sbpSimulator";
+
+// resolves with the status once the simulator stops stepping (done, stopped or holding)
+function settle(sim) {
+  return new Promise(resolve => {
+    const off = sim.subscribe(s => {
+      if (s.state === "idle" || s.state === "stopped" || s.state === "paused") { off(); resolve(s); }
+    });
+  });
+}
+
+async function run(code, sim = createSimulator({ lineMs: 0, persist: false })) {
+  const done = settle(sim);
+  await sim.run(code);
+  return { sim, status: await done };
+}
+
+describe("simulator", () => {
+  it("moves, follows GOSUB and sets persistent variables", async () => {
+    const { sim, status } = await run(["GOSUB Go", "$Done = 1", "END", "Go:", "M2, 2, 3", "RETURN"].join("\n"));
+    expect(status).toMatchObject({ state: "idle", posx: 2, posy: 3 });
+    expect(sim.getConfigVars()).toEqual({ Done: 1 });
+    expect(sim.getLog()[0]).toMatchObject({ result: "done", assigned: { Done: 1 } });
+  });
+
+  it("asks for a DIALOG variable and uses the answer on resume", async () => {
+    const { sim, status } = await run(`DIALOG "Feed?", &Feed\nMS, &Feed\nM2, &Feed, 1\n$Done = 1`);
+    expect(status).toMatchObject({ state: "paused", info: { message: "Feed?", input: "&Feed" } });
+    const done = settle(sim);
+    sim.command("resume", "2.5");
+    expect(await done).toMatchObject({ state: "idle", posx: 2.5, posy: 1 });
+    expect(sim.getConfigVars()).toEqual({ Done: 1 });
+  });
+
+  it("uses 0 when nothing is entered, and says so", async () => {
+    const { sim } = await run(`DIALOG "Depth?", &Depth\nMZ, &Depth\n$Done = 1`);
+    const done = settle(sim);
+    sim.command("resume");
+    expect(await done).toMatchObject({ state: "idle", posz: 0 });
+    expect(sim.getConfigVars()).toEqual({ Done: 1 });
+    expect(sim.getLog()[0].notes).toEqual(["Line 1: nothing entered for &Depth; 0 was used"]);
+  });
+
+  it("skips statements it does not model", async () => {
+    const { sim, status } = await run(`ON INPUT(1, 1) GOSUB Stop\nM2, 1, 1\n$Done = 1\nEND\nStop:\nRETURN`);
+    expect(status).toMatchObject({ state: "idle", posx: 1 });
+    expect(sim.getConfigVars()).toEqual({ Done: 1 });
+    expect(sim.getLog()[0].notes).toEqual(['Line 1: skipped "ON INPUT(1, 1) GOSUB Stop" (not simulated)']);
+  });
+
+  it("stops on an error", async () => {
+    const { sim, status } = await run("M2, &Nope, 1");
+    expect(status.state).toBe("stopped");
+    expect(sim.getLog()[0]).toMatchObject({ result: "error" });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { interpretToolpath } from "../src/sbpToolpath";
+
+const zs = (path) => path.segments.map(s => s.to.z);
+
+describe("interpretToolpath control flow", () => {
+  it("follows GOSUB into a subroutine after END and comes back", () => {
+    const path = interpretToolpath(["MS, 2, 1", "GOSUB Lift", "MZ, -0.25", "END", "", "Lift:", "JZ, 1", "RETURN"].join("\n"));
+    expect(zs(path)).toEqual([1, -0.25]);
+    expect(path.segments.map(s => s.line)).toEqual([7, 3]);
+    expect(path.unfollowed).toBe(false);
+  });
+
+  it("follows nested GOSUBs", () => {
+    const path = interpretToolpath(["GOSUB A", "END", "A:", "GOSUB B", "JX, 2", "RETURN", "B:", "MZ, -3", "RETURN"].join("\n"));
+    expect(path.maxDepth).toBe(3);
+    expect(path.bbox.max.x).toBe(2);
+  });
+
+  it("follows GOTO and an IF it can work out", () => {
+    const code = ["&n = 0", "Top:", "&n = &n + 1", "MX, &n", "IF &n < 3 THEN GOTO Top", "MZ, -1"].join("\n");
+    const path = interpretToolpath(code);
+    expect(path.segments.map(s => [s.to.x, s.to.z])).toEqual([[1, 0], [2, 0], [3, 0], [3, -1]]);
+    expect(path.unfollowed).toBe(false);
+  });
+
+  it("says so when it cannot follow", () => {
+    expect(interpretToolpath("IF &Unknown > 1 THEN GOTO Deep\nMZ, -1\nDeep:\nMZ, -3").unfollowed).toBe(true);
+    expect(interpretToolpath("GOSUB Nowhere\nMZ, -1").unfollowed).toBe(true);
+  });
+
+  it("stops a loop that never ends", () => {
+    const path = interpretToolpath("Spin:\nJX, 1\nJX, 0\nGOTO Spin");
+    expect(path.unfollowed).toBe(true);
+    expect(path.notes.some(n => n.kind === "flow" && /may loop forever/.test(n.message))).toBe(true);
+  });
+
+  it("stops at END and at a RETURN with nothing to return to", () => {
+    expect(zs(interpretToolpath("MZ, -1\nEND\nMZ, -5"))).toEqual([-1]);
+    expect(zs(interpretToolpath("MZ, -1\nRETURN\nMZ, -5"))).toEqual([-1]);
+  });
+
+  it("tells a value a move needs from one only asked for", () => {
+    const path = interpretToolpath(`DIALOG "Name?", &Name\nDIALOG "Depth?", &Depth\nMZ, -&Depth`);
+    expect(path.notes.map(n => [n.line, n.kind])).toEqual([[1, "unknown"], [2, "unknown"], [3, "value"]]);
+  });
+});
@@ -22,9 +22,16 @@ export default defineConfig({
   ],
   build: {
     outDir: 'dist',
+    // the exporter reads this to find the runtime page's files
+    manifest: 'manifest.json',
     rollupOptions: {
+      input: {
+        bundle: 'index.html',
+        // editor-free page that exported .fma apps are built from
+        runtime: 'runtime.html'
+      },
       output: {
-        entryFileNames: 'js/bundle.js',
+        entryFileNames: 'js/[name].js',
         chunkFileNames: 'js/[name].js',
         assetFileNames: (assetInfo) => {
           if (assetInfo.name && assetInfo.name.endsWith('.css')) return 'css/style.css'
@@ -32,5 +39,10 @@ export default defineConfig({
         }
       }
     }
+  },
+  // the parser and preamble tests (npm test); they run in node, no browser needed
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node'
   }
 })